@@ -4,19 +4,28 @@ const config = require("../config");
 let _logger = getLogger();
 
 let client = null;
+let pool = null;
+
+function localConnectionConfig() {
+  return {
+    user: config.DB_USER,
+    password: config.DB_PASSWORD,
+    host: config.DB_HOST,
+    port: parseInt(config.DB_PORT),
+    database: 'ericbo',
+    ssl: false,
+  };
+}
+
+function newLocalClient() {
+  return new Client(localConnectionConfig());
+}
 
 async function connectLocalPostgres() {
   try {
     if (!client) {
       _logger.info("Connecting to local postgres..");
-      client = new Client({
-        user: config.DB_USER,
-        password: config.DB_PASSWORD,
-        host: config.DB_HOST,
-        port: parseInt(config.DB_PORT),
-        database: 'ericbo',
-        ssl: false,
-      });
+      client = newLocalClient();
       await client.connect();
     }
 
@@ -26,6 +35,47 @@ async function connectLocalPostgres() {
     throw error;
   }
 }
+
+/**
+ * A connection of its own, not the shared client; for LISTEN, which needs a connection that stays open
+ */
+async function connectDedicatedPostgres() {
+  const dedicated = newLocalClient();
+  await dedicated.connect();
+  return dedicated;
+}
+
+function getLocalPool() {
+  if (!pool) {
+    pool = new Pool(localConnectionConfig());
+    pool.on('error', (error) => {
+      _logger.error("Idle pooled postgres connection failed: ", { error: error.message });
+    });
+  }
+  return pool;
+}
+
+/**
+ * Run callback in a transaction on a pooled connection of its own. Every request and the job worker share the
+ * client from connectLocalPostgres, so BEGIN/COMMIT on it would take their queries into the transaction too.
+ * @template T
+ * @param {function(import('pg').PoolClient): Promise<T>} callback - Receives the transaction's client
+ * @returns {Promise<T>} What callback returns, once committed
+ */
+async function withTransaction(callback) {
+  const transactionClient = await getLocalPool().connect();
+  try {
+    await transactionClient.query('BEGIN');
+    const result = await callback(transactionClient);
+    await transactionClient.query('COMMIT');
+    return result;
+  } catch (error) {
+    await transactionClient.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    transactionClient.release();
+  }
+}
 async function connectLocalDockerPostgres() {
   try {
     if (!client) {
@@ -52,4 +102,4 @@ async function connectLocalDockerPostgres() {
   }
 }
 
-module.exports = { connectLocalPostgres };
+module.exports = { connectLocalPostgres, connectDedicatedPostgres, withTransaction };
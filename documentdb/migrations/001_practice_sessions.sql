@@ -0,0 +1,44 @@
+-- Practice sessions and per-user answer attempts
+-- Run against the prepper schema before starting the API:
+--   psql -d ericbo -f documentdb/migrations/001_practice_sessions.sql
+
+CREATE TABLE IF NOT EXISTS prepper.practice_sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES prepper.users(id) ON DELETE CASCADE,
+  certification_type VARCHAR(20) NOT NULL,
+  domain_name TEXT,
+  seed INTEGER NOT NULL,
+  question_ids INTEGER[] NOT NULL DEFAULT '{}',
+  status VARCHAR(20) NOT NULL DEFAULT 'active', -- active | completed | abandoned
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS practice_sessions_user_idx
+  ON prepper.practice_sessions (user_id, started_at DESC);
+
+-- One row per answered question. domain / cognitive_level / skill_level are
+-- copied from the question at answer time so progress queries do not need to
+-- join across the per-certification question tables.
+CREATE TABLE IF NOT EXISTS prepper.question_attempts (
+  id BIGSERIAL PRIMARY KEY,
+  session_id INTEGER NOT NULL REFERENCES prepper.practice_sessions(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES prepper.users(id) ON DELETE CASCADE,
+  certification_type VARCHAR(20) NOT NULL,
+  question_id INTEGER NOT NULL,
+  domain TEXT,
+  cognitive_level TEXT,
+  skill_level TEXT,
+  selected_answers TEXT[] NOT NULL DEFAULT '{}',
+  is_correct BOOLEAN NOT NULL,
+  time_spent_ms INTEGER,
+  answered_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (session_id, question_id)
+);
+
+CREATE INDEX IF NOT EXISTS question_attempts_user_idx
+  ON prepper.question_attempts (user_id, answered_at);
+
+CREATE INDEX IF NOT EXISTS question_attempts_question_idx
+  ON prepper.question_attempts (certification_type, question_id);
@@ -0,0 +1,12 @@
+-- Mock exams reuse practice_sessions / question_attempts with mode = 'exam'.
+-- Exam answers are graded when saved but feedback is only returned on submit.
+
+ALTER TABLE prepper.practice_sessions
+  ADD COLUMN IF NOT EXISTS mode VARCHAR(20) NOT NULL DEFAULT 'practice', -- practice | exam
+  ADD COLUMN IF NOT EXISTS time_limit_minutes INTEGER,
+  ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS blueprint JSONB,
+  ADD COLUMN IF NOT EXISTS score_report JSONB;
+
+CREATE INDEX IF NOT EXISTS practice_sessions_mode_idx
+  ON prepper.practice_sessions (user_id, mode, started_at DESC);
@@ -0,0 +1,25 @@
+-- Moderation queue for AI-generated questions.
+-- Each question from a completed batch becomes a draft; approving a draft
+-- inserts it into the certification's question table.
+
+CREATE TABLE IF NOT EXISTS prepper.question_drafts (
+  id SERIAL PRIMARY KEY,
+  batch_id VARCHAR(100),
+  item_index INTEGER,
+  certification_type VARCHAR(20) NOT NULL,
+  question JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending | approved | rejected
+  reviewer_note TEXT,
+  reviewed_by INTEGER REFERENCES prepper.users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMPTZ,
+  approved_question_id INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (batch_id, item_index)
+);
+
+CREATE INDEX IF NOT EXISTS question_drafts_status_idx
+  ON prepper.question_drafts (status, created_at);
+
+CREATE INDEX IF NOT EXISTS question_drafts_batch_idx
+  ON prepper.question_drafts (batch_id);
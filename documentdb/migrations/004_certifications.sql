@@ -0,0 +1,40 @@
+-- Certification registry. Question generation, question CRUD, domain weights and
+-- exam assembly all resolve certifications through this table, so adding one is a data change.
+-- domains holds {"Domain name": weight}; domain_weight_table, when set, takes precedence.
+
+CREATE TABLE IF NOT EXISTS prepper.certifications (
+  code VARCHAR(20) PRIMARY KEY,
+  vendor VARCHAR(100) NOT NULL,
+  display_name VARCHAR(200) NOT NULL,
+  legacy_alias VARCHAR(50) UNIQUE,
+  question_table VARCHAR(128) NOT NULL UNIQUE,
+  domain_weight_table VARCHAR(128),
+  question_count INTEGER NOT NULL CHECK (question_count > 0),
+  time_limit_minutes INTEGER NOT NULL CHECK (time_limit_minutes > 0),
+  score_min INTEGER NOT NULL DEFAULT 100,
+  score_max INTEGER NOT NULL,
+  passing_score INTEGER NOT NULL,
+  domains JSONB NOT NULL DEFAULT '{}'::jsonb,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (passing_score BETWEEN score_min AND score_max)
+);
+
+INSERT INTO prepper.certifications (
+  code, vendor, display_name, legacy_alias, question_table, domain_weight_table,
+  question_count, time_limit_minutes, score_min, score_max, passing_score, domains
+) VALUES
+  (
+    'CV0-004', 'CompTIA', 'CompTIA Cloud+', 'comptia',
+    'prepper.comptia_cloud_plus_questions', 'prepper.domain_weight_cv0_004',
+    90, 90, 100, 900, 750,
+    '{"Cloud Architecture and Design": 23, "Cloud Security": 19, "DevOps Fundamentals": 10, "Cloud Operations and Support": 17, "Cloud Deployment": 19, "Troubleshooting": 12}'::jsonb
+  ),
+  (
+    'SAA-C03', 'AWS', 'AWS Certified Solutions Architect - Associate', 'aws',
+    'prepper.aws_certified_architect_associate_questions', 'prepper.domain_weight_saa_c03',
+    65, 130, 100, 1000, 720,
+    '{"Design Secure Architectures": 30, "Design Resilient Architectures": 26, "Design High-Performing Architectures": 24, "Design Cost-Optimized Architectures": 20}'::jsonb
+  )
+ON CONFLICT (code) DO NOTHING;
@@ -0,0 +1,23 @@
+-- Spaced-repetition (SM-2) state per user and question.
+-- Cards are created from recorded practice/exam attempts and updated by POST /api/review/:questionId.
+
+CREATE TABLE IF NOT EXISTS prepper.review_cards (
+  id BIGSERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES prepper.users(id) ON DELETE CASCADE,
+  certification_type VARCHAR(20) NOT NULL,
+  question_id INTEGER NOT NULL,
+  domain VARCHAR(200),
+  ease_factor NUMERIC(4, 2) NOT NULL DEFAULT 2.50,
+  interval_days INTEGER NOT NULL DEFAULT 0,
+  repetitions INTEGER NOT NULL DEFAULT 0,
+  lapses INTEGER NOT NULL DEFAULT 0,
+  last_grade SMALLINT,
+  last_reviewed_at TIMESTAMPTZ,
+  due_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (user_id, certification_type, question_id)
+);
+
+CREATE INDEX IF NOT EXISTS review_cards_due_idx
+  ON prepper.review_cards (user_id, certification_type, due_at);
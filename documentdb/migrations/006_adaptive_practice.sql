@@ -0,0 +1,10 @@
+-- Adaptive practice sessions.
+-- 'random' sessions fix question_ids up front; 'adaptive' sessions start empty and append one
+-- question at a time from the learner's weakest area until target_count is reached.
+
+ALTER TABLE prepper.practice_sessions
+  ADD COLUMN IF NOT EXISTS selection VARCHAR(20) NOT NULL DEFAULT 'random', -- random | adaptive
+  ADD COLUMN IF NOT EXISTS target_count INTEGER;
+
+CREATE INDEX IF NOT EXISTS question_attempts_user_cert_idx
+  ON prepper.question_attempts (user_id, certification_type, answered_at);
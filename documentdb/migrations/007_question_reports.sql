@@ -0,0 +1,29 @@
+-- Learner-reported problems with questions (wrong answer, ambiguous, outdated service, typo).
+-- Reports are filed via POST /api/questions/:id/reports and triaged by admins under /api/question-reports.
+
+CREATE TABLE IF NOT EXISTS prepper.question_reports (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES prepper.users(id) ON DELETE SET NULL,
+  certification_type VARCHAR(20) NOT NULL,
+  question_id INTEGER NOT NULL,
+  reason VARCHAR(30) NOT NULL, -- wrong_answer | ambiguous | outdated | typo | other
+  comment TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'open', -- open | resolved | dismissed
+  resolution_note TEXT,
+  resolved_by INTEGER REFERENCES prepper.users(id) ON DELETE SET NULL,
+  resolved_at TIMESTAMPTZ,
+  reporter_notified_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- A learner can only have one open report per question
+CREATE UNIQUE INDEX IF NOT EXISTS question_reports_open_unique_idx
+  ON prepper.question_reports (user_id, certification_type, question_id)
+  WHERE status = 'open';
+
+CREATE INDEX IF NOT EXISTS question_reports_question_idx
+  ON prepper.question_reports (certification_type, question_id, status);
+
+CREATE INDEX IF NOT EXISTS question_reports_status_idx
+  ON prepper.question_reports (status, created_at);
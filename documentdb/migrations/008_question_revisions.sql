@@ -0,0 +1,21 @@
+-- Versioned edit history for rows in the certification question tables.
+-- Every create / update / delete / revert stores the full row snapshot and a field-level diff.
+-- A question edited before history existed gets a 'baseline' revision holding its previous content.
+
+CREATE TABLE IF NOT EXISTS prepper.question_revisions (
+  id SERIAL PRIMARY KEY,
+  certification_type VARCHAR(20) NOT NULL,
+  question_id INTEGER NOT NULL,
+  revision INTEGER NOT NULL,
+  action VARCHAR(20) NOT NULL, -- baseline | create | update | delete | restore | purge | revert
+  snapshot JSONB NOT NULL, -- row after the change (before it, for delete and purge)
+  changes JSONB NOT NULL DEFAULT '{}'::jsonb, -- {field: {from, to}}
+  changed_by INTEGER REFERENCES prepper.users(id) ON DELETE SET NULL,
+  source VARCHAR(40), -- endpoint or workflow that made the change
+  note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (certification_type, question_id, revision)
+);
+
+CREATE INDEX IF NOT EXISTS question_revisions_question_idx
+  ON prepper.question_revisions (certification_type, question_id, revision DESC);
@@ -0,0 +1,26 @@
+-- Soft delete for the certification question tables.
+-- DELETE /deleteQuestion/:id now sets deleted_at instead of removing the row; every read path filters on
+-- deleted_at IS NULL. Trashed rows can be restored or purged after the retention window via /api/question-trash.
+-- Tables for certifications added later are created with LIKE ... INCLUDING ALL and inherit these columns.
+
+DO $$
+DECLARE
+  question_table TEXT;
+BEGIN
+  FOR question_table IN SELECT c.question_table FROM prepper.certifications c LOOP
+    IF to_regclass(question_table) IS NOT NULL THEN
+      EXECUTE format(
+        'ALTER TABLE %s
+           ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+           ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES prepper.users(id) ON DELETE SET NULL,
+           ADD COLUMN IF NOT EXISTS deleted_reason TEXT',
+        question_table
+      );
+      EXECUTE format(
+        'CREATE INDEX IF NOT EXISTS %I ON %s (deleted_at) WHERE deleted_at IS NOT NULL',
+        replace(question_table, 'prepper.', '') || '_deleted_at_idx',
+        question_table
+      );
+    END IF;
+  END LOOP;
+END $$;
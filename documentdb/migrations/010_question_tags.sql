@@ -0,0 +1,22 @@
+-- Free-form tags on the certification question tables, used to filter exports (GET /api/questions/export).
+-- Tags are set through PUT /updateQuestion/:id and POST /api/questions/import and stored lowercase.
+-- Tables for certifications added later are created with LIKE ... INCLUDING ALL and inherit this column.
+
+DO $$
+DECLARE
+  question_table TEXT;
+BEGIN
+  FOR question_table IN SELECT c.question_table FROM prepper.certifications c LOOP
+    IF to_regclass(question_table) IS NOT NULL THEN
+      EXECUTE format(
+        'ALTER TABLE %s ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT ''{}''',
+        question_table
+      );
+      EXECUTE format(
+        'CREATE INDEX IF NOT EXISTS %I ON %s USING GIN (tags)',
+        replace(question_table, 'prepper.', '') || '_tags_idx',
+        question_table
+      );
+    END IF;
+  END LOOP;
+END $$;
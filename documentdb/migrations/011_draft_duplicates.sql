@@ -0,0 +1,13 @@
+-- Near-duplicate marks on review queue drafts.
+-- When a batch is turned into drafts, each question is compared (MinHash over word shingles) with the live bank
+-- for its certification and with the earlier questions of the same batch.
+-- duplicates holds the matches, best first: [{certification_type, question_id, score} | {batch_id, item_index, score}]
+-- and duplicate_score the best score (NULL when nothing matched).
+
+ALTER TABLE prepper.question_drafts
+  ADD COLUMN IF NOT EXISTS duplicates JSONB NOT NULL DEFAULT '[]'::jsonb,
+  ADD COLUMN IF NOT EXISTS duplicate_score REAL;
+
+CREATE INDEX IF NOT EXISTS question_drafts_duplicate_score_idx
+  ON prepper.question_drafts (duplicate_score)
+  WHERE duplicate_score IS NOT NULL;
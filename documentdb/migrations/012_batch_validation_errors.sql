@@ -0,0 +1,8 @@
+-- Per-item schema validation failures of generated batches.
+-- When a batch completes, every result is parsed, repaired and checked against the generated-question schema
+-- (utils/questionSchema.js). Items that pass go to results; the rest are kept here instead of being dropped:
+-- [{custom_id, item_index, errors: [...], question | response_preview}]
+-- item_index is NULL when the whole response failed (provider error or not JSON).
+
+ALTER TABLE prepper.batch_jobs
+  ADD COLUMN IF NOT EXISTS validation_errors JSONB NOT NULL DEFAULT '[]'::jsonb;
@@ -0,0 +1,30 @@
+-- Per-request outcomes of generation batches, keyed by the custom_id sent to the LLM provider.
+-- Each request of a batch asks for one question; prompt_params holds what it was built from so a failed item can be
+-- resubmitted on its own. Failed items (errored, invalid, missing, expired, cancelled) can be retried as a child batch:
+-- the child's batch_jobs row points back with parent_batch_id and the parent items record retried_in_batch_id.
+
+ALTER TABLE prepper.batch_jobs
+  ADD COLUMN IF NOT EXISTS parent_batch_id TEXT;
+
+CREATE INDEX IF NOT EXISTS batch_jobs_parent_batch_id_idx
+  ON prepper.batch_jobs (parent_batch_id)
+  WHERE parent_batch_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS prepper.batch_items (
+  id SERIAL PRIMARY KEY,
+  batch_id TEXT NOT NULL,
+  custom_id TEXT NOT NULL,
+  item_index INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'succeeded', 'errored', 'invalid', 'missing', 'expired', 'cancelled')),
+  prompt_params JSONB NOT NULL DEFAULT '{}'::jsonb,
+  question_count INTEGER NOT NULL DEFAULT 0,
+  errors JSONB NOT NULL DEFAULT '[]'::jsonb,
+  retried_in_batch_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (batch_id, custom_id)
+);
+
+CREATE INDEX IF NOT EXISTS batch_items_batch_status_idx
+  ON prepper.batch_items (batch_id, status);
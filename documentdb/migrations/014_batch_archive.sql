@@ -0,0 +1,13 @@
+-- Batch housekeeping.
+-- Archived batches keep their row (and results) but are hidden from GET /questions/batches by default,
+-- and their questions/<batch_id>_*.sql files are removed. Deleted batches lose the row and their batch_items.
+
+ALTER TABLE prepper.batch_jobs
+  ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS archived_by INTEGER;
+
+CREATE INDEX IF NOT EXISTS batch_jobs_created_at_idx
+  ON prepper.batch_jobs (created_at DESC);
+
+CREATE INDEX IF NOT EXISTS batch_jobs_user_created_idx
+  ON prepper.batch_jobs (user_id, created_at DESC);
@@ -0,0 +1,42 @@
+-- Token usage and estimated cost of AI generation, one row per model call.
+-- source 'generate' rows come from /questions/generateQuestion (one per attempt); 'batch' rows from batch items,
+-- keyed by batch_id + custom_id so re-polling a batch cannot count it twice. cost_usd already includes the
+-- batch discount.
+
+CREATE TABLE IF NOT EXISTS prepper.ai_usage (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER,
+  username TEXT,
+  source TEXT NOT NULL CHECK (source IN ('generate', 'batch')),
+  batch_id TEXT,
+  custom_id TEXT,
+  certification_type TEXT,
+  model TEXT NOT NULL,
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS ai_usage_created_at_idx
+  ON prepper.ai_usage (created_at);
+
+CREATE INDEX IF NOT EXISTS ai_usage_user_created_idx
+  ON prepper.ai_usage (user_id, created_at);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ai_usage_batch_item_idx
+  ON prepper.ai_usage (batch_id, custom_id)
+  WHERE batch_id IS NOT NULL;
+
+-- Monthly spending limits in USD. The row with user_id NULL is the global budget; other rows are per user.
+-- Without a row the AI_MONTHLY_BUDGET_USD / AI_USER_MONTHLY_BUDGET_USD environment defaults apply.
+CREATE TABLE IF NOT EXISTS prepper.ai_budgets (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER,
+  monthly_limit_usd NUMERIC(12, 2) NOT NULL CHECK (monthly_limit_usd >= 0),
+  updated_by INTEGER,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ai_budgets_user_idx
+  ON prepper.ai_budgets ((COALESCE(user_id, 0)));
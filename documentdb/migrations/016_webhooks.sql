@@ -0,0 +1,45 @@
+-- Outbound webhooks. A webhook belongs to the user who registered it and receives the events listed in `events`
+-- that concern that user's resources (their batches, questions generated by their batches); webhooks registered by
+-- admins receive every matching event. Each POST is signed with HMAC-SHA256 over "<timestamp>.<body>" using
+-- `secret`.
+--
+-- One webhook_deliveries row per event per webhook. Failed deliveries are retried with exponential backoff
+-- (next_attempt_at) until they succeed or run out of attempts; a redelivery is a new row pointing at the original.
+
+CREATE TABLE IF NOT EXISTS prepper.webhooks (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES prepper.users(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  events TEXT[] NOT NULL,
+  description TEXT,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS webhooks_user_idx
+  ON prepper.webhooks (user_id);
+
+CREATE TABLE IF NOT EXISTS prepper.webhook_deliveries (
+  id SERIAL PRIMARY KEY,
+  webhook_id INTEGER NOT NULL REFERENCES prepper.webhooks(id) ON DELETE CASCADE,
+  event TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  response_status INTEGER,
+  response_body TEXT,
+  error TEXT,
+  redelivery_of INTEGER REFERENCES prepper.webhook_deliveries(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  delivered_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS webhook_deliveries_webhook_idx
+  ON prepper.webhook_deliveries (webhook_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx
+  ON prepper.webhook_deliveries (next_attempt_at)
+  WHERE status = 'pending';
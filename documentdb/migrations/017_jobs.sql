@@ -0,0 +1,38 @@
+-- Background job queue shared by every API instance (see jobs/worker.js).
+-- Workers lease due jobs with SELECT ... FOR UPDATE SKIP LOCKED: a leased job is 'running' with locked_by and
+-- locked_until set, and a job whose lease ran out (the worker died) is picked up again. Failed attempts are
+-- requeued with exponential backoff through run_at until max_attempts, then the job is 'failed'.
+-- unique_key keeps a single queued copy of a job, e.g. the recurring batch poll or one status check per batch.
+
+CREATE TABLE IF NOT EXISTS prepper.jobs (
+  id BIGSERIAL PRIMARY KEY,
+  type TEXT NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'succeeded', 'failed')),
+  unique_key TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_by TEXT,
+  locked_until TIMESTAMPTZ,
+  last_error TEXT,
+  result JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS jobs_due_idx
+  ON prepper.jobs (run_at)
+  WHERE status = 'queued';
+
+CREATE INDEX IF NOT EXISTS jobs_lease_idx
+  ON prepper.jobs (locked_until)
+  WHERE status = 'running';
+
+CREATE INDEX IF NOT EXISTS jobs_type_status_idx
+  ON prepper.jobs (type, status, created_at);
+
+CREATE UNIQUE INDEX IF NOT EXISTS jobs_queued_unique_key_idx
+  ON prepper.jobs (unique_key)
+  WHERE status = 'queued';
@@ -0,0 +1,28 @@
+-- Study material uploaded by admins (Markdown, plain text or HTML notes, or a vendor whitepaper saved locally) for
+-- generating questions grounded in it. The text is split into chunks at headings and paragraphs; every question
+-- generated from a chunk carries the reference "study_material:<material_id>#<chunk_index>" in `references`.
+
+CREATE TABLE IF NOT EXISTS prepper.study_materials (
+  id SERIAL PRIMARY KEY,
+  certification_type TEXT NOT NULL,
+  title TEXT NOT NULL,
+  format TEXT NOT NULL CHECK (format IN ('markdown', 'text', 'html')),
+  source_name TEXT,
+  char_count INTEGER NOT NULL DEFAULT 0,
+  chunk_count INTEGER NOT NULL DEFAULT 0,
+  uploaded_by INTEGER REFERENCES prepper.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS study_materials_certification_idx
+  ON prepper.study_materials (certification_type, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS prepper.study_material_chunks (
+  id SERIAL PRIMARY KEY,
+  material_id INTEGER NOT NULL REFERENCES prepper.study_materials(id) ON DELETE CASCADE,
+  chunk_index INTEGER NOT NULL,
+  heading TEXT,
+  content TEXT NOT NULL,
+  char_count INTEGER NOT NULL,
+  UNIQUE (material_id, chunk_index)
+);
@@ -13,6 +13,9 @@ const httpPort = parseInt(process.env.PORT || config.PORT || 36236, 10);
 console.log('passed port to use for http', httpPort);
 
 const app = express();
+// Question imports and study material sent as JSON carry whole banks and documents; parse them with the import
+// size limit, not the 100kb default
+app.use(['/api/questions/import', '/api/questions/materials'], require('./routes/questions').importJsonParser);
 app.use(express.json());
 app.use(express.urlencoded({extended: true}));
 
@@ -28,41 +31,23 @@ app.use(cors({
 // Mount API routes
 app.use('/api', server);
 
-// Start background batch polling
-const questionsRoutes = require('./routes/questions');
-if (questionsRoutes.startBackgroundPolling) {
-  questionsRoutes.startBackgroundPolling();
-}
+// Background work (batch polling and results, exports, webhook deliveries, report emails) runs on the job queue
+require('./routes/questions').registerBatchJobs();
+require('./routes/webhooks').registerWebhookJobs();
+require('./routes/question-reports').registerReportJobs();
+require('./jobs/worker').startJobWorker();
+// Batch events reach the SSE streams of every instance, not only the one that ran the job
+require('./utils/batchEvents').startBatchEventListener();
 
 // Also provide route at root level for backward compatibility
 // Import the handler logic directly
 const { connectLocalPostgres } = require('./documentdb/client');
+const { shuffleArray } = require('./utils/shuffle');
+const { NOT_DELETED, toStudentQuestion } = require('./utils/questionBank');
+const { optionalAuthenticateToken } = require('./middleware/auth');
 let ps = null;
 
-/**
- * Seeded random number generator (Linear Congruential Generator)
- */
-function seededRandom(seed) {
-    return function() {
-        seed = (seed * 9301 + 49297) % 233280;
-        return seed / 233280;
-    };
-}
-
-/**
- * Shuffle array using Fisher-Yates algorithm with seeded random
- */
-function shuffleArray(array, seed) {
-    const rng = seededRandom(seed);
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(rng() * (i + 1));
-        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    return shuffled;
-}
-
-app.get('/getExamQuestions', async (req, res) => {
+app.get('/getExamQuestions', optionalAuthenticateToken, async (req, res) => {
     const data = {};
     const logger = require('./logs/prepperLog');
     const _logger = logger();
@@ -86,7 +71,7 @@ app.get('/getExamQuestions', async (req, res) => {
         
         // Fetch CompTIA questions
         _logger.info("Querying CompTIA questions...");
-        const comptia = await ps.query("SELECT * FROM prepper.comptia_cloud_plus_questions ORDER BY id ASC");
+        const comptia = await ps.query(`SELECT * FROM prepper.comptia_cloud_plus_questions WHERE ${NOT_DELETED} ORDER BY id ASC`);
         _logger.info("number of rows returned for comptia: ", {rows: comptia.rows.length});
         
         if (comptia.rows.length > 0) {
@@ -104,7 +89,7 @@ app.get('/getExamQuestions', async (req, res) => {
         
         // Fetch AWS questions
         _logger.info("Querying AWS questions...");
-        const aws = await ps.query("SELECT * FROM prepper.aws_certified_architect_associate_questions ORDER BY id ASC");
+        const aws = await ps.query(`SELECT * FROM prepper.aws_certified_architect_associate_questions WHERE ${NOT_DELETED} ORDER BY id ASC`);
         _logger.info("number of rows returned for aws: ", {rows: aws.rows.length});
         
         if (aws.rows.length > 0) {
@@ -121,6 +106,13 @@ app.get('/getExamQuestions', async (req, res) => {
             _logger.warn("No AWS questions found");
         }
 
+        // Strip answer keys and explanations unless an admin explicitly asks for them
+        const includeAnswers = req.query.include_answers === 'true' && req.user?.role === 'admin';
+        if (!includeAnswers) {
+            data.comptiaQuestions = data.comptiaQuestions.map((q) => toStudentQuestion(q, 'CV0-004'));
+            data.awsQuestions = data.awsQuestions.map((q) => toStudentQuestion(q, 'SAA-C03'));
+        }
+
         // Return success even if one or both are empty
         if (data.comptiaQuestions.length === 0 && data.awsQuestions.length === 0) {
             _logger.warn("No questions found in either table");
@@ -141,6 +133,7 @@ app.get('/getExamQuestions', async (req, res) => {
         return res.status(200).json({
             ok: true,
             seed: randomSeed, // Include seed in response for reference
+            answers_included: includeAnswers,
             ...data
         });
     } catch (error) {
@@ -0,0 +1,280 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'batch-generation-test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const db = require('../../documentdb/client');
+const worker = require('../worker');
+const { setLlmProvider } = require('../../llm');
+const { createMockProvider, MOCK_MODEL } = require('../../llm/mockProvider');
+
+/**
+ * In-memory stand-in for the tables the generation routes and batch jobs touch
+ */
+const database = {
+  batchJobs: [],
+  batchItems: [],
+  usage: [],
+  drafts: [],
+  async query(sql, params = []) {
+    const text = sql.replace(/\s+/g, ' ').trim();
+
+    if (text === 'SELECT 1' || text.startsWith('SELECT user_id, monthly_limit_usd')) {
+      return { rows: [] };
+    }
+    if (text.startsWith('SELECT COALESCE(SUM(cost_usd), 0)::float AS global') || text.includes('FROM prepper.batch_jobs b LEFT JOIN LATERAL')) {
+      return { rows: [{ global: 0, user: 0 }] };
+    }
+    if (text.startsWith('SELECT id, question_text, options, domain FROM')) {
+      return { rows: [] };
+    }
+    if (text.startsWith('INSERT INTO prepper.ai_usage')) {
+      const [userId, username, source, batchId, customId, certificationType, model, inputTokens, outputTokens, cost] = params;
+      this.usage.push({ user_id: userId, username, source, batch_id: batchId, custom_id: customId, certification_type: certificationType, model, input_tokens: inputTokens, output_tokens: outputTokens, cost_usd: cost });
+      return { rows: [], rowCount: 1 };
+    }
+    if (text.startsWith('INSERT INTO prepper.batch_jobs')) {
+      const row = {
+        batch_id: params[0],
+        anthropic_batch_id: params[1],
+        status: params[2],
+        user_id: params[3],
+        username: params[4],
+        certification_type: params[5],
+        count: params[9],
+        request_params: JSON.parse(params[11]),
+        parent_batch_id: params[12],
+        created_at: new Date(),
+      };
+      this.batchJobs.push(row);
+      return { rows: [row], rowCount: 1 };
+    }
+    if (text.startsWith('SELECT * FROM prepper.batch_jobs WHERE batch_id = $1')) {
+      return { rows: this.batchJobs.filter((row) => row.batch_id === params[0]) };
+    }
+    if (text.startsWith('SELECT * FROM prepper.batch_jobs WHERE status = ANY')) {
+      return { rows: this.batchJobs.filter((row) => params[0].includes(row.status)) };
+    }
+    if (text.startsWith('UPDATE prepper.batch_jobs SET')) {
+      const row = this.batchJobs.find((entry) => entry.batch_id === params[params.length - 1]);
+      if (!row) {
+        return { rows: [], rowCount: 0 };
+      }
+      for (const [, column, index] of text.matchAll(/(\w+) = \$(\d+)/g)) {
+        if (column !== 'batch_id') {
+          const value = params[index - 1];
+          row[column] = ['results', 'validation_errors'].includes(column) ? JSON.parse(value) : value;
+        }
+      }
+      return { rows: [row], rowCount: 1 };
+    }
+    if (text.startsWith('INSERT INTO prepper.batch_items')) {
+      this.batchItems.push({ batch_id: params[0], custom_id: params[1], item_index: params[2], prompt_params: JSON.parse(params[3]), status: 'pending', question_count: 0, errors: [] });
+      return { rows: [], rowCount: 1 };
+    }
+    if (text.startsWith('UPDATE prepper.batch_items SET status = $3')) {
+      const item = this.batchItems.find((entry) => entry.batch_id === params[0] && entry.custom_id === params[1]);
+      Object.assign(item, { status: params[2], question_count: params[3], errors: JSON.parse(params[4]) });
+      return { rows: [], rowCount: 1 };
+    }
+    if (text.startsWith('UPDATE prepper.batch_items SET status = $2')) {
+      const pending = this.batchItems.filter((entry) => entry.batch_id === params[0] && entry.status === 'pending');
+      pending.forEach((entry) => Object.assign(entry, { status: params[1], errors: JSON.parse(params[2]) }));
+      return { rows: [], rowCount: pending.length };
+    }
+    if (text.startsWith('SELECT custom_id, item_index, status, prompt_params, question_count, errors, retried_in_batch_id')) {
+      return { rows: this.batchItems.filter((entry) => entry.batch_id === params[0]) };
+    }
+    if (text.startsWith('UPDATE prepper.batch_items SET retried_in_batch_id = $2')) {
+      const claimed = this.batchItems.filter((entry) => entry.batch_id === params[0] && params[2].includes(entry.status) && !entry.retried_in_batch_id);
+      claimed.forEach((entry) => Object.assign(entry, { retried_in_batch_id: params[1] }));
+      return { rows: claimed, rowCount: claimed.length };
+    }
+    if (text.startsWith('INSERT INTO prepper.question_drafts')) {
+      this.drafts.push({ batch_id: params[0], item_index: params[1], certification_type: params[2], question: JSON.parse(params[3]) });
+      return { rows: [], rowCount: 1 };
+    }
+    throw new Error(`Unexpected query: ${text.slice(0, 80)}`);
+  },
+};
+
+db.connectLocalPostgres = async () => database;
+
+// Jobs are collected instead of leased from prepper.jobs, and run by the tests one at a time
+const handlers = new Map();
+const queued = [];
+worker.registerJobHandler = (type, handler) => handlers.set(type, handler);
+worker.enqueue = async (type, payload) => {
+  queued.push({ type, payload });
+  return { id: queued.length, type, payload };
+};
+
+const MOCK_BATCH_DELAY_MS = 50;
+setLlmProvider(createMockProvider({ batchDelayMs: MOCK_BATCH_DELAY_MS }));
+
+const questionsRoutes = require('../../routes/questions');
+
+questionsRoutes.registerBatchJobs();
+
+const app = express();
+app.use(express.json());
+app.use('/questions', questionsRoutes);
+
+const token = jwt.sign({ id: 7, username: 'learner', role: 'user' }, process.env.JWT_SECRET);
+const job = { id: 1, attempts: 1, max_attempts: 3 };
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/questions`;
+});
+
+test.after(() => new Promise((resolve) => server.close(resolve)));
+
+function post(path, body) {
+  return fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body),
+  });
+}
+
+const runJob = (type, payload) => handlers.get(type)(payload, { job });
+const takeQueued = (type) => {
+  const index = queued.findIndex((entry) => entry.type === type);
+  return index >= 0 ? queued.splice(index, 1)[0] : null;
+};
+
+test('/generateQuestion returns schema-valid questions from the mock provider and records their usage', async () => {
+  const response = await post('/generateQuestion', {
+    certification_type: 'CV0-004',
+    domain_name: 'Cloud Architecture and Design',
+    count: 3,
+    model: MOCK_MODEL,
+  });
+  const body = await response.json();
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(body.count, 3);
+  assert.deepStrictEqual(body.validation_errors, []);
+  body.questions.forEach((question) => {
+    assert.strictEqual(question.domain, 'Cloud Architecture and Design');
+    assert.strictEqual(question.options.length, 4);
+    assert.strictEqual(question.options.filter((option) => option.isCorrect).length, 1);
+    assert.ok(question.options.some((option) => option.text === question.correct_answer));
+  });
+
+  assert.strictEqual(database.usage.length, 1);
+  assert.strictEqual(database.usage[0].source, 'generate');
+  assert.strictEqual(database.usage[0].model, MOCK_MODEL);
+  assert.strictEqual(database.usage[0].user_id, 7);
+  assert.strictEqual(body.usage.input_tokens, database.usage[0].input_tokens);
+});
+
+test('a /generateBatch batch goes from submitted to in_progress to completed with its questions stored', async () => {
+  const response = await post('/generateBatch', {
+    certification_type: 'CV0-004',
+    domain_name: 'Cloud Security',
+    count: 2,
+    skill_level: ['Beginner', 'Expert'],
+  });
+  const body = await response.json();
+
+  assert.strictEqual(response.status, 200);
+  const batch = database.batchJobs.find((row) => row.batch_id === body.batch_id);
+  assert.ok(batch.anthropic_batch_id.startsWith('mock_batch_'));
+  assert.deepStrictEqual(
+    database.batchItems.filter((item) => item.batch_id === batch.batch_id).map((item) => [item.status, item.prompt_params.skill_level]),
+    [['pending', 'Beginner'], ['pending', 'Expert']]
+  );
+
+  // The recurring poll queues one status check per active batch
+  queued.length = 0;
+  assert.deepStrictEqual(await runJob('batches.poll', {}), { pending: 1, queued: 1 });
+  const check = takeQueued('batch.check');
+  assert.deepStrictEqual(check.payload, { batch_id: batch.batch_id });
+
+  assert.strictEqual((await runJob('batch.check', check.payload)).status, 'in_progress');
+  assert.strictEqual(batch.status, 'in_progress');
+  assert.strictEqual(takeQueued('batch.results'), null);
+
+  await new Promise((resolve) => setTimeout(resolve, MOCK_BATCH_DELAY_MS + 10));
+  assert.deepStrictEqual(await runJob('batch.check', check.payload), { status: 'completed', results_queued: true });
+  const collect = takeQueued('batch.results');
+  assert.ok(collect);
+
+  assert.deepStrictEqual(await runJob('batch.results', collect.payload), { question_count: 2, invalid_count: 0 });
+  assert.strictEqual(batch.status, 'completed');
+  assert.ok(batch.completed_at);
+  assert.strictEqual(batch.results.length, 2);
+  batch.results.forEach((question) => {
+    assert.strictEqual(question.domain, 'Cloud Security');
+    assert.match(question.question_text, /^\[Mock CV0-004\]/);
+  });
+  assert.deepStrictEqual(
+    database.batchItems.filter((item) => item.batch_id === batch.batch_id).map((item) => [item.status, item.question_count]),
+    [['succeeded', 1], ['succeeded', 1]]
+  );
+
+  const drafts = database.drafts.filter((draft) => draft.batch_id === batch.batch_id);
+  assert.deepStrictEqual(drafts.map((draft) => draft.question.question_text), batch.results.map((question) => question.question_text));
+  assert.strictEqual(database.usage.filter((entry) => entry.batch_id === batch.batch_id && entry.source === 'batch').length, 2);
+  assert.ok(takeQueued('batch.export'));
+
+  // A finished batch is no longer polled
+  assert.deepStrictEqual(await runJob('batches.poll', {}), { pending: 0, queued: 0 });
+  assert.deepStrictEqual(await runJob('batch.results', collect.payload), { skipped: true, status: 'completed' });
+});
+
+test('a batch cancelled before the provider ran it ends cancelled with its items closed', async () => {
+  const response = await post('/generateBatch', { certification_type: 'CV0-004', count: 2 });
+  const { batch_id: batchId } = await response.json();
+  const batch = database.batchJobs.find((row) => row.batch_id === batchId);
+
+  const cancel = await post(`/batch/${batchId}/cancel`, {});
+  assert.strictEqual(cancel.status, 200);
+  assert.strictEqual(batch.status, 'cancelling');
+
+  queued.length = 0;
+  assert.deepStrictEqual(await runJob('batch.check', { batch_id: batchId }), { status: 'cancelled', results_queued: true });
+  const collect = takeQueued('batch.results');
+
+  assert.deepStrictEqual(await runJob('batch.results', collect.payload), { question_count: 0, invalid_count: 2 });
+  assert.strictEqual(batch.status, 'cancelled');
+  assert.deepStrictEqual(batch.results, []);
+  assert.deepStrictEqual(
+    database.batchItems.filter((item) => item.batch_id === batchId).map((item) => item.status),
+    ['cancelled', 'cancelled']
+  );
+});
+
+test('retrying a cancelled batch resubmits its items as a child batch that completes', async () => {
+  const parent = database.batchJobs.find((row) => row.status === 'cancelled');
+
+  const response = await post(`/batch/${parent.batch_id}/retry`, {});
+  const body = await response.json();
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(body.parent_batch_id, parent.batch_id);
+  assert.deepStrictEqual(body.retried_items.map((item) => [item.item_index, item.status]), [[0, 'cancelled'], [1, 'cancelled']]);
+
+  const child = database.batchJobs.find((row) => row.batch_id === body.batch_id);
+  assert.strictEqual(child.parent_batch_id, parent.batch_id);
+  assert.deepStrictEqual(
+    database.batchItems.filter((item) => item.batch_id === parent.batch_id).map((item) => item.retried_in_batch_id),
+    [child.batch_id, child.batch_id]
+  );
+
+  const again = await post(`/batch/${parent.batch_id}/retry`, {});
+  assert.strictEqual(again.status, 400);
+  assert.strictEqual((await again.json()).items.retryable, 0);
+
+  queued.length = 0;
+  await new Promise((resolve) => setTimeout(resolve, MOCK_BATCH_DELAY_MS + 10));
+  assert.deepStrictEqual(await runJob('batch.check', { batch_id: child.batch_id }), { status: 'completed', results_queued: true });
+  assert.deepStrictEqual(await runJob('batch.results', takeQueued('batch.results').payload), { question_count: 2, invalid_count: 0 });
+  assert.strictEqual(child.status, 'completed');
+});
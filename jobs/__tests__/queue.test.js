@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { backoffDelay, failJob } = require('../queue');
+
+/**
+ * Client that answers each UPDATE with the next rowCount and records the queries it ran
+ */
+function fakeClient(rowCounts) {
+  const queries = [];
+  return {
+    queries,
+    async query(sql, params) {
+      queries.push({ sql, params });
+      return { rows: [], rowCount: rowCounts.shift() ?? 0 };
+    },
+  };
+}
+
+test('backoffDelay doubles from the base delay and is capped at 1 hour', () => {
+  assert.strictEqual(backoffDelay(0), 30000);
+  assert.strictEqual(backoffDelay(1), 30000);
+  assert.strictEqual(backoffDelay(3), 120000);
+  assert.strictEqual(backoffDelay(20), 60 * 60 * 1000);
+});
+
+test('failJob requeues a job with attempts left after the backoff delay', async () => {
+  const client = fakeClient([1]);
+  const status = await failJob(client, { id: 4, attempts: 2, max_attempts: 5 }, 'worker-1', new Error('timeout'));
+  assert.strictEqual(status, 'queued');
+  assert.strictEqual(client.queries.length, 1);
+  assert.deepStrictEqual(client.queries[0].params, [4, 'worker-1', 60, 'timeout']);
+});
+
+test('failJob marks a job failed once max_attempts is reached', async () => {
+  const client = fakeClient([1]);
+  const status = await failJob(client, { id: 4, attempts: 5, max_attempts: 5 }, 'worker-1', 'gave up');
+  assert.strictEqual(status, 'failed');
+  assert.strictEqual(client.queries.length, 1);
+  assert.match(client.queries[0].sql, /status = 'failed'/);
+});
+
+test('failJob marks a job failed when a queued copy with its unique key exists', async () => {
+  const client = fakeClient([0, 1]);
+  const status = await failJob(client, { id: 4, attempts: 1, max_attempts: 5 }, 'worker-1', new Error('timeout'));
+  assert.strictEqual(status, 'failed');
+  assert.strictEqual(client.queries.length, 2);
+});
+
+test('failJob changes nothing when the lease was lost to another worker', async () => {
+  const client = fakeClient([0, 0]);
+  assert.strictEqual(await failJob(client, { id: 4, attempts: 1, max_attempts: 5 }, 'worker-1', 'late'), null);
+});
+
+test('failJob keeps at most 2000 characters of the error', async () => {
+  const client = fakeClient([1]);
+  await failJob(client, { id: 4, attempts: 1, max_attempts: 5 }, 'worker-1', new Error('x'.repeat(5000)));
+  assert.strictEqual(client.queries[0].params[3].length, 2000);
+});
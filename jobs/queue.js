@@ -0,0 +1,228 @@
+// Queries on prepper.jobs. Every function takes the pg client so callers can use their own connection.
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+
+// Wait before the second attempt of a failed job; doubles per attempt up to BACKOFF_MAX_MS
+const BACKOFF_BASE_MS = parseInt(process.env.JOB_BACKOFF_BASE_MS, 10) || 30000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+/**
+ * Wait before attempt number `attempts + 1`
+ */
+function backoffDelay(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_MS);
+}
+
+/**
+ * Add a job. With uniqueKey, nothing is added while a queued job with the same key exists.
+ * @param {import('pg').Client} client
+ * @param {string} type - Registered handler name
+ * @param {object} [payload]
+ * @param {{delayMs?: number, maxAttempts?: number, uniqueKey?: string}} [options]
+ * @returns {Promise<object|null>} The job, or null when a queued copy already exists
+ */
+async function enqueueJob(client, type, payload = {}, { delayMs = 0, maxAttempts = 5, uniqueKey = null } = {}) {
+  const result = await client.query(
+    `INSERT INTO prepper.jobs (type, payload, unique_key, max_attempts, run_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(secs => $5))
+     ON CONFLICT (unique_key) WHERE status = 'queued' DO NOTHING
+     RETURNING *`,
+    [type, JSON.stringify(payload), uniqueKey, maxAttempts, delayMs / 1000]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Lease due jobs of the given types. Running jobs whose lease expired are leased again.
+ * @param {import('pg').Client} client
+ * @param {string} workerId
+ * @param {{types: string[], limit?: number, visibilityMs: number}} options
+ * @returns {Promise<object[]>} Leased jobs, attempts already counted
+ */
+async function claimJobs(client, workerId, { types, limit = 5, visibilityMs }) {
+  const result = await client.query(
+    `UPDATE prepper.jobs
+     SET status = 'running', locked_by = $1, locked_until = NOW() + make_interval(secs => $2),
+         attempts = attempts + 1, updated_at = NOW()
+     WHERE id IN (
+       SELECT id FROM prepper.jobs
+       WHERE type = ANY($3::text[])
+         AND ((status = 'queued' AND run_at <= NOW()) OR (status = 'running' AND locked_until < NOW()))
+       ORDER BY run_at
+       LIMIT $4
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [workerId, visibilityMs / 1000, types, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Push out the lease of a running job so no other worker takes it over while its handler is still busy
+ * @returns {Promise<boolean>} False if the lease was lost to another worker
+ */
+async function extendJobLease(client, job, workerId, visibilityMs) {
+  const updated = await client.query(
+    `UPDATE prepper.jobs
+     SET locked_until = NOW() + make_interval(secs => $3), updated_at = NOW()
+     WHERE id = $1 AND locked_by = $2 AND status = 'running'`,
+    [job.id, workerId, visibilityMs / 1000]
+  );
+  return updated.rowCount > 0;
+}
+
+/**
+ * Mark a leased job done. Does nothing if the lease was lost to another worker.
+ * @returns {Promise<boolean>}
+ */
+async function completeJob(client, job, workerId, result) {
+  const updated = await client.query(
+    `UPDATE prepper.jobs
+     SET status = 'succeeded', result = $3, locked_by = NULL, locked_until = NULL, last_error = NULL,
+         finished_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND locked_by = $2 AND status = 'running'`,
+    [job.id, workerId, result === undefined ? null : JSON.stringify(result)]
+  );
+  return updated.rowCount > 0;
+}
+
+/**
+ * Record a failed attempt: requeue with backoff, or mark failed once max_attempts is reached.
+ * A job whose unique_key already has a newer queued copy is marked failed instead of requeued.
+ * @returns {Promise<'queued'|'failed'|null>} New status, or null if the lease was lost
+ */
+async function failJob(client, job, workerId, error) {
+  const message = String(error?.message || error).slice(0, 2000);
+
+  if (job.attempts < job.max_attempts) {
+    const requeued = await client.query(
+      `UPDATE prepper.jobs j
+       SET status = 'queued', run_at = NOW() + make_interval(secs => $3), last_error = $4,
+           locked_by = NULL, locked_until = NULL, updated_at = NOW()
+       WHERE j.id = $1 AND j.locked_by = $2 AND j.status = 'running'
+         AND NOT EXISTS (
+           SELECT 1 FROM prepper.jobs q
+           WHERE q.unique_key = j.unique_key AND q.status = 'queued' AND q.id <> j.id
+         )`,
+      [job.id, workerId, backoffDelay(job.attempts) / 1000, message]
+    );
+    if (requeued.rowCount > 0) {
+      return 'queued';
+    }
+  }
+
+  const failed = await client.query(
+    `UPDATE prepper.jobs
+     SET status = 'failed', last_error = $3, locked_by = NULL, locked_until = NULL,
+         finished_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND locked_by = $2 AND status = 'running'`,
+    [job.id, workerId, message]
+  );
+  return failed.rowCount > 0 ? 'failed' : null;
+}
+
+/**
+ * Jobs matching the filters, newest first
+ * @param {{type?: string, status?: string, limit: number, offset: number}} filters
+ * @returns {Promise<{total: number, jobs: object[]}>}
+ */
+async function listJobs(client, { type, status, limit, offset }) {
+  const conditions = [];
+  const params = [];
+  if (type) {
+    params.push(type);
+    conditions.push(`type = $${params.length}`);
+  }
+  if (status) {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const total = await client.query(`SELECT COUNT(*)::int AS total FROM prepper.jobs ${where}`, params);
+  const jobs = await client.query(
+    `SELECT * FROM prepper.jobs ${where}
+     ORDER BY created_at DESC, id DESC
+     LIMIT ${limit} OFFSET ${offset}`,
+    params
+  );
+  return { total: total.rows[0].total, jobs: jobs.rows };
+}
+
+/**
+ * Job counts per type and status, with the oldest due job of each type
+ */
+async function summarizeJobs(client) {
+  const result = await client.query(
+    `SELECT type,
+            COUNT(*) FILTER (WHERE status = 'queued')::int AS queued,
+            COUNT(*) FILTER (WHERE status = 'running')::int AS running,
+            COUNT(*) FILTER (WHERE status = 'succeeded')::int AS succeeded,
+            COUNT(*) FILTER (WHERE status = 'failed')::int AS failed,
+            MIN(run_at) FILTER (WHERE status = 'queued') AS next_run_at
+     FROM prepper.jobs
+     GROUP BY type
+     ORDER BY type`
+  );
+  return result.rows;
+}
+
+async function getJob(client, jobId) {
+  const result = await client.query('SELECT * FROM prepper.jobs WHERE id = $1', [jobId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Queue a failed job again now, with a fresh set of attempts
+ * @returns {Promise<object|null>} The job, or null when it is not failed or a queued copy exists
+ */
+async function retryJob(client, jobId) {
+  const result = await client.query(
+    `UPDATE prepper.jobs j
+     SET status = 'queued', attempts = 0, run_at = NOW(), finished_at = NULL, updated_at = NOW()
+     WHERE j.id = $1 AND j.status = 'failed'
+       AND NOT EXISTS (
+         SELECT 1 FROM prepper.jobs q
+         WHERE q.unique_key = j.unique_key AND q.status = 'queued'
+       )
+     RETURNING *`,
+    [jobId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Delete finished jobs older than the given age
+ * @param {{statuses: string[], olderThanDays: number, type?: string}} options
+ * @returns {Promise<number>} Jobs deleted
+ */
+async function purgeJobs(client, { statuses, olderThanDays, type }) {
+  const params = [statuses, olderThanDays];
+  let filter = '';
+  if (type) {
+    params.push(type);
+    filter = `AND type = $${params.length}`;
+  }
+  const result = await client.query(
+    `DELETE FROM prepper.jobs
+     WHERE status = ANY($1::text[]) AND COALESCE(finished_at, updated_at) < NOW() - make_interval(days => $2) ${filter}`,
+    params
+  );
+  return result.rowCount || 0;
+}
+
+module.exports = {
+  JOB_STATUSES,
+  backoffDelay,
+  enqueueJob,
+  claimJobs,
+  extendJobLease,
+  completeJob,
+  failJob,
+  listJobs,
+  summarizeJobs,
+  getJob,
+  retryJob,
+  purgeJobs
+};
@@ -0,0 +1,231 @@
+const os = require('os');
+const { connectLocalPostgres } = require('../documentdb/client');
+const logger = require('../logs/prepperLog');
+const { enqueueJob, claimJobs, extendJobLease, completeJob, failJob } = require('./queue');
+
+const _logger = logger();
+
+const JOB_POLL_INTERVAL = parseInt(process.env.JOB_POLL_INTERVAL, 10) || 2000; // 2 seconds (configurable)
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 5; // jobs leased per poll
+const DEFAULT_VISIBILITY_MS = 5 * 60 * 1000; // lease length before another worker may take the job over
+
+// Identifies this process in prepper.jobs.locked_by
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+/** @type {Map<string, {handler: Function, every: number|null, maxAttempts: number, visibilityMs: number}>} */
+const handlers = new Map();
+
+// Recurring types whose next run could not be queued; tick() tries again
+const unscheduled = new Set();
+
+let dbClient = null;
+let timer = null;
+let ticking = false;
+
+async function getDbClient() {
+  if (!dbClient || dbClient._ending) {
+    dbClient = await connectLocalPostgres();
+    return dbClient;
+  }
+
+  try {
+    await dbClient.query('SELECT 1');
+  } catch (error) {
+    _logger.warn('Database connection test failed, reconnecting', {
+      error: error.message,
+    });
+    dbClient = null;
+    dbClient = await connectLocalPostgres();
+  }
+
+  return dbClient;
+}
+
+/**
+ * Register the function that runs jobs of a type. With `every`, the job is recurring: one copy is kept queued
+ * across all instances and each run schedules the next; a failed run is not retried, the next run replaces it.
+ * @param {string} type
+ * @param {function(object, {job: object}): Promise<any>} handler - Receives the payload; the resolved value is
+ *   stored as the job result, a rejection counts as a failed attempt
+ * @param {{every?: number, maxAttempts?: number, visibilityMs?: number}} [options]
+ */
+function registerJobHandler(type, handler, { every = null, maxAttempts, visibilityMs = DEFAULT_VISIBILITY_MS } = {}) {
+  handlers.set(type, {
+    handler,
+    every,
+    maxAttempts: maxAttempts || (every ? 1 : 5),
+    visibilityMs,
+  });
+}
+
+/**
+ * @param {string} type - A registered type
+ * @param {object} [payload]
+ * @param {{delayMs?: number, uniqueKey?: string}} [options]
+ * @returns {Promise<object|null>} The job, or null when a queued copy with the same uniqueKey exists
+ */
+async function enqueue(type, payload = {}, options = {}) {
+  const registration = handlers.get(type);
+  return enqueueJob(await getDbClient(), type, payload, {
+    maxAttempts: registration?.maxAttempts,
+    ...options,
+  });
+}
+
+/**
+ * Run one leased job. The lease is renewed while the handler runs, so a slow handler is not taken over by
+ * another worker once visibilityMs has passed.
+ */
+async function runJob(client, job) {
+  const registration = handlers.get(job.type);
+  const startTime = Date.now();
+
+  // Jobs are leased several at a time; one that waited behind slow ones may have been taken over meanwhile
+  if (!(await extendJobLease(client, job, WORKER_ID, registration.visibilityMs))) {
+    _logger.warn('[JOB] Lease lost before the job started, skipping', {
+      job_id: job.id,
+      type: job.type,
+    });
+    return;
+  }
+
+  const renewal = setInterval(() => {
+    extendJobLease(client, job, WORKER_ID, registration.visibilityMs).catch((error) => {
+      _logger.error('[JOB] Failed to renew job lease', {
+        job_id: job.id,
+        type: job.type,
+        error: error.message,
+      });
+    });
+  }, registration.visibilityMs / 3);
+
+  try {
+    const result = await registration.handler(job.payload || {}, { job });
+    await completeJob(client, job, WORKER_ID, result);
+    _logger.info('[JOB] Job succeeded', {
+      job_id: job.id,
+      type: job.type,
+      attempt: job.attempts,
+      elapsed_ms: Date.now() - startTime,
+    });
+  } catch (error) {
+    const status = await failJob(client, job, WORKER_ID, error);
+    _logger.error('[JOB] Job attempt failed', {
+      job_id: job.id,
+      type: job.type,
+      attempt: job.attempts,
+      max_attempts: job.max_attempts,
+      status,
+      error: error.message,
+      elapsed_ms: Date.now() - startTime,
+    });
+  } finally {
+    clearInterval(renewal);
+  }
+
+  if (registration.every) {
+    try {
+      await enqueueJob(client, job.type, {}, {
+        delayMs: registration.every,
+        maxAttempts: registration.maxAttempts,
+        uniqueKey: job.type,
+      });
+    } catch (error) {
+      unscheduled.add(job.type);
+      _logger.error('[JOB] Failed to schedule the next run of a recurring job', {
+        job_id: job.id,
+        type: job.type,
+        error: error.message,
+      });
+    }
+  }
+}
+
+/**
+ * Lease and run due jobs until none are left
+ */
+async function tick() {
+  if (ticking) {
+    return;
+  }
+  ticking = true;
+  try {
+    const client = await getDbClient();
+    for (const type of unscheduled) {
+      await enqueueJob(client, type, {}, { maxAttempts: handlers.get(type).maxAttempts, uniqueKey: type });
+      unscheduled.delete(type);
+    }
+
+    for (const [type, registration] of handlers) {
+      let jobs;
+      do {
+        jobs = await claimJobs(client, WORKER_ID, {
+          types: [type],
+          limit: JOB_CONCURRENCY,
+          visibilityMs: registration.visibilityMs,
+        });
+        for (const job of jobs) {
+          await runJob(client, job);
+        }
+      } while (jobs.length === JOB_CONCURRENCY);
+    }
+  } catch (error) {
+    _logger.error('[JOB] Job worker poll failed', {
+      worker_id: WORKER_ID,
+      error: error.message,
+      stack: error.stack,
+    });
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Queue the recurring jobs (if no instance has yet) and start leasing jobs
+ */
+async function startJobWorker() {
+  if (timer) {
+    return;
+  }
+
+  _logger.info('[JOB] Starting job worker', {
+    worker_id: WORKER_ID,
+    poll_interval_ms: JOB_POLL_INTERVAL,
+    types: [...handlers.keys()],
+  });
+
+  try {
+    const client = await getDbClient();
+    for (const [type, registration] of handlers) {
+      if (registration.every) {
+        await enqueueJob(client, type, {}, { maxAttempts: registration.maxAttempts, uniqueKey: type });
+      }
+    }
+  } catch (error) {
+    _logger.error('[JOB] Failed to queue recurring jobs', {
+      error: error.message,
+    });
+  }
+
+  const loop = async () => {
+    await tick();
+    if (timer) {
+      timer = setTimeout(loop, JOB_POLL_INTERVAL);
+    }
+  };
+  timer = setTimeout(loop, 0);
+}
+
+function stopJobWorker() {
+  clearTimeout(timer);
+  timer = null;
+}
+
+module.exports = {
+  WORKER_ID,
+  registerJobHandler,
+  enqueue,
+  tick,
+  startJobWorker,
+  stopJobWorker
+};
@@ -0,0 +1,167 @@
+const Anthropic = require('@anthropic-ai/sdk');
+const axios = require('axios');
+const logger = require('../logs/prepperLog');
+
+const _logger = logger();
+
+/**
+ * Map a Message Batches processing_status onto batch_jobs.status.
+ * The API uses 'ended' for finished batches; unknown values are passed through.
+ */
+function toBatchStatus(processingStatus) {
+  if (processingStatus === 'ended') {
+    return 'completed';
+  }
+  if (['in_progress', 'validating', 'pending', 'expired', 'cancelled'].includes(processingStatus)) {
+    return processingStatus;
+  }
+  if (processingStatus === 'canceled') {
+    return 'cancelled';
+  }
+  if (processingStatus === 'canceling') {
+    // Cancellation requested; the batch ends once in-flight requests finish
+    return 'in_progress';
+  }
+
+  _logger.warn('[TRACE-POLL-WARN] Unexpected processing_status value from API', {
+    received_status: processingStatus,
+  });
+  return processingStatus || 'pending';
+}
+
+/**
+ * Batch results are NDJSON: one {custom_id, result: {type, message}} object per line
+ */
+function parseNdjson(data, batchId) {
+  if (typeof data !== 'string') {
+    // Fallback: if axios parsed it somehow, use it directly
+    _logger.warn('Response data is not a string, unexpected format', {
+      anthropic_batch_id: batchId,
+      data_type: typeof data,
+      is_array: Array.isArray(data),
+    });
+    return Array.isArray(data) ? data : [data];
+  }
+
+  const lines = data.trim().split('\n').filter((line) => line.trim());
+  _logger.info('Parsing NDJSON response', {
+    anthropic_batch_id: batchId,
+    total_lines: lines.length,
+    first_line_preview: lines[0]?.substring(0, 100),
+  });
+
+  return lines.map((line, index) => {
+    try {
+      return JSON.parse(line);
+    } catch (parseError) {
+      _logger.error('Failed to parse NDJSON line', {
+        anthropic_batch_id: batchId,
+        line_index: index,
+        error: parseError.message,
+        line_preview: line.substring(0, 100),
+      });
+      return null;
+    }
+  }).filter((item) => item !== null);
+}
+
+/**
+ * Provider backed by the Anthropic Messages and Message Batches APIs
+ * @param {{apiKey: string, baseUrl?: string, batchesPath?: string}} options - baseUrl + batchesPath locate the batch results endpoint
+ * @returns {import('./index').LlmProvider}
+ */
+function createAnthropicProvider({ apiKey, baseUrl, batchesPath }) {
+  const anthropic = new Anthropic({ apiKey });
+  const batchUrl = baseUrl && batchesPath ? `${baseUrl}${batchesPath}` : null;
+
+  return {
+    name: 'anthropic',
+    supportsBatches: !!batchUrl,
+
+    async generate({ model, prompt, maxTokens = 8000, temperature = 1 }) {
+      const message = await anthropic.messages.create({
+        model,
+        max_tokens: maxTokens,
+        temperature,
+        messages: [
+          {
+            role: 'user',
+            content: prompt,
+          },
+        ],
+      });
+
+      return {
+        text: message.content[0].text,
+        model: message.model,
+        usage: message.usage || null,
+      };
+    },
+
+    async submitBatch(requests) {
+      const batch = await anthropic.messages.batches.create({
+        requests: requests.map((request) => ({
+          custom_id: request.custom_id,
+          params: {
+            model: request.model,
+            max_tokens: request.maxTokens || 8000,
+            temperature: request.temperature ?? 1,
+            messages: [
+              {
+                role: 'user',
+                content: request.prompt,
+              },
+            ],
+          },
+        })),
+      });
+
+      if (!batch || !batch.id) {
+        throw new Error('Invalid batch response: missing batch ID');
+      }
+
+      return { id: batch.id, status: toBatchStatus(batch.processing_status) };
+    },
+
+    async getBatchStatus(batchId) {
+      const messageBatch = await anthropic.messages.batches.retrieve(batchId);
+      return {
+        id: messageBatch.id,
+        status: toBatchStatus(messageBatch.processing_status),
+        provider_status: messageBatch.processing_status,
+        request_counts: messageBatch.request_counts,
+      };
+    },
+
+    async cancelBatch(batchId) {
+      const messageBatch = await anthropic.messages.batches.cancel(batchId);
+      return { id: messageBatch.id, status: toBatchStatus(messageBatch.processing_status) };
+    },
+
+    async getBatchResults(batchId) {
+      const response = await axios.get(`${batchUrl}/${batchId}/results`, {
+        headers: {
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01',
+        },
+        responseType: 'text', // Force text response to prevent auto-parsing - Anthropic returns NDJSON
+      });
+
+      return parseNdjson(response.data, batchId).map((line) => {
+        const message = line.result?.message || line.response || null;
+        return {
+          custom_id: line.custom_id,
+          type: line.error ? 'errored' : (line.result?.type || 'succeeded'),
+          text: message?.content?.[0]?.text || null,
+          model: message?.model || null,
+          usage: message?.usage || null,
+          error: line.error || line.result?.error || null,
+        };
+      });
+    },
+  };
+}
+
+module.exports = {
+  createAnthropicProvider
+};
@@ -0,0 +1,90 @@
+require('dotenv').config();
+const logger = require('../logs/prepperLog');
+const { createAnthropicProvider } = require('./anthropicProvider');
+const { createMockProvider } = require('./mockProvider');
+
+const _logger = logger();
+
+/**
+ * @typedef {object} LlmUsage
+ * @property {number} input_tokens
+ * @property {number} output_tokens
+ */
+
+/**
+ * A request for one completion. metadata carries the generation parameters the prompt was built from
+ * ({certification_type, domain_name, cognitive_level, skill_level, count, multiple_answers}); real providers ignore it.
+ * @typedef {object} LlmRequest
+ * @property {string} prompt
+ * @property {string} [model]
+ * @property {number} [maxTokens]
+ * @property {number} [temperature]
+ * @property {object} [metadata]
+ */
+
+/**
+ * @typedef {object} LlmProvider
+ * @property {string} name
+ * @property {boolean} supportsBatches
+ * @property {function(LlmRequest): Promise<{text: string, model: string, usage: LlmUsage|null}>} generate
+ * @property {function((LlmRequest & {custom_id: string})[]): Promise<{id: string, status: string}>} submitBatch
+ * @property {function(string): Promise<{id: string, status: string, provider_status: string, request_counts: object|null}>} getBatchStatus
+ *   status uses the batch_jobs values: pending | validating | in_progress | completed | expired | cancelled
+ * @property {function(string): Promise<{custom_id: string, type: string, text: string|null, model: string|null, usage: LlmUsage|null, error: object|null}[]>} getBatchResults
+ * @property {function(string): Promise<{id: string, status: string}>} cancelBatch
+ *   Requests already finished keep their results; the rest are cancelled
+ */
+
+const PROVIDERS = {
+  anthropic: () => createAnthropicProvider({
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    baseUrl: process.env.ANTHROPIC_BASE_URL,
+    batchesPath: process.env.ANTHROPIC_BATCHES_REL,
+  }),
+  mock: () => createMockProvider({
+    fixturePath: process.env.LLM_MOCK_FIXTURES,
+    batchDelayMs: parseInt(process.env.LLM_MOCK_BATCH_DELAY_MS, 10) || 0,
+  }),
+};
+
+let provider = null;
+
+/**
+ * Build a provider by name
+ * @param {string} name - Key of PROVIDERS
+ * @returns {LlmProvider}
+ */
+function createLlmProvider(name) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Must be one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return factory();
+}
+
+/**
+ * The provider selected by LLM_PROVIDER (default anthropic), created on first use
+ * @returns {LlmProvider}
+ */
+function getLlmProvider() {
+  if (!provider) {
+    provider = createLlmProvider(process.env.LLM_PROVIDER || 'anthropic');
+    _logger.info('LLM provider initialized', { provider: provider.name });
+  }
+  return provider;
+}
+
+/**
+ * Replace the active provider (tests and local tooling)
+ * @param {LlmProvider} replacement
+ */
+function setLlmProvider(replacement) {
+  provider = replacement;
+}
+
+module.exports = {
+  PROVIDERS,
+  createLlmProvider,
+  getLlmProvider,
+  setLlmProvider
+};
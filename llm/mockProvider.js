@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { getCertification } = require('../utils/certifications');
+
+const MOCK_MODEL = 'mock-question-generator';
+
+function digest(text) {
+  return crypto.createHash('sha256').update(String(text)).digest('hex');
+}
+
+/**
+ * Rough token count (about four characters per token) so usage figures look plausible
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function loadFixtures(fixturePath) {
+  if (!fixturePath) {
+    return null;
+  }
+  const data = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  const questions = Array.isArray(data) ? data : data.questions;
+  if (!Array.isArray(questions) || questions.length === 0) {
+    throw new Error(`LLM mock fixture ${fixturePath} has no questions`);
+  }
+  return questions;
+}
+
+/**
+ * A question in the shape the generation prompt asks for, derived only from the request so the same
+ * prompt always produces the same question
+ */
+function templateQuestion(metadata, seed) {
+  const cert = getCertification(metadata.certification_type);
+  const domains = cert ? Object.keys(cert.domains) : [];
+  const pick = parseInt(seed.slice(0, 8), 16);
+  const domain = metadata.domain_name || domains[pick % Math.max(domains.length, 1)] || 'General';
+  const multiple = String(metadata.multiple_answers) === '1' || metadata.multiple_answers === true;
+  const tag = seed.slice(0, 8);
+
+  const options = [0, 1, 2, 3].map((index) => ({
+    text: `Mock option ${index + 1} (${tag})`,
+    isCorrect: multiple ? index === pick % 4 || index === (pick + 1) % 4 : index === pick % 4,
+  }));
+  const correct = options.filter((option) => option.isCorrect).map((option) => option.text);
+
+  return {
+    question_text: `[Mock ${metadata.certification_type || 'exam'}] In the ${domain} domain, which option applies to scenario ${tag}?`,
+    options,
+    ...(multiple ? { correct_answers: correct, multiple_answers: '1' } : { correct_answer: correct[0], multiple_answers: '0' }),
+    explanation: `Mock explanation for scenario ${tag}. ${correct.join(' and ')} ${correct.length > 1 ? 'are the expected answers' : 'is the expected answer'}.`,
+    explanation_details: {
+      summary: `Mock explanation for scenario ${tag}.`,
+      breakdown: correct.map((text) => `${text} is correct in this mock scenario.`),
+      otherOptions: 'The remaining options are mock distractors.',
+    },
+    domain,
+    subdomain: domain,
+    cognitive_level: metadata.cognitive_level || 'Application',
+    skill_level: metadata.skill_level || 'Intermediate',
+    references: [`Official ${metadata.certification_type || 'exam'} Exam Objectives`],
+  };
+}
+
+/**
+ * Deterministic offline provider for tests and local development: no network access, no API spend.
+ * Returns templated questions, or cycles through canned questions from a fixture file.
+ * Batches are kept in memory and complete after batchDelayMs.
+ * @param {{fixturePath?: string, batchDelayMs?: number}} [options]
+ * @returns {import('./index').LlmProvider}
+ */
+function createMockProvider({ fixturePath, batchDelayMs = 0 } = {}) {
+  const fixtures = loadFixtures(fixturePath);
+  const batches = new Map();
+  let batchCounter = 0;
+
+  const respond = ({ prompt, metadata = {} }) => {
+    const seed = digest(prompt);
+    const count = Math.max(parseInt(metadata.count, 10) || 1, 1);
+    const questions = Array.from({ length: count }, (value, index) => {
+      const questionSeed = digest(`${seed}:${index}`);
+      if (fixtures) {
+        const fixture = fixtures[parseInt(questionSeed.slice(0, 8), 16) % fixtures.length];
+        return { domain: metadata.domain_name, ...fixture };
+      }
+      return templateQuestion(metadata, questionSeed);
+    });
+
+    const text = JSON.stringify(questions, null, 2);
+    return {
+      text,
+      model: MOCK_MODEL,
+      usage: { input_tokens: estimateTokens(prompt), output_tokens: estimateTokens(text) },
+    };
+  };
+
+  return {
+    name: 'mock',
+    supportsBatches: true,
+
+    async generate(request) {
+      return respond(request);
+    },
+
+    async submitBatch(requests) {
+      batchCounter++;
+      const id = `mock_batch_${batchCounter}_${digest(requests.map((request) => request.custom_id).join('|')).slice(0, 12)}`;
+      batches.set(id, { submittedAt: Date.now(), requests });
+      return { id, status: batchDelayMs > 0 ? 'in_progress' : 'completed' };
+    },
+
+    async getBatchStatus(batchId) {
+      const batch = batches.get(batchId);
+      if (!batch) {
+        // Mock batches do not survive a restart
+        return { id: batchId, status: 'expired', provider_status: 'expired', request_counts: null };
+      }
+      if (batch.cancelledAt) {
+        const finished = batch.cancelledAt - batch.submittedAt >= batchDelayMs;
+        return {
+          id: batchId,
+          status: 'cancelled',
+          provider_status: 'canceled',
+          request_counts: {
+            processing: 0,
+            succeeded: finished ? batch.requests.length : 0,
+            errored: 0,
+            canceled: finished ? 0 : batch.requests.length,
+            expired: 0,
+          },
+        };
+      }
+      const done = Date.now() - batch.submittedAt >= batchDelayMs;
+      return {
+        id: batchId,
+        status: done ? 'completed' : 'in_progress',
+        provider_status: done ? 'ended' : 'in_progress',
+        request_counts: {
+          processing: done ? 0 : batch.requests.length,
+          succeeded: done ? batch.requests.length : 0,
+          errored: 0,
+          canceled: 0,
+          expired: 0,
+        },
+      };
+    },
+
+    async cancelBatch(batchId) {
+      const batch = batches.get(batchId);
+      if (!batch) {
+        throw new Error(`Unknown mock batch: ${batchId}`);
+      }
+      batch.cancelledAt = batch.cancelledAt || Date.now();
+      return { id: batchId, status: 'cancelled' };
+    },
+
+    async getBatchResults(batchId) {
+      const batch = batches.get(batchId);
+      if (!batch) {
+        throw new Error(`Unknown mock batch: ${batchId}`);
+      }
+      // Requests of a batch cancelled before its delay elapsed never ran
+      if (batch.cancelledAt && batch.cancelledAt - batch.submittedAt < batchDelayMs) {
+        return batch.requests.map((request) => ({ custom_id: request.custom_id, type: 'canceled', text: null, model: null, usage: null, error: null }));
+      }
+      return batch.requests.map((request) => {
+        const { text, model, usage } = respond(request);
+        return { custom_id: request.custom_id, type: 'succeeded', text, model, usage, error: null };
+      });
+    },
+  };
+}
+
+module.exports = {
+  MOCK_MODEL,
+  createMockProvider
+};
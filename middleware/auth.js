@@ -8,6 +8,8 @@ const _logger = logger();
 // JWT secret - Load from config (env.json)
 const JWT_SECRET = config.get('JWT_SECRET', process.env.JWT_SECRET || dotenv.parsed.JWT_SECRET);
 const JWT_EXPIRES_IN = '24h'; // Token expiration time
+const STREAM_TOKEN_PURPOSE = 'event-stream';
+const STREAM_TOKEN_EXPIRES_IN = '5m'; // Event streams close when their token expires; clients reconnect with a new one
 
 // Verify JWT_SECRET is configured
 if (!JWT_SECRET) {
@@ -33,8 +35,9 @@ const authenticateToken = (req, res, next) => {
 
         // Verify token
         jwt.verify(token, JWT_SECRET, (err, user) => {
-            if (err) {
-                _logger.warn('Invalid token attempt', { error: err.message });
+            // Single-purpose tokens (stream tokens) do not authenticate API calls
+            if (err || user.purpose) {
+                _logger.warn('Invalid token attempt', { error: err ? err.message : `${user.purpose} token used as an access token` });
                 return res.status(403).json({ 
                     success: false, 
                     message: 'Invalid or expired token' 
@@ -54,6 +57,52 @@ const authenticateToken = (req, res, next) => {
     }
 };
 
+/**
+ * Middleware that attaches req.user when a valid token is supplied but never rejects the request.
+ * Used by public routes that return extra data to authenticated callers.
+ */
+const optionalAuthenticateToken = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+        return next();
+    }
+
+    jwt.verify(token, JWT_SECRET, (err, user) => {
+        if (err || user.purpose) {
+            _logger.warn('Ignoring invalid token on public route', { error: err ? err.message : `${user.purpose} token used as an access token` });
+        } else {
+            req.user = user;
+        }
+        next();
+    });
+};
+
+/**
+ * authenticateToken for event streams. Browsers' EventSource cannot set headers, so a stream token from
+ * generateStreamToken is also accepted as the stream_token query parameter. Query strings end up in access
+ * and proxy logs, so the login JWT itself is never accepted there.
+ */
+const authenticateEventStream = (req, res, next) => {
+    if (req.headers['authorization'] || typeof req.query.stream_token !== 'string') {
+        return authenticateToken(req, res, next);
+    }
+
+    jwt.verify(req.query.stream_token, JWT_SECRET, (err, user) => {
+        if (err || user.purpose !== STREAM_TOKEN_PURPOSE) {
+            _logger.warn('Invalid stream token attempt', { error: err ? err.message : 'not a stream token' });
+            return res.status(403).json({
+                success: false,
+                message: 'Invalid or expired stream token'
+            });
+        }
+
+        req.user = user;
+        next();
+    });
+};
+
 /**
  * Middleware to check if user is admin
  */
@@ -93,10 +142,28 @@ const generateToken = (user) => {
     return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
 };
 
+/**
+ * Generate a short-lived token that only authenticates event streams (see authenticateEventStream)
+ */
+const generateStreamToken = (user) => {
+    const payload = {
+        id: user.id,
+        username: user.username,
+        role: user.role,
+        purpose: STREAM_TOKEN_PURPOSE
+    };
+
+    return jwt.sign(payload, JWT_SECRET, { expiresIn: STREAM_TOKEN_EXPIRES_IN });
+};
+
 module.exports = {
     authenticateToken,
+    optionalAuthenticateToken,
+    authenticateEventStream,
     requireAdmin,
     generateToken,
+    generateStreamToken,
     JWT_SECRET,
-    JWT_EXPIRES_IN
+    JWT_EXPIRES_IN,
+    STREAM_TOKEN_EXPIRES_IN
 };
@@ -0,0 +1,82 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'batch-events-test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const db = require('../../documentdb/client');
+
+db.connectLocalPostgres = async () => ({
+  async query() {
+    return { rows: [] };
+  },
+});
+
+const questionsRoutes = require('../questions');
+
+const app = express();
+app.use(express.json());
+app.use('/questions', questionsRoutes);
+
+const user = { id: 7, username: 'learner', role: 'user' };
+const loginToken = jwt.sign(user, process.env.JWT_SECRET, { expiresIn: '24h' });
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/questions`;
+});
+
+test.after(() => new Promise((resolve) => server.close(resolve)));
+
+async function issueStreamToken() {
+  const response = await fetch(`${baseUrl}/batches/events/token`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${loginToken}` },
+  });
+  assert.strictEqual(response.status, 200);
+  return response.json();
+}
+
+test('the stream token endpoint issues a short-lived event-stream token for the caller', async () => {
+  const body = await issueStreamToken();
+  const claims = jwt.verify(body.stream_token, process.env.JWT_SECRET);
+
+  assert.strictEqual(claims.id, user.id);
+  assert.strictEqual(claims.purpose, 'event-stream');
+  assert.ok(claims.exp - claims.iat <= 5 * 60);
+  assert.strictEqual(body.expires_at, new Date(claims.exp * 1000).toISOString());
+});
+
+test('the login JWT is not accepted in the query string', async () => {
+  const legacy = await fetch(`${baseUrl}/batches/events?access_token=${loginToken}`);
+  assert.strictEqual(legacy.status, 401);
+
+  const asStreamToken = await fetch(`${baseUrl}/batches/events?stream_token=${loginToken}`);
+  assert.strictEqual(asStreamToken.status, 403);
+});
+
+test('a stream token does not authenticate other API calls', async () => {
+  const { stream_token: streamToken } = await issueStreamToken();
+  const response = await fetch(`${baseUrl}/batches`, { headers: { Authorization: `Bearer ${streamToken}` } });
+  assert.strictEqual(response.status, 403);
+});
+
+test('the stream sends token_expired and closes when its token expires', async () => {
+  const streamToken = jwt.sign(
+    { ...user, purpose: 'event-stream', exp: Math.floor(Date.now() / 1000) + 1 },
+    process.env.JWT_SECRET
+  );
+  const response = await fetch(`${baseUrl}/batches/events?stream_token=${streamToken}`);
+  assert.strictEqual(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+  const events = (await response.text()).split('\n').filter((line) => line.startsWith('event: '));
+  assert.deepStrictEqual(events, ['event: token_expired']);
+
+  const reconnect = await fetch(`${baseUrl}/batches/events?stream_token=${streamToken}`);
+  assert.strictEqual(reconnect.status, 403);
+});
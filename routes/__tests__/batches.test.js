@@ -0,0 +1,228 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'batches-test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const db = require('../../documentdb/client');
+const worker = require('../../jobs/worker');
+const { setLlmProvider } = require('../../llm');
+
+/**
+ * prepper.batch_jobs double that records the queries the batch management routes run
+ */
+const database = {
+  batchJobs: [],
+  queries: [],
+  async query(sql, params = []) {
+    const text = sql.replace(/\s+/g, ' ').trim();
+    // Connection check getDbClient runs before reusing the client
+    if (text === 'SELECT 1') {
+      return { rows: [] };
+    }
+    this.queries.push({ text, params });
+
+    if (text.startsWith('SELECT COUNT(*)::int AS total FROM prepper.batch_jobs')) {
+      return { rows: [{ total: 0 }] };
+    }
+    if (text.startsWith('SELECT batch_id, anthropic_batch_id, status')) {
+      return { rows: [] };
+    }
+    if (text.startsWith('SELECT * FROM prepper.batch_jobs WHERE batch_id = $1')) {
+      return { rows: this.batchJobs.filter((row) => row.batch_id === params[0]) };
+    }
+    if (text.startsWith('SELECT batch_id, status, created_at FROM prepper.batch_jobs')) {
+      return { rows: this.batchJobs.filter((row) => params[0].includes(row.status) && (!text.includes('archived_at IS NULL') || !row.archived_at)) };
+    }
+    if (text.startsWith('UPDATE prepper.batch_jobs SET archived_at')) {
+      const row = this.batchJobs.find((entry) => entry.batch_id === params[0]);
+      Object.assign(row, { archived_at: row.archived_at || new Date(), archived_by: params[1] });
+      return { rows: [], rowCount: 1 };
+    }
+    if (text.startsWith('UPDATE prepper.batch_jobs SET')) {
+      const row = this.batchJobs.find((entry) => entry.batch_id === params[params.length - 1]);
+      row.status = params[0];
+      return { rows: [row], rowCount: 1 };
+    }
+    if (text.startsWith('DELETE FROM prepper.batch_items')) {
+      return { rows: [], rowCount: 2 };
+    }
+    if (text.startsWith('DELETE FROM prepper.batch_jobs')) {
+      this.batchJobs = this.batchJobs.filter((row) => row.batch_id !== params[0]);
+      return { rows: [], rowCount: 1 };
+    }
+    throw new Error(`Unexpected query: ${text.slice(0, 80)}`);
+  },
+};
+
+db.connectLocalPostgres = async () => database;
+
+const queued = [];
+worker.enqueue = async (type, payload) => {
+  queued.push({ type, payload });
+  return { id: queued.length, type, payload };
+};
+
+const cancelledBatches = [];
+setLlmProvider({
+  name: 'stub',
+  async cancelBatch(id) {
+    cancelledBatches.push(id);
+    return { id, status: 'canceling' };
+  },
+});
+
+const questionsRoutes = require('../questions');
+
+const app = express();
+app.use(express.json());
+app.use('/questions', questionsRoutes);
+
+const learnerToken = jwt.sign({ id: 7, username: 'learner', role: 'user' }, process.env.JWT_SECRET);
+const otherToken = jwt.sign({ id: 8, username: 'other', role: 'user' }, process.env.JWT_SECRET);
+const adminToken = jwt.sign({ id: 1, username: 'admin', role: 'admin' }, process.env.JWT_SECRET);
+
+const QUESTIONS_FOLDER = path.join(__dirname, '..', '..', 'questions');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/questions`;
+});
+
+test.after(() => new Promise((resolve) => server.close(resolve)));
+
+test.beforeEach(() => {
+  database.queries = [];
+  database.batchJobs = [
+    { batch_id: 'running', anthropic_batch_id: 'msgbatch_running', status: 'in_progress', user_id: 7 },
+    { batch_id: 'cancelling', anthropic_batch_id: 'msgbatch_cancelling', status: 'cancelling', user_id: 7 },
+    { batch_id: 'done', anthropic_batch_id: 'msgbatch_done', status: 'completed', user_id: 7, archived_at: null },
+    { batch_id: 'failed', anthropic_batch_id: 'msgbatch_failed', status: 'error', user_id: 8, archived_at: null },
+  ];
+  queued.length = 0;
+  cancelledBatches.length = 0;
+});
+
+function request(method, urlPath, token, body) {
+  return fetch(`${baseUrl}${urlPath}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+}
+
+test('GET /batches scopes users to their own batches and hides archived ones', async () => {
+  const response = await request('GET', '/batches?status=completed,error&limit=500&offset=20', learnerToken);
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(await response.json(), { success: true, total: 0, limit: 200, offset: 20, batches: [] });
+
+  const [count, list] = database.queries;
+  assert.match(count.text, /WHERE user_id = \$1 AND status = ANY\(\$2::text\[\]\) AND archived_at IS NULL$/);
+  assert.deepStrictEqual(count.params, [7, ['completed', 'error']]);
+  assert.deepStrictEqual(list.params, [7, ['completed', 'error'], 200, 20]);
+});
+
+test('GET /batches lets admins filter by user and include archived batches', async () => {
+  const response = await request('GET', '/batches?user=learner&include_archived=true&from=2026-01-01', adminToken);
+  assert.strictEqual(response.status, 200);
+
+  const [count] = database.queries;
+  assert.match(count.text, /WHERE \(username = \$1 OR user_id::text = \$1\) AND created_at >= \$2$/);
+  assert.deepStrictEqual(count.params, ['learner', new Date('2026-01-01')]);
+});
+
+test('GET /batches rejects unknown statuses and unreadable dates', async () => {
+  const badStatus = await request('GET', '/batches?status=completed,finished', learnerToken);
+  assert.strictEqual(badStatus.status, 400);
+  assert.match((await badStatus.json()).error, /^Invalid status/);
+
+  const badDate = await request('GET', '/batches?to=yesterday', learnerToken);
+  assert.strictEqual(badDate.status, 400);
+  assert.strictEqual((await badDate.json()).error, 'Invalid to date');
+  assert.strictEqual(database.queries.length, 0);
+});
+
+test('cancel asks the provider to cancel, marks the batch cancelling and keeps polling it', async () => {
+  const response = await request('POST', '/batch/running/cancel', learnerToken);
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual((await response.json()).status, 'cancelling');
+
+  assert.deepStrictEqual(cancelledBatches, ['msgbatch_running']);
+  assert.deepStrictEqual(queued, [{ type: 'batch.check', payload: { batch_id: 'running' } }]);
+  assert.strictEqual(database.batchJobs[0].status, 'cancelling');
+});
+
+test('cancel is limited to the owner or an admin, and to batches still running', async () => {
+  const outcomes = [];
+  for (const [batchId, token] of [['running', otherToken], ['cancelling', learnerToken], ['done', learnerToken], ['missing', adminToken]]) {
+    const response = await request('POST', `/batch/${batchId}/cancel`, token);
+    outcomes.push([response.status, (await response.json()).error]);
+  }
+
+  assert.deepStrictEqual(outcomes, [
+    [403, 'Only the batch owner or an admin can cancel this batch'],
+    [409, 'Batch is already being cancelled'],
+    [409, 'Batch has already finished (status: completed)'],
+    [404, 'Batch not found'],
+  ]);
+  assert.deepStrictEqual(cancelledBatches, []);
+  assert.deepStrictEqual(queued, []);
+});
+
+test('DELETE /batch archives by default and refuses batches still running', async () => {
+  assert.strictEqual((await request('DELETE', '/batch/done', learnerToken)).status, 403);
+  assert.strictEqual((await request('DELETE', '/batch/done?mode=purge', adminToken)).status, 400);
+  assert.strictEqual((await request('DELETE', '/batch/running', adminToken)).status, 409);
+
+  const response = await request('DELETE', '/batch/done', adminToken);
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(await response.json(), { success: true, batch_id: 'done', mode: 'archive', removed_files: [] });
+  assert.strictEqual(database.batchJobs.find((row) => row.batch_id === 'done').archived_by, 1);
+});
+
+test('DELETE /batch?mode=delete removes the row, its items and its SQL files', async () => {
+  const createdFolder = !fs.existsSync(QUESTIONS_FOLDER);
+  fs.mkdirSync(QUESTIONS_FOLDER, { recursive: true });
+  const fileName = 'failed_CV0-004_test.sql';
+  fs.writeFileSync(path.join(QUESTIONS_FOLDER, fileName), '-- generated');
+
+  try {
+    const response = await request('DELETE', '/batch/failed?mode=delete', adminToken);
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual((await response.json()).removed_files, [fileName]);
+    assert.ok(!fs.existsSync(path.join(QUESTIONS_FOLDER, fileName)));
+    assert.ok(database.queries.some((query) => query.text.startsWith('DELETE FROM prepper.batch_items')));
+    assert.deepStrictEqual(database.batchJobs.map((row) => row.batch_id), ['running', 'cancelling', 'done']);
+  } finally {
+    fs.rmSync(path.join(QUESTIONS_FOLDER, fileName), { force: true });
+    if (createdFolder) {
+      fs.rmSync(QUESTIONS_FOLDER, { recursive: true, force: true });
+    }
+  }
+});
+
+test('cleanup lists old finished batches on a dry run and archives them otherwise', async () => {
+  const invalid = await request('POST', '/batches/cleanup', adminToken, { older_than_days: 30, status: ['in_progress'] });
+  assert.strictEqual(invalid.status, 400);
+  assert.strictEqual((await request('POST', '/batches/cleanup', adminToken, { older_than_days: 0 })).status, 400);
+
+  const dryRun = await request('POST', '/batches/cleanup', adminToken, { older_than_days: 30, dry_run: true });
+  const planned = await dryRun.json();
+  assert.deepStrictEqual([planned.dry_run, planned.count], [true, 2]);
+  assert.ok(database.batchJobs.every((row) => !row.archived_at));
+
+  const cleanup = await request('POST', '/batches/cleanup', adminToken, { older_than_days: 30, status: ['error'] });
+  const body = await cleanup.json();
+  assert.deepStrictEqual(body.batches.map((batch) => [batch.batch_id, batch.mode]), [['failed', 'archive']]);
+  assert.ok(database.batchJobs.find((row) => row.batch_id === 'failed').archived_at);
+  assert.ok(!database.batchJobs.find((row) => row.batch_id === 'done').archived_at);
+
+  const cleanupParams = database.queries.find((query) => query.text.startsWith('SELECT batch_id, status, created_at')).params;
+  assert.deepStrictEqual(cleanupParams, [['completed', 'error', 'expired', 'cancelled'], 30]);
+});
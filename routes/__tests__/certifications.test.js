@@ -0,0 +1,169 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'certifications-test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const db = require('../../documentdb/client');
+
+const questionColumns = [
+  { column_name: 'id', data_type: 'integer' },
+  { column_name: 'question_text', data_type: 'text' },
+  { column_name: 'options', data_type: 'jsonb' },
+];
+
+/**
+ * Database double: `tables` maps prepper table names to their columns; `registered` holds prepper.certifications rows
+ */
+const database = {
+  tables: {},
+  registered: [],
+  statements: [],
+  transactions: 0,
+  async query(sql, params = []) {
+    this.statements.push(sql);
+    if (sql.includes('information_schema.columns')) {
+      return { rows: this.tables[params[0]] || [] };
+    }
+    if (sql.includes('WHERE code = $1 OR question_table = $2')) {
+      return { rows: this.registered.filter((row) => row.code === params[0] || row.question_table === params[1]) };
+    }
+    if (sql.startsWith('INSERT INTO prepper.certifications')) {
+      const [code, vendor, displayName, legacyAlias, questionTable] = params;
+      const row = {
+        code,
+        vendor,
+        display_name: displayName,
+        legacy_alias: legacyAlias,
+        question_table: questionTable,
+        question_count: params[6],
+        time_limit_minutes: params[7],
+        score_min: params[8],
+        score_max: params[9],
+        passing_score: params[10],
+        domains: params[11],
+        active: true,
+      };
+      this.registered.push(row);
+      return { rows: [row] };
+    }
+    if (sql.includes('FROM prepper.certifications ORDER BY code')) {
+      return { rows: this.registered };
+    }
+    return { rows: [] };
+  },
+};
+
+db.connectLocalPostgres = async () => database;
+db.withTransaction = async (callback) => {
+  database.transactions++;
+  return callback(database);
+};
+
+const certificationsRoutes = require('../certifications');
+
+const app = express();
+app.use(express.json());
+app.use('/certifications', certificationsRoutes);
+
+const adminToken = jwt.sign({ id: 1, username: 'admin', role: 'admin' }, process.env.JWT_SECRET);
+const userToken = jwt.sign({ id: 2, username: 'learner', role: 'user' }, process.env.JWT_SECRET);
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise((resolve) => server.close(resolve)));
+
+test.beforeEach(() => {
+  database.tables = { comptia_cloud_plus_questions: questionColumns };
+  database.registered = [];
+  database.statements = [];
+  database.transactions = 0;
+});
+
+function register(body, token = adminToken) {
+  return fetch(`${baseUrl}/certifications`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({
+      vendor: 'Microsoft',
+      display_name: 'Microsoft Azure Administrator',
+      question_count: 50,
+      time_limit_minutes: 100,
+      score_max: 1000,
+      passing_score: 700,
+      domains: { Identity: 60, Storage: 40 },
+      ...body,
+    }),
+  });
+}
+
+const created = () => database.statements.filter((sql) => sql.startsWith('CREATE TABLE'));
+const inserted = () => database.statements.filter((sql) => sql.startsWith('INSERT INTO prepper.certifications'));
+
+test('POST creates the question table and registers the certification in one transaction', async () => {
+  const response = await register({ code: 'az-104' });
+  const body = await response.json();
+
+  assert.strictEqual(response.status, 201);
+  assert.strictEqual(body.certification.code, 'AZ-104');
+  assert.strictEqual(body.certification.question_table, 'prepper.az_104_questions');
+  assert.deepStrictEqual(created(), [
+    'CREATE TABLE prepper.az_104_questions (LIKE prepper.comptia_cloud_plus_questions INCLUDING ALL)',
+  ]);
+  assert.strictEqual(inserted().length, 1);
+  assert.strictEqual(database.transactions, 1);
+});
+
+test('POST refuses an existing table that is not a question table', async () => {
+  database.tables.jobs = [{ column_name: 'id', data_type: 'bigint' }, { column_name: 'payload', data_type: 'jsonb' }];
+  const response = await register({ code: 'AZ-104', question_table: 'prepper.jobs' });
+  const body = await response.json();
+
+  assert.strictEqual(response.status, 409);
+  assert.strictEqual(body.error, 'prepper.jobs already exists and is not a question table');
+  assert.ok(body.validation_errors.includes('column question_text (text) is missing'));
+  assert.deepStrictEqual(created(), []);
+  assert.deepStrictEqual(inserted(), []);
+});
+
+test('POST reuses an existing table that has the question columns', async () => {
+  database.tables.az_104_questions = [...questionColumns, { column_name: 'notes', data_type: 'text' }];
+  const response = await register({ code: 'AZ-104' });
+
+  assert.strictEqual(response.status, 201);
+  assert.deepStrictEqual(created(), []);
+  assert.strictEqual(inserted().length, 1);
+});
+
+test('POST rejects a code or question table that is already registered', async () => {
+  database.registered = [{ code: 'CV0-004', question_table: 'prepper.comptia_cloud_plus_questions' }];
+  const response = await register({ code: 'AZ-104', question_table: 'prepper.comptia_cloud_plus_questions' });
+
+  assert.strictEqual(response.status, 409);
+  assert.deepStrictEqual(inserted(), []);
+});
+
+test('POST validates the table name and the payload', async () => {
+  const response = await register({ code: 'AZ-104', question_table: 'public.users; DROP TABLE x', domains: { Identity: 50 } });
+  const body = await response.json();
+
+  assert.strictEqual(response.status, 400);
+  assert.deepStrictEqual(body.validation_errors, [
+    'Domain weights must total 100 (got 50)',
+    'question_table must look like prepper.table_name',
+  ]);
+  assert.deepStrictEqual(database.statements, []);
+});
+
+test('POST is for admins only', async () => {
+  const response = await register({ code: 'AZ-104' }, userToken);
+  assert.strictEqual(response.status, 403);
+  assert.deepStrictEqual(database.statements, []);
+});
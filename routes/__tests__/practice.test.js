@@ -0,0 +1,116 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'practice-test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const db = require('../../documentdb/client');
+
+const question = (id, deletedAt = null) => ({
+  id,
+  domain: 'Cloud Security',
+  options: [{ text: 'Right', isCorrect: true }, { text: 'Wrong', isCorrect: false }],
+  correct_answer: 'Right',
+  explanation: 'Because.',
+  deleted_at: deletedAt,
+});
+
+/**
+ * Database double holding one practice session, its question table and its attempts
+ */
+const database = {
+  session: null,
+  questions: [],
+  attempts: [],
+  async query(sql, params = []) {
+    const text = sql.replace(/\s+/g, ' ').trim();
+    if (text.startsWith('SELECT * FROM prepper.practice_sessions WHERE id = $1')) {
+      return { rows: params[0] === this.session.id && params[1] === this.session.user_id ? [this.session] : [] };
+    }
+    if (text.startsWith('SELECT * FROM prepper.question_attempts WHERE session_id = $1')) {
+      return { rows: this.attempts.filter((attempt) => attempt.session_id === params[0]) };
+    }
+    if (text.startsWith('SELECT * FROM prepper.comptia_cloud_plus_questions WHERE id = ANY')) {
+      const liveOnly = text.includes('deleted_at IS NULL');
+      return { rows: this.questions.filter((row) => params[0].includes(row.id) && !(liveOnly && row.deleted_at)) };
+    }
+    if (text.startsWith('INSERT INTO prepper.question_attempts')) {
+      const attempt = { session_id: params[0], question_id: params[3], is_correct: params[8] };
+      this.attempts.push(attempt);
+      return { rows: [attempt] };
+    }
+    if (text.startsWith("UPDATE prepper.practice_sessions SET status = 'completed'")) {
+      Object.assign(this.session, { status: 'completed', completed_at: new Date() });
+      return { rows: [this.session] };
+    }
+    // SELECT 1 and the spaced-repetition bookkeeping
+    return { rows: [] };
+  },
+};
+
+db.connectLocalPostgres = async () => database;
+
+const practiceRoutes = require('../practice');
+
+const app = express();
+app.use(express.json());
+app.use('/practice', practiceRoutes);
+
+const token = jwt.sign({ id: 7, username: 'learner', role: 'user' }, process.env.JWT_SECRET);
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/practice/sessions/1`;
+});
+
+test.after(() => new Promise((resolve) => server.close(resolve)));
+
+test.beforeEach(() => {
+  database.session = {
+    id: 1,
+    user_id: 7,
+    mode: 'practice',
+    certification_type: 'CV0-004',
+    selection: 'random',
+    status: 'active',
+    question_ids: [11, 12],
+    target_count: null,
+    seed: 1,
+  };
+  database.questions = [question(11), question(12)];
+  database.attempts = [];
+});
+
+function answer(questionId) {
+  return fetch(`${baseUrl}/answers`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ question_id: questionId, selected_answers: ['Right'] }),
+  });
+}
+
+test('a session completes when its last question is answered', async () => {
+  assert.strictEqual((await answer(11)).status, 201);
+  const body = await (await answer(12)).json();
+
+  assert.strictEqual(body.session.status, 'completed');
+  assert.deepStrictEqual(body.session.progress, { total: 2, answered: 2, correct: 2, remaining: 0, accuracy: 100 });
+});
+
+test('a question trashed after the session started is still served and answerable', async () => {
+  await answer(11);
+  database.questions[1].deleted_at = new Date();
+
+  const next = await (await fetch(`${baseUrl}/next`, { headers: { Authorization: `Bearer ${token}` } })).json();
+  assert.strictEqual(next.question.id, 12);
+
+  const response = await answer(12);
+  const body = await response.json();
+  assert.strictEqual(response.status, 201);
+  assert.strictEqual(body.is_correct, true);
+  assert.strictEqual(body.session.status, 'completed');
+});
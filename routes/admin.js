@@ -0,0 +1,609 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { connectLocalPostgres } = require('../documentdb/client');
+const logger = require('../logs/prepperLog');
+const {
+  MODEL_PRICING,
+  BATCH_DISCOUNT,
+  DEFAULT_GLOBAL_BUDGET,
+  DEFAULT_USER_BUDGET,
+  USAGE_GROUPS,
+  checkBudget,
+  listBudgets,
+  setBudget,
+  getUsageReport,
+} = require('../utils/aiUsage');
+const {
+  JOB_STATUSES,
+  listJobs,
+  summarizeJobs,
+  getJob,
+  retryJob,
+  purgeJobs,
+} = require('../jobs/queue');
+
+const router = express.Router();
+const _logger = logger();
+
+const MAX_PAGE_SIZE = 200;
+const PURGEABLE_JOB_STATUSES = ['succeeded', 'failed'];
+
+const adminLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100,
+});
+
+router.use(adminLimiter);
+router.use(authenticateToken, requireAdmin);
+
+let dbClient = null;
+
+async function getDbClient() {
+  if (!dbClient || dbClient._ending) {
+    dbClient = await connectLocalPostgres();
+    return dbClient;
+  }
+
+  try {
+    await dbClient.query('SELECT 1');
+  } catch (error) {
+    _logger.warn('Database connection test failed, reconnecting', {
+      error: error.message,
+    });
+    dbClient = null;
+    dbClient = await connectLocalPostgres();
+  }
+
+  return dbClient;
+}
+
+/**
+ * @swagger
+ * /admin/usage:
+ *   get:
+ *     summary: AI token usage and estimated cost (admin only)
+ *     description: Totals, a daily or monthly rollup, and breakdowns per user and per model of the tokens used by /questions/generateQuestion and generation batches. Batch costs include the batch pricing discount. Budgets show this month's spend against the global and (with user_id) the user's limit.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Inclusive start (default the first day of the current month, UTC)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Exclusive end (default now)
+ *       - in: query
+ *         name: group
+ *         schema:
+ *           type: string
+ *           enum: [day, month]
+ *           default: day
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *         description: Only this user's usage
+ *     responses:
+ *       200:
+ *         description: Usage report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 from:
+ *                   type: string
+ *                 to:
+ *                   type: string
+ *                 group:
+ *                   type: string
+ *                 totals:
+ *                   type: object
+ *                   properties:
+ *                     requests:
+ *                       type: integer
+ *                     input_tokens:
+ *                       type: integer
+ *                     output_tokens:
+ *                       type: integer
+ *                     cost_usd:
+ *                       type: number
+ *                 rollup:
+ *                   type: array
+ *                   description: One entry per period (YYYY-MM-DD or YYYY-MM) with the same sums as totals
+ *                   items:
+ *                     type: object
+ *                 by_user:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 by_model:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 budgets:
+ *                   type: object
+ *       400:
+ *         description: Invalid date, group or user_id
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/usage', async (req, res) => {
+  try {
+    const now = new Date();
+    const range = {
+      from: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+      to: now,
+    };
+    for (const key of ['from', 'to']) {
+      if (req.query[key]) {
+        const date = new Date(req.query[key]);
+        if (Number.isNaN(date.getTime())) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid ${key} date`,
+          });
+        }
+        range[key] = date;
+      }
+    }
+
+    const group = req.query.group || 'day';
+    if (!USAGE_GROUPS.includes(group)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid group. Must be one of: ${USAGE_GROUPS.join(', ')}`,
+      });
+    }
+
+    let userId;
+    if (req.query.user_id !== undefined) {
+      userId = parseInt(req.query.user_id, 10);
+      if (!Number.isInteger(userId) || String(userId) !== String(req.query.user_id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'user_id must be an integer',
+        });
+      }
+    }
+
+    const client = await getDbClient();
+    const report = await getUsageReport(client, { ...range, group, userId });
+    const budget = await checkBudget(client, { id: userId }, 0);
+
+    res.json({
+      success: true,
+      from: range.from.toISOString(),
+      to: range.to.toISOString(),
+      group,
+      user_id: userId === undefined ? null : userId,
+      ...report,
+      budgets: userId === undefined ? { global: budget.budgets.global } : budget.budgets,
+    });
+  } catch (error) {
+    _logger.error('Failed to build usage report', {
+      error: error.message,
+      stack: error.stack,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build usage report',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/budgets:
+ *   get:
+ *     summary: Monthly AI budgets (admin only)
+ *     description: Stored budgets (user_id null is the global budget), the environment defaults used when no row exists, and the pricing used for cost estimates.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Budgets
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/budgets', async (req, res) => {
+  try {
+    const client = await getDbClient();
+    const budget = await checkBudget(client, {}, 0);
+
+    res.json({
+      success: true,
+      budgets: await listBudgets(client),
+      global: budget.budgets.global,
+      defaults: {
+        global_monthly_limit_usd: DEFAULT_GLOBAL_BUDGET,
+        user_monthly_limit_usd: DEFAULT_USER_BUDGET,
+      },
+      pricing: {
+        per_million_tokens: MODEL_PRICING,
+        batch_discount: BATCH_DISCOUNT,
+      },
+    });
+  } catch (error) {
+    _logger.error('Failed to list budgets', {
+      error: error.message,
+      stack: error.stack,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list budgets',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/budgets:
+ *   put:
+ *     summary: Set a monthly AI budget (admin only)
+ *     description: Sets the global budget (user_id null or omitted) or one user's budget. /questions/generateBatch is rejected with 402 once this month's spend plus the batch's estimated cost would exceed either. A monthly_limit_usd of null removes the budget, falling back to the environment default.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [monthly_limit_usd]
+ *             properties:
+ *               user_id:
+ *                 type: integer
+ *                 nullable: true
+ *               monthly_limit_usd:
+ *                 type: number
+ *                 nullable: true
+ *                 example: 50
+ *     responses:
+ *       200:
+ *         description: Budget stored or removed
+ *       400:
+ *         description: Invalid user_id or monthly_limit_usd
+ *       404:
+ *         description: User not found
+ */
+router.put('/budgets', async (req, res) => {
+  try {
+    const { user_id: userId = null, monthly_limit_usd: limit } = req.body || {};
+
+    if (userId !== null && !Number.isInteger(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'user_id must be an integer or null',
+      });
+    }
+    if (limit === undefined || (limit !== null && (typeof limit !== 'number' || !Number.isFinite(limit) || limit < 0))) {
+      return res.status(400).json({
+        success: false,
+        error: 'monthly_limit_usd must be a non-negative number or null',
+      });
+    }
+
+    const client = await getDbClient();
+    if (userId !== null) {
+      const user = await client.query('SELECT id FROM prepper.users WHERE id = $1', [userId]);
+      if (user.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found',
+        });
+      }
+    }
+
+    const budget = await setBudget(client, userId, limit, req.user?.id);
+
+    _logger.info('AI budget updated', {
+      user_id: userId,
+      monthly_limit_usd: limit,
+      admin: req.user?.username,
+    });
+
+    res.json({
+      success: true,
+      user_id: userId,
+      budget,
+      message: budget ? 'Budget saved' : 'Budget removed',
+    });
+  } catch (error) {
+    _logger.error('Failed to update budget', {
+      error: error.message,
+      stack: error.stack,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update budget',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/jobs:
+ *   get:
+ *     summary: Background jobs (admin only)
+ *     description: Jobs on the Postgres job queue (batch polling, result collection, file exports, webhook dispatch and report emails), newest first, with counts per type and status and each type's next due run.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           example: batch.check
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, succeeded, failed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Jobs and per-type summary
+ *       400:
+ *         description: Invalid status
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/jobs', async (req, res) => {
+  try {
+    const status = req.query.status || null;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status. Must be one of: ${JOB_STATUSES.join(', ')}`,
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const client = await getDbClient();
+    const { total, jobs } = await listJobs(client, { type: req.query.type || null, status, limit, offset });
+
+    res.json({
+      success: true,
+      summary: await summarizeJobs(client),
+      total,
+      limit,
+      offset,
+      jobs,
+    });
+  } catch (error) {
+    _logger.error('Failed to list jobs', {
+      error: error.message,
+      stack: error.stack,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list jobs',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/jobs/purge:
+ *   post:
+ *     summary: Delete finished jobs (admin only)
+ *     description: Deletes succeeded and/or failed jobs that finished more than older_than_days ago. Queued and running jobs are never purged.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               statuses:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [succeeded, failed]
+ *                 default: [succeeded]
+ *               older_than_days:
+ *                 type: integer
+ *                 minimum: 0
+ *                 default: 7
+ *               type:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Number of jobs deleted
+ *       400:
+ *         description: Invalid statuses or older_than_days
+ */
+router.post('/jobs/purge', async (req, res) => {
+  try {
+    const { statuses = ['succeeded'], older_than_days: olderThanDays = 7, type = null } = req.body || {};
+
+    if (!Array.isArray(statuses) || statuses.length === 0
+      || statuses.some((status) => !PURGEABLE_JOB_STATUSES.includes(status))) {
+      return res.status(400).json({
+        success: false,
+        error: `statuses must be a non-empty array of: ${PURGEABLE_JOB_STATUSES.join(', ')}`,
+      });
+    }
+    if (!Number.isInteger(olderThanDays) || olderThanDays < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'older_than_days must be a non-negative integer',
+      });
+    }
+
+    const deleted = await purgeJobs(await getDbClient(), { statuses, olderThanDays, type });
+
+    _logger.info('Jobs purged', {
+      statuses,
+      older_than_days: olderThanDays,
+      type,
+      deleted,
+      admin: req.user?.username,
+    });
+
+    res.json({
+      success: true,
+      deleted,
+    });
+  } catch (error) {
+    _logger.error('Failed to purge jobs', {
+      error: error.message,
+      stack: error.stack,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to purge jobs',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/jobs/{id}:
+ *   get:
+ *     summary: One background job (admin only)
+ *     description: The job with its payload, attempts, lease, last error and result.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Job
+ *       404:
+ *         description: Job not found
+ */
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await getJob(await getDbClient(), parseInt(req.params.id, 10) || 0);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      job,
+    });
+  } catch (error) {
+    _logger.error('Failed to get job', {
+      job_id: req.params.id,
+      error: error.message,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get job',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/jobs/{id}/retry:
+ *   post:
+ *     summary: Retry a failed job (admin only)
+ *     description: Queues a failed job to run now with a fresh set of attempts.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Job queued
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job has not failed, or the same job is already queued
+ */
+router.post('/jobs/:id/retry', async (req, res) => {
+  try {
+    const client = await getDbClient();
+    const jobId = parseInt(req.params.id, 10) || 0;
+    const job = await getJob(client, jobId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+      });
+    }
+
+    const retried = await retryJob(client, jobId);
+    if (!retried) {
+      return res.status(409).json({
+        success: false,
+        error: job.status === 'failed'
+          ? 'The same job is already queued'
+          : `Only failed jobs can be retried (job is ${job.status})`,
+      });
+    }
+
+    _logger.info('Job queued for retry', {
+      job_id: jobId,
+      type: job.type,
+      admin: req.user?.username,
+    });
+
+    res.json({
+      success: true,
+      job: retried,
+    });
+  } catch (error) {
+    _logger.error('Failed to retry job', {
+      job_id: req.params.id,
+      error: error.message,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry job',
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,572 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { connectLocalPostgres, withTransaction } = require('../documentdb/client');
+const logger = require('../logs/prepperLog');
+const { QUESTION_TABLES } = require('../utils/constants');
+const {
+  toCertification,
+  loadCertifications,
+  listCertifications,
+  isValidTableName,
+  isValidCertificationCode,
+  defaultQuestionTable,
+  getTableColumns,
+  compareQuestionColumns,
+} = require('../utils/certifications');
+
+const router = express.Router();
+const _logger = logger();
+
+// New certifications get a question table with the same columns, defaults and indexes as this one
+const QUESTION_TABLE_TEMPLATE = QUESTION_TABLES['CV0-004'];
+
+const INTEGER_FIELDS = ['question_count', 'time_limit_minutes', 'score_min', 'score_max', 'passing_score'];
+const TEXT_FIELDS = ['vendor', 'display_name'];
+
+const certificationsLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100,
+});
+
+router.use(certificationsLimiter);
+
+let dbClient = null;
+
+async function getDbClient() {
+  if (!dbClient || dbClient._ending) {
+    dbClient = await connectLocalPostgres();
+    return dbClient;
+  }
+
+  try {
+    await dbClient.query('SELECT 1');
+  } catch (error) {
+    _logger.warn('Database connection test failed, reconnecting', {
+      error: error.message,
+    });
+    dbClient = null;
+    dbClient = await connectLocalPostgres();
+  }
+
+  return dbClient;
+}
+
+/**
+ * Validate a create (all fields) or update (partial) payload
+ * @returns {{errors: string[], values: object}} Values contains only the fields that were supplied
+ */
+function validateCertificationInput(body, { partial }) {
+  const errors = [];
+  const values = {};
+
+  TEXT_FIELDS.forEach((field) => {
+    if (body[field] === undefined) {
+      if (!partial) {
+        errors.push(`${field} is required`);
+      }
+      return;
+    }
+    if (typeof body[field] !== 'string' || !body[field].trim()) {
+      errors.push(`${field} must be a non-empty string`);
+      return;
+    }
+    values[field] = body[field].trim();
+  });
+
+  INTEGER_FIELDS.forEach((field) => {
+    if (body[field] === undefined) {
+      if (!partial && field !== 'score_min') {
+        errors.push(`${field} is required`);
+      }
+      return;
+    }
+    const value = parseInt(body[field], 10);
+    const minimum = field === 'question_count' || field === 'time_limit_minutes' ? 1 : 0;
+    if (isNaN(value) || value < minimum) {
+      errors.push(`${field} must be an integer of at least ${minimum}`);
+      return;
+    }
+    values[field] = value;
+  });
+
+  if (body.legacy_alias !== undefined) {
+    if (body.legacy_alias !== null && (typeof body.legacy_alias !== 'string' || !/^[a-z0-9_-]{2,50}$/.test(body.legacy_alias))) {
+      errors.push('legacy_alias must be lowercase letters, digits, - or _');
+    } else {
+      values.legacy_alias = body.legacy_alias;
+    }
+  }
+
+  if (body.domain_weight_table !== undefined) {
+    if (body.domain_weight_table !== null && !isValidTableName(body.domain_weight_table)) {
+      errors.push('domain_weight_table must look like prepper.table_name');
+    } else {
+      values.domain_weight_table = body.domain_weight_table;
+    }
+  }
+
+  if (body.domains !== undefined) {
+    const domains = body.domains;
+    if (!domains || typeof domains !== 'object' || Array.isArray(domains) || Object.keys(domains).length === 0) {
+      errors.push('domains must be an object of {"Domain name": weight}');
+    } else {
+      const weights = Object.values(domains).map((weight) => parseInt(weight, 10));
+      const total = weights.reduce((sum, weight) => sum + weight, 0);
+      if (weights.some((weight) => isNaN(weight) || weight <= 0)) {
+        errors.push('Every domain weight must be a positive integer');
+      } else if (total !== 100) {
+        errors.push(`Domain weights must total 100 (got ${total})`);
+      } else {
+        values.domains = domains;
+      }
+    }
+  } else if (!partial) {
+    errors.push('domains is required');
+  }
+
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') {
+      errors.push('active must be a boolean');
+    } else {
+      values.active = body.active;
+    }
+  }
+
+  return { errors, values };
+}
+
+/**
+ * The score range is checked against the merged record so partial updates cannot invalidate it
+ */
+function validateScoreRange(cert) {
+  const scoreMin = cert.score_min ?? 100;
+  if (cert.score_max <= scoreMin) {
+    return 'score_max must be greater than score_min';
+  }
+  if (cert.passing_score < scoreMin || cert.passing_score > cert.score_max) {
+    return 'passing_score must be within the score range';
+  }
+  return null;
+}
+
+/**
+ * @swagger
+ * /certifications:
+ *   get:
+ *     summary: List supported certifications
+ *     description: Returns the certification registry used by question generation, question CRUD, domain weights and exam assembly.
+ *     tags: [Certifications]
+ *     parameters:
+ *       - in: query
+ *         name: include_inactive
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also list deactivated certifications
+ *     responses:
+ *       200:
+ *         description: Certifications retrieved
+ *   post:
+ *     summary: Register a new certification (Admin only)
+ *     description: Creates the certification and its question table. The table copies the CompTIA Cloud+ table's columns, defaults and indexes.
+ *     tags: [Certifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - vendor
+ *               - display_name
+ *               - question_count
+ *               - time_limit_minutes
+ *               - score_max
+ *               - passing_score
+ *               - domains
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: AZ-104
+ *               vendor:
+ *                 type: string
+ *                 example: Microsoft
+ *               display_name:
+ *                 type: string
+ *                 example: Microsoft Azure Administrator
+ *               legacy_alias:
+ *                 type: string
+ *                 description: Optional short name accepted wherever a certification code is
+ *               question_table:
+ *                 type: string
+ *                 description: Optional - defaults to prepper.<code>_questions. Created when missing; an existing table must have the question columns
+ *                 example: prepper.az_104_questions
+ *               domain_weight_table:
+ *                 type: string
+ *                 description: Optional prepper.domain_weight_* table that overrides domains
+ *               question_count:
+ *                 type: integer
+ *                 example: 50
+ *               time_limit_minutes:
+ *                 type: integer
+ *                 example: 100
+ *               score_min:
+ *                 type: integer
+ *                 default: 100
+ *               score_max:
+ *                 type: integer
+ *                 example: 1000
+ *               passing_score:
+ *                 type: integer
+ *                 example: 700
+ *               domains:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: integer
+ *                 description: Domain name to weight (percent); weights must total 100
+ *     responses:
+ *       201:
+ *         description: Certification registered
+ *       400:
+ *         description: Invalid certification
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ *       409:
+ *         description: Code, alias or question table already in use, or question_table is an existing table without the question columns
+ */
+router.get('/', async (req, res) => {
+  try {
+    const includeInactive = req.query.include_inactive === 'true';
+    await loadCertifications();
+
+    res.json({
+      success: true,
+      certifications: listCertifications({ includeInactive }),
+    });
+  } catch (error) {
+    _logger.error('Failed to list certifications', {
+      error: error.message,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list certifications',
+      details: error.message,
+    });
+  }
+});
+
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const code = typeof req.body.code === 'string' ? req.body.code.trim().toUpperCase() : '';
+    const { errors, values } = validateCertificationInput(req.body, { partial: false });
+
+    if (!isValidCertificationCode(code)) {
+      errors.unshift('code must be 2-20 characters of letters, digits and -');
+    }
+
+    const questionTable = req.body.question_table || (code ? defaultQuestionTable(code) : null);
+    if (questionTable && !isValidTableName(questionTable)) {
+      errors.push('question_table must look like prepper.table_name');
+    }
+
+    const scoreError = errors.length === 0 ? validateScoreRange(values) : null;
+    if (scoreError) {
+      errors.push(scoreError);
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid certification',
+        validation_errors: errors,
+      });
+    }
+
+    const client = await getDbClient();
+    const existing = await client.query(
+      `SELECT code FROM prepper.certifications
+       WHERE code = $1 OR question_table = $2 OR ($3::text IS NOT NULL AND legacy_alias = $3)`,
+      [code, questionTable, values.legacy_alias || null]
+    );
+    if (existing.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Code, alias or question table already used by ${existing.rows[0].code}`,
+      });
+    }
+
+    // An existing table is only reused when it already has the question columns
+    const tableColumns = await getTableColumns(client, questionTable);
+    if (tableColumns.length > 0) {
+      const mismatches = compareQuestionColumns(await getTableColumns(client, QUESTION_TABLE_TEMPLATE), tableColumns);
+      if (mismatches.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: `${questionTable} already exists and is not a question table`,
+          validation_errors: mismatches,
+        });
+      }
+    }
+
+    const row = await withTransaction(async (transaction) => {
+      if (tableColumns.length === 0) {
+        await transaction.query(`CREATE TABLE ${questionTable} (LIKE ${QUESTION_TABLE_TEMPLATE} INCLUDING ALL)`);
+      }
+      const result = await transaction.query(
+        `INSERT INTO prepper.certifications (
+          code, vendor, display_name, legacy_alias, question_table, domain_weight_table,
+          question_count, time_limit_minutes, score_min, score_max, passing_score, domains
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        RETURNING *`,
+        [
+          code,
+          values.vendor,
+          values.display_name,
+          values.legacy_alias || null,
+          questionTable,
+          values.domain_weight_table || null,
+          values.question_count,
+          values.time_limit_minutes,
+          values.score_min ?? 100,
+          values.score_max,
+          values.passing_score,
+          JSON.stringify(values.domains),
+        ]
+      );
+      return result.rows[0];
+    });
+
+    await loadCertifications(client, { force: true });
+
+    _logger.info('Certification registered', {
+      code,
+      question_table: questionTable,
+      user_id: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      certification: toCertification(row),
+    });
+  } catch (error) {
+    _logger.error('Failed to register certification', {
+      error: error.message,
+      stack: error.stack,
+      code: req.body?.code,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register certification',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /certifications/{code}:
+ *   get:
+ *     summary: Get a certification by code
+ *     tags: [Certifications]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Certification retrieved
+ *       404:
+ *         description: Certification not found
+ *   put:
+ *     summary: Update a certification (Admin only)
+ *     description: Accepts any field from POST /certifications except code and question_table. Set active to false to retire a certification without dropping its questions.
+ *     tags: [Certifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Certification updated
+ *       400:
+ *         description: Invalid update
+ *       404:
+ *         description: Certification not found
+ *   delete:
+ *     summary: Deactivate a certification (Admin only)
+ *     description: Marks the certification inactive. Its question table and history are kept.
+ *     tags: [Certifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Certification deactivated
+ *       404:
+ *         description: Certification not found
+ */
+router.get('/:code', async (req, res) => {
+  try {
+    await loadCertifications();
+    const code = req.params.code.toUpperCase();
+    const cert = listCertifications({ includeInactive: true }).find((entry) => entry.code === code);
+
+    if (!cert) {
+      return res.status(404).json({
+        success: false,
+        error: 'Certification not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      certification: cert,
+    });
+  } catch (error) {
+    _logger.error('Failed to get certification', {
+      error: error.message,
+      code: req.params.code,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get certification',
+      details: error.message,
+    });
+  }
+});
+
+router.put('/:code', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const code = req.params.code.toUpperCase();
+    const { errors, values } = validateCertificationInput(req.body, { partial: true });
+
+    if (req.body.code !== undefined || req.body.question_table !== undefined) {
+      errors.push('code and question_table cannot be changed');
+    }
+    if (errors.length === 0 && Object.keys(values).length === 0) {
+      errors.push('No fields provided for update');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid certification update',
+        validation_errors: errors,
+      });
+    }
+
+    const client = await getDbClient();
+    const current = await client.query('SELECT * FROM prepper.certifications WHERE code = $1', [code]);
+    if (current.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Certification not found',
+      });
+    }
+
+    const scoreError = validateScoreRange({ ...toCertification(current.rows[0]), ...values });
+    if (scoreError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid certification update',
+        validation_errors: [scoreError],
+      });
+    }
+
+    const fields = Object.keys(values);
+    const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+    const params = fields.map((field) => (field === 'domains' ? JSON.stringify(values[field]) : values[field]));
+
+    const result = await client.query(
+      `UPDATE prepper.certifications
+       SET ${assignments.join(', ')}, updated_at = NOW()
+       WHERE code = $1
+       RETURNING *`,
+      [code, ...params]
+    );
+
+    await loadCertifications(client, { force: true });
+
+    _logger.info('Certification updated', {
+      code,
+      fields,
+      user_id: req.user.id,
+    });
+
+    res.json({
+      success: true,
+      certification: toCertification(result.rows[0]),
+    });
+  } catch (error) {
+    _logger.error('Failed to update certification', {
+      error: error.message,
+      code: req.params.code,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update certification',
+      details: error.message,
+    });
+  }
+});
+
+router.delete('/:code', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const code = req.params.code.toUpperCase();
+    const client = await getDbClient();
+    const result = await client.query(
+      `UPDATE prepper.certifications
+       SET active = FALSE, updated_at = NOW()
+       WHERE code = $1
+       RETURNING *`,
+      [code]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Certification not found',
+      });
+    }
+
+    await loadCertifications(client, { force: true });
+
+    _logger.info('Certification deactivated', {
+      code,
+      user_id: req.user.id,
+    });
+
+    res.json({
+      success: true,
+      certification: toCertification(result.rows[0]),
+    });
+  } catch (error) {
+    _logger.error('Failed to deactivate certification', {
+      error: error.message,
+      code: req.params.code,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to deactivate certification',
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
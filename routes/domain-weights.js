@@ -2,6 +2,8 @@ const express = require('express');
 const { connectLocalPostgres } = require('../documentdb/client');
 const logger = require('../logs/prepperLog');
 const rateLimit = require('express-rate-limit');
+const { loadDomainWeights } = require('../utils/domainWeights');
+const { getCertification, invalidCertificationMessage } = require('../utils/certifications');
 
 const router = express.Router();
 const _logger = logger();
@@ -39,7 +41,7 @@ async function getDbClient() {
  * /domain-weights:
  *   get:
  *     summary: Get domain weights for specific certification from database
- *     description: Returns domain weights from database (single source of truth)
+ *     description: Returns domain weights from the certification's domain_weight_* table, or from the certification registry when it has none
  *     tags: [Domain Weights]
  *     parameters:
  *       - in: query
@@ -47,8 +49,8 @@ async function getDbClient() {
  *         required: true
  *         schema:
  *           type: string
- *           enum: [CV0-004, SAA-C03]
- *         description: Certification type
+ *           example: CV0-004
+ *         description: Certification code from GET /certifications
  *     responses:
  *       200:
  *         description: Domain weights retrieved successfully
@@ -68,48 +70,34 @@ router.get('/', async (req, res) => {
       });
     }
     
-    const client = await getDbClient();
-    
-    // Query domain weights from database
-    // Table name: prepper.domain_weight_cv0_004 or similar
-    let query;
-    let tableName;
-    
-    if (certification_type === 'CV0-004') {
-      tableName = 'prepper.domain_weight_cv0_004';
-    } else if (certification_type === 'SAA-C03') {
-      tableName = 'prepper.domain_weight_saa_c03';
-    } else {
+    const cert = getCertification(certification_type);
+    if (!cert) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid certification_type. Must be CV0-004 or SAA-C03'
+        error: invalidCertificationMessage()
       });
     }
     
-    query = `
-      SELECT domain, weight
-      FROM ${tableName}
-      ORDER BY weight DESC
-    `;
+    const client = await getDbClient();
     
-    _logger.info('Fetching domain weights from database', {
-      certification_type,
-      table_name: tableName
+    _logger.info('Fetching domain weights', {
+      certification_type: cert.code,
+      table_name: cert.domain_weight_table
     });
     
-    const result = await client.query(query);
+    // Domain weight table when the certification has one, otherwise the registry's domain list
+    const { weights: weightMap, source } = await loadDomainWeights(client, cert.code);
     
     // Format response
-    const weights = result.rows.map(row => ({
-      domain: row.domain,
-      weight: parseInt(row.weight, 10)
-    }));
+    const weights = Object.entries(weightMap)
+      .map(([domain, weight]) => ({ domain, weight }))
+      .sort((a, b) => b.weight - a.weight);
     
     // Calculate total to verify 100%
     const total = weights.reduce((sum, w) => sum + w.weight, 0);
     
     _logger.info('Domain weights retrieved successfully', {
-      certification_type,
+      certification_type: cert.code,
       domain_count: weights.length,
       total_weight: total
     });
@@ -118,9 +106,10 @@ router.get('/', async (req, res) => {
       success: true,
       data: weights,
       metadata: {
-        certification_type,
+        certification_type: cert.code,
         domain_count: weights.length,
         total_weight: total,
+        source,
         fetched_at: new Date().toISOString()
       }
     });
@@ -145,7 +134,7 @@ router.get('/', async (req, res) => {
  * /domain-weights/map:
  *   get:
  *     summary: Get domain weights as key-value map
- *     description: Returns {domain_name: weight} for easy lookup
+ *     description: "Returns {domain_name: weight} for easy lookup"
  *     tags: [Domain Weights]
  *     parameters:
  *       - in: query
@@ -153,7 +142,7 @@ router.get('/', async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
- *           enum: [CV0-004, SAA-C03]
+ *           example: CV0-004
  *     responses:
  *       200:
  *         description: Domain weight map retrieved
@@ -169,35 +158,26 @@ router.get('/map', async (req, res) => {
       });
     }
     
-    const client = await getDbClient();
-    
-    let tableName;
-    if (certification_type === 'CV0-004') {
-      tableName = 'prepper.domain_weight_cv0_004';
-    } else if (certification_type === 'SAA-C03') {
-      tableName = 'prepper.domain_weight_saa_c03';
-    } else {
+    const cert = getCertification(certification_type);
+    if (!cert) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid certification_type'
+        error: invalidCertificationMessage()
       });
     }
     
-    const query = `SELECT domain, weight FROM ${tableName}`;
-    const result = await client.query(query);
+    const client = await getDbClient();
     
-    // Convert to simple map: {domain_name: weight}
-    const weightMap = {};
-    result.rows.forEach(row => {
-      weightMap[row.domain] = parseInt(row.weight, 10);
-    });
+    // Simple map: {domain_name: weight}
+    const { weights: weightMap, source } = await loadDomainWeights(client, cert.code);
     
     res.json({
       success: true,
       data: weightMap,
       metadata: {
-        certification_type,
-        domain_count: result.rows.length
+        certification_type: cert.code,
+        domain_count: Object.keys(weightMap).length,
+        source
       }
     });
     
@@ -0,0 +1,629 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { authenticateToken } = require('../middleware/auth');
+const { connectLocalPostgres } = require('../documentdb/client');
+const logger = require('../logs/prepperLog');
+const { generateSeed } = require('../utils/shuffle');
+const { getCertification, getExamBlueprint, invalidCertificationMessage } = require('../utils/certifications');
+const { loadDomainWeights } = require('../utils/domainWeights');
+const { assembleExam, buildScoreReport } = require('../utils/examBlueprint');
+const {
+  NOT_DELETED,
+  fetchQuestionsByIds,
+  gradeAnswer,
+  toStudentQuestion,
+  toAnswerFeedback,
+} = require('../utils/questionBank');
+const { recordReview, gradeFromAttempt } = require('../utils/spacedRepetition');
+
+const router = express.Router();
+const _logger = logger();
+
+// Allow for network latency on the final save before the clock runs out
+const EXAM_GRACE_PERIOD_MS = parseInt(process.env.EXAM_GRACE_PERIOD_MS, 10) || 30000;
+
+const examLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 600,
+});
+
+router.use(examLimiter);
+
+let dbClient = null;
+
+async function getDbClient() {
+  if (!dbClient || dbClient._ending) {
+    dbClient = await connectLocalPostgres();
+    return dbClient;
+  }
+
+  try {
+    await dbClient.query('SELECT 1');
+  } catch (error) {
+    _logger.warn('Database connection test failed, reconnecting', {
+      error: error.message,
+    });
+    dbClient = null;
+    dbClient = await connectLocalPostgres();
+  }
+
+  return dbClient;
+}
+
+async function getOwnedExam(client, examId, userId) {
+  const id = parseInt(examId, 10);
+  if (isNaN(id)) {
+    return null;
+  }
+  const result = await client.query(
+    "SELECT * FROM prepper.practice_sessions WHERE id = $1 AND user_id = $2 AND mode = 'exam'",
+    [id, userId]
+  );
+  return result.rows[0] || null;
+}
+
+async function getAttemptsByQuestion(client, examId) {
+  const result = await client.query(
+    'SELECT * FROM prepper.question_attempts WHERE session_id = $1',
+    [examId]
+  );
+  return new Map(result.rows.map((row) => [row.question_id, row]));
+}
+
+/**
+ * Look up questions of an exam. Questions trashed after the exam started stay part of it, otherwise they
+ * would drop out of the score and the remaining questions would count for more.
+ */
+function fetchExamQuestions(client, exam, ids = exam.question_ids) {
+  return fetchQuestionsByIds(client, exam.certification_type, ids, { includeDeleted: true });
+}
+
+function isExpired(exam) {
+  return exam.expires_at && Date.now() > new Date(exam.expires_at).getTime() + EXAM_GRACE_PERIOD_MS;
+}
+
+function summarizeExam(exam, answeredCount) {
+  const remainingMs = exam.expires_at ? new Date(exam.expires_at).getTime() - Date.now() : null;
+  return {
+    id: exam.id,
+    certification_type: exam.certification_type,
+    seed: exam.seed,
+    status: exam.status,
+    started_at: exam.started_at,
+    expires_at: exam.expires_at,
+    completed_at: exam.completed_at,
+    time_limit_minutes: exam.time_limit_minutes,
+    time_remaining_seconds: exam.status === 'active' && remainingMs !== null ? Math.max(Math.floor(remainingMs / 1000), 0) : 0,
+    total_questions: exam.question_ids.length,
+    answered: answeredCount,
+  };
+}
+
+/**
+ * Grade every saved answer and store the score report. Unanswered questions count as incorrect.
+ */
+async function finalizeExam(client, exam) {
+  const questions = await fetchExamQuestions(client, exam);
+  const attemptsByQuestion = await getAttemptsByQuestion(client, exam.id);
+  const blueprint = exam.blueprint || getExamBlueprint(exam.certification_type);
+  const report = buildScoreReport(questions, attemptsByQuestion, blueprint.weights || {}, blueprint);
+
+  const result = await client.query(
+    `UPDATE prepper.practice_sessions
+     SET status = 'completed', completed_at = NOW(), updated_at = NOW(), score_report = $2
+     WHERE id = $1 AND status = 'active'
+     RETURNING *`,
+    [exam.id, JSON.stringify(report)]
+  );
+
+  // Seed review cards from the graded exam, only on the call that actually finalized it.
+  // A failure here must not block the score report.
+  try {
+    for (const question of result.rows.length > 0 ? questions : []) {
+      const attempt = attemptsByQuestion.get(question.id);
+      if (attempt) {
+        await recordReview(client, {
+          user_id: exam.user_id,
+          certification_type: exam.certification_type,
+          question_id: question.id,
+          domain: question.domain,
+        }, gradeFromAttempt(attempt.is_correct));
+      }
+    }
+  } catch (reviewError) {
+    _logger.warn('Failed to update review cards from mock exam', {
+      exam_id: exam.id,
+      error: reviewError.message,
+    });
+  }
+
+  _logger.info('Mock exam finalized', {
+    exam_id: exam.id,
+    user_id: exam.user_id,
+    certification_type: exam.certification_type,
+    scaled_score: report.scaled_score,
+    passed: report.passed,
+  });
+
+  return result.rows[0] || { ...exam, status: 'completed', score_report: report };
+}
+
+/**
+ * @swagger
+ * /exams:
+ *   post:
+ *     summary: Generate a blueprint-weighted mock exam
+ *     description: Samples a full-length exam per domain in proportion to the certification's domain weights. Supplying the seed from a previous exam reproduces the same question set.
+ *     tags: [Exams]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - certification_type
+ *             properties:
+ *               certification_type:
+ *                 type: string
+ *                 example: CV0-004
+ *               seed:
+ *                 type: integer
+ *                 description: Optional - reuse a seed to regenerate the same exam
+ *     responses:
+ *       201:
+ *         description: Exam created, questions returned without answers
+ *       400:
+ *         description: Invalid parameters or empty question bank
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ *   get:
+ *     summary: List the current user's mock exams
+ *     tags: [Exams]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Exams retrieved
+ */
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { certification_type } = req.body;
+
+    if (!certification_type) {
+      return res.status(400).json({
+        success: false,
+        error: 'certification_type is required',
+      });
+    }
+
+    const cert = getCertification(certification_type);
+    if (!cert) {
+      return res.status(400).json({
+        success: false,
+        error: invalidCertificationMessage(),
+      });
+    }
+    const blueprint = getExamBlueprint(cert.code);
+
+    let seed = generateSeed();
+    if (req.body.seed !== undefined) {
+      seed = parseInt(req.body.seed, 10);
+      if (isNaN(seed) || seed < 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'seed must be a non-negative integer',
+        });
+      }
+    }
+
+    const client = await getDbClient();
+    const { weights, source } = await loadDomainWeights(client, cert.code);
+    const bank = await client.query(`SELECT id, domain FROM ${cert.question_table} WHERE ${NOT_DELETED}`);
+
+    if (bank.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No questions available for this certification',
+      });
+    }
+
+    const exam = assembleExam(bank.rows, weights, blueprint.question_count, seed);
+    const examBlueprint = {
+      ...blueprint,
+      weights,
+      weights_source: source,
+      allocation: exam.allocation,
+      shortfall: exam.shortfall,
+    };
+
+    const result = await client.query(
+      `INSERT INTO prepper.practice_sessions (
+        user_id, certification_type, seed, question_ids, mode,
+        time_limit_minutes, expires_at, blueprint
+      ) VALUES ($1, $2, $3, $4, 'exam', $5, NOW() + ($5 * INTERVAL '1 minute'), $6)
+      RETURNING *`,
+      [req.user.id, cert.code, seed, exam.question_ids, blueprint.time_limit_minutes, JSON.stringify(examBlueprint)]
+    );
+    const session = result.rows[0];
+    const questions = await fetchQuestionsByIds(client, cert.code, exam.question_ids);
+
+    if (Object.keys(exam.shortfall).length > 0) {
+      _logger.warn('Mock exam domains under-filled, topped up from other domains', {
+        exam_id: session.id,
+        certification_type: cert.code,
+        shortfall: exam.shortfall,
+      });
+    }
+
+    _logger.info('Mock exam created', {
+      exam_id: session.id,
+      user_id: req.user.id,
+      certification_type: cert.code,
+      seed,
+      question_count: exam.question_ids.length,
+      weights_source: source,
+    });
+
+    res.status(201).json({
+      success: true,
+      exam: summarizeExam(session, 0),
+      blueprint: {
+        allocation: exam.allocation,
+        shortfall: exam.shortfall,
+        weights,
+        weights_source: source,
+        passing_score: blueprint.passing_score,
+        score_range: { min: blueprint.score_min, max: blueprint.score_max },
+      },
+      questions: questions.map((q) => toStudentQuestion(q, cert.code)),
+    });
+  } catch (error) {
+    _logger.error('Failed to create mock exam', {
+      error: error.message,
+      stack: error.stack,
+      user_id: req.user?.id,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create mock exam',
+      details: error.message,
+    });
+  }
+});
+
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const client = await getDbClient();
+    const result = await client.query(
+      `SELECT * FROM prepper.practice_sessions
+       WHERE user_id = $1 AND mode = 'exam'
+       ORDER BY started_at DESC`,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      exams: result.rows.map((exam) => ({
+        ...summarizeExam(exam, exam.score_report?.answered ?? null),
+        scaled_score: exam.score_report?.scaled_score ?? null,
+        passed: exam.score_report?.passed ?? null,
+      })),
+    });
+  } catch (error) {
+    _logger.error('Failed to list mock exams', {
+      error: error.message,
+      user_id: req.user?.id,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list mock exams',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /exams/{examId}:
+ *   get:
+ *     summary: Get a mock exam
+ *     description: While active, returns questions without answers plus saved selections and remaining time. Once submitted (or timed out), returns the score report and a per-question review.
+ *     tags: [Exams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: examId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Exam retrieved
+ *       404:
+ *         description: Exam not found
+ */
+router.get('/:examId', authenticateToken, async (req, res) => {
+  try {
+    const client = await getDbClient();
+    let exam = await getOwnedExam(client, req.params.examId, req.user.id);
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        error: 'Exam not found',
+      });
+    }
+
+    if (exam.status === 'active' && isExpired(exam)) {
+      exam = await finalizeExam(client, exam);
+    }
+
+    const questions = await fetchExamQuestions(client, exam);
+    const attemptsByQuestion = await getAttemptsByQuestion(client, exam.id);
+
+    if (exam.status === 'active') {
+      return res.json({
+        success: true,
+        exam: summarizeExam(exam, attemptsByQuestion.size),
+        questions: questions.map((q) => ({
+          ...toStudentQuestion(q, exam.certification_type),
+          selected_answers: attemptsByQuestion.get(q.id)?.selected_answers || null,
+        })),
+      });
+    }
+
+    res.json({
+      success: true,
+      exam: summarizeExam(exam, attemptsByQuestion.size),
+      report: exam.score_report,
+      review: questions.map((q) => {
+        const attempt = attemptsByQuestion.get(q.id);
+        return {
+          ...toStudentQuestion(q, exam.certification_type),
+          ...toAnswerFeedback(q, gradeAnswer(q, attempt ? attempt.selected_answers : [])),
+          answered: !!attempt,
+        };
+      }),
+    });
+  } catch (error) {
+    _logger.error('Failed to retrieve mock exam', {
+      error: error.message,
+      exam_id: req.params.examId,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve mock exam',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /exams/{examId}/answers:
+ *   put:
+ *     summary: Save answers for an active mock exam
+ *     description: Answers can be changed until the exam is submitted or the time limit passes. No feedback is returned until submission.
+ *     tags: [Exams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: examId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - answers
+ *             properties:
+ *               answers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     question_id:
+ *                       type: integer
+ *                     selected_answers:
+ *                       type: array
+ *                       items:
+ *                         oneOf:
+ *                           - type: string
+ *                           - type: integer
+ *                     time_spent_ms:
+ *                       type: integer
+ *     responses:
+ *       200:
+ *         description: Answers saved
+ *       400:
+ *         description: Invalid answers payload
+ *       404:
+ *         description: Exam not found
+ *       409:
+ *         description: Exam already submitted or time limit exceeded
+ */
+router.put('/:examId/answers', authenticateToken, async (req, res) => {
+  try {
+    const { answers } = req.body;
+    if (!Array.isArray(answers) || answers.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'answers must be a non-empty array',
+      });
+    }
+
+    const client = await getDbClient();
+    const exam = await getOwnedExam(client, req.params.examId, req.user.id);
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        error: 'Exam not found',
+      });
+    }
+
+    if (exam.status !== 'active') {
+      return res.status(409).json({
+        success: false,
+        error: 'Exam has already been submitted',
+      });
+    }
+
+    if (isExpired(exam)) {
+      const finalized = await finalizeExam(client, exam);
+      return res.status(409).json({
+        success: false,
+        error: 'Exam time limit exceeded',
+        message: 'The exam was submitted automatically with the answers saved before the time limit.',
+        report: finalized.score_report,
+      });
+    }
+
+    const invalid = answers.filter((a) => !exam.question_ids.includes(parseInt(a?.question_id, 10)));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Some answers reference questions that are not part of this exam',
+        question_ids: invalid.map((a) => a?.question_id),
+      });
+    }
+
+    const questionIds = answers.map((a) => parseInt(a.question_id, 10));
+    const questions = await fetchExamQuestions(client, exam, questionIds);
+    const questionsById = new Map(questions.map((q) => [q.id, q]));
+
+    let saved = 0;
+    for (const answer of answers) {
+      const questionId = parseInt(answer.question_id, 10);
+      const question = questionsById.get(questionId);
+      if (!question) {
+        continue;
+      }
+
+      const selected = answer.selected_answers ?? answer.selected_answer ?? [];
+      const grade = gradeAnswer(question, selected);
+      if (grade.selected_answers.length === 0) {
+        // Clearing an answer
+        await client.query(
+          'DELETE FROM prepper.question_attempts WHERE session_id = $1 AND question_id = $2',
+          [exam.id, questionId]
+        );
+        continue;
+      }
+
+      const timeSpent = Number.isInteger(answer.time_spent_ms) && answer.time_spent_ms >= 0 ? answer.time_spent_ms : null;
+      await client.query(
+        `INSERT INTO prepper.question_attempts (
+          session_id, user_id, certification_type, question_id, domain,
+          cognitive_level, skill_level, selected_answers, is_correct, time_spent_ms
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        ON CONFLICT (session_id, question_id) DO UPDATE SET
+          selected_answers = EXCLUDED.selected_answers,
+          is_correct = EXCLUDED.is_correct,
+          time_spent_ms = COALESCE(prepper.question_attempts.time_spent_ms, 0) + COALESCE(EXCLUDED.time_spent_ms, 0),
+          answered_at = NOW()`,
+        [
+          exam.id,
+          req.user.id,
+          exam.certification_type,
+          questionId,
+          question.domain || null,
+          question.cognitive_level || null,
+          question.skill_level || null,
+          grade.selected_answers,
+          grade.is_correct,
+          timeSpent,
+        ]
+      );
+      saved++;
+    }
+
+    const attemptsByQuestion = await getAttemptsByQuestion(client, exam.id);
+
+    res.json({
+      success: true,
+      saved,
+      exam: summarizeExam(exam, attemptsByQuestion.size),
+    });
+  } catch (error) {
+    _logger.error('Failed to save mock exam answers', {
+      error: error.message,
+      stack: error.stack,
+      exam_id: req.params.examId,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save answers',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /exams/{examId}/submit:
+ *   post:
+ *     summary: Submit a mock exam for scoring
+ *     description: Grades saved answers and returns a scaled score report broken down by domain.
+ *     tags: [Exams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: examId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Exam scored
+ *       404:
+ *         description: Exam not found
+ */
+router.post('/:examId/submit', authenticateToken, async (req, res) => {
+  try {
+    const client = await getDbClient();
+    let exam = await getOwnedExam(client, req.params.examId, req.user.id);
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        error: 'Exam not found',
+      });
+    }
+
+    if (exam.status === 'active') {
+      exam = await finalizeExam(client, exam);
+    }
+
+    const attemptsByQuestion = await getAttemptsByQuestion(client, exam.id);
+
+    res.json({
+      success: true,
+      exam: summarizeExam(exam, attemptsByQuestion.size),
+      report: exam.score_report,
+    });
+  } catch (error) {
+    _logger.error('Failed to submit mock exam', {
+      error: error.message,
+      stack: error.stack,
+      exam_id: req.params.examId,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to submit exam',
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,472 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { connectLocalPostgres, withTransaction } = require('../documentdb/client');
+const logger = require('../logs/prepperLog');
+const { getCertification, invalidCertificationMessage } = require('../utils/certifications');
+const { recordRevision } = require('../utils/questionRevisions');
+const { NOT_DELETED } = require('../utils/questionBank');
+const {
+  ITEM_STATS_MIN_ATTEMPTS,
+  ITEM_FLAGS,
+  DIFFICULTY_BANDS,
+  computeItemStatistics,
+} = require('../utils/itemAnalysis');
+
+const router = express.Router();
+const _logger = logger();
+
+const SORT_FIELDS = ['attempts', 'p_value', 'discrimination', 'question_id'];
+const SOURCES = ['generated', 'manual'];
+const MAX_PAGE_SIZE = 200;
+
+const itemAnalysisLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100,
+});
+
+router.use(itemAnalysisLimiter);
+router.use(authenticateToken, requireAdmin);
+
+let dbClient = null;
+
+async function getDbClient() {
+  if (!dbClient || dbClient._ending) {
+    dbClient = await connectLocalPostgres();
+    return dbClient;
+  }
+
+  try {
+    await dbClient.query('SELECT 1');
+  } catch (error) {
+    _logger.warn('Database connection test failed, reconnecting', {
+      error: error.message,
+    });
+    dbClient = null;
+    dbClient = await connectLocalPostgres();
+  }
+
+  return dbClient;
+}
+
+function parseMinAttempts(value) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : ITEM_STATS_MIN_ATTEMPTS;
+}
+
+/**
+ * Item statistics for a certification, tagged with the generation batch each question was approved from
+ */
+async function loadItemStatistics(client, cert, minAttempts) {
+  const questions = await client.query(`SELECT * FROM ${cert.question_table} WHERE ${NOT_DELETED} ORDER BY id`);
+  const attempts = await client.query(
+    `SELECT DISTINCT ON (user_id, question_id) user_id, question_id, is_correct, selected_answers
+     FROM prepper.question_attempts
+     WHERE certification_type = $1
+     ORDER BY user_id, question_id, answered_at ASC`,
+    [cert.code]
+  );
+  const drafts = await client.query(
+    `SELECT approved_question_id, batch_id FROM prepper.question_drafts
+     WHERE certification_type = $1 AND status = 'approved' AND approved_question_id IS NOT NULL`,
+    [cert.code]
+  );
+
+  const batchByQuestion = new Map(drafts.rows.map((row) => [row.approved_question_id, row.batch_id]));
+  return computeItemStatistics(questions.rows, attempts.rows, { minAttempts }).map((item) => ({
+    ...item,
+    batch_id: batchByQuestion.get(item.question_id) || null,
+  }));
+}
+
+/**
+ * Aggregate reliable items per generation batch so batches can be compared with each other and with hand-written questions
+ */
+function summarizeByBatch(items) {
+  const groups = new Map();
+  items.forEach((item) => {
+    const key = item.batch_id || null;
+    const group = groups.get(key) || { batch_id: key, items: 0, reliable: 0, flagged: 0, p_values: [], discriminations: [] };
+    group.items++;
+    if (item.reliable) {
+      group.reliable++;
+      group.p_values.push(item.p_value);
+      if (item.discrimination !== null) {
+        group.discriminations.push(item.discrimination);
+      }
+    }
+    if (item.flags.length > 0) {
+      group.flagged++;
+    }
+    groups.set(key, group);
+  });
+
+  const mean = (values) => (values.length > 0 ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 1000) / 1000 : null);
+  return [...groups.values()].map((group) => ({
+    batch_id: group.batch_id,
+    source: group.batch_id ? 'generated' : 'manual',
+    items: group.items,
+    reliable: group.reliable,
+    flagged: group.flagged,
+    mean_p_value: mean(group.p_values),
+    mean_discrimination: mean(group.discriminations),
+  }));
+}
+
+/**
+ * @swagger
+ * /item-analysis:
+ *   get:
+ *     summary: Classical item statistics for a certification's questions (admin only)
+ *     description: |
+ *       Computed from each learner's first attempt at each question. p_value is the proportion correct;
+ *       discrimination is the point-biserial correlation between the item and the learner's score on their other items.
+ *       Every option reports its selection rate and its own discrimination (negative is good for a distractor).
+ *       Items with fewer than min_attempts responses are reported but never flagged.
+ *     tags: [Item Analysis]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: certification_type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: CV0-004
+ *       - in: query
+ *         name: flag
+ *         schema:
+ *           type: string
+ *           enum: [too_easy, too_hard, low_discrimination, negative_discrimination, dead_distractor, attractive_distractor]
+ *         description: Only return items with this flag, e.g. too_easy for questions everyone gets right
+ *       - in: query
+ *         name: domain
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [generated, manual]
+ *         description: generated = approved from a /generateBatch batch via the review queue
+ *       - in: query
+ *         name: batch_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: min_attempts
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [attempts, p_value, discrimination, question_id]
+ *           default: attempts
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Item statistics with a per-batch summary
+ *       400:
+ *         description: Invalid certification_type or filter
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/', async (req, res) => {
+  try {
+    const cert = getCertification(req.query.certification_type);
+    if (!cert) {
+      return res.status(400).json({
+        success: false,
+        error: invalidCertificationMessage(),
+      });
+    }
+
+    const { flag, domain, source, batch_id } = req.query;
+    const sort = req.query.sort || 'attempts';
+    const order = req.query.order === 'asc' ? 'asc' : 'desc';
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const minAttempts = parseMinAttempts(req.query.min_attempts);
+
+    if (flag && !ITEM_FLAGS[flag]) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid flag. Must be one of: ${Object.keys(ITEM_FLAGS).join(', ')}`,
+      });
+    }
+    if (source && !SOURCES.includes(source)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid source. Must be one of: ${SOURCES.join(', ')}`,
+      });
+    }
+    if (!SORT_FIELDS.includes(sort)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid sort. Must be one of: ${SORT_FIELDS.join(', ')}`,
+      });
+    }
+
+    const client = await getDbClient();
+    const items = await loadItemStatistics(client, cert, minAttempts);
+
+    const filtered = items.filter((item) =>
+      (!flag || item.flags.includes(flag)) &&
+      (!domain || item.domain === domain) &&
+      (!batch_id || item.batch_id === batch_id) &&
+      (!source || (source === 'generated') === Boolean(item.batch_id))
+    );
+
+    // Items without a value for the sort field always sort last
+    const direction = order === 'asc' ? 1 : -1;
+    filtered.sort((a, b) => {
+      if (a[sort] === null || b[sort] === null) {
+        return (a[sort] === null) - (b[sort] === null);
+      }
+      return (a[sort] - b[sort]) * direction || a.question_id - b.question_id;
+    });
+
+    const flagCounts = Object.fromEntries(Object.keys(ITEM_FLAGS).map((name) => [name, items.filter((item) => item.flags.includes(name)).length]));
+
+    res.json({
+      success: true,
+      certification_type: cert.code,
+      min_attempts: minAttempts,
+      summary: {
+        items: items.length,
+        reliable: items.filter((item) => item.reliable).length,
+        flags: flagCounts,
+        by_batch: summarizeByBatch(items),
+      },
+      flag_definitions: ITEM_FLAGS,
+      total: filtered.length,
+      limit,
+      offset,
+      items: filtered.slice(offset, offset + limit),
+    });
+  } catch (error) {
+    _logger.error('Failed to compute item statistics', {
+      error: error.message,
+      stack: error.stack,
+      certification_type: req.query.certification_type,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compute item statistics',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /item-analysis/{questionId}:
+ *   get:
+ *     summary: Item statistics for a single question (admin only)
+ *     tags: [Item Analysis]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: certification_type
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: min_attempts
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *     responses:
+ *       200:
+ *         description: Item statistics
+ *       404:
+ *         description: Question not found
+ */
+router.get('/:questionId', async (req, res) => {
+  try {
+    const cert = getCertification(req.query.certification_type);
+    if (!cert) {
+      return res.status(400).json({
+        success: false,
+        error: invalidCertificationMessage(),
+      });
+    }
+
+    const questionId = parseInt(req.params.questionId, 10);
+    const client = await getDbClient();
+    const items = await loadItemStatistics(client, cert, parseMinAttempts(req.query.min_attempts));
+    const item = items.find((entry) => entry.question_id === questionId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      certification_type: cert.code,
+      flag_definitions: ITEM_FLAGS,
+      item,
+    });
+  } catch (error) {
+    _logger.error('Failed to compute item statistics', {
+      error: error.message,
+      stack: error.stack,
+      question_id: req.params.questionId,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compute item statistics',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /item-analysis/difficulty:
+ *   post:
+ *     summary: Write suggested difficulty back to the question bank (admin only)
+ *     description: Sets difficulty to easy (p >= 0.7), medium (p >= 0.3) or hard for every item with at least min_attempts responses whose difficulty differs.
+ *     tags: [Item Analysis]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [certification_type]
+ *             properties:
+ *               certification_type:
+ *                 type: string
+ *                 example: CV0-004
+ *               question_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Limit the update to these questions
+ *               min_attempts:
+ *                 type: integer
+ *                 default: 30
+ *               dry_run:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Difficulty changes (applied unless dry_run)
+ *       400:
+ *         description: Invalid request
+ */
+router.post('/difficulty', async (req, res) => {
+  const cert = getCertification(req.body.certification_type);
+  if (!cert) {
+    return res.status(400).json({
+      success: false,
+      error: invalidCertificationMessage(),
+    });
+  }
+
+  const { question_ids } = req.body;
+  if (question_ids !== undefined && (!Array.isArray(question_ids) || !question_ids.every(Number.isInteger))) {
+    return res.status(400).json({
+      success: false,
+      error: 'question_ids must be an array of integers',
+    });
+  }
+
+  const dryRun = req.body.dry_run === true;
+  const minAttempts = parseMinAttempts(req.body.min_attempts);
+
+  try {
+    const client = await getDbClient();
+    const items = await loadItemStatistics(client, cert, minAttempts);
+    const selected = question_ids ? new Set(question_ids) : null;
+    const changes = items
+      .filter((item) => item.suggested_difficulty && item.suggested_difficulty !== item.current_difficulty)
+      .filter((item) => !selected || selected.has(item.question_id))
+      .map((item) => ({
+        question_id: item.question_id,
+        attempts: item.attempts,
+        p_value: item.p_value,
+        from: item.current_difficulty,
+        to: item.suggested_difficulty,
+      }));
+
+    if (!dryRun && changes.length > 0) {
+      await withTransaction(async (transaction) => {
+        for (const change of changes) {
+          const updated = await transaction.query(
+            `UPDATE ${cert.question_table} SET difficulty = $1 WHERE id = $2 RETURNING *`,
+            [change.to, change.question_id]
+          );
+          await recordRevision(transaction, {
+            certificationType: cert.code,
+            questionId: change.question_id,
+            action: 'update',
+            before: { ...updated.rows[0], difficulty: change.from },
+            after: updated.rows[0],
+            userId: req.user.id,
+            source: 'item-analysis',
+            note: `p-value ${change.p_value} over ${change.attempts} attempts`,
+          });
+        }
+      });
+
+      _logger.info('Applied item difficulty', {
+        certification_type: cert.code,
+        updated: changes.length,
+        admin_id: req.user.id,
+      });
+    }
+
+    res.json({
+      success: true,
+      certification_type: cert.code,
+      dry_run: dryRun,
+      min_attempts: minAttempts,
+      bands: DIFFICULTY_BANDS,
+      updated: dryRun ? 0 : changes.length,
+      changes,
+    });
+  } catch (error) {
+    _logger.error('Failed to apply item difficulty', {
+      error: error.message,
+      stack: error.stack,
+      certification_type: cert.code,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to apply item difficulty',
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
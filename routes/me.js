@@ -0,0 +1,206 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { authenticateToken } = require('../middleware/auth');
+const { connectLocalPostgres } = require('../documentdb/client');
+const logger = require('../logs/prepperLog');
+const { getCertification, getExamBlueprint, invalidCertificationMessage } = require('../utils/certifications');
+const { loadDomainWeights } = require('../utils/domainWeights');
+const { buildAnalyticsReport, reportsToCsv } = require('../utils/analytics');
+
+const router = express.Router();
+const _logger = logger();
+
+const BUCKETS = ['day', 'week'];
+const FORMATS = ['json', 'csv'];
+const MAX_MOCK_EXAMS = 20;
+
+const meLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100,
+});
+
+router.use(meLimiter);
+
+let dbClient = null;
+
+async function getDbClient() {
+  if (!dbClient || dbClient._ending) {
+    dbClient = await connectLocalPostgres();
+    return dbClient;
+  }
+
+  try {
+    await dbClient.query('SELECT 1');
+  } catch (error) {
+    _logger.warn('Database connection test failed, reconnecting', {
+      error: error.message,
+    });
+    dbClient = null;
+    dbClient = await connectLocalPostgres();
+  }
+
+  return dbClient;
+}
+
+/**
+ * Analytics report for one user and certification
+ */
+async function loadAnalyticsReport(client, userId, cert, bucket) {
+  const { weights, source } = await loadDomainWeights(client, cert.code);
+  const attempts = await client.query(
+    `SELECT question_id, domain, cognitive_level, skill_level, is_correct, time_spent_ms, answered_at
+     FROM prepper.question_attempts
+     WHERE user_id = $1 AND certification_type = $2
+     ORDER BY answered_at ASC, id ASC`,
+    [userId, cert.code]
+  );
+  const exams = await client.query(
+    `SELECT id, completed_at, score_report FROM prepper.practice_sessions
+     WHERE user_id = $1 AND certification_type = $2 AND mode = 'exam' AND status = 'completed'
+     ORDER BY completed_at DESC
+     LIMIT $3`,
+    [userId, cert.code, MAX_MOCK_EXAMS]
+  );
+
+  return buildAnalyticsReport(attempts.rows, {
+    certification_type: cert.code,
+    weights,
+    weights_source: source,
+    blueprint: getExamBlueprint(cert.code),
+    bucket,
+    mockExams: exams.rows
+      .filter((exam) => exam.score_report)
+      .map((exam) => ({
+        id: exam.id,
+        completed_at: exam.completed_at,
+        total_questions: exam.score_report.total_questions,
+        correct: exam.score_report.correct,
+        percentage: exam.score_report.percentage,
+        scaled_score: exam.score_report.scaled_score,
+        passed: exam.score_report.passed,
+      })),
+  });
+}
+
+/**
+ * @swagger
+ * /me/analytics:
+ *   get:
+ *     summary: Get study analytics and exam readiness for the current user
+ *     description: |
+ *       Built from recorded practice and mock exam attempts. Includes accuracy over time, accuracy per domain
+ *       alongside the certification's domain weights, time per question, study and correct-answer streaks,
+ *       recent mock exam scores and a projected exam score with a readiness verdict
+ *       (ready, borderline, not_ready or insufficient_data). Without certification_type, a report is returned
+ *       for every certification the user has attempted.
+ *     tags: [Me]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: certification_type
+ *         schema:
+ *           type: string
+ *           example: CV0-004
+ *       - in: query
+ *         name: bucket
+ *         schema:
+ *           type: string
+ *           enum: [day, week]
+ *           default: day
+ *         description: Grouping for accuracy over time
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *         description: csv downloads the reports flattened to one row per metric
+ *     responses:
+ *       200:
+ *         description: Analytics reports
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid certification_type, bucket or format
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/analytics', authenticateToken, async (req, res) => {
+  try {
+    const bucket = req.query.bucket || 'day';
+    const format = (req.query.format || 'json').toLowerCase();
+
+    if (!BUCKETS.includes(bucket)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid bucket. Must be one of: ${BUCKETS.join(', ')}`,
+      });
+    }
+
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid format. Must be one of: ${FORMATS.join(', ')}`,
+      });
+    }
+
+    const client = await getDbClient();
+    let certifications;
+
+    if (req.query.certification_type) {
+      const cert = getCertification(req.query.certification_type);
+      if (!cert) {
+        return res.status(400).json({
+          success: false,
+          error: invalidCertificationMessage(),
+        });
+      }
+      certifications = [cert];
+    } else {
+      const attempted = await client.query(
+        `SELECT DISTINCT certification_type FROM prepper.question_attempts WHERE user_id = $1`,
+        [req.user.id]
+      );
+      certifications = attempted.rows
+        .map((row) => getCertification(row.certification_type))
+        .filter(Boolean)
+        .sort((a, b) => a.code.localeCompare(b.code));
+    }
+
+    const reports = [];
+    for (const cert of certifications) {
+      reports.push(await loadAnalyticsReport(client, req.user.id, cert, bucket));
+    }
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="analytics_${req.user.id}_${Date.now()}.csv"`);
+      return res.send(reportsToCsv(reports));
+    }
+
+    res.json({
+      success: true,
+      generated_at: new Date().toISOString(),
+      reports,
+    });
+  } catch (error) {
+    _logger.error('Failed to build analytics', {
+      error: error.message,
+      stack: error.stack,
+      user_id: req.user?.id,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build analytics',
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,841 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { authenticateToken } = require('../middleware/auth');
+const { connectLocalPostgres } = require('../documentdb/client');
+const logger = require('../logs/prepperLog');
+const { shuffleArray, generateSeed } = require('../utils/shuffle');
+const { getCertification, invalidCertificationMessage } = require('../utils/certifications');
+const {
+  NOT_DELETED,
+  fetchQuestionsByIds,
+  gradeAnswer,
+  toStudentQuestion,
+  toAnswerFeedback,
+} = require('../utils/questionBank');
+const { recordReview, gradeFromAttempt } = require('../utils/spacedRepetition');
+const { loadDomainWeights } = require('../utils/domainWeights');
+const { estimateMastery, targetSkillLevel, selectAdaptiveQuestion } = require('../utils/mastery');
+
+const router = express.Router();
+const _logger = logger();
+
+const DEFAULT_SESSION_QUESTIONS = 20;
+const MAX_SESSION_QUESTIONS = 200;
+const MAX_PAGE_SIZE = 50;
+const SELECTION_MODES = ['random', 'adaptive'];
+
+const practiceLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 600, // answering is chatty, one request per question
+});
+
+router.use(practiceLimiter);
+
+let dbClient = null;
+
+async function getDbClient() {
+  if (!dbClient || dbClient._ending) {
+    dbClient = await connectLocalPostgres();
+    return dbClient;
+  }
+
+  try {
+    await dbClient.query('SELECT 1');
+  } catch (error) {
+    _logger.warn('Database connection test failed, reconnecting', {
+      error: error.message,
+    });
+    dbClient = null;
+    dbClient = await connectLocalPostgres();
+  }
+
+  return dbClient;
+}
+
+/**
+ * Load a session, making sure it belongs to the requesting user
+ */
+async function getOwnedSession(client, sessionId, userId) {
+  const id = parseInt(sessionId, 10);
+  if (isNaN(id)) {
+    return null;
+  }
+  const result = await client.query(
+    "SELECT * FROM prepper.practice_sessions WHERE id = $1 AND user_id = $2 AND mode = 'practice'",
+    [id, userId]
+  );
+  return result.rows[0] || null;
+}
+
+async function getSessionAttempts(client, sessionId) {
+  const result = await client.query(
+    'SELECT * FROM prepper.question_attempts WHERE session_id = $1 ORDER BY answered_at ASC',
+    [sessionId]
+  );
+  return result.rows;
+}
+
+/**
+ * Look up questions of a session. Questions trashed after the session started stay part of it, otherwise
+ * the session could never be completed.
+ */
+function fetchSessionQuestions(client, session, ids) {
+  return fetchQuestionsByIds(client, session.certification_type, ids, { includeDeleted: true });
+}
+
+/**
+ * Adaptive sessions grow one question at a time, so their length is the requested target
+ */
+function getSessionLength(session) {
+  return session.target_count || session.question_ids.length;
+}
+
+function summarizeSession(session, attempts) {
+  const total = getSessionLength(session);
+  const answered = attempts.length;
+  const correct = attempts.filter((a) => a.is_correct).length;
+
+  return {
+    id: session.id,
+    certification_type: session.certification_type,
+    domain_name: session.domain_name,
+    selection: session.selection || 'random',
+    seed: session.seed,
+    status: session.status,
+    started_at: session.started_at,
+    completed_at: session.completed_at,
+    progress: {
+      total,
+      answered,
+      correct,
+      remaining: total - answered,
+      accuracy: answered > 0 ? Math.round((correct / answered) * 10000) / 100 : null,
+    },
+  };
+}
+
+/**
+ * Mastery estimate for a user across every graded practice and exam attempt for a certification
+ */
+async function loadMastery(client, userId, certificationType) {
+  const { weights } = await loadDomainWeights(client, certificationType);
+  const result = await client.query(
+    `SELECT question_id, domain, cognitive_level, skill_level, is_correct, answered_at
+     FROM prepper.question_attempts
+     WHERE user_id = $1 AND certification_type = $2`,
+    [userId, certificationType]
+  );
+
+  return {
+    weights,
+    attempts: result.rows,
+    estimate: estimateMastery(result.rows, { domains: Object.keys(weights) }),
+  };
+}
+
+/**
+ * Choose the next adaptive question and append it to the session
+ * @returns {Promise<{session: object, selection: object|null}>} selection is null when the bank is exhausted
+ */
+async function serveAdaptiveQuestion(client, session, mastery) {
+  const cert = getCertification(session.certification_type);
+  const values = [];
+  let query = `SELECT id, domain, cognitive_level, skill_level FROM ${cert.question_table} WHERE ${NOT_DELETED}`;
+  if (session.domain_name) {
+    query += ' AND domain = $1';
+    values.push(session.domain_name);
+  }
+
+  const bank = await client.query(query, values);
+  const served = new Set(session.question_ids);
+  const candidates = bank.rows.filter((row) => !served.has(row.id));
+  const selection = selectAdaptiveQuestion(candidates, mastery.estimate, {
+    domainWeights: mastery.weights,
+    seenIds: new Set(mastery.attempts.map((a) => a.question_id)),
+    seed: session.seed + session.question_ids.length,
+  });
+
+  if (!selection) {
+    return { session, selection: null };
+  }
+
+  const result = await client.query(
+    `UPDATE prepper.practice_sessions
+     SET question_ids = array_append(question_ids, $2), updated_at = NOW()
+     WHERE id = $1 AND NOT ($2 = ANY(question_ids))
+     RETURNING *`,
+    [session.id, selection.question_id]
+  );
+
+  return { session: result.rows[0] || session, selection };
+}
+
+async function completeSession(client, sessionId) {
+  const result = await client.query(
+    `UPDATE prepper.practice_sessions
+     SET status = 'completed', completed_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status = 'active'
+     RETURNING *`,
+    [sessionId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * @swagger
+ * /practice/sessions:
+ *   post:
+ *     summary: Start a practice session
+ *     description: Picks a shuffled set of questions for a certification. Questions are served without answer keys; answers are graded server-side.
+ *     tags: [Practice]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - certification_type
+ *             properties:
+ *               certification_type:
+ *                 type: string
+ *                 example: CV0-004
+ *               domain_name:
+ *                 type: string
+ *                 description: Optional - restrict the session to one domain
+ *               question_count:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 200
+ *                 default: 20
+ *               selection:
+ *                 type: string
+ *                 enum: [random, adaptive]
+ *                 default: random
+ *                 description: adaptive picks each question from /next based on the learner's weakest domain and mastery
+ *     responses:
+ *       201:
+ *         description: Session created
+ *       400:
+ *         description: Invalid parameters or no questions available
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ *   get:
+ *     summary: List the current user's practice sessions
+ *     tags: [Practice]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, completed, abandoned]
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved
+ */
+router.post('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const { certification_type, domain_name, question_count = DEFAULT_SESSION_QUESTIONS, selection = 'random' } = req.body;
+
+    if (!certification_type) {
+      return res.status(400).json({
+        success: false,
+        error: 'certification_type is required',
+      });
+    }
+
+    const cert = getCertification(certification_type);
+    if (!cert) {
+      return res.status(400).json({
+        success: false,
+        error: invalidCertificationMessage(),
+      });
+    }
+
+    if (!SELECTION_MODES.includes(selection)) {
+      return res.status(400).json({
+        success: false,
+        error: `selection must be one of: ${SELECTION_MODES.join(', ')}`,
+      });
+    }
+
+    const count = parseInt(question_count, 10);
+    if (isNaN(count) || count < 1 || count > MAX_SESSION_QUESTIONS) {
+      return res.status(400).json({
+        success: false,
+        error: `question_count must be between 1 and ${MAX_SESSION_QUESTIONS}`,
+      });
+    }
+
+    const client = await getDbClient();
+
+    const values = [];
+    let query = `SELECT id FROM ${cert.question_table} WHERE ${NOT_DELETED}`;
+    if (domain_name) {
+      query += ' AND domain = $1';
+      values.push(domain_name);
+    }
+    query += ' ORDER BY id ASC';
+
+    const available = await client.query(query, values);
+    if (available.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No questions available for the requested certification/domain',
+      });
+    }
+
+    const seed = generateSeed();
+    // Adaptive sessions pick each question when it is requested from /next
+    const adaptive = selection === 'adaptive';
+    const questionIds = adaptive ? [] : shuffleArray(available.rows.map((row) => row.id), seed).slice(0, count);
+    const targetCount = adaptive ? Math.min(count, available.rows.length) : null;
+
+    const result = await client.query(
+      `INSERT INTO prepper.practice_sessions (user_id, certification_type, domain_name, seed, question_ids, selection, target_count)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [req.user.id, cert.code, domain_name || null, seed, questionIds, selection, targetCount]
+    );
+    const session = result.rows[0];
+
+    _logger.info('Practice session started', {
+      session_id: session.id,
+      user_id: req.user.id,
+      certification_type: cert.code,
+      domain_name,
+      selection,
+      question_count: adaptive ? targetCount : questionIds.length,
+      seed,
+    });
+
+    res.status(201).json({
+      success: true,
+      session: summarizeSession(session, []),
+    });
+  } catch (error) {
+    _logger.error('Failed to start practice session', {
+      error: error.message,
+      stack: error.stack,
+      user_id: req.user?.id,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start practice session',
+      details: error.message,
+    });
+  }
+});
+
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const client = await getDbClient();
+    const values = [req.user.id];
+    let query = `
+      SELECT s.*,
+             COUNT(a.id)::int AS answered,
+             COUNT(a.id) FILTER (WHERE a.is_correct)::int AS correct
+      FROM prepper.practice_sessions s
+      LEFT JOIN prepper.question_attempts a ON a.session_id = s.id
+      WHERE s.user_id = $1 AND s.mode = 'practice'
+    `;
+    if (req.query.status) {
+      values.push(req.query.status);
+      query += ` AND s.status = $${values.length}`;
+    }
+    query += ' GROUP BY s.id ORDER BY s.started_at DESC';
+
+    const result = await client.query(query, values);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      sessions: result.rows.map((row) => ({
+        id: row.id,
+        certification_type: row.certification_type,
+        domain_name: row.domain_name,
+        selection: row.selection || 'random',
+        status: row.status,
+        started_at: row.started_at,
+        completed_at: row.completed_at,
+        total: getSessionLength(row),
+        answered: row.answered,
+        correct: row.correct,
+      })),
+    });
+  } catch (error) {
+    _logger.error('Failed to list practice sessions', {
+      error: error.message,
+      user_id: req.user?.id,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list practice sessions',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /practice/sessions/{sessionId}:
+ *   get:
+ *     summary: Get a practice session with progress and answer history
+ *     tags: [Practice]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Session retrieved
+ *       404:
+ *         description: Session not found
+ */
+router.get('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const client = await getDbClient();
+    const session = await getOwnedSession(client, req.params.sessionId, req.user.id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found',
+      });
+    }
+
+    const attempts = await getSessionAttempts(client, session.id);
+
+    res.json({
+      success: true,
+      session: summarizeSession(session, attempts),
+      attempts: attempts.map((a) => ({
+        question_id: a.question_id,
+        selected_answers: a.selected_answers,
+        is_correct: a.is_correct,
+        time_spent_ms: a.time_spent_ms,
+        answered_at: a.answered_at,
+      })),
+    });
+  } catch (error) {
+    _logger.error('Failed to retrieve practice session', {
+      error: error.message,
+      session_id: req.params.sessionId,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve practice session',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /practice/sessions/{sessionId}/questions:
+ *   get:
+ *     summary: Get a page of session questions (without answers)
+ *     tags: [Practice]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Questions retrieved
+ *       404:
+ *         description: Session not found
+ */
+router.get('/sessions/:sessionId/questions', authenticateToken, async (req, res) => {
+  try {
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), MAX_PAGE_SIZE);
+
+    const client = await getDbClient();
+    const session = await getOwnedSession(client, req.params.sessionId, req.user.id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found',
+      });
+    }
+
+    const pageIds = session.question_ids.slice(offset, offset + limit);
+    const questions = await fetchSessionQuestions(client, session, pageIds);
+    const attempts = await getSessionAttempts(client, session.id);
+    const answeredIds = new Set(attempts.map((a) => a.question_id));
+
+    res.json({
+      success: true,
+      session_id: session.id,
+      offset,
+      limit,
+      total: session.question_ids.length,
+      questions: questions.map((q) => ({
+        ...toStudentQuestion(q, session.certification_type),
+        answered: answeredIds.has(q.id),
+      })),
+    });
+  } catch (error) {
+    _logger.error('Failed to retrieve session questions', {
+      error: error.message,
+      session_id: req.params.sessionId,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve session questions',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /practice/sessions/{sessionId}/next:
+ *   get:
+ *     summary: Get the next unanswered question in the session
+ *     description: For adaptive sessions the response also contains an adaptive object with the learner's mastery estimate per domain, cognitive_level and skill_level, and why the question was selected.
+ *     tags: [Practice]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Next question, or question null when every question has been answered
+ *       404:
+ *         description: Session not found
+ */
+router.get('/sessions/:sessionId/next', authenticateToken, async (req, res) => {
+  try {
+    const client = await getDbClient();
+    const session = await getOwnedSession(client, req.params.sessionId, req.user.id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found',
+      });
+    }
+
+    const attempts = await getSessionAttempts(client, session.id);
+    const answeredIds = new Set(attempts.map((a) => a.question_id));
+    let currentSession = session;
+    let position = session.question_ids.findIndex((id) => !answeredIds.has(id));
+    let adaptive = null;
+
+    if (session.selection === 'adaptive') {
+      const mastery = await loadMastery(client, req.user.id, session.certification_type);
+      adaptive = { mastery: mastery.estimate, selected: null };
+
+      // Serve a new question only once the previous one has been answered
+      if (position === -1 && session.status === 'active' && session.question_ids.length < getSessionLength(session)) {
+        const served = await serveAdaptiveQuestion(client, session, mastery);
+        currentSession = served.session;
+        adaptive.selected = served.selection;
+        position = served.selection ? currentSession.question_ids.indexOf(served.selection.question_id) : -1;
+      }
+    }
+
+    if (position === -1) {
+      return res.json({
+        success: true,
+        session: summarizeSession(currentSession, attempts),
+        question: null,
+        message: 'All questions in this session have been answered',
+        ...(adaptive ? { adaptive } : {}),
+      });
+    }
+
+    const [question] = await fetchSessionQuestions(client, session, [currentSession.question_ids[position]]);
+
+    if (adaptive && !adaptive.selected && question) {
+      // Re-serving a question picked earlier: explain it against the current estimate
+      const domainMastery = adaptive.mastery.domains[question.domain]?.mastery ?? 0.5;
+      adaptive.selected = {
+        question_id: question.id,
+        domain: question.domain,
+        domain_mastery: domainMastery,
+        target_skill_level: targetSkillLevel(domainMastery),
+        skill_level: question.skill_level || null,
+        cognitive_level: question.cognitive_level || null,
+        reason: 'Selected earlier in this session and not answered yet',
+      };
+    }
+
+    res.json({
+      success: true,
+      session: summarizeSession(currentSession, attempts),
+      position,
+      question: question ? toStudentQuestion(question, session.certification_type) : null,
+      ...(adaptive ? { adaptive } : {}),
+    });
+  } catch (error) {
+    _logger.error('Failed to retrieve next question', {
+      error: error.message,
+      session_id: req.params.sessionId,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve next question',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /practice/sessions/{sessionId}/answers:
+ *   post:
+ *     summary: Submit an answer for a session question
+ *     description: Grades the answer against correct_answer / correct_answers, records the attempt and returns the explanation.
+ *     tags: [Practice]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - question_id
+ *               - selected_answers
+ *             properties:
+ *               question_id:
+ *                 type: integer
+ *               selected_answers:
+ *                 type: array
+ *                 description: Option text or 0-based option index; a single value is also accepted
+ *                 items:
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: integer
+ *               time_spent_ms:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Answer graded and recorded
+ *       400:
+ *         description: Question is not part of the session or no answer supplied
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: Question already answered or session no longer active
+ */
+router.post('/sessions/:sessionId/answers', authenticateToken, async (req, res) => {
+  try {
+    const { question_id, time_spent_ms } = req.body;
+    const selected = req.body.selected_answers ?? req.body.selected_answer;
+    const questionId = parseInt(question_id, 10);
+
+    if (isNaN(questionId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'question_id is required',
+      });
+    }
+
+    if (selected === undefined || selected === null || (Array.isArray(selected) && selected.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'selected_answers is required',
+      });
+    }
+
+    const client = await getDbClient();
+    const session = await getOwnedSession(client, req.params.sessionId, req.user.id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found',
+      });
+    }
+
+    if (session.status !== 'active') {
+      return res.status(409).json({
+        success: false,
+        error: `Session is ${session.status}`,
+      });
+    }
+
+    if (!session.question_ids.includes(questionId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Question is not part of this session',
+      });
+    }
+
+    const [question] = await fetchSessionQuestions(client, session, [questionId]);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found',
+      });
+    }
+
+    const grade = gradeAnswer(question, selected);
+    const timeSpent = Number.isInteger(time_spent_ms) && time_spent_ms >= 0 ? time_spent_ms : null;
+
+    const inserted = await client.query(
+      `INSERT INTO prepper.question_attempts (
+        session_id, user_id, certification_type, question_id, domain,
+        cognitive_level, skill_level, selected_answers, is_correct, time_spent_ms
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (session_id, question_id) DO NOTHING
+      RETURNING *`,
+      [
+        session.id,
+        req.user.id,
+        session.certification_type,
+        questionId,
+        question.domain || null,
+        question.cognitive_level || null,
+        question.skill_level || null,
+        grade.selected_answers,
+        grade.is_correct,
+        timeSpent,
+      ]
+    );
+
+    if (inserted.rows.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Question already answered in this session',
+      });
+    }
+
+    // Feed the spaced-repetition scheduler; the attempt itself is already saved
+    try {
+      await recordReview(client, {
+        user_id: req.user.id,
+        certification_type: session.certification_type,
+        question_id: questionId,
+        domain: question.domain,
+      }, gradeFromAttempt(grade.is_correct));
+    } catch (reviewError) {
+      _logger.warn('Failed to update review card from practice answer', {
+        session_id: session.id,
+        question_id: questionId,
+        error: reviewError.message,
+      });
+    }
+
+    const attempts = await getSessionAttempts(client, session.id);
+    let currentSession = session;
+    if (attempts.length >= getSessionLength(session)) {
+      currentSession = (await completeSession(client, session.id)) || session;
+    }
+
+    _logger.info('Practice answer recorded', {
+      session_id: session.id,
+      user_id: req.user.id,
+      question_id: questionId,
+      is_correct: grade.is_correct,
+    });
+
+    res.status(201).json({
+      success: true,
+      question_id: questionId,
+      ...toAnswerFeedback(question, grade),
+      session: summarizeSession(currentSession, attempts),
+    });
+  } catch (error) {
+    _logger.error('Failed to record practice answer', {
+      error: error.message,
+      stack: error.stack,
+      session_id: req.params.sessionId,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record answer',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /practice/sessions/{sessionId}/complete:
+ *   post:
+ *     summary: Finish a practice session early
+ *     tags: [Practice]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Session completed
+ *       404:
+ *         description: Session not found
+ */
+router.post('/sessions/:sessionId/complete', authenticateToken, async (req, res) => {
+  try {
+    const client = await getDbClient();
+    const session = await getOwnedSession(client, req.params.sessionId, req.user.id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found',
+      });
+    }
+
+    const completed = (await completeSession(client, session.id)) || session;
+    const attempts = await getSessionAttempts(client, session.id);
+
+    res.json({
+      success: true,
+      session: summarizeSession(completed, attempts),
+    });
+  } catch (error) {
+    _logger.error('Failed to complete practice session', {
+      error: error.message,
+      session_id: req.params.sessionId,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to complete practice session',
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
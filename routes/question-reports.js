@@ -0,0 +1,550 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { connectLocalPostgres } = require('../documentdb/client');
+const logger = require('../logs/prepperLog');
+const { getCertification, invalidCertificationMessage } = require('../utils/certifications');
+const { fetchQuestionsByIds } = require('../utils/questionBank');
+const {
+  REPORT_REASONS,
+  REPORT_STATUSES,
+  closeReports,
+  notifyReporters,
+  sendReportOutcome,
+} = require('../utils/questionReports');
+const { registerJobHandler } = require('../jobs/worker');
+
+const router = express.Router();
+const _logger = logger();
+
+const ACTION_STATUSES = { resolve: 'resolved', dismiss: 'dismissed' };
+const MAX_PAGE_SIZE = 200;
+
+const questionReportsLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 300,
+});
+
+router.use(questionReportsLimiter);
+router.use(authenticateToken, requireAdmin);
+
+let dbClient = null;
+
+async function getDbClient() {
+  if (!dbClient || dbClient._ending) {
+    dbClient = await connectLocalPostgres();
+    return dbClient;
+  }
+
+  try {
+    await dbClient.query('SELECT 1');
+  } catch (error) {
+    _logger.warn('Database connection test failed, reconnecting', {
+      error: error.message,
+    });
+    dbClient = null;
+    dbClient = await connectLocalPostgres();
+  }
+
+  return dbClient;
+}
+
+/**
+ * Where to go to fix a reported question
+ */
+function editLink(certificationType, questionId) {
+  return {
+    method: 'PUT',
+    path: `/api/updateQuestion/${questionId}`,
+    body: { certification: certificationType },
+  };
+}
+
+/**
+ * Shared filters for the report list and the per-question grouping
+ * @returns {{where: string, params: any[]}|{error: string}}
+ */
+function buildReportFilters(query, { defaultStatus, alias } = {}) {
+  const column = (name) => (alias ? `${alias}.${name}` : name);
+  const status = query.status || defaultStatus;
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    if (!REPORT_STATUSES.includes(status)) {
+      return { error: `Invalid status. Must be one of: ${REPORT_STATUSES.join(', ')}` };
+    }
+    params.push(status);
+    conditions.push(`${column('status')} = $${params.length}`);
+  }
+  if (query.reason) {
+    if (!REPORT_REASONS[query.reason]) {
+      return { error: `Invalid reason. Must be one of: ${Object.keys(REPORT_REASONS).join(', ')}` };
+    }
+    params.push(query.reason);
+    conditions.push(`${column('reason')} = $${params.length}`);
+  }
+  if (query.certification_type) {
+    const cert = getCertification(query.certification_type);
+    if (!cert) {
+      return { error: invalidCertificationMessage() };
+    }
+    params.push(cert.code);
+    conditions.push(`${column('certification_type')} = $${params.length}`);
+  }
+  if (query.question_id) {
+    params.push(parseInt(query.question_id, 10) || 0);
+    conditions.push(`${column('question_id')} = $${params.length}`);
+  }
+
+  return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+/**
+ * Close reports and optionally email the reporters
+ */
+async function applyAction(client, reportIds, req) {
+  const status = ACTION_STATUSES[req.params.action];
+  const note = typeof req.body?.note === 'string' && req.body.note.trim() ? req.body.note.trim() : null;
+  const closed = await closeReports(client, reportIds, { status, note, adminId: req.user.id });
+  const notified = req.body?.notify_reporter === true ? await notifyReporters(client, closed) : 0;
+
+  _logger.info('Question reports closed', {
+    status,
+    closed: closed.length,
+    notified,
+    admin_id: req.user.id,
+  });
+
+  return { status, closed, notified };
+}
+
+/**
+ * @swagger
+ * /question-reports:
+ *   get:
+ *     summary: List learner reports (admin only)
+ *     tags: [Question Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, resolved, dismissed]
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           enum: [wrong_answer, ambiguous, outdated, typo, other]
+ *       - in: query
+ *         name: certification_type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: question_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Reports, newest first
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/', async (req, res) => {
+  try {
+    const filters = buildReportFilters(req.query, { alias: 'r' });
+    if (filters.error) {
+      return res.status(400).json({ success: false, error: filters.error });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const client = await getDbClient();
+
+    const count = await client.query(
+      `SELECT COUNT(*)::int AS total FROM prepper.question_reports r ${filters.where}`,
+      filters.params
+    );
+    const result = await client.query(
+      `SELECT r.*, u.username AS reporter_username
+       FROM prepper.question_reports r
+       LEFT JOIN prepper.users u ON u.id = r.user_id
+       ${filters.where}
+       ORDER BY r.created_at DESC
+       LIMIT $${filters.params.length + 1} OFFSET $${filters.params.length + 2}`,
+      [...filters.params, limit, offset]
+    );
+
+    res.json({
+      success: true,
+      total: count.rows[0].total,
+      limit,
+      offset,
+      reports: result.rows.map((report) => ({
+        ...report,
+        edit: editLink(report.certification_type, report.question_id),
+      })),
+    });
+  } catch (error) {
+    _logger.error('Failed to list question reports', {
+      error: error.message,
+      stack: error.stack,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list question reports',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /question-reports/questions:
+ *   get:
+ *     summary: Reports grouped by question, most reported first (admin only)
+ *     description: Defaults to open reports. Each group includes counts per reason, the question text and a link to updateQuestion.
+ *     tags: [Question Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, resolved, dismissed]
+ *           default: open
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: certification_type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Reported questions
+ */
+router.get('/questions', async (req, res) => {
+  try {
+    const filters = buildReportFilters(req.query, { defaultStatus: 'open' });
+    if (filters.error) {
+      return res.status(400).json({ success: false, error: filters.error });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+    const client = await getDbClient();
+    const result = await client.query(
+      `SELECT certification_type, question_id,
+              SUM(reason_count)::int AS reports,
+              jsonb_object_agg(reason, reason_count) AS reasons,
+              MIN(first_reported_at) AS first_reported_at,
+              MAX(last_reported_at) AS last_reported_at
+       FROM (
+         SELECT certification_type, question_id, reason, COUNT(*)::int AS reason_count,
+                MIN(created_at) AS first_reported_at, MAX(created_at) AS last_reported_at
+         FROM prepper.question_reports ${filters.where}
+         GROUP BY certification_type, question_id, reason
+       ) by_reason
+       GROUP BY certification_type, question_id
+       ORDER BY SUM(reason_count) DESC, MAX(last_reported_at) DESC
+       LIMIT $${filters.params.length + 1}`,
+      [...filters.params, limit]
+    );
+
+    const groups = result.rows;
+    const questionsByKey = new Map();
+    const idsByCertification = new Map();
+    groups.forEach((group) => {
+      const ids = idsByCertification.get(group.certification_type) || [];
+      ids.push(group.question_id);
+      idsByCertification.set(group.certification_type, ids);
+    });
+    for (const [certificationType, ids] of idsByCertification) {
+      const questions = await fetchQuestionsByIds(client, certificationType, ids, { includeDeleted: true });
+      questions.forEach((question) => questionsByKey.set(`${certificationType}:${question.id}`, question));
+    }
+
+    res.json({
+      success: true,
+      status: req.query.status || 'open',
+      questions: groups.map((group) => {
+        const question = questionsByKey.get(`${group.certification_type}:${group.question_id}`);
+        return {
+          ...group,
+          question_text: question ? question.question_text : null,
+          domain: question ? question.domain : null,
+          edit: editLink(group.certification_type, group.question_id),
+        };
+      }),
+    });
+  } catch (error) {
+    _logger.error('Failed to group question reports', {
+      error: error.message,
+      stack: error.stack,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to group question reports',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /question-reports/questions/{questionId}/{action}:
+ *   post:
+ *     summary: Resolve or dismiss every open report on a question (admin only)
+ *     tags: [Question Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: action
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [resolve, dismiss]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [certification_type]
+ *             properties:
+ *               certification_type:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *               notify_reporter:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Queue an email to each reporter with the outcome
+ *     responses:
+ *       200:
+ *         description: Reports closed
+ */
+router.post('/questions/:questionId/:action(resolve|dismiss)', async (req, res) => {
+  try {
+    const cert = getCertification(req.body.certification_type);
+    if (!cert) {
+      return res.status(400).json({
+        success: false,
+        error: invalidCertificationMessage(),
+      });
+    }
+
+    const client = await getDbClient();
+    const open = await client.query(
+      `SELECT id FROM prepper.question_reports
+       WHERE certification_type = $1 AND question_id = $2 AND status = 'open'`,
+      [cert.code, parseInt(req.params.questionId, 10) || 0]
+    );
+    const { status, closed, notified } = await applyAction(client, open.rows.map((row) => row.id), req);
+
+    res.json({
+      success: true,
+      status,
+      closed: closed.length,
+      notified,
+      reports: closed,
+    });
+  } catch (error) {
+    _logger.error('Failed to close question reports', {
+      error: error.message,
+      stack: error.stack,
+      question_id: req.params.questionId,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to close question reports',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /question-reports/{reportId}:
+ *   get:
+ *     summary: Get a report with the full question (admin only)
+ *     tags: [Question Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Report, question and other reports on the same question
+ *       404:
+ *         description: Report not found
+ */
+router.get('/:reportId', async (req, res) => {
+  try {
+    const client = await getDbClient();
+    const result = await client.query(
+      `SELECT r.*, u.username AS reporter_username
+       FROM prepper.question_reports r
+       LEFT JOIN prepper.users u ON u.id = r.user_id
+       WHERE r.id = $1`,
+      [parseInt(req.params.reportId, 10) || 0]
+    );
+    const report = result.rows[0];
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found',
+      });
+    }
+
+    const [question] = await fetchQuestionsByIds(client, report.certification_type, [report.question_id], { includeDeleted: true });
+    const related = await client.query(
+      `SELECT id, reason, comment, status, created_at FROM prepper.question_reports
+       WHERE certification_type = $1 AND question_id = $2 AND id <> $3
+       ORDER BY created_at DESC`,
+      [report.certification_type, report.question_id, report.id]
+    );
+
+    res.json({
+      success: true,
+      report,
+      question: question || null,
+      related_reports: related.rows,
+      edit: editLink(report.certification_type, report.question_id),
+    });
+  } catch (error) {
+    _logger.error('Failed to get question report', {
+      error: error.message,
+      stack: error.stack,
+      report_id: req.params.reportId,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get question report',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /question-reports/{reportId}/{action}:
+ *   post:
+ *     summary: Resolve or dismiss a report (admin only)
+ *     tags: [Question Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: action
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [resolve, dismiss]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *               notify_reporter:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Queue an email to the reporter with the outcome
+ *     responses:
+ *       200:
+ *         description: Report closed
+ *       404:
+ *         description: Report not found
+ *       409:
+ *         description: Report is already closed
+ */
+router.post('/:reportId/:action(resolve|dismiss)', async (req, res) => {
+  try {
+    const reportId = parseInt(req.params.reportId, 10) || 0;
+    const client = await getDbClient();
+    const existing = await client.query('SELECT status FROM prepper.question_reports WHERE id = $1', [reportId]);
+
+    if (!existing.rows[0]) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found',
+      });
+    }
+
+    const { status, closed, notified } = await applyAction(client, [reportId], req);
+    if (closed.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Report is already ${existing.rows[0].status}`,
+      });
+    }
+
+    res.json({
+      success: true,
+      status,
+      notified: notified > 0,
+      report: closed[0],
+    });
+  } catch (error) {
+    _logger.error('Failed to close question report', {
+      error: error.message,
+      stack: error.stack,
+      report_id: req.params.reportId,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to close question report',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Register the job that emails reporters the outcome of their report
+ */
+function registerReportJobs() {
+  registerJobHandler('report.notify', async ({ report_id: reportId }) => sendReportOutcome(await getDbClient(), reportId));
+}
+
+module.exports = router;
+module.exports.registerReportJobs = registerReportJobs;
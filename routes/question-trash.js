@@ -0,0 +1,303 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { connectLocalPostgres } = require('../documentdb/client');
+const logger = require('../logs/prepperLog');
+const { getCertification, listCertifications, invalidCertificationMessage } = require('../utils/certifications');
+const {
+  TRASH_RETENTION_DAYS,
+  restoreQuestion,
+  purgeExpiredQuestions,
+} = require('../utils/questionTrash');
+
+const router = express.Router();
+const _logger = logger();
+
+const MAX_PAGE_SIZE = 200;
+
+const questionTrashLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100,
+});
+
+router.use(questionTrashLimiter);
+router.use(authenticateToken, requireAdmin);
+
+let dbClient = null;
+
+async function getDbClient() {
+  if (!dbClient || dbClient._ending) {
+    dbClient = await connectLocalPostgres();
+    return dbClient;
+  }
+
+  try {
+    await dbClient.query('SELECT 1');
+  } catch (error) {
+    _logger.warn('Database connection test failed, reconnecting', {
+      error: error.message,
+    });
+    dbClient = null;
+    dbClient = await connectLocalPostgres();
+  }
+
+  return dbClient;
+}
+
+/**
+ * The certification named in the request, or every registered certification (including inactive ones)
+ * @returns {object[]|null} null when certification_type is given but unknown
+ */
+function resolveCertifications(certificationType) {
+  if (!certificationType) {
+    return listCertifications({ includeInactive: true });
+  }
+  const cert = getCertification(certificationType);
+  return cert ? [cert] : null;
+}
+
+/**
+ * @swagger
+ * /question-trash:
+ *   get:
+ *     summary: List trashed questions (admin only)
+ *     description: Questions deleted with DELETE /deleteQuestion/{id}, most recently deleted first, with the date each becomes eligible for purging.
+ *     tags: [Question Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: certification_type
+ *         schema:
+ *           type: string
+ *           example: CV0-004
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Trashed questions
+ *       400:
+ *         description: Invalid certification_type
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/', async (req, res) => {
+  try {
+    const certs = resolveCertifications(req.query.certification_type);
+    if (!certs) {
+      return res.status(400).json({
+        success: false,
+        error: invalidCertificationMessage(),
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const client = await getDbClient();
+
+    const trashed = [];
+    for (const cert of certs) {
+      const result = await client.query(
+        `SELECT q.*, u.username AS deleted_by_username
+         FROM ${cert.question_table} q
+         LEFT JOIN prepper.users u ON u.id = q.deleted_by
+         WHERE q.deleted_at IS NOT NULL`
+      );
+      result.rows.forEach((row) => trashed.push({ certification_type: cert.code, ...row }));
+    }
+    trashed.sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at));
+
+    res.json({
+      success: true,
+      retention_days: TRASH_RETENTION_DAYS,
+      total: trashed.length,
+      limit,
+      offset,
+      questions: trashed.slice(offset, offset + limit).map((row) => ({
+        ...row,
+        purge_after: new Date(new Date(row.deleted_at).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+      })),
+    });
+  } catch (error) {
+    _logger.error('Failed to list trashed questions', {
+      error: error.message,
+      stack: error.stack,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list trashed questions',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /question-trash/purge:
+ *   post:
+ *     summary: Permanently delete questions past the retention window (admin only)
+ *     description: Removes questions that have been in the trash for longer than retention_days. Their revision history is kept.
+ *     tags: [Question Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               certification_type:
+ *                 type: string
+ *                 description: Limit the purge to one certification
+ *               retention_days:
+ *                 type: integer
+ *                 description: Defaults to QUESTION_TRASH_RETENTION_DAYS (30). Cannot be lower than the configured window.
+ *               dry_run:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Purged (or, for a dry run, purgeable) questions
+ *       400:
+ *         description: Invalid certification_type or retention_days
+ */
+router.post('/purge', async (req, res) => {
+  try {
+    const certs = resolveCertifications(req.body?.certification_type);
+    if (!certs) {
+      return res.status(400).json({
+        success: false,
+        error: invalidCertificationMessage(),
+      });
+    }
+
+    const retentionDays = req.body?.retention_days === undefined ? TRASH_RETENTION_DAYS : req.body.retention_days;
+    if (!Number.isInteger(retentionDays) || retentionDays < TRASH_RETENTION_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: `retention_days must be an integer of at least ${TRASH_RETENTION_DAYS}`,
+      });
+    }
+
+    const dryRun = req.body?.dry_run === true;
+    const client = await getDbClient();
+    const purged = [];
+
+    for (const cert of certs) {
+      const rows = await purgeExpiredQuestions(client, cert, { retentionDays, dryRun, user: req.user });
+      rows.forEach((row) => purged.push({
+        certification_type: cert.code,
+        id: row.id,
+        question_text: row.question_text,
+        deleted_at: row.deleted_at,
+        deleted_reason: row.deleted_reason,
+      }));
+    }
+
+    if (!dryRun) {
+      _logger.info('Purged trashed questions', {
+        purged: purged.length,
+        retention_days: retentionDays,
+        admin_id: req.user.id,
+      });
+    }
+
+    res.json({
+      success: true,
+      dry_run: dryRun,
+      retention_days: retentionDays,
+      purged: dryRun ? 0 : purged.length,
+      questions: purged,
+    });
+  } catch (error) {
+    _logger.error('Failed to purge trashed questions', {
+      error: error.message,
+      stack: error.stack,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to purge trashed questions',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /question-trash/{certificationType}/{questionId}/restore:
+ *   post:
+ *     summary: Restore a trashed question (admin only)
+ *     tags: [Question Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: certificationType
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Question restored
+ *       404:
+ *         description: Question is not in the trash
+ */
+router.post('/:certificationType/:questionId/restore', async (req, res) => {
+  try {
+    const cert = getCertification(req.params.certificationType);
+    if (!cert) {
+      return res.status(400).json({
+        success: false,
+        error: invalidCertificationMessage(),
+      });
+    }
+
+    const questionId = parseInt(req.params.questionId, 10);
+    const question = isNaN(questionId) ? null : await restoreQuestion(cert, questionId, req.user);
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question is not in the trash',
+      });
+    }
+
+    _logger.info('Restored question from trash', {
+      certification_type: cert.code,
+      question_id: questionId,
+      admin_id: req.user.id,
+    });
+
+    res.json({
+      success: true,
+      certification_type: cert.code,
+      question,
+    });
+  } catch (error) {
+    _logger.error('Failed to restore question', {
+      error: error.message,
+      stack: error.stack,
+      question_id: req.params.questionId,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore question',
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,764 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { connectLocalPostgres } = require('../documentdb/client');
+const logger = require('../logs/prepperLog');
+const {
+  createDraftsForBatch,
+  findDraftDuplicates,
+  validateDraftQuestion,
+  approveDraft,
+  rejectDraft,
+} = require('../utils/questionDrafts');
+const { queueWebhookEvent } = require('../utils/webhooks');
+
+const router = express.Router();
+const _logger = logger();
+
+const DRAFT_STATUSES = ['pending', 'approved', 'rejected'];
+
+const reviewQueueLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 300,
+});
+
+router.use(reviewQueueLimiter);
+router.use(authenticateToken, requireAdmin);
+
+let dbClient = null;
+
+async function getDbClient() {
+  if (!dbClient || dbClient._ending) {
+    dbClient = await connectLocalPostgres();
+    return dbClient;
+  }
+
+  try {
+    await dbClient.query('SELECT 1');
+  } catch (error) {
+    _logger.warn('Database connection test failed, reconnecting', {
+      error: error.message,
+    });
+    dbClient = null;
+    dbClient = await connectLocalPostgres();
+  }
+
+  return dbClient;
+}
+
+async function getDraft(client, draftId) {
+  const id = parseInt(draftId, 10);
+  if (isNaN(id)) {
+    return null;
+  }
+  const result = await client.query('SELECT * FROM prepper.question_drafts WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Queue question.approved for admins' webhooks and those of the user whose batch generated the draft.
+ * Approval has already happened, so a failure is only logged.
+ */
+async function notifyQuestionApproved(client, draft, question, reviewer) {
+  try {
+    const owner = draft.batch_id
+      ? await client.query('SELECT user_id FROM prepper.batch_jobs WHERE batch_id = $1', [draft.batch_id])
+      : { rows: [] };
+    await queueWebhookEvent(client, 'question.approved', {
+      question_id: question.id,
+      certification_type: draft.certification_type,
+      draft_id: draft.id,
+      batch_id: draft.batch_id,
+      approved_by: reviewer?.username || null,
+    }, { ownerId: owner.rows[0]?.user_id ?? null });
+  } catch (error) {
+    _logger.error('Failed to queue question.approved webhook', {
+      draft_id: draft.id,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Reviewer notes are optional; anything other than a string is ignored
+ */
+function getNote(body) {
+  return typeof body?.note === 'string' && body.note.trim() ? body.note.trim() : null;
+}
+
+/**
+ * @swagger
+ * /review-queue/drafts:
+ *   get:
+ *     summary: List generated questions awaiting review
+ *     tags: [Review Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           default: pending
+ *       - in: query
+ *         name: batch_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: certification_type
+ *         schema:
+ *           type: string
+ *           example: CV0-004
+ *       - in: query
+ *         name: duplicates
+ *         schema:
+ *           type: string
+ *           enum: [only, exclude]
+ *         description: Only drafts marked as likely duplicates, or only drafts without a match
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Drafts retrieved, each with duplicates (matching question ids and scores) and duplicate_score
+ *       400:
+ *         description: Invalid status filter
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/drafts', async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!DRAFT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status. Must be one of: ${DRAFT_STATUSES.join(', ')}`,
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const conditions = ['status = $1'];
+    const params = [status];
+    if (req.query.batch_id) {
+      params.push(req.query.batch_id);
+      conditions.push(`batch_id = $${params.length}`);
+    }
+    if (req.query.certification_type) {
+      params.push(req.query.certification_type);
+      conditions.push(`certification_type = $${params.length}`);
+    }
+    if (req.query.duplicates === 'only') {
+      conditions.push('duplicate_score IS NOT NULL');
+    } else if (req.query.duplicates === 'exclude') {
+      conditions.push('duplicate_score IS NULL');
+    }
+    const where = conditions.join(' AND ');
+
+    const client = await getDbClient();
+    const countResult = await client.query(
+      `SELECT COUNT(*)::int AS total FROM prepper.question_drafts WHERE ${where}`,
+      params
+    );
+    const result = await client.query(
+      `SELECT * FROM prepper.question_drafts WHERE ${where}
+       ORDER BY created_at ASC, batch_id, item_index
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    res.json({
+      success: true,
+      total: countResult.rows[0].total,
+      limit,
+      offset,
+      drafts: result.rows.map((draft) => ({
+        ...draft,
+        validation_errors: draft.status === 'pending' ? validateDraftQuestion(draft.question) : [],
+      })),
+    });
+  } catch (error) {
+    _logger.error('Failed to list question drafts', {
+      error: error.message,
+      stack: error.stack,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list question drafts',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /review-queue/drafts/{draftId}:
+ *   get:
+ *     summary: Get a single draft
+ *     tags: [Review Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: draftId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Draft retrieved
+ *       404:
+ *         description: Draft not found
+ *   put:
+ *     summary: Edit a pending draft and/or its reviewer note
+ *     description: The submitted question replaces the stored one. Approved and rejected drafts cannot be edited.
+ *     tags: [Review Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: draftId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               question:
+ *                 type: object
+ *                 description: Generated question in the same shape Claude returns
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Draft updated
+ *       400:
+ *         description: Nothing to update
+ *       404:
+ *         description: Draft not found
+ *       409:
+ *         description: Draft has already been reviewed
+ */
+router.get('/drafts/:draftId', async (req, res) => {
+  try {
+    const client = await getDbClient();
+    const draft = await getDraft(client, req.params.draftId);
+
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        error: 'Draft not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      draft,
+      validation_errors: draft.status === 'pending' ? validateDraftQuestion(draft.question) : [],
+    });
+  } catch (error) {
+    _logger.error('Failed to get question draft', {
+      error: error.message,
+      draft_id: req.params.draftId,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get question draft',
+      details: error.message,
+    });
+  }
+});
+
+router.put('/drafts/:draftId', async (req, res) => {
+  try {
+    const { question } = req.body;
+    const note = getNote(req.body);
+
+    if (question !== undefined && (typeof question !== 'object' || question === null || Array.isArray(question))) {
+      return res.status(400).json({
+        success: false,
+        error: 'question must be an object',
+      });
+    }
+    if (question === undefined && note === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide a question and/or a note to update',
+      });
+    }
+
+    const client = await getDbClient();
+    const draft = await getDraft(client, req.params.draftId);
+
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        error: 'Draft not found',
+      });
+    }
+    if (draft.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        error: `Draft has already been ${draft.status}`,
+      });
+    }
+
+    // An edited question gets fresh duplicate marks against the live bank
+    const duplicates = question !== undefined ? await findDraftDuplicates(client, draft.certification_type, question) : null;
+
+    const result = await client.query(
+      `UPDATE prepper.question_drafts
+       SET question = COALESCE($2, question), reviewer_note = COALESCE($3, reviewer_note),
+           duplicates = COALESCE($4::jsonb, duplicates),
+           duplicate_score = CASE WHEN $4::jsonb IS NULL THEN duplicate_score ELSE $5::real END,
+           updated_at = NOW()
+       WHERE id = $1 AND status = 'pending'
+       RETURNING *`,
+      [
+        draft.id,
+        question !== undefined ? JSON.stringify(question) : null,
+        note,
+        duplicates ? JSON.stringify(duplicates) : null,
+        duplicates && duplicates.length > 0 ? duplicates[0].score : null,
+      ]
+    );
+    const updated = result.rows[0];
+
+    _logger.info('Question draft edited', {
+      draft_id: draft.id,
+      batch_id: draft.batch_id,
+      edited_question: question !== undefined,
+      user_id: req.user.id,
+    });
+
+    res.json({
+      success: true,
+      draft: updated,
+      validation_errors: validateDraftQuestion(updated.question),
+    });
+  } catch (error) {
+    _logger.error('Failed to update question draft', {
+      error: error.message,
+      draft_id: req.params.draftId,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update question draft',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /review-queue/drafts/{draftId}/approve:
+ *   post:
+ *     summary: Approve a draft and insert it into the question bank
+ *     tags: [Review Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: draftId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Draft approved, inserted question returned
+ *       404:
+ *         description: Draft not found
+ *       409:
+ *         description: Draft has already been reviewed
+ *       422:
+ *         description: Draft is incomplete and cannot be inserted
+ */
+router.post('/drafts/:draftId/approve', async (req, res) => {
+  try {
+    const client = await getDbClient();
+    const draft = await getDraft(client, req.params.draftId);
+
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        error: 'Draft not found',
+      });
+    }
+    if (draft.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        error: `Draft has already been ${draft.status}`,
+      });
+    }
+
+    const validationErrors = validateDraftQuestion(draft.question);
+    if (validationErrors.length > 0) {
+      return res.status(422).json({
+        success: false,
+        error: 'Draft is incomplete',
+        validation_errors: validationErrors,
+      });
+    }
+
+    const approved = await approveDraft(draft, req.user, getNote(req.body));
+    await notifyQuestionApproved(client, draft, approved.question, req.user);
+
+    _logger.info('Question draft approved', {
+      draft_id: draft.id,
+      batch_id: draft.batch_id,
+      question_id: approved.question.id,
+      certification_type: draft.certification_type,
+      user_id: req.user.id,
+    });
+
+    res.json({
+      success: true,
+      draft: approved.draft,
+      question: approved.question,
+    });
+  } catch (error) {
+    _logger.error('Failed to approve question draft', {
+      error: error.message,
+      stack: error.stack,
+      draft_id: req.params.draftId,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to approve question draft',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /review-queue/drafts/{draftId}/reject:
+ *   post:
+ *     summary: Reject a draft
+ *     tags: [Review Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: draftId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: Why the question was rejected
+ *     responses:
+ *       200:
+ *         description: Draft rejected
+ *       404:
+ *         description: Draft not found
+ *       409:
+ *         description: Draft has already been reviewed
+ */
+router.post('/drafts/:draftId/reject', async (req, res) => {
+  try {
+    const client = await getDbClient();
+    const draft = await getDraft(client, req.params.draftId);
+
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        error: 'Draft not found',
+      });
+    }
+
+    const rejected = draft.status === 'pending'
+      ? await rejectDraft(client, draft, req.user, getNote(req.body))
+      : null;
+    if (!rejected) {
+      return res.status(409).json({
+        success: false,
+        error: `Draft has already been ${draft.status}`,
+      });
+    }
+
+    _logger.info('Question draft rejected', {
+      draft_id: draft.id,
+      batch_id: draft.batch_id,
+      user_id: req.user.id,
+    });
+
+    res.json({
+      success: true,
+      draft: rejected,
+    });
+  } catch (error) {
+    _logger.error('Failed to reject question draft', {
+      error: error.message,
+      draft_id: req.params.draftId,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reject question draft',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /review-queue/batches:
+ *   get:
+ *     summary: Summarize drafts per batch
+ *     tags: [Review Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending / approved / rejected counts for each batch
+ */
+router.get('/batches', async (req, res) => {
+  try {
+    const client = await getDbClient();
+    const result = await client.query(
+      `SELECT d.batch_id, d.certification_type, j.domain_name, j.username,
+              COUNT(*) FILTER (WHERE d.status = 'pending')::int AS pending,
+              COUNT(*) FILTER (WHERE d.status = 'approved')::int AS approved,
+              COUNT(*) FILTER (WHERE d.status = 'rejected')::int AS rejected,
+              MIN(d.created_at) AS created_at
+       FROM prepper.question_drafts d
+       LEFT JOIN prepper.batch_jobs j ON j.batch_id = d.batch_id
+       GROUP BY d.batch_id, d.certification_type, j.domain_name, j.username
+       ORDER BY MIN(d.created_at) DESC`
+    );
+
+    res.json({
+      success: true,
+      batches: result.rows,
+    });
+  } catch (error) {
+    _logger.error('Failed to summarize review queue batches', {
+      error: error.message,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to summarize review queue batches',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /review-queue/batches/{batchId}/import:
+ *   post:
+ *     summary: Queue the results of an already-completed batch for review
+ *     description: For batches that finished before the review queue existed. Items already queued are skipped.
+ *     tags: [Review Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Drafts created
+ *       404:
+ *         description: Batch not found
+ *       409:
+ *         description: Batch is not completed or has no results
+ */
+router.post('/batches/:batchId/import', async (req, res) => {
+  try {
+    const client = await getDbClient();
+    const batchResult = await client.query(
+      'SELECT batch_id, status, certification_type, results FROM prepper.batch_jobs WHERE batch_id = $1',
+      [req.params.batchId]
+    );
+    const batchJob = batchResult.rows[0];
+
+    if (!batchJob) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found',
+      });
+    }
+
+    let results = batchJob.results;
+    if (typeof results === 'string') {
+      results = JSON.parse(results);
+    }
+    if (batchJob.status !== 'completed' || !Array.isArray(results) || results.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Batch is not completed or has no results',
+        status: batchJob.status,
+      });
+    }
+
+    const created = await createDraftsForBatch(client, batchJob.batch_id, batchJob.certification_type, results);
+
+    _logger.info('Batch imported into review queue', {
+      batch_id: batchJob.batch_id,
+      drafts_created: created,
+      user_id: req.user.id,
+    });
+
+    res.json({
+      success: true,
+      batch_id: batchJob.batch_id,
+      drafts_created: created,
+      already_queued: results.length - created,
+    });
+  } catch (error) {
+    _logger.error('Failed to import batch into review queue', {
+      error: error.message,
+      batch_id: req.params.batchId,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import batch into review queue',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /review-queue/batches/{batchId}/{action}:
+ *   post:
+ *     summary: Approve or reject every pending draft in a batch
+ *     description: Each draft is approved in its own transaction, so one bad item does not block the rest. Incomplete drafts are skipped on approve.
+ *     tags: [Review Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: action
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [approve, reject]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: Applied to every draft that does not already have a note
+ *     responses:
+ *       200:
+ *         description: Per-draft outcome
+ *       404:
+ *         description: No pending drafts for this batch
+ */
+router.post('/batches/:batchId/:action(approve|reject)', async (req, res) => {
+  try {
+    const { batchId, action } = req.params;
+    const note = getNote(req.body);
+    const client = await getDbClient();
+
+    const pending = await client.query(
+      `SELECT * FROM prepper.question_drafts
+       WHERE batch_id = $1 AND status = 'pending'
+       ORDER BY item_index`,
+      [batchId]
+    );
+
+    if (pending.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No pending drafts for this batch',
+      });
+    }
+
+    const processed = [];
+    const skipped = [];
+
+    for (const draft of pending.rows) {
+      try {
+        if (action === 'reject') {
+          const rejected = await rejectDraft(client, draft, req.user, note);
+          if (rejected) {
+            processed.push({ draft_id: draft.id });
+          }
+          continue;
+        }
+
+        const validationErrors = validateDraftQuestion(draft.question);
+        if (validationErrors.length > 0) {
+          skipped.push({ draft_id: draft.id, validation_errors: validationErrors });
+          continue;
+        }
+
+        const approved = await approveDraft(draft, req.user, note);
+        processed.push({ draft_id: draft.id, question_id: approved.question.id });
+        await notifyQuestionApproved(client, draft, approved.question, req.user);
+      } catch (error) {
+        skipped.push({ draft_id: draft.id, error: error.message });
+      }
+    }
+
+    _logger.info(`Batch drafts bulk ${action === 'approve' ? 'approved' : 'rejected'}`, {
+      batch_id: batchId,
+      processed: processed.length,
+      skipped: skipped.length,
+      user_id: req.user.id,
+    });
+
+    res.json({
+      success: true,
+      batch_id: batchId,
+      action,
+      processed,
+      skipped,
+    });
+  } catch (error) {
+    _logger.error('Failed to bulk review batch drafts', {
+      error: error.message,
+      batch_id: req.params.batchId,
+      action: req.params.action,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to bulk review batch drafts',
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,330 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { authenticateToken } = require('../middleware/auth');
+const { connectLocalPostgres } = require('../documentdb/client');
+const logger = require('../logs/prepperLog');
+const { getCertification, invalidCertificationMessage } = require('../utils/certifications');
+const {
+  fetchQuestionsByIds,
+  findQuestionById,
+  gradeAnswer,
+  toStudentQuestion,
+  toAnswerFeedback,
+} = require('../utils/questionBank');
+const {
+  PASSING_GRADE,
+  gradeFromAttempt,
+  isValidGrade,
+  recordReview,
+} = require('../utils/spacedRepetition');
+
+const router = express.Router();
+const _logger = logger();
+
+const DEFAULT_DUE_LIMIT = 20;
+const MAX_DUE_LIMIT = 100;
+
+const reviewLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 600,
+});
+
+router.use(reviewLimiter);
+
+let dbClient = null;
+
+async function getDbClient() {
+  if (!dbClient || dbClient._ending) {
+    dbClient = await connectLocalPostgres();
+    return dbClient;
+  }
+
+  try {
+    await dbClient.query('SELECT 1');
+  } catch (error) {
+    _logger.warn('Database connection test failed, reconnecting', {
+      error: error.message,
+    });
+    dbClient = null;
+    dbClient = await connectLocalPostgres();
+  }
+
+  return dbClient;
+}
+
+function summarizeCard(card) {
+  return {
+    certification_type: card.certification_type,
+    question_id: card.question_id,
+    domain: card.domain,
+    ease_factor: parseFloat(card.ease_factor),
+    interval_days: card.interval_days,
+    repetitions: card.repetitions,
+    lapses: card.lapses,
+    last_grade: card.last_grade,
+    last_reviewed_at: card.last_reviewed_at,
+    due_at: card.due_at,
+  };
+}
+
+/**
+ * @swagger
+ * /review/due:
+ *   get:
+ *     summary: Get review cards that are due for the current user
+ *     description: Cards are created automatically from practice and mock exam answers, and scheduled with SM-2. Questions are returned without answers.
+ *     tags: [Review]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: certification_type
+ *         schema:
+ *           type: string
+ *           example: SAA-C03
+ *         description: Only return cards for this certification
+ *       - in: query
+ *         name: domain
+ *         schema:
+ *           type: string
+ *         description: Only return cards for this domain
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Due cards, most overdue first
+ *       400:
+ *         description: Invalid certification_type
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/due', authenticateToken, async (req, res) => {
+  try {
+    const { certification_type, domain } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_DUE_LIMIT, 1), MAX_DUE_LIMIT);
+
+    let cert = null;
+    if (certification_type) {
+      cert = getCertification(certification_type);
+      if (!cert) {
+        return res.status(400).json({
+          success: false,
+          error: invalidCertificationMessage(),
+        });
+      }
+    }
+
+    const conditions = ['user_id = $1'];
+    const params = [req.user.id];
+    if (cert) {
+      params.push(cert.code);
+      conditions.push(`certification_type = $${params.length}`);
+    }
+    if (domain) {
+      params.push(domain);
+      conditions.push(`domain = $${params.length}`);
+    }
+    const where = conditions.join(' AND ');
+
+    const client = await getDbClient();
+    const counts = await client.query(
+      `SELECT COUNT(*) FILTER (WHERE due_at <= NOW())::int AS due_count,
+              COUNT(*)::int AS total_cards,
+              MIN(due_at) FILTER (WHERE due_at > NOW()) AS next_due_at
+       FROM prepper.review_cards WHERE ${where}`,
+      params
+    );
+    const due = await client.query(
+      `SELECT * FROM prepper.review_cards
+       WHERE ${where} AND due_at <= NOW()
+       ORDER BY due_at ASC
+       LIMIT $${params.length + 1}`,
+      [...params, limit]
+    );
+
+    // Load the questions per certification table, then restore due order
+    const idsByCertification = new Map();
+    due.rows.forEach((card) => {
+      const ids = idsByCertification.get(card.certification_type) || [];
+      ids.push(card.question_id);
+      idsByCertification.set(card.certification_type, ids);
+    });
+
+    const questionsByKey = new Map();
+    for (const [certificationType, ids] of idsByCertification) {
+      const questions = await fetchQuestionsByIds(client, certificationType, ids);
+      questions.forEach((question) => {
+        questionsByKey.set(`${certificationType}:${question.id}`, toStudentQuestion(question, certificationType));
+      });
+    }
+
+    const cards = due.rows
+      .map((card) => ({
+        ...summarizeCard(card),
+        question: questionsByKey.get(`${card.certification_type}:${card.question_id}`) || null,
+      }))
+      .filter((card) => card.question);
+
+    res.json({
+      success: true,
+      due_count: counts.rows[0].due_count,
+      total_cards: counts.rows[0].total_cards,
+      next_due_at: counts.rows[0].next_due_at,
+      cards,
+    });
+  } catch (error) {
+    _logger.error('Failed to get due review cards', {
+      error: error.message,
+      stack: error.stack,
+      user_id: req.user?.id,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get due review cards',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /review/{questionId}:
+ *   post:
+ *     summary: Record a review of a question
+ *     description: Send a self-assessed recall grade (SM-2, 0-5), or selected_answers to have the answer graded (correct counts as 4, incorrect as 1). Creates the card if the question has not been reviewed before.
+ *     tags: [Review]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               certification_type:
+ *                 type: string
+ *                 example: SAA-C03
+ *                 description: Required when the question id exists in more than one certification
+ *               grade:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 5
+ *                 description: 0 = blackout, 3 = recalled with difficulty, 5 = perfect recall
+ *               selected_answers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Card rescheduled; includes answer feedback when selected_answers was sent
+ *       400:
+ *         description: Missing or invalid grade
+ *       404:
+ *         description: Question not found
+ *       409:
+ *         description: Question id is ambiguous
+ */
+router.post('/:questionId', authenticateToken, async (req, res) => {
+  try {
+    const questionId = parseInt(req.params.questionId, 10);
+    const { certification_type } = req.body;
+    const selected = req.body.selected_answers ?? req.body.selected_answer;
+    const hasAnswer = selected !== undefined && selected !== null && !(Array.isArray(selected) && selected.length === 0);
+
+    if (isNaN(questionId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid question id',
+      });
+    }
+
+    if (req.body.grade !== undefined && !isValidGrade(req.body.grade)) {
+      return res.status(400).json({
+        success: false,
+        error: 'grade must be an integer from 0 to 5',
+      });
+    }
+
+    if (req.body.grade === undefined && !hasAnswer) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide a grade (0-5) or selected_answers',
+      });
+    }
+
+    if (certification_type && !getCertification(certification_type)) {
+      return res.status(400).json({
+        success: false,
+        error: invalidCertificationMessage(),
+      });
+    }
+
+    const client = await getDbClient();
+    const matches = await findQuestionById(client, questionId, certification_type);
+
+    if (matches.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found',
+      });
+    }
+
+    if (matches.length > 1) {
+      return res.status(409).json({
+        success: false,
+        error: 'Question id is ambiguous, provide certification_type',
+        certification_types: matches.map((m) => m.certification_type),
+      });
+    }
+
+    const { question, certification_type: certificationType } = matches[0];
+    const answerGrade = hasAnswer ? gradeAnswer(question, selected) : null;
+    const recallGrade = req.body.grade !== undefined ? req.body.grade : gradeFromAttempt(answerGrade.is_correct);
+
+    const card = await recordReview(client, {
+      user_id: req.user.id,
+      certification_type: certificationType,
+      question_id: question.id,
+      domain: question.domain,
+    }, recallGrade);
+
+    _logger.info('Review recorded', {
+      user_id: req.user.id,
+      certification_type: certificationType,
+      question_id: question.id,
+      grade: recallGrade,
+      interval_days: card.interval_days,
+    });
+
+    res.json({
+      success: true,
+      remembered: recallGrade >= PASSING_GRADE,
+      card: summarizeCard(card),
+      ...(answerGrade ? { feedback: toAnswerFeedback(question, answerGrade) } : {}),
+    });
+  } catch (error) {
+    _logger.error('Failed to record review', {
+      error: error.message,
+      stack: error.stack,
+      question_id: req.params.questionId,
+      user_id: req.user?.id,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record review',
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
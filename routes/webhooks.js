@@ -0,0 +1,641 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { authenticateToken } = require('../middleware/auth');
+const { connectLocalPostgres } = require('../documentdb/client');
+const logger = require('../logs/prepperLog');
+const { subscribeBatchEvents } = require('../utils/batchEvents');
+const { registerJobHandler } = require('../jobs/worker');
+const {
+  WEBHOOK_EVENTS,
+  ADMIN_ONLY_EVENTS,
+  validateWebhookUrl,
+  generateWebhookSecret,
+  queueWebhookEvent,
+  redeliver,
+  dispatchDueDeliveries,
+  toPublicWebhook,
+  toPublicDelivery,
+} = require('../utils/webhooks');
+
+const router = express.Router();
+const _logger = logger();
+
+const MAX_PAGE_SIZE = 200;
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+const WEBHOOK_DISPATCH_INTERVAL = parseInt(process.env.WEBHOOK_DISPATCH_INTERVAL, 10) || 15000; // 15 seconds
+
+const webhooksLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100,
+});
+
+router.use(webhooksLimiter);
+router.use(authenticateToken);
+
+let dbClient = null;
+
+async function getDbClient() {
+  if (!dbClient || dbClient._ending) {
+    dbClient = await connectLocalPostgres();
+    return dbClient;
+  }
+
+  try {
+    await dbClient.query('SELECT 1');
+  } catch (error) {
+    _logger.warn('Database connection test failed, reconnecting', {
+      error: error.message,
+    });
+    dbClient = null;
+    dbClient = await connectLocalPostgres();
+  }
+
+  return dbClient;
+}
+
+/**
+ * @returns {string|null} Why the events list cannot be used by this user, or null
+ */
+function validateEvents(events, user) {
+  if (!Array.isArray(events) || events.length === 0 || events.some((event) => typeof event !== 'string')) {
+    return 'events must be a non-empty array of event names';
+  }
+  const unknown = events.filter((event) => !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    return `Unknown events: ${unknown.join(', ')}. Must be one of: ${WEBHOOK_EVENTS.join(', ')}`;
+  }
+  const adminOnly = events.filter((event) => ADMIN_ONLY_EVENTS.includes(event));
+  if (adminOnly.length > 0 && user?.role !== 'admin') {
+    return `Only admins can subscribe to: ${adminOnly.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * The webhook, if it exists and the user owns it (admins can reach every webhook)
+ */
+async function findOwnedWebhook(client, webhookId, user) {
+  const id = parseInt(webhookId, 10);
+  if (!Number.isInteger(id)) {
+    return null;
+  }
+  const result = await client.query('SELECT * FROM prepper.webhooks WHERE id = $1', [id]);
+  const webhook = result.rows[0];
+  if (!webhook || (user?.role !== 'admin' && webhook.user_id !== user?.id)) {
+    return null;
+  }
+  return webhook;
+}
+
+/**
+ * @swagger
+ * /webhooks:
+ *   get:
+ *     summary: List webhooks
+ *     description: The caller's webhooks (admins see every user's with all=true). Secrets are not returned.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: all
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Webhooks with the events they can subscribe to
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', async (req, res) => {
+  try {
+    const client = await getDbClient();
+    const allUsers = req.user?.role === 'admin' && ['true', '1'].includes(String(req.query.all));
+    const result = await client.query(
+      `SELECT w.*,
+              (SELECT MAX(d.delivered_at) FROM prepper.webhook_deliveries d WHERE d.webhook_id = w.id) AS last_delivered_at,
+              (SELECT COUNT(*)::int FROM prepper.webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'failed') AS failed_deliveries
+       FROM prepper.webhooks w
+       ${allUsers ? '' : 'WHERE w.user_id = $1'}
+       ORDER BY w.created_at DESC`,
+      allUsers ? [] : [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      events: WEBHOOK_EVENTS.filter((event) => req.user?.role === 'admin' || !ADMIN_ONLY_EVENTS.includes(event)),
+      webhooks: result.rows.map(toPublicWebhook),
+    });
+  } catch (error) {
+    _logger.error('Failed to list webhooks', {
+      error: error.message,
+      stack: error.stack,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list webhooks',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /webhooks:
+ *   post:
+ *     summary: Register a webhook
+ *     description: |
+ *       Deliveries are POSTed as JSON `{id, event, created_at, data}` with the headers X-Prepper-Event, X-Prepper-Delivery,
+ *       X-Prepper-Timestamp and X-Prepper-Signature (`sha256=` + hex HMAC-SHA256 of `<timestamp>.<raw body>` keyed with the
+ *       secret). A non-2xx response or timeout is retried with exponential backoff.
+ *
+ *       batch.completed and batch.failed fire for the caller's own batches, question.approved for questions generated by
+ *       them; admins' webhooks receive every event, and only admins can subscribe to question.reported.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url, events]
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 example: https://example.com/hooks/prepper
+ *                 description: http(s) URL whose host resolves to public addresses only
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [batch.completed, batch.failed, question.approved, question.reported]
+ *               secret:
+ *                 type: string
+ *                 description: Shared signing secret (at least 16 characters); generated when omitted
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Webhook created; the response is the only time the secret is returned
+ *       400:
+ *         description: Invalid url, events or secret
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { url, events, secret, description } = req.body || {};
+
+    const invalid = (await validateWebhookUrl(url)) || validateEvents(events, req.user);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid,
+      });
+    }
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+      return res.status(400).json({
+        success: false,
+        error: 'secret must be a string of at least 16 characters',
+      });
+    }
+
+    const client = await getDbClient();
+    const result = await client.query(
+      `INSERT INTO prepper.webhooks (user_id, url, secret, events, description)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [req.user.id, url, secret || generateWebhookSecret(), [...new Set(events)], description || null]
+    );
+
+    _logger.info('Webhook registered', {
+      webhook_id: result.rows[0].id,
+      events: result.rows[0].events,
+      user_id: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      webhook: result.rows[0],
+    });
+  } catch (error) {
+    _logger.error('Failed to register webhook', {
+      error: error.message,
+      stack: error.stack,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register webhook',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   put:
+ *     summary: Update a webhook
+ *     description: Changes only the fields given. rotate_secret replaces the secret with a generated one and returns it.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               description:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *               rotate_secret:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Updated webhook
+ *       400:
+ *         description: Invalid field
+ *       404:
+ *         description: Webhook not found
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { url, events, description, active, rotate_secret: rotateSecret } = req.body || {};
+    const client = await getDbClient();
+    const webhook = await findOwnedWebhook(client, req.params.id, req.user);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found',
+      });
+    }
+
+    const invalid = (url !== undefined && await validateWebhookUrl(url))
+      || (events !== undefined && validateEvents(events, req.user))
+      || (active !== undefined && typeof active !== 'boolean' && 'active must be a boolean');
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid,
+      });
+    }
+
+    const result = await client.query(
+      `UPDATE prepper.webhooks
+       SET url = $2, events = $3, description = $4, active = $5, secret = $6, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [
+        webhook.id,
+        url ?? webhook.url,
+        events ? [...new Set(events)] : webhook.events,
+        description === undefined ? webhook.description : description,
+        active ?? webhook.active,
+        rotateSecret === true ? generateWebhookSecret() : webhook.secret,
+      ]
+    );
+
+    res.json({
+      success: true,
+      webhook: rotateSecret === true ? result.rows[0] : toPublicWebhook(result.rows[0]),
+    });
+  } catch (error) {
+    _logger.error('Failed to update webhook', {
+      error: error.message,
+      webhook_id: req.params.id,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update webhook',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   delete:
+ *     summary: Delete a webhook and its delivery log
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Deleted
+ *       404:
+ *         description: Webhook not found
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const client = await getDbClient();
+    const webhook = await findOwnedWebhook(client, req.params.id, req.user);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found',
+      });
+    }
+
+    await client.query('DELETE FROM prepper.webhooks WHERE id = $1', [webhook.id]);
+
+    _logger.info('Webhook deleted', {
+      webhook_id: webhook.id,
+      user_id: req.user.id,
+    });
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted',
+    });
+  } catch (error) {
+    _logger.error('Failed to delete webhook', {
+      error: error.message,
+      webhook_id: req.params.id,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete webhook',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Delivery log of a webhook
+ *     description: Most recent first, with attempts, the last response status and error, and when the next retry is due. Admins also get the excerpt of the response body.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Deliveries
+ *       400:
+ *         description: Invalid status
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    if (req.query.status && !DELIVERY_STATUSES.includes(req.query.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status. Must be one of: ${DELIVERY_STATUSES.join(', ')}`,
+      });
+    }
+
+    const client = await getDbClient();
+    const webhook = await findOwnedWebhook(client, req.params.id, req.user);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found',
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const params = [webhook.id];
+    let filter = '';
+    if (req.query.status) {
+      params.push(req.query.status);
+      filter = `AND status = $${params.length}`;
+    }
+
+    const total = await client.query(
+      `SELECT COUNT(*)::int AS total FROM prepper.webhook_deliveries WHERE webhook_id = $1 ${filter}`,
+      params
+    );
+    const deliveries = await client.query(
+      `SELECT * FROM prepper.webhook_deliveries
+       WHERE webhook_id = $1 ${filter}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ${limit} OFFSET ${offset}`,
+      params
+    );
+
+    res.json({
+      success: true,
+      webhook_id: webhook.id,
+      total: total.rows[0].total,
+      limit,
+      offset,
+      deliveries: req.user?.role === 'admin' ? deliveries.rows : deliveries.rows.map(toPublicDelivery),
+    });
+  } catch (error) {
+    _logger.error('Failed to list webhook deliveries', {
+      error: error.message,
+      webhook_id: req.params.id,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list webhook deliveries',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /webhooks/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Send a delivery again
+ *     description: Queues a copy of the delivery (same event and payload, redelivery_of pointing at the original) and attempts it immediately; failures are retried with backoff like any delivery.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The new delivery after its first attempt
+ *       404:
+ *         description: Delivery not found
+ *       409:
+ *         description: Webhook is inactive
+ */
+router.post('/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const deliveryId = parseInt(req.params.deliveryId, 10);
+    const client = await getDbClient();
+    const result = Number.isInteger(deliveryId)
+      ? await client.query('SELECT * FROM prepper.webhook_deliveries WHERE id = $1', [deliveryId])
+      : { rows: [] };
+    const delivery = result.rows[0];
+    const webhook = delivery ? await findOwnedWebhook(client, delivery.webhook_id, req.user) : null;
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found',
+      });
+    }
+    if (!webhook.active) {
+      return res.status(409).json({
+        success: false,
+        error: 'Webhook is inactive',
+      });
+    }
+
+    const copy = await redeliver(client, delivery);
+    const [sent] = await dispatchDueDeliveries(client, { ids: [copy.id] });
+
+    _logger.info('Webhook delivery redelivered', {
+      webhook_id: webhook.id,
+      delivery_id: delivery.id,
+      redelivery_id: copy.id,
+      status: sent?.status,
+      user_id: req.user.id,
+    });
+
+    res.json({
+      success: true,
+      redelivery_of: delivery.id,
+      delivery: sent || copy,
+    });
+  } catch (error) {
+    _logger.error('Failed to redeliver webhook delivery', {
+      error: error.message,
+      delivery_id: req.params.deliveryId,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to redeliver webhook delivery',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Queue batch.completed / batch.failed for batch lifecycle events
+ */
+async function queueBatchWebhook(event) {
+  const failed = ['error', 'expired', 'cancelled'].includes(event.type);
+  if (event.type !== 'completed' && !failed) {
+    return;
+  }
+
+  try {
+    const ids = await queueWebhookEvent(
+      await getDbClient(),
+      failed ? 'batch.failed' : 'batch.completed',
+      {
+        batch_id: event.batch_id,
+        parent_batch_id: event.parent_batch_id,
+        status: event.status,
+        question_count: event.question_count,
+        invalid_count: event.invalid_count,
+        error_message: event.error_message || null,
+        results_url: `/api/questions/batchResults/${event.batch_id}`,
+      },
+      { ownerId: event.user_id }
+    );
+    if (ids.length > 0) {
+      await dispatchWebhooks();
+    }
+  } catch (error) {
+    _logger.error('Failed to queue batch webhook', {
+      batch_id: event.batch_id,
+      event: event.type,
+      error: error.message,
+    });
+  }
+}
+
+let dispatching = false;
+
+/**
+ * Send due deliveries; a run already in progress picks up anything queued meanwhile
+ * @returns {Promise<{attempted: number, succeeded: number, failed: number}>}
+ */
+async function dispatchWebhooks() {
+  const summary = { attempted: 0, succeeded: 0, failed: 0 };
+  if (dispatching) {
+    return summary;
+  }
+  dispatching = true;
+  try {
+    const sent = await dispatchDueDeliveries(await getDbClient());
+    summary.attempted = sent.length;
+    summary.succeeded = sent.filter((delivery) => delivery.status === 'succeeded').length;
+    summary.failed = sent.filter((delivery) => delivery.status === 'failed').length;
+    if (sent.length > 0) {
+      _logger.info('Webhook deliveries attempted', summary);
+    }
+  } catch (error) {
+    _logger.error('Webhook dispatch failed', {
+      error: error.message,
+      stack: error.stack,
+    });
+  } finally {
+    dispatching = false;
+  }
+  return summary;
+}
+
+/**
+ * Listen for batch events, and register the recurring job that sends due webhook deliveries (retries, and
+ * anything queued by another instance)
+ */
+function registerWebhookJobs() {
+  _logger.info('Registering webhook dispatch job', {
+    interval_ms: WEBHOOK_DISPATCH_INTERVAL,
+  });
+
+  // Only events of batches this instance processed; every instance sees every event, but each is queued once
+  subscribeBatchEvents((event) => {
+    queueBatchWebhook(event);
+  }, { originOnly: true });
+
+  registerJobHandler('webhooks.dispatch', dispatchWebhooks, { every: WEBHOOK_DISPATCH_INTERVAL });
+}
+
+module.exports = router;
+module.exports.registerWebhookJobs = registerWebhookJobs;
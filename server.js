@@ -2,16 +2,34 @@ const express = require('express');
 const cors = require('cors');
 const router = express.Router();
 const {json} = require('body-parser');
-const {connectLocalPostgres} = require('./documentdb/client');
+const {connectLocalPostgres, withTransaction} = require('./documentdb/client');
 const {sendEmailWithAttachment} = require('./email/SendEmail');
 const logger = require('./logs/prepperLog');
 const swaggerUi = require('swagger-ui-express');
 const openapiSpecification = require('./swagger');
 const authRoutes = require('./routes/auth');
-const { authenticateToken, requireAdmin } = require('./middleware/auth');
+const { authenticateToken, optionalAuthenticateToken, requireAdmin } = require('./middleware/auth');
 const backupRoutes = require('./routes/backup');
 const rateLimit = require('express-rate-limit');
 const questionsRoutes = require('./routes/questions');
+const practiceRoutes = require('./routes/practice');
+const examsRoutes = require('./routes/exams');
+const reviewRoutes = require('./routes/review');
+const reviewQueueRoutes = require('./routes/review-queue');
+const certificationsRoutes = require('./routes/certifications');
+const domainWeightsRoutes = require('./routes/domain-weights');
+const meRoutes = require('./routes/me');
+const itemAnalysisRoutes = require('./routes/item-analysis');
+const questionReportsRoutes = require('./routes/question-reports');
+const questionTrashRoutes = require('./routes/question-trash');
+const adminRoutes = require('./routes/admin');
+const webhooksRoutes = require('./routes/webhooks');
+const { shuffleArray } = require('./utils/shuffle');
+const { NOT_DELETED, toStudentQuestion, findQuestionById } = require('./utils/questionBank');
+const { getCertification, loadCertifications } = require('./utils/certifications');
+const { recordRevision } = require('./utils/questionRevisions');
+const { TRASH_RETENTION_DAYS, softDeleteQuestion } = require('./utils/questionTrash');
+const { normalizeTags } = require('./utils/questionMapper');
 
 
 let _logger = logger();
@@ -29,6 +47,12 @@ router.use(cors({
 router.use(express.json());
 router.use(express.urlencoded({extended: true}));
 
+// Refresh the certification registry cache; only queries the database once the cache TTL has expired
+router.use(async (req, res, next) => {
+  await loadCertifications();
+  next();
+});
+
 // Mount auth routes (public)
 router.use('/auth', authRoutes);
 
@@ -38,6 +62,42 @@ router.use('/backup', backupRoutes);
 // Mount questions routes (authenticated users)
 router.use('/questions', questionsRoutes);
 
+// Mount practice session routes (authenticated users)
+router.use('/practice', practiceRoutes);
+
+// Mount mock exam routes (authenticated users)
+router.use('/exams', examsRoutes);
+
+// Mount spaced-repetition review routes (authenticated users)
+router.use('/review', reviewRoutes);
+
+// Mount generated-question review queue (admin only)
+router.use('/review-queue', reviewQueueRoutes);
+
+// Mount certification registry routes (public read, admin write)
+router.use('/certifications', certificationsRoutes);
+
+// Mount domain weight routes (public)
+router.use('/domain-weights', domainWeightsRoutes);
+
+// Mount per-user analytics routes (authenticated users)
+router.use('/me', meRoutes);
+
+// Mount question item statistics (admin only)
+router.use('/item-analysis', itemAnalysisRoutes);
+
+// Mount learner question report triage (admin only)
+router.use('/question-reports', questionReportsRoutes);
+
+// Mount trashed question restore and purge (admin only)
+router.use('/question-trash', questionTrashRoutes);
+
+// Mount AI usage, budget and background job administration (admin only)
+router.use('/admin', adminRoutes);
+
+// Mount outbound webhook routes (authenticated users)
+router.use('/webhooks', webhooksRoutes);
+
 // Handle batch routes without /questions prefix (client compatibility)
 // These routes are accessed as /api/batch/... instead of /api/questions/batch/...
 router.get('/batch/:batchId/status', authenticateToken, async (req, res) => {
@@ -70,47 +130,6 @@ router.get('/batch/:batchId', authenticateToken, async (req, res) => {
   });
 });
 
-// Debug: Catch-all route to log unmatched requests (must be last, only for non-matching paths)
-router.use((req, res, next) => {
-  // Skip if already handled or if path matches known route prefixes
-  if (res.headersSent) {
-    return next();
-  }
-  
-  // Check if path matches any known route prefixes (should have been handled already)
-  const path = req.path || req.url.split('?')[0];
-  const knownPrefixes = ['/auth', '/backup', '/questions', '/api-docs'];
-  const matchesKnownPrefix = knownPrefixes.some(prefix => path.startsWith(prefix));
-  
-  if (matchesKnownPrefix) {
-    // Path matches a known prefix but wasn't handled - log for debugging
-    _logger.warn('Unmatched route request (known prefix)', {
-      method: req.method,
-      originalUrl: req.originalUrl,
-      path: req.path,
-      baseUrl: req.baseUrl,
-      url: req.url,
-    });
-  } else {
-    // Unknown path - no action needed
-  }
-  
-  res.status(404).json({
-    success: false,
-    error: 'Route not found',
-    method: req.method,
-    path: req.path || req.url,
-    available_routes: [
-      'POST /api/questions/generateBatch',
-      'GET /api/questions/generateBatch?batch_id=... (returns helpful error)',
-      'GET /api/questions/batch/:batchId/status',
-      'GET /api/questions/batchStatus/:batchId (compatibility)',
-      'GET /api/questions/batch/:batchId/results',
-    ],
-  });
-});
-
-
 // PROTECTED ADMIN ROUTES - Require authentication and admin role
 router.put('/updateQuestion/:id', authenticateToken, requireAdmin, async (req, res) => {
   try {
@@ -123,21 +142,20 @@ router.put('/updateQuestion/:id', authenticateToken, requireAdmin, async (req, r
       ps = await connectLocalPostgres();
     }
     
-    // Determine which table based on certification or default to checking both
+    // Determine which table based on certification (code or legacy alias) or default to checking every registered table
     let tableName;
-    if (questionData.certification === 'aws') {
-      tableName = 'aws_certified_architect_associate_questions';
-    } else if (questionData.certification === 'comptia') {
-      tableName = 'comptia_cloud_plus_questions';
+    let certificationType;
+    const certification = getCertification(questionData.certification);
+    if (certification) {
+      tableName = certification.question_table;
+      certificationType = certification.code;
     } else {
       // If certification not provided, we need to find which table has this ID
-      const comptiaCheck = await ps.query('SELECT id FROM prepper.comptia_cloud_plus_questions WHERE id = $1', [questionId]);
-      const awsCheck = await ps.query('SELECT id FROM prepper.aws_certified_architect_associate_questions WHERE id = $1', [questionId]);
-      
-      if (comptiaCheck.rows.length > 0) {
-        tableName = 'comptia_cloud_plus_questions';
-      } else if (awsCheck.rows.length > 0) {
-        tableName = 'aws_certified_architect_associate_questions';
+      const matches = await findQuestionById(ps, id);
+
+      if (matches.length > 0) {
+        tableName = matches[0].table_name;
+        certificationType = matches[0].certification_type;
       } else {
         return res.status(404).json({message: 'Question not found'});
       }
@@ -194,6 +212,10 @@ router.put('/updateQuestion/:id', authenticateToken, requireAdmin, async (req, r
         `{${questionData.correct_answers.map(ans => `"${ans}"`).join(',')}}` :
         null);
     }
+    if (questionData.tags !== undefined) {
+      updateFields.push(`tags = $${paramIndex++}`);
+      values.push(normalizeTags(questionData.tags));
+    }
     
     if (updateFields.length === 0) {
       return res.status(400).json({message: 'No fields provided for update'});
@@ -203,18 +225,36 @@ router.put('/updateQuestion/:id', authenticateToken, requireAdmin, async (req, r
     // values.push(questionId);
     
     const updateQuery = `
-      UPDATE prepper.${tableName}
+      UPDATE ${tableName}
       SET ${updateFields.join(', ')}
-      WHERE question_id = ${id}
+      WHERE question_id = ${id} AND ${NOT_DELETED}
       returning *;
     `;
     
-    const result = await ps.query(updateQuery, values);
-    _logger.info('Updated question: ', {result});
-    
+    // Update and revision history succeed or fail together
+    const result = await withTransaction(async (client) => {
+      const previous = await client.query(`SELECT * FROM ${tableName} WHERE question_id = $1 AND ${NOT_DELETED} FOR UPDATE`, [id]);
+      const updated = await client.query(updateQuery, values);
+      if (updated.rows.length === 0) {
+        return updated;
+      }
+
+      await recordRevision(client, {
+        certificationType,
+        questionId: updated.rows[0].id,
+        action: 'update',
+        before: previous.rows[0],
+        after: updated.rows[0],
+        userId: req.user.id,
+        source: 'updateQuestion',
+      });
+      return updated;
+    });
+
     if (result.rows.length === 0) {
       return res.status(404).json({message: 'Question not found'});
     }
+    _logger.info('Updated question: ', {result});
     
     _logger.info("Successfully updated question: ", {id: questionId});
     
@@ -232,29 +272,6 @@ router.put('/updateQuestion/:id', authenticateToken, requireAdmin, async (req, r
   }
 });
 
-/**
- * Seeded random number generator (Linear Congruential Generator)
- */
-function seededRandom(seed) {
-  return function() {
-    seed = (seed * 9301 + 49297) % 233280;
-    return seed / 233280;
-  };
-}
-
-/**
- * Shuffle array using Fisher-Yates algorithm with seeded random
- */
-function shuffleArray(array, seed) {
-  const rng = seededRandom(seed);
-  const shuffled = [...array];
-  for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(rng() * (i + 1));
-    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-  }
-  return shuffled;
-}
-
 /**
  * @swagger
  * /updateQuestion/{id}:
@@ -279,8 +296,8 @@ function shuffleArray(array, seed) {
  *             properties:
  *               certification:
  *                 type: string
- *                 enum: [aws, comptia]
- *                 description: Optional - specify which table to update (aws or comptia)
+ *                 example: SAA-C03
+ *                 description: Optional - certification code or legacy alias (aws, comptia) selecting the table to update
  *               category:
  *                 type: string
  *               difficulty:
@@ -305,6 +322,11 @@ function shuffleArray(array, seed) {
  *                 type: array
  *                 items:
  *                   type: string
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Replaces the question's tags; stored lowercase with spaces as hyphens
  *     responses:
  *       200:
  *         description: Question updated successfully
@@ -334,7 +356,14 @@ function shuffleArray(array, seed) {
  * /getExamQuestions:
  *   get:
  *     summary: Retrieve exam questions (Public)
- *     description: Fetches exam questions for CompTIA Cloud+ and AWS Certified Architect Associate.
+ *     description: Fetches exam questions for CompTIA Cloud+ and AWS Certified Architect Associate. Answer keys, isCorrect flags and explanations are stripped; use POST /questions/{id}/check to grade an answer. Admins can pass include_answers=true with a bearer token to get full records.
+ *     parameters:
+ *       - in: query
+ *         name: include_answers
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Admin only - return full question records including answers and explanations
  *     responses:
  *       200:
  *         description: A JSON object containing arrays of questions.
@@ -355,7 +384,7 @@ function shuffleArray(array, seed) {
  *         description: Server error.
  */
 // PUBLIC ROUTE - No authentication required
-router.get('/getExamQuestions', async (req, res) => {
+router.get('/getExamQuestions', optionalAuthenticateToken, async (req, res) => {
   const data = {};
   try {
     _logger.info("Fetching questions..");
@@ -376,7 +405,7 @@ router.get('/getExamQuestions', async (req, res) => {
     
     // Fetch CompTIA questions
     _logger.info("Querying CompTIA questions...");
-    const comptia = await ps.query("SELECT distinct * FROM prepper.comptia_cloud_plus_questions ORDER BY id ASC");
+    const comptia = await ps.query(`SELECT distinct * FROM prepper.comptia_cloud_plus_questions WHERE ${NOT_DELETED} ORDER BY id ASC`);
     _logger.info("number of rows returned for comptia: ", {rows: comptia.rows.length});
     
     if (comptia.rows.length > 0) {
@@ -394,7 +423,7 @@ router.get('/getExamQuestions', async (req, res) => {
     
     // Fetch AWS questions
     _logger.info("Querying AWS questions...");
-    const aws = await ps.query("SELECT distinct * FROM prepper.aws_certified_architect_associate_questions ORDER BY id ASC");
+    const aws = await ps.query(`SELECT distinct * FROM prepper.aws_certified_architect_associate_questions WHERE ${NOT_DELETED} ORDER BY id ASC`);
     _logger.info("number of rows returned for aws: ", {rows: aws.rows.length});
     
     if (aws.rows.length > 0) {
@@ -411,6 +440,13 @@ router.get('/getExamQuestions', async (req, res) => {
       _logger.warn("No AWS questions found");
     }
 
+    // Strip answer keys and explanations unless an admin explicitly asks for them
+    const includeAnswers = req.query.include_answers === 'true' && req.user?.role === 'admin';
+    if (!includeAnswers) {
+      data.comptiaQuestions = data.comptiaQuestions.map((q) => toStudentQuestion(q, 'CV0-004'));
+      data.awsQuestions = data.awsQuestions.map((q) => toStudentQuestion(q, 'SAA-C03'));
+    }
+
     // Return success even if one or both are empty
     if (data.comptiaQuestions.length === 0 && data.awsQuestions.length === 0) {
       _logger.warn("No questions found in either table");
@@ -431,6 +467,7 @@ router.get('/getExamQuestions', async (req, res) => {
     return res.status(200).json({
       ok: true,
       seed: randomSeed, // Include seed in response for reference
+      answers_included: includeAnswers,
       ...data
     });
   } catch (error) {
@@ -477,21 +514,17 @@ router.post('/addQuestion', authenticateToken, requireAdmin, async (req, res) =>
   try {
     _logger.info("Admin adding question", {adminId: req.user.id});
     
-    // Determine which table to insert into
-    const tableName = questionData.certification === 'aws'
-      ? 'aws_certified_architect_associate_questions'
-      : 'comptia_cloud_plus_questions';
+    // Determine which table to insert into (defaults to CompTIA, as before)
+    const certification = getCertification(questionData.certification) || getCertification('CV0-004');
+    const tableName = certification.question_table;
 
     // Format options as JSON string for PostgreSQL
     const optionsJson = JSON.stringify(questionData.options);
     const explanationDetailsJson = JSON.stringify(questionData.explanation_details);
 
-    if (!ps) {
-      ps = await connectLocalPostgres();
-    }
     // Use your sequences for auto-generated IDs
     const query = `
-        INSERT INTO prepper.${tableName}(category, difficulty, domain, question_text, options,
+        INSERT INTO ${tableName}(category, difficulty, domain, question_text, options,
                                           correct_answer, explanation, explanation_details,
                                           multiple_answers, correct_answers)
         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
@@ -512,7 +545,18 @@ router.post('/addQuestion', authenticateToken, requireAdmin, async (req, res) =>
         null
     ];
 
-    const result = await ps.query(query, values);
+    const result = await withTransaction(async (client) => {
+      const inserted = await client.query(query, values);
+      await recordRevision(client, {
+        certificationType: certification.code,
+        questionId: inserted.rows[0].id,
+        action: 'create',
+        after: inserted.rows[0],
+        userId: req.user.id,
+        source: 'addQuestion',
+      });
+      return inserted;
+    });
     _logger.info("Inserted new question: {0}", {'question_text': result.rows[0].question_text});
     res.status(201).send({
       success: true,
@@ -530,7 +574,7 @@ router.post('/addQuestion', authenticateToken, requireAdmin, async (req, res) =>
  * /deleteQuestion/{id}:
  *   delete:
  *     summary: Delete a question (Admin only)
- *     description: Deletes a question by ID from either CompTIA Cloud+ or AWS Certified Architect Associate tables.
+ *     description: Moves a question to the trash (soft delete). Trashed questions are hidden from every read path and can be restored from /question-trash until they are purged after the retention window.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -549,8 +593,11 @@ router.post('/addQuestion', authenticateToken, requireAdmin, async (req, res) =>
  *             properties:
  *               certification:
  *                 type: string
- *                 enum: [aws, comptia]
- *                 description: Optional - specify which table to delete from (aws or comptia)
+ *                 example: SAA-C03
+ *                 description: Optional - certification code or legacy alias (aws, comptia) selecting the table to delete from
+ *               reason:
+ *                 type: string
+ *                 description: Optional - why the question was deleted, shown in the trash
  *     responses:
  *       200:
  *         description: Question deleted successfully
@@ -581,60 +628,41 @@ const deleteQuestionLimiter = rateLimit({
 
 router.delete('/deleteQuestion/:id', authenticateToken, requireAdmin, deleteQuestionLimiter, async (req, res) => {
   try {
-    const questionId = req.params.id;
-    const { certification } = req.body || {};
+    const questionId = parseInt(req.params.id, 10);
+    const { certification, reason } = req.body || {};
 
     _logger.info("Admin deleting question", {questionId, adminId: req.user.id});
     if (!ps) {
       ps = await connectLocalPostgres();
     }
 
-    // Determine which table based on certification or default to checking both
-    let tableName;
-    let questionToDelete = null;
-
-    if (certification === 'aws') {
-      tableName = 'aws_certified_architect_associate_questions';
-    } else if (certification === 'comptia') {
-      tableName = 'comptia_cloud_plus_questions';
-    } else {
+    // Determine which table based on certification or default to checking every registered table
+    let registered = getCertification(certification);
+    if (!registered) {
       // If certification not provided, we need to find which table has this ID
-      const comptiaCheck = await ps.query('SELECT * FROM prepper.comptia_cloud_plus_questions WHERE id = $1', [questionId]);
-      const awsCheck = await ps.query('SELECT * FROM prepper.aws_certified_architect_associate_questions WHERE id = $1', [questionId]);
-
-      if (comptiaCheck.rows.length > 0) {
-        tableName = 'comptia_cloud_plus_questions';
-        questionToDelete = comptiaCheck.rows[0];
-      } else if (awsCheck.rows.length > 0) {
-        tableName = 'aws_certified_architect_associate_questions';
-        questionToDelete = awsCheck.rows[0];
-      } else {
-        return res.status(404).json({message: 'Question not found'});
-      }
-    }
+      const matches = await findQuestionById(ps, questionId);
 
-    // If we haven't found the question yet (when certification was specified), get it before deleting
-    if (!questionToDelete) {
-      const questionQuery = await ps.query(`SELECT * FROM prepper.${tableName} WHERE id = $1`, [questionId]);
-      if (questionQuery.rows.length === 0) {
+      if (matches.length > 0) {
+        registered = getCertification(matches[0].certification_type);
+      } else {
         return res.status(404).json({message: 'Question not found'});
       }
-      questionToDelete = questionQuery.rows[0];
     }
 
-    // Delete the question
-    const deleteQuery = `DELETE FROM prepper.${tableName} WHERE id = $1 RETURNING *`;
-    const result = await ps.query(deleteQuery, [questionId]);
+    // Move the question to the trash; it stays restorable until purged after the retention window
+    const deleted = await softDeleteQuestion(registered, questionId, req.user, typeof reason === 'string' ? reason.trim() : null);
 
-    if (result.rows.length === 0) {
+    if (!deleted) {
       return res.status(404).json({message: 'Question not found'});
     }
 
-    _logger.info("Successfully deleted question: ", {id: questionId, table: tableName});
+    _logger.info("Successfully deleted question: ", {id: questionId, table: registered.question_table});
     return res.status(200).json({
       success: true,
-      message: 'Question deleted successfully',
-      deletedQuestion: questionToDelete
+      message: 'Question moved to trash',
+      deletedQuestion: deleted,
+      restore_endpoint: `/api/question-trash/${registered.code}/${questionId}/restore`,
+      purge_after_days: TRASH_RETENTION_DAYS
     });
 
   } catch (error) {
@@ -684,4 +712,45 @@ router.post('/sendEmail', async (req, res) => {
   }
 });
 
+// Debug: Catch-all route to log unmatched requests (must be last, only for non-matching paths)
+router.use((req, res, next) => {
+  // Skip if already handled or if path matches known route prefixes
+  if (res.headersSent) {
+    return next();
+  }
+  
+  // Check if path matches any known route prefixes (should have been handled already)
+  const path = req.path || req.url.split('?')[0];
+  const knownPrefixes = ['/auth', '/backup', '/questions', '/practice', '/exams', '/review', '/review-queue', '/certifications', '/domain-weights', '/me', '/item-analysis', '/question-reports', '/question-trash', '/admin', '/webhooks', '/api-docs'];
+  const matchesKnownPrefix = knownPrefixes.some(prefix => path.startsWith(prefix));
+  
+  if (matchesKnownPrefix) {
+    // Path matches a known prefix but wasn't handled - log for debugging
+    _logger.warn('Unmatched route request (known prefix)', {
+      method: req.method,
+      originalUrl: req.originalUrl,
+      path: req.path,
+      baseUrl: req.baseUrl,
+      url: req.url,
+    });
+  } else {
+    // Unknown path - no action needed
+  }
+  
+  res.status(404).json({
+    success: false,
+    error: 'Route not found',
+    method: req.method,
+    path: req.path || req.url,
+    available_routes: [
+      'POST /api/questions/generateBatch',
+      'GET /api/questions/generateBatch?batch_id=... (returns helpful error)',
+      'GET /api/questions/batch/:batchId/status',
+      'GET /api/questions/batchStatus/:batchId (compatibility)',
+      'GET /api/questions/batch/:batchId/results',
+      'POST /api/questions/:id/check',
+    ],
+  });
+});
+
 module.exports = router;
@@ -15,7 +15,7 @@ const options = {
       },
     ],
   },
-  apis: ['./server.js', './routes/backup.js', './routes/auth.js', './routes/questions.js'], // files containing annotations
+  apis: ['./server.js', './routes/backup.js', './routes/auth.js', './routes/questions.js', './routes/practice.js', './routes/exams.js', './routes/review.js', './routes/review-queue.js', './routes/certifications.js', './routes/domain-weights.js', './routes/me.js', './routes/item-analysis.js', './routes/question-reports.js', './routes/question-trash.js', './routes/admin.js', './routes/webhooks.js'], // files containing annotations
 };
 
 const openapiSpecification = swaggerJsdoc(options);
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  BATCH_DISCOUNT,
+  isPricedModel,
+  getModelPricing,
+  estimateCost,
+  estimateBatchCost,
+  checkBudget,
+} = require('../aiUsage');
+
+test('model pricing uses the longest matching prefix', () => {
+  assert.deepStrictEqual(getModelPricing('claude-opus-4-5-20251101'), { input: 5, output: 25 });
+  assert.deepStrictEqual(getModelPricing('claude-opus-4-20250514'), { input: 15, output: 75 });
+  assert.deepStrictEqual(getModelPricing('claude-haiku-4-5'), { input: 1, output: 5 });
+});
+
+test('unknown models are priced at the fallback rates and are not selectable', () => {
+  assert.deepStrictEqual(getModelPricing('some-other-model'), { input: 15, output: 75 });
+  assert.strictEqual(isPricedModel('some-other-model'), false);
+  assert.strictEqual(isPricedModel('claude-sonnet-4-5'), true);
+  assert.strictEqual(isPricedModel(undefined), false);
+});
+
+test('estimateCost prices input and output tokens per million', () => {
+  const usage = { input_tokens: 1000000, output_tokens: 200000 };
+  assert.strictEqual(estimateCost('claude-sonnet-4-5', usage), 6);
+  assert.strictEqual(estimateCost('claude-sonnet-4-5', usage, { batch: true }), 6 * (1 - BATCH_DISCOUNT));
+  assert.strictEqual(estimateCost('claude-sonnet-4-5', null), 0);
+});
+
+test('estimateBatchCost grows with the number of requests', () => {
+  const one = estimateBatchCost('claude-opus-4-5', 1);
+  assert.ok(one > 0);
+  assert.strictEqual(estimateBatchCost('claude-opus-4-5', 10), Math.round(one * 10 * 1e6) / 1e6);
+  assert.strictEqual(estimateBatchCost('mock-model', 10), 0);
+});
+
+/**
+ * Client answering the budget, spend and reserved-spend queries of checkBudget
+ */
+function budgetClient({ budgets = [], spent = { global: 0, user: 0 }, reserved = { global: 0, user: 0 } }) {
+  return {
+    async query(sql) {
+      if (sql.includes('prepper.ai_budgets')) {
+        return { rows: budgets };
+      }
+      if (sql.includes('FROM prepper.batch_jobs b')) {
+        return { rows: [reserved] };
+      }
+      return { rows: [spent] };
+    },
+  };
+}
+
+test('checkBudget allows spend within both budgets', async () => {
+  const client = budgetClient({
+    budgets: [{ user_id: null, monthly_limit_usd: 100 }, { user_id: 7, monthly_limit_usd: 10 }],
+    spent: { global: 40, user: 4 },
+  });
+  const check = await checkBudget(client, { id: 7 }, 5);
+  assert.strictEqual(check.allowed, true);
+  assert.strictEqual(check.budgets.user.remaining_usd, 6);
+  assert.strictEqual(check.budgets.global.remaining_usd, 60);
+});
+
+test('checkBudget counts running batches against the budget', async () => {
+  const client = budgetClient({
+    budgets: [{ user_id: 7, monthly_limit_usd: 10 }],
+    spent: { global: 4, user: 4 },
+    reserved: { global: 5, user: 5 },
+  });
+  const check = await checkBudget(client, { id: 7 }, 2);
+  assert.strictEqual(check.allowed, false);
+  assert.strictEqual(check.reason, 'Your monthly AI budget is exhausted');
+  assert.strictEqual(check.budgets.user.reserved_usd, 5);
+  assert.strictEqual(check.budgets.user.remaining_usd, 1);
+});
+
+test('checkBudget reports the global budget first', async () => {
+  const client = budgetClient({
+    budgets: [{ user_id: null, monthly_limit_usd: 50 }, { user_id: 7, monthly_limit_usd: 1 }],
+    spent: { global: 49, user: 1 },
+  });
+  const check = await checkBudget(client, { id: 7 }, 2);
+  assert.strictEqual(check.reason, 'The global monthly AI budget is exhausted');
+});
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  accuracyOverTime,
+  domainBreakdown,
+  timePerQuestion,
+  streaks,
+  projectReadiness,
+  buildAnalyticsReport,
+  reportsToCsv,
+} = require('../analytics');
+
+const blueprint = { score_min: 100, score_max: 900, passing_score: 700 };
+
+const attempt = (answeredAt, isCorrect, overrides = {}) => ({
+  answered_at: answeredAt,
+  is_correct: isCorrect,
+  domain: 'Storage',
+  time_spent_ms: null,
+  ...overrides,
+});
+
+/**
+ * `total` answers in a domain made just now, the first `correct` of them right
+ */
+function practise(domain, correct, total) {
+  const now = new Date().toISOString();
+  return Array.from({ length: total }, (_, index) => attempt(now, index < correct, { domain }));
+}
+
+test('accuracyOverTime groups answers by UTC day or by ISO week starting Monday', () => {
+  const attempts = [
+    attempt('2026-03-02T08:00:00Z', true),
+    attempt('2026-03-02T23:30:00Z', false),
+    attempt('2026-03-08T10:00:00Z', true),
+    attempt('2026-03-09T10:00:00Z', true),
+  ];
+
+  assert.deepStrictEqual(accuracyOverTime(attempts), [
+    { period: '2026-03-02', attempts: 2, correct: 1, accuracy: 50 },
+    { period: '2026-03-08', attempts: 1, correct: 1, accuracy: 100 },
+    { period: '2026-03-09', attempts: 1, correct: 1, accuracy: 100 },
+  ]);
+  assert.deepStrictEqual(accuracyOverTime(attempts, 'week'), [
+    { period: '2026-03-02', attempts: 3, correct: 2, accuracy: 66.67 },
+    { period: '2026-03-09', attempts: 1, correct: 1, accuracy: 100 },
+  ]);
+});
+
+test('domainBreakdown lists every weighted domain and weighs accuracy by the practised domains', () => {
+  const attempts = [
+    attempt('2026-03-02T08:00:00Z', true, { domain: 'Compute', time_spent_ms: 1000 }),
+    attempt('2026-03-02T08:01:00Z', false, { domain: 'Compute', time_spent_ms: 3000 }),
+    attempt('2026-03-02T08:02:00Z', true, { domain: 'Storage' }),
+    attempt('2026-03-02T08:03:00Z', false, { domain: 'Legacy' }),
+  ];
+
+  assert.deepStrictEqual(domainBreakdown(attempts, { Compute: 60, Storage: 30, Networking: 10 }), {
+    domains: [
+      { domain: 'Compute', weight: 60, attempts: 2, correct: 1, accuracy: 50, avg_time_ms: 2000 },
+      { domain: 'Storage', weight: 30, attempts: 1, correct: 1, accuracy: 100, avg_time_ms: null },
+      { domain: 'Networking', weight: 10, attempts: 0, correct: 0, accuracy: null, avg_time_ms: null },
+      { domain: 'Legacy', weight: null, attempts: 1, correct: 0, accuracy: 0, avg_time_ms: null },
+    ],
+    weighted_accuracy: 66.67,
+    weight_coverage: 0.9,
+  });
+});
+
+test('timePerQuestion averages valid times and takes the median', () => {
+  const timed = (times) => times.map((ms) => attempt('2026-03-02T08:00:00Z', true, { time_spent_ms: ms }));
+  assert.deepStrictEqual(timePerQuestion(timed([3000, 1000, null, -5, 5000])), { timed_attempts: 3, avg_ms: 3000, median_ms: 3000 });
+  assert.deepStrictEqual(timePerQuestion(timed([1000, 9000, 2000, 4000])), { timed_attempts: 4, avg_ms: 4000, median_ms: 3000 });
+  assert.deepStrictEqual(timePerQuestion([]), { timed_attempts: 0, avg_ms: null, median_ms: null });
+});
+
+test('streaks counts consecutive study days and correct answers', () => {
+  const attempts = [
+    attempt('2026-03-01T09:00:00Z', true),
+    attempt('2026-03-02T09:00:00Z', true),
+    attempt('2026-03-03T09:00:00Z', true),
+    attempt('2026-03-05T09:00:00Z', false),
+    attempt('2026-03-06T09:00:00Z', true),
+  ];
+
+  assert.deepStrictEqual(streaks(attempts, new Date('2026-03-07T12:00:00Z')), {
+    current_study_days: 2,
+    longest_study_days: 3,
+    current_correct: 1,
+    longest_correct: 3,
+    last_studied_at: '2026-03-06T09:00:00Z',
+  });
+  assert.strictEqual(streaks(attempts, new Date('2026-03-08T00:00:00Z')).current_study_days, 0);
+});
+
+test('projectReadiness gives a verdict only with enough answers across enough of the exam', () => {
+  const weights = { Compute: 50, Storage: 50 };
+  const ready = [...practise('Compute', 30, 30), ...practise('Storage', 30, 30)];
+
+  const projection = projectReadiness(ready, weights, blueprint, 1);
+  assert.strictEqual(projection.projected_score, 875);
+  assert.strictEqual(projection.verdict, 'ready');
+
+  assert.strictEqual(projectReadiness(ready.slice(0, 10), weights, blueprint, 1).verdict, 'insufficient_data');
+  assert.strictEqual(projectReadiness(ready, weights, blueprint, 0.5).verdict, 'insufficient_data');
+});
+
+test('projectReadiness is borderline just under the passing score and lists the weakest domains', () => {
+  const weights = { Compute: 50, Storage: 50, Networking: 0 };
+  const borderline = [...practise('Compute', 22, 30), ...practise('Storage', 22, 30)];
+  const notReady = [...practise('Compute', 10, 30), ...practise('Storage', 30, 30)];
+
+  const projection = projectReadiness(borderline, weights, blueprint, 1);
+  assert.strictEqual(projection.projected_score, 675);
+  assert.strictEqual(projection.verdict, 'borderline');
+
+  const weak = projectReadiness(notReady, weights, blueprint, 1);
+  assert.strictEqual(weak.verdict, 'not_ready');
+  assert.deepStrictEqual(weak.weakest_domains.map((domain) => domain.domain), ['Compute', 'Storage']);
+});
+
+test('buildAnalyticsReport matches answer domains to the weight table spelling', () => {
+  const report = buildAnalyticsReport(practise('storage ', 1, 2), {
+    certification_type: 'CV0-004',
+    weights: { Storage: 100 },
+    weights_source: 'fallback',
+    blueprint,
+  });
+
+  assert.deepStrictEqual(report.totals, { attempts: 2, correct: 1, accuracy: 50, weighted_accuracy: 50, weight_coverage: 1 });
+  assert.deepStrictEqual(report.domains.map((domain) => [domain.domain, domain.attempts]), [['Storage', 2]]);
+  assert.strictEqual(report.readiness.verdict, 'insufficient_data');
+});
+
+test('reportsToCsv writes one row per section and quotes values with commas', () => {
+  const report = buildAnalyticsReport(practise('Storage, Backup', 1, 1), {
+    certification_type: 'CV0-004',
+    weights: { 'Storage, Backup': 100 },
+    weights_source: 'fallback',
+    blueprint,
+  });
+  const lines = reportsToCsv([report]).split('\n');
+
+  assert.strictEqual(lines[0], 'certification_type,section,label,attempts,correct,accuracy,weight,value');
+  assert.strictEqual(lines[1], 'CV0-004,summary,overall,1,1,100,,');
+  assert.ok(lines.includes('CV0-004,domain,"Storage, Backup",1,1,100,100,'));
+  assert.ok(lines.includes('CV0-004,readiness,verdict,,,,,insufficient_data'));
+  assert.strictEqual(lines[lines.length - 1], '');
+});
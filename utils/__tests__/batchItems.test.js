@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  insertBatchItems,
+  recordBatchItemOutcomes,
+  closePendingBatchItems,
+  summarizeBatchItems,
+  claimRetryableItems,
+  releaseRetryableItems,
+} = require('../batchItems');
+
+/**
+ * prepper.batch_items double that runs the statements of utils/batchItems.js against an in-memory list
+ */
+function batchItemsTable() {
+  const rows = [];
+  return {
+    rows,
+    async query(sql, params) {
+      const text = sql.replace(/\s+/g, ' ').trim();
+      const ofBatch = rows.filter((row) => row.batch_id === params[0]);
+
+      if (text.startsWith('INSERT INTO prepper.batch_items')) {
+        if (!ofBatch.some((row) => row.custom_id === params[1])) {
+          rows.push({ batch_id: params[0], custom_id: params[1], item_index: params[2], prompt_params: JSON.parse(params[3]), status: 'pending', question_count: 0, errors: [], retried_in_batch_id: null });
+        }
+        return { rows: [], rowCount: 1 };
+      }
+      if (text.includes('SET status = $3, question_count = $4')) {
+        const row = ofBatch.find((item) => item.custom_id === params[1]);
+        Object.assign(row, { status: params[2], question_count: params[3], errors: JSON.parse(params[4]) });
+        return { rows: [], rowCount: 1 };
+      }
+      if (text.includes("SET status = $2, errors = $3, updated_at = NOW() WHERE batch_id = $1 AND status = 'pending'")) {
+        const pending = ofBatch.filter((row) => row.status === 'pending');
+        pending.forEach((row) => Object.assign(row, { status: params[1], errors: JSON.parse(params[2]) }));
+        return { rows: [], rowCount: pending.length };
+      }
+      if (text.includes('SET retried_in_batch_id = $2')) {
+        const claimed = ofBatch.filter((row) => params[2].includes(row.status) && !row.retried_in_batch_id && (!params[3] || params[3].includes(row.custom_id)));
+        claimed.forEach((row) => {
+          row.retried_in_batch_id = params[1];
+        });
+        // Postgres returns updated rows in no particular order
+        return { rows: claimed.reverse().map((row) => ({ ...row })), rowCount: claimed.length };
+      }
+      if (text.includes('SET retried_in_batch_id = NULL')) {
+        const released = ofBatch.filter((row) => row.retried_in_batch_id === params[1]);
+        released.forEach((row) => {
+          row.retried_in_batch_id = null;
+        });
+        return { rows: [], rowCount: released.length };
+      }
+      throw new Error(`Unexpected query: ${text}`);
+    },
+  };
+}
+
+async function batchWithOutcomes(table, statuses) {
+  await insertBatchItems(table, 'batch_1', statuses.map((status, index) => ({ custom_id: `q${index}`, prompt_params: { skill_level: `level ${index}` } })));
+  const outcomes = statuses
+    .map((status, index) => ({ custom_id: `q${index}`, status, question_count: status === 'succeeded' ? 1 : 0, errors: status === 'succeeded' ? [] : [`${status} result`] }))
+    .filter((outcome) => outcome.status !== 'pending');
+  return recordBatchItemOutcomes(table, 'batch_1', outcomes);
+}
+
+test('recordBatchItemOutcomes stores each outcome and marks items without a result missing', async () => {
+  const table = batchItemsTable();
+  const missing = await batchWithOutcomes(table, ['succeeded', 'invalid', 'pending']);
+
+  assert.strictEqual(missing, 1);
+  assert.deepStrictEqual(table.rows.map((row) => [row.custom_id, row.item_index, row.status, row.errors]), [
+    ['q0', 0, 'succeeded', []],
+    ['q1', 1, 'invalid', ['invalid result']],
+    ['q2', 2, 'missing', ['No result was returned for this request']],
+  ]);
+});
+
+test('closePendingBatchItems closes only the items still pending', async () => {
+  const table = batchItemsTable();
+  await insertBatchItems(table, 'batch_1', [{ custom_id: 'q0' }, { custom_id: 'q1' }]);
+  await recordBatchItemOutcomes(table, 'batch_1', [{ custom_id: 'q0', status: 'succeeded', question_count: 1 }], { unfinishedStatus: 'cancelled', reason: 'Cancelled by admin' });
+
+  assert.strictEqual(await closePendingBatchItems(table, 'batch_1', 'expired'), 0);
+  assert.deepStrictEqual(table.rows.map((row) => [row.status, row.errors]), [['succeeded', []], ['cancelled', ['Cancelled by admin']]]);
+});
+
+test('summarizeBatchItems counts every status and the failed items not yet retried', () => {
+  const summary = summarizeBatchItems([
+    { status: 'succeeded' },
+    { status: 'invalid' },
+    { status: 'errored', retried_in_batch_id: 'batch_2' },
+    { status: 'expired' },
+    { status: 'pending' },
+  ]);
+
+  assert.deepStrictEqual(summary, {
+    pending: 1,
+    succeeded: 1,
+    errored: 1,
+    invalid: 1,
+    missing: 0,
+    expired: 1,
+    cancelled: 0,
+    total: 5,
+    retried: 1,
+    retryable: 2,
+  });
+});
+
+test('claimRetryableItems claims only failed items, in submission order, and only once', async () => {
+  const table = batchItemsTable();
+  await batchWithOutcomes(table, ['errored', 'succeeded', 'invalid', 'pending']);
+
+  const claimed = await claimRetryableItems(table, 'batch_1', 'batch_2');
+  assert.deepStrictEqual(claimed.map((item) => [item.custom_id, item.status, item.prompt_params.skill_level]), [
+    ['q0', 'errored', 'level 0'],
+    ['q2', 'invalid', 'level 2'],
+    ['q3', 'missing', 'level 3'],
+  ]);
+  assert.deepStrictEqual(await claimRetryableItems(table, 'batch_1', 'batch_3'), []);
+  assert.strictEqual(summarizeBatchItems(table.rows).retryable, 0);
+});
+
+test('claimRetryableItems can be limited to some items, and released items can be claimed again', async () => {
+  const table = batchItemsTable();
+  await batchWithOutcomes(table, ['errored', 'invalid', 'expired']);
+
+  const claimed = await claimRetryableItems(table, 'batch_1', 'batch_2', ['q2', 'q0']);
+  assert.deepStrictEqual(claimed.map((item) => item.custom_id), ['q0', 'q2']);
+
+  await releaseRetryableItems(table, 'batch_1', 'batch_2');
+  assert.deepStrictEqual((await claimRetryableItems(table, 'batch_1', 'batch_3')).map((item) => item.custom_id), ['q0', 'q1', 'q2']);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  loadCertifications,
+  getCertification,
+  listCertifications,
+  compareQuestionColumns,
+} = require('../certifications');
+
+const az104 = {
+  code: 'AZ-104',
+  vendor: 'Microsoft',
+  display_name: 'Microsoft Azure Administrator',
+  legacy_alias: 'azure',
+  question_table: 'prepper.az_104_questions',
+  question_count: '50',
+  time_limit_minutes: '100',
+  score_min: '100',
+  score_max: '1000',
+  passing_score: '700',
+  domains: '{"Identity": "60", "Storage": "40"}',
+  active: true,
+};
+
+/**
+ * Client that answers the registry query with `rows`, or fails with `error`, and counts the queries
+ */
+function registryClient({ rows = [], error = null } = {}) {
+  return {
+    queries: 0,
+    async query() {
+      this.queries++;
+      if (error) {
+        throw error;
+      }
+      return { rows };
+    },
+  };
+}
+
+test('the built-in certifications are available before the registry is loaded', () => {
+  assert.strictEqual(getCertification('aws').code, 'SAA-C03');
+  assert.strictEqual(getCertification('cv0-004').code, 'CV0-004');
+});
+
+test('loadCertifications reads the registry once and serves it from cache until the TTL expires', async () => {
+  const client = registryClient({ rows: [az104, { ...az104, code: 'OLD-1', legacy_alias: null, active: false }] });
+  await loadCertifications(client);
+  await loadCertifications(client);
+  assert.strictEqual(client.queries, 1);
+
+  const cert = getCertification('azure');
+  assert.strictEqual(cert.code, 'AZ-104');
+  assert.strictEqual(cert.passing_score, 700);
+  assert.deepStrictEqual(cert.domains, { Identity: 60, Storage: 40 });
+  assert.strictEqual(getCertification('CV0-004'), null);
+});
+
+test('inactive certifications are listed only on request and cannot be resolved', () => {
+  assert.strictEqual(getCertification('OLD-1'), null);
+  assert.deepStrictEqual(listCertifications().map((cert) => cert.code), ['AZ-104']);
+  assert.deepStrictEqual(listCertifications({ includeInactive: true }).map((cert) => cert.code), ['AZ-104', 'OLD-1']);
+});
+
+test('force skips the cache TTL', async () => {
+  const client = registryClient({ rows: [{ ...az104, passing_score: '720' }] });
+  await loadCertifications(client, { force: true });
+  assert.strictEqual(client.queries, 1);
+  assert.strictEqual(getCertification('AZ-104').passing_score, 720);
+});
+
+test('a failed or empty reload keeps the cached registry', async () => {
+  await loadCertifications(registryClient({ error: new Error('connection refused') }), { force: true });
+  assert.strictEqual(getCertification('AZ-104').passing_score, 720);
+
+  await loadCertifications(registryClient({ rows: [] }), { force: true });
+  assert.strictEqual(getCertification('AZ-104').passing_score, 720);
+});
+
+test('concurrent loads share one query', async () => {
+  const client = registryClient({ rows: [az104] });
+  await Promise.all([loadCertifications(client, { force: true }), loadCertifications(client, { force: true })]);
+  assert.strictEqual(client.queries, 1);
+});
+
+test('compareQuestionColumns accepts a table with every template column and type', () => {
+  const template = [{ column_name: 'id', data_type: 'integer' }, { column_name: 'options', data_type: 'jsonb' }];
+  const extra = [...template, { column_name: 'notes', data_type: 'text' }];
+  assert.deepStrictEqual(compareQuestionColumns(template, extra), []);
+});
+
+test('compareQuestionColumns reports missing columns and different types', () => {
+  const template = [
+    { column_name: 'id', data_type: 'integer' },
+    { column_name: 'options', data_type: 'jsonb' },
+    { column_name: 'question_text', data_type: 'text' },
+  ];
+  const jobs = [{ column_name: 'id', data_type: 'bigint' }, { column_name: 'payload', data_type: 'jsonb' }];
+  assert.deepStrictEqual(compareQuestionColumns(template, jobs), [
+    'column id is bigint, expected integer',
+    'column options (jsonb) is missing',
+    'column question_text (text) is missing',
+  ]);
+});
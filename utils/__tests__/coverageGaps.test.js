@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { countCoverage, planCoverage, buildGapBatch } = require('../coverageGaps');
+
+const weights = { Security: 60, Storage: 40 };
+
+const rows = [
+  { domain: 'Security', subdomain: 'IAM', cognitive_level: 'knowledge', skill_level: 'beginner', count: 10 },
+  // Subdomain repeating the domain and an unknown level are left out of the breakdowns
+  { domain: ' security ', subdomain: 'Security', cognitive_level: 'Recall', skill_level: null, count: 2 },
+  { domain: 'Storage', subdomain: null, cognitive_level: 'Application', skill_level: 'Advanced', count: 3 },
+  { domain: 'Legacy', subdomain: null, cognitive_level: 'Knowledge', skill_level: 'Beginner', count: 4 },
+];
+
+const levelDeficits = (levels, keyName) => levels.map((level) => [level[keyName], level.deficit]);
+
+test('countCoverage groups the live questions of a table', async () => {
+  const queries = [];
+  const client = {
+    async query(sql) {
+      queries.push(sql.replace(/\s+/g, ' ').trim());
+      return { rows: [rows[0]] };
+    },
+  };
+
+  assert.deepStrictEqual(await countCoverage(client, 'prepper.comptia_cloud_plus_questions'), [rows[0]]);
+  assert.match(queries[0], /FROM prepper\.comptia_cloud_plus_questions WHERE deleted_at IS NULL GROUP BY domain, category, cognitive_level, skill_level$/);
+});
+
+test('planCoverage splits the target by weight and sorts domains by deficit', () => {
+  const plan = planCoverage(rows, weights, 20);
+
+  assert.deepStrictEqual(
+    { target_size: plan.target_size, current_size: plan.current_size, deficit: plan.deficit, unmatched: plan.unmatched },
+    { target_size: 20, current_size: 19, deficit: 5, unmatched: 4 }
+  );
+  assert.deepStrictEqual(plan.domains.map((domain) => [domain.domain, domain.weight, domain.target, domain.current, domain.deficit]), [
+    ['Storage', 40, 8, 3, 5],
+    ['Security', 60, 12, 12, 0],
+  ]);
+});
+
+test('planCoverage splits each domain target evenly across levels and existing subdomains', () => {
+  const [storage, security] = planCoverage(rows, weights, 20).domains;
+
+  assert.deepStrictEqual(levelDeficits(storage.cognitive_levels, 'cognitive_level'), [
+    ['Analysis', 2],
+    ['Comprehension', 1],
+    ['Evaluation', 1],
+    ['Knowledge', 1],
+    ['Synthesis', 1],
+    ['Application', 0],
+  ]);
+  assert.deepStrictEqual(levelDeficits(storage.skill_levels, 'skill_level'), [['Beginner', 2], ['Expert', 2], ['Intermediate', 2], ['Advanced', 0]]);
+  assert.deepStrictEqual(storage.subdomains, []);
+
+  assert.deepStrictEqual(security.subdomains, [{ subdomain: 'IAM', target: 12, current: 10, deficit: 2 }]);
+  assert.deepStrictEqual(security.cognitive_levels.find((level) => level.cognitive_level === 'Knowledge'), { cognitive_level: 'Knowledge', target: 2, current: 10, deficit: 0 });
+  assert.strictEqual(security.skill_levels.find((level) => level.skill_level === 'Beginner').current, 10);
+});
+
+test('buildGapBatch fills the largest gap with levels weighted by deficit and interleaved', () => {
+  const plan = planCoverage(rows, weights, 20);
+
+  assert.deepStrictEqual(buildGapBatch(plan, { maxCount: 50 }), {
+    domain_name: 'Storage',
+    count: 5,
+    cognitive_level: ['Analysis', 'Comprehension', 'Evaluation', 'Knowledge', 'Synthesis'],
+    skill_level: ['Beginner', 'Expert', 'Intermediate', 'Beginner', 'Expert'],
+  });
+});
+
+test('buildGapBatch caps the count at the deficit and the batch limit', () => {
+  const plan = planCoverage(rows, weights, 20);
+
+  assert.strictEqual(buildGapBatch(plan, { count: 3, maxCount: 50 }).count, 3);
+  assert.strictEqual(buildGapBatch(plan, { count: 40, maxCount: 50 }).count, 5);
+  assert.strictEqual(buildGapBatch(plan, { maxCount: 2 }).count, 2);
+  assert.strictEqual(buildGapBatch(plan, { domainName: ' STORAGE', maxCount: 50 }).domain_name, 'Storage');
+});
+
+test('buildGapBatch returns null for a full or unknown domain and leaves out levels without a deficit', () => {
+  const plan = planCoverage(rows, weights, 20);
+  assert.strictEqual(buildGapBatch(plan, { domainName: 'security', maxCount: 50 }), null);
+  assert.strictEqual(buildGapBatch(plan, { domainName: 'Networking', maxCount: 50 }), null);
+  assert.strictEqual(buildGapBatch(planCoverage(rows, weights, 5), { maxCount: 50 }), null);
+
+  const noSkillGap = {
+    domains: [{
+      domain: 'Storage',
+      deficit: 2,
+      cognitive_levels: [{ cognitive_level: 'Analysis', deficit: 2 }],
+      skill_levels: [{ skill_level: 'Advanced', deficit: 0 }],
+    }],
+  };
+  assert.deepStrictEqual(buildGapBatch(noSkillGap, { maxCount: 50 }), {
+    domain_name: 'Storage',
+    count: 2,
+    cognitive_level: ['Analysis', 'Analysis'],
+    skill_level: null,
+  });
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  allocateQuestionCounts,
+  assembleExam,
+  toScaledScore,
+  buildScoreReport,
+} = require('../examBlueprint');
+const { DOMAIN_WEIGHTS } = require('../constants');
+
+const blueprint = { score_min: 100, score_max: 900, passing_score: 700 };
+
+const bank = (domain, ids) => ids.map((id) => ({ id, domain }));
+
+test('allocateQuestionCounts splits the exam by weight with the largest remainders rounded up', () => {
+  assert.deepStrictEqual(allocateQuestionCounts(DOMAIN_WEIGHTS, 90), {
+    'Cloud Architecture and Design': 21,
+    'Cloud Deployment': 17,
+    'Cloud Operations and Support': 15,
+    'Cloud Security': 17,
+    'DevOps Fundamentals': 9,
+    Troubleshooting: 11,
+  });
+});
+
+test('allocateQuestionCounts always adds up to the total and skips domains without weight', () => {
+  const allocation = allocateQuestionCounts({ A: 1, B: 1, C: 1, D: 0 }, 10);
+  assert.deepStrictEqual(allocation, { A: 4, B: 3, C: 3 });
+  assert.deepStrictEqual(allocateQuestionCounts({ A: 0 }, 10), {});
+  assert.deepStrictEqual(allocateQuestionCounts({}, 10), {});
+});
+
+test('assembleExam follows the allocation and reproduces the same exam for a seed', () => {
+  const questions = [...bank('Storage', [1, 2, 3, 4, 5, 6]), ...bank('Compute', [7, 8, 9, 10])];
+  const exam = assembleExam(questions, { Storage: 50, Compute: 50 }, 6, 42);
+
+  assert.deepStrictEqual(exam.allocation, { Compute: 3, Storage: 3 });
+  assert.deepStrictEqual(exam.shortfall, {});
+  assert.strictEqual(exam.question_ids.filter((id) => id >= 7).length, 3);
+  assert.strictEqual(new Set(exam.question_ids).size, 6);
+
+  const shuffledBank = [...questions].reverse();
+  assert.deepStrictEqual(assembleExam(shuffledBank, { Storage: 50, Compute: 50 }, 6, 42), exam);
+});
+
+test('assembleExam tops up an under-filled domain from the rest of the bank and reports the shortfall', () => {
+  const questions = [...bank('storage ', [1, 2, 3, 4, 5]), ...bank('Compute', [6])];
+  const exam = assembleExam(questions, { Storage: 50, Compute: 50 }, 4, 7);
+
+  assert.deepStrictEqual(exam.shortfall, { Compute: 1 });
+  assert.strictEqual(exam.question_ids.length, 4);
+  assert.ok(exam.question_ids.includes(6));
+});
+
+test('assembleExam returns the whole bank when it is smaller than the exam', () => {
+  const exam = assembleExam(bank('Storage', [1, 2]), { Storage: 100 }, 5, 1);
+  assert.deepStrictEqual([...exam.question_ids].sort(), [1, 2]);
+  assert.deepStrictEqual(exam.shortfall, { Storage: 3 });
+});
+
+test('toScaledScore maps the proportion correct onto the score range', () => {
+  assert.deepStrictEqual([0, 0.5, 0.75, 1].map((proportion) => toScaledScore(proportion, blueprint)), [100, 500, 700, 900]);
+});
+
+test('buildScoreReport scores per domain and counts unanswered questions as incorrect', () => {
+  const questions = [{ id: 1, domain: 'Storage' }, { id: 2, domain: 'Storage' }, { id: 3, domain: 'Compute' }, { id: 4, domain: null }];
+  const attempts = new Map([[1, { is_correct: true }], [2, { is_correct: false }], [3, { is_correct: true }]]);
+  const report = buildScoreReport(questions, attempts, { storage: 60, Compute: 40 }, blueprint);
+
+  assert.deepStrictEqual(report, {
+    total_questions: 4,
+    answered: 3,
+    correct: 2,
+    percentage: 50,
+    scaled_score: 500,
+    score_range: { min: 100, max: 900 },
+    passing_score: 700,
+    passed: false,
+    domains: [
+      { domain: 'Storage', weight: 60, questions: 2, answered: 2, correct: 1, percentage: 50, scaled_score: 500 },
+      { domain: 'Compute', weight: 40, questions: 1, answered: 1, correct: 1, percentage: 100, scaled_score: 900 },
+      { domain: 'Unassigned', weight: null, questions: 1, answered: 0, correct: 0, percentage: 0, scaled_score: 100 },
+    ],
+  });
+});
+
+test('buildScoreReport passes at the passing score', () => {
+  const questions = bank('Storage', [1, 2, 3, 4]);
+  const attempts = new Map([1, 2, 3].map((id) => [id, { is_correct: true }]));
+  const report = buildScoreReport(questions, attempts, { Storage: 100 }, blueprint);
+  assert.strictEqual(report.scaled_score, 700);
+  assert.strictEqual(report.passed, true);
+});
+
+test('buildScoreReport gives an empty exam the minimum score', () => {
+  const report = buildScoreReport([], new Map(), {}, blueprint);
+  assert.strictEqual(report.scaled_score, 100);
+  assert.strictEqual(report.percentage, 0);
+  assert.deepStrictEqual(report.domains, []);
+});
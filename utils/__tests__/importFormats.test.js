@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseImport, detectImportFormat, decodeEntities } = require('../importFormats');
+
+const correctTexts = (question) => question.options.filter((option) => option.isCorrect).map((option) => option.text);
+
+test('CSV rows keep quoted commas, doubled quotes and CRLF line endings', () => {
+  const csv = [
+    'Question,Option A,Option B,Option C,Correct,Explanation,Tags',
+    '"Which port does HTTPS use, by default?",80,443,22,B,"The ""secure"" port",network|tls',
+    'Pick the encrypted protocols,SSH,Telnet,HTTPS,A;C,,',
+  ].join('\r\n');
+  const [first, second] = parseImport('csv', csv);
+
+  assert.strictEqual(first.row, 2);
+  assert.deepStrictEqual(first.errors, []);
+  assert.strictEqual(first.question.question_text, 'Which port does HTTPS use, by default?');
+  assert.deepStrictEqual(correctTexts(first.question), ['443']);
+  assert.strictEqual(first.question.explanation, 'The "secure" port');
+  assert.deepStrictEqual(first.question.tags, ['network', 'tls']);
+
+  assert.deepStrictEqual(correctTexts(second.question), ['SSH', 'HTTPS']);
+  assert.ok(!('tags' in second.question));
+});
+
+test('CSV correct column accepts option texts and 1-based numbers from a single options column', () => {
+  const csv = [
+    'question,options,correct,multiple_answers',
+    'Q1,Red|Green|Blue,green,no',
+    'Q2,Red|Green|Blue,3,yes',
+  ].join('\n');
+  const [first, second] = parseImport('csv', csv);
+  assert.deepStrictEqual(correctTexts(first.question), ['Green']);
+  assert.strictEqual(first.question.multiple_answers, '0');
+  assert.deepStrictEqual(correctTexts(second.question), ['Blue']);
+  assert.strictEqual(second.question.multiple_answers, '1');
+});
+
+test('CSV rows report a missing or unknown correct answer', () => {
+  const csv = 'question,options,correct\nQ1,Red|Green,\nQ2,Red|Green,D\n';
+  const [first, second] = parseImport('csv', csv);
+  assert.deepStrictEqual(first.errors, ['correct is required']);
+  assert.deepStrictEqual(second.errors, ['correct value "D" does not match an option']);
+  assert.deepStrictEqual(correctTexts(second.question), []);
+});
+
+test('JSON accepts a question list, a generation response or invalid input', () => {
+  assert.strictEqual(parseImport('json', '[{"question_text": "A"}, {"question_text": "B"}]').length, 2);
+  assert.strictEqual(parseImport('json', { questions: [{ question_text: 'A' }] })[0].question.question_text, 'A');
+
+  const [invalid] = parseImport('json', '{not json');
+  assert.strictEqual(invalid.question, null);
+  assert.match(invalid.errors[0], /^Invalid JSON/);
+
+  assert.deepStrictEqual(parseImport('json', [1])[0].errors, ['Item is not a question object']);
+});
+
+test('Moodle XML imports multichoice questions with their category, domain tag and HTML stripped', () => {
+  const xml = `<?xml version="1.0"?>
+<quiz>
+  <question type="category"><category><text>$course$/Networking</text></category></question>
+  <question type="multichoice">
+    <questiontext format="html"><text><![CDATA[<p>Which port does <b>SSH</b> use?</p>]]></text></questiontext>
+    <generalfeedback><text>SSH listens on 22 &amp; can be moved.</text></generalfeedback>
+    <single>true</single>
+    <answer fraction="100"><text>22</text></answer>
+    <answer fraction="0"><text>23</text></answer>
+    <tags><tag><text>domain:Security</text></tag><tag><text>ports</text></tag></tags>
+  </question>
+  <question type="essay"><questiontext><text>Explain TLS</text></questiontext></question>
+</quiz>`;
+  const [question, essay] = parseImport('moodle_xml', xml);
+
+  assert.deepStrictEqual(question.errors, []);
+  assert.strictEqual(question.question.question_text, 'Which port does SSH use?');
+  assert.strictEqual(question.question.explanation, 'SSH listens on 22 & can be moved.');
+  assert.deepStrictEqual(correctTexts(question.question), ['22']);
+  assert.strictEqual(question.question.domain, 'Security');
+  assert.strictEqual(question.question.subdomain, 'Networking');
+  assert.strictEqual(question.question.multiple_answers, '0');
+  assert.deepStrictEqual(question.question.tags, ['ports']);
+
+  assert.strictEqual(essay.row, 2);
+  assert.deepStrictEqual(essay.errors, ['Unsupported Moodle question type "essay"']);
+});
+
+test('GIFT imports multiple choice, weighted and true/false questions', () => {
+  const gift = [
+    '$CATEGORY: $course$/Cloud',
+    '',
+    '// domain: Storage',
+    '::Q1:: Which service stores objects? {=S3 ~EBS#block storage ~EFS ####S3 is object storage}',
+    '',
+    'Pick the encrypted protocols {~%50%SSH ~%50%HTTPS ~%-100%Telnet}',
+    '',
+    'TLS 1.0 is still recommended {F}',
+    '',
+    'A question without answers',
+  ].join('\n');
+  const [first, weighted, trueFalse, missing] = parseImport('gift', gift);
+
+  assert.strictEqual(first.question.question_text, 'Which service stores objects?');
+  assert.deepStrictEqual(first.question.options.map((option) => option.text), ['S3', 'EBS', 'EFS']);
+  assert.deepStrictEqual(correctTexts(first.question), ['S3']);
+  assert.strictEqual(first.question.explanation, 'S3 is object storage');
+  assert.strictEqual(first.question.domain, 'Storage');
+  assert.strictEqual(first.question.subdomain, 'Cloud');
+
+  assert.deepStrictEqual(correctTexts(weighted.question), ['SSH', 'HTTPS']);
+  assert.strictEqual(weighted.question.domain, 'Cloud');
+
+  assert.deepStrictEqual(trueFalse.question.options, [{ text: 'True', isCorrect: false }, { text: 'False', isCorrect: true }]);
+
+  assert.strictEqual(missing.row, 4);
+  assert.deepStrictEqual(missing.errors, ['Missing {answers} block']);
+});
+
+test('GIFT keeps escaped special characters in the text', () => {
+  const [item] = parseImport('gift', 'What does 1 \\= 1 mean? {=equality \\{literal\\} ~nothing}');
+  assert.strictEqual(item.question.question_text, 'What does 1 = 1 mean?');
+  assert.deepStrictEqual(correctTexts(item.question), ['equality {literal}']);
+});
+
+test('parseImport rejects unknown formats', () => {
+  assert.throws(() => parseImport('xlsx', ''), /Unsupported import format: xlsx/);
+});
+
+test('detectImportFormat uses the content type first, then the content', () => {
+  assert.strictEqual(detectImportFormat('text/csv', '[1]'), 'csv');
+  assert.strictEqual(detectImportFormat('application/xml', ''), 'moodle_xml');
+  assert.strictEqual(detectImportFormat('text/plain', '  <?xml version="1.0"?><quiz/>'), 'moodle_xml');
+  assert.strictEqual(detectImportFormat('text/plain', '{"questions": []}'), 'json');
+  assert.strictEqual(detectImportFormat('text/plain', 'Q? {=A ~B}'), 'gift');
+  assert.strictEqual(detectImportFormat('text/plain', 'question,options,correct'), 'csv');
+});
+
+test('decodeEntities decodes named and numeric entities, &amp; last', () => {
+  assert.strictEqual(decodeEntities('&lt;b&gt; &quot;x&quot; &#39;y&#39; &#65;&#x42; &amp;lt;'), '<b> "x" \'y\' AB &lt;');
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeItemStatistics, difficultyFromPValue } = require('../itemAnalysis');
+
+const question = (id) => ({
+  id,
+  domain: 'Security',
+  skill_level: 'Intermediate',
+  difficulty: 'medium',
+  options: ['A', 'B', 'C', 'D'],
+  correct_answer: 'A',
+});
+
+const questions = [question(1), question(2), question(3)];
+
+// Learners 1 and 2 answer every item correctly, learners 3 and 4 answer every item with B
+function attemptsFor(users, questionId, isCorrect) {
+  return users.map((user_id) => ({
+    user_id,
+    question_id: questionId,
+    is_correct: isCorrect,
+    selected_answers: [isCorrect ? 'A' : 'B'],
+  }));
+}
+
+const attempts = [1, 2, 3].flatMap((questionId) => [
+  ...attemptsFor([1, 2], questionId, true),
+  ...attemptsFor([3, 4], questionId, false),
+]);
+
+test('p-value is the share of first attempts answered correctly', () => {
+  const [stats] = computeItemStatistics(questions, attempts, { minAttempts: 4 });
+  assert.strictEqual(stats.attempts, 4);
+  assert.strictEqual(stats.correct, 2);
+  assert.strictEqual(stats.p_value, 0.5);
+  assert.strictEqual(stats.suggested_difficulty, 'medium');
+});
+
+test('discrimination correlates the item with the rest score', () => {
+  const [stats] = computeItemStatistics(questions, attempts, { minAttempts: 4 });
+  assert.strictEqual(stats.discrimination, 1);
+
+  const options = Object.fromEntries(stats.options.map((option) => [option.text, option]));
+  assert.strictEqual(options.A.is_correct, true);
+  assert.strictEqual(options.B.selection_rate, 0.5);
+  assert.strictEqual(options.B.discrimination, -1);
+  assert.strictEqual(options.C.selections, 0);
+});
+
+test('an item weaker learners get right is flagged for negative discrimination', () => {
+  const reversed = [
+    ...attempts.filter((attempt) => attempt.question_id !== 1),
+    ...attemptsFor([3, 4], 1, true),
+    ...attemptsFor([1, 2], 1, false),
+  ];
+  const [stats] = computeItemStatistics(questions, reversed, { minAttempts: 4 });
+  assert.strictEqual(stats.discrimination, -1);
+  assert.ok(stats.flags.includes('low_discrimination'));
+  assert.ok(stats.flags.includes('negative_discrimination'));
+  assert.ok(stats.flags.includes('attractive_distractor'));
+});
+
+test('unused distractors and items everyone answers correctly are flagged', () => {
+  const easy = [
+    ...attempts.filter((attempt) => attempt.question_id !== 1),
+    ...attemptsFor([1, 2, 3, 4], 1, true),
+  ];
+  const [stats] = computeItemStatistics(questions, easy, { minAttempts: 4 });
+  assert.strictEqual(stats.p_value, 1);
+  assert.strictEqual(stats.discrimination, null);
+  assert.deepStrictEqual(stats.flags, ['too_easy', 'dead_distractor']);
+  assert.strictEqual(stats.suggested_difficulty, 'easy');
+});
+
+test('items with fewer than minAttempts responses are reported but not flagged', () => {
+  const [stats] = computeItemStatistics(questions, attempts, { minAttempts: 5 });
+  assert.strictEqual(stats.reliable, false);
+  assert.strictEqual(stats.p_value, 0.5);
+  assert.deepStrictEqual(stats.flags, []);
+  assert.strictEqual(stats.suggested_difficulty, null);
+});
+
+test('a question nobody answered has no statistics', () => {
+  const [stats] = computeItemStatistics([question(9)], attempts, { minAttempts: 1 });
+  assert.strictEqual(stats.attempts, 0);
+  assert.strictEqual(stats.p_value, null);
+  assert.strictEqual(stats.discrimination, null);
+  assert.strictEqual(stats.reliable, false);
+});
+
+test('difficulty bands follow the p-value', () => {
+  assert.strictEqual(difficultyFromPValue(0.85), 'easy');
+  assert.strictEqual(difficultyFromPValue(0.7), 'easy');
+  assert.strictEqual(difficultyFromPValue(0.45), 'medium');
+  assert.strictEqual(difficultyFromPValue(0.1), 'hard');
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { estimateMastery, targetSkillLevel, selectAdaptiveQuestion } = require('../mastery');
+
+const now = new Date('2026-03-01T12:00:00Z');
+const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const attempt = (domain, isCorrect, overrides = {}) => ({
+  domain,
+  cognitive_level: 'Application',
+  skill_level: 'Intermediate',
+  is_correct: isCorrect,
+  answered_at: now.toISOString(),
+  ...overrides,
+});
+
+const question = (id, domain, skillLevel = 'Intermediate', cognitiveLevel = 'Application') => ({
+  id,
+  domain,
+  skill_level: skillLevel,
+  cognitive_level: cognitiveLevel,
+});
+
+// Storage is weak (0 of 3), Compute is strong (2 of 2), Networking has no attempts
+const estimate = estimateMastery([
+  attempt('Storage', false),
+  attempt('Storage', false),
+  attempt('Storage', false),
+  attempt('Compute', true),
+  attempt('Compute', true),
+], { domains: ['Storage', 'Compute', 'Networking'], now });
+
+test('estimateMastery smooths towards 0.5 and reports listed domains without attempts', () => {
+  assert.deepStrictEqual(estimate.domains, {
+    Storage: { attempts: 3, correct: 0, mastery: 0.2 },
+    Compute: { attempts: 2, correct: 2, mastery: 0.75 },
+    Networking: { attempts: 0, correct: 0, mastery: 0.5 },
+  });
+  assert.deepStrictEqual(estimate.overall, { attempts: 5, correct: 2, mastery: 0.429 });
+});
+
+test('estimateMastery weighs older attempts less', () => {
+  const recentMiss = estimateMastery([attempt('Storage', true, { answered_at: daysAgo(28) }), attempt('Storage', false)], { now });
+  const recentHit = estimateMastery([attempt('Storage', false, { answered_at: daysAgo(28) }), attempt('Storage', true)], { now });
+  assert.ok(recentMiss.domains.Storage.mastery < 0.5);
+  assert.ok(recentHit.domains.Storage.mastery > 0.5);
+});
+
+test('targetSkillLevel steps up through the skill levels with mastery', () => {
+  assert.deepStrictEqual([0, 0.39, 0.4, 0.6, 0.79, 0.8, 1].map(targetSkillLevel), [
+    'Beginner', 'Beginner', 'Intermediate', 'Advanced', 'Advanced', 'Expert', 'Expert',
+  ]);
+});
+
+test('selectAdaptiveQuestion serves the weakest domain at its target skill level', () => {
+  const candidates = [
+    question(1, 'Compute', 'Advanced'),
+    question(2, 'Storage', 'Expert'),
+    question(3, 'Storage', 'Beginner'),
+    question(4, 'Networking', 'Intermediate'),
+  ];
+  const selection = selectAdaptiveQuestion(candidates, estimate);
+
+  assert.strictEqual(selection.question_id, 3);
+  assert.strictEqual(selection.domain, 'Storage');
+  assert.strictEqual(selection.domain_mastery, 0.2);
+  assert.strictEqual(selection.target_skill_level, 'Beginner');
+  assert.strictEqual(selection.reason, 'Storage is your weakest domain (mastery 20%), serving Beginner questions');
+});
+
+test('selectAdaptiveQuestion falls back to the next weakest domain when a domain runs out', () => {
+  const candidates = [question(1, 'Compute', 'Advanced'), question(4, 'Networking', 'Intermediate')];
+  const selection = selectAdaptiveQuestion(candidates, estimate);
+
+  assert.strictEqual(selection.question_id, 4);
+  assert.strictEqual(selection.domain, 'Networking');
+  assert.strictEqual(selection.reason, 'No attempts yet in Networking');
+
+  assert.strictEqual(selectAdaptiveQuestion([question(1, 'Compute', 'Advanced')], estimate).domain, 'Compute');
+  assert.strictEqual(selectAdaptiveQuestion([], estimate), null);
+});
+
+test('selectAdaptiveQuestion breaks mastery ties by exam weight, then by name', () => {
+  const fresh = estimateMastery([], { domains: ['Storage', 'Compute'], now });
+  const candidates = [question(1, 'Storage'), question(2, 'Compute')];
+  assert.strictEqual(selectAdaptiveQuestion(candidates, fresh, { domainWeights: { Storage: 35, Compute: 20 } }).domain, 'Storage');
+  assert.strictEqual(selectAdaptiveQuestion(candidates, fresh).domain, 'Compute');
+});
+
+test('selectAdaptiveQuestion prefers unseen questions, then the weakest cognitive level', () => {
+  const byCognitiveLevel = estimateMastery([
+    attempt('Storage', false, { cognitive_level: 'Analysis' }),
+    attempt('Storage', true, { cognitive_level: 'Knowledge' }),
+  ], { now });
+  const candidates = [
+    question(1, 'Storage', 'Intermediate', 'Knowledge'),
+    question(2, 'Storage', 'Intermediate', 'Analysis'),
+    question(3, 'Storage', 'Intermediate', 'Knowledge'),
+  ];
+
+  assert.strictEqual(selectAdaptiveQuestion(candidates, byCognitiveLevel).question_id, 2);
+  assert.strictEqual(selectAdaptiveQuestion(candidates, byCognitiveLevel, { seenIds: new Set([2]) }).cognitive_level, 'Knowledge');
+});
+
+test('selectAdaptiveQuestion is repeatable for a seed', () => {
+  const candidates = Array.from({ length: 10 }, (_, index) => question(index + 1, 'Storage', 'Beginner'));
+  const picks = [1, 2, 3].map((seed) => selectAdaptiveQuestion(candidates, estimate, { seed }).question_id);
+  assert.deepStrictEqual([1, 2, 3].map((seed) => selectAdaptiveQuestion(candidates, estimate, { seed }).question_id), picks);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { gradeAnswer, toStudentQuestion } = require('../questionBank');
+
+const singleAnswer = {
+  id: 7,
+  question_id: 'q-7',
+  question_number: 7,
+  category: 'Security',
+  domain: 'Security',
+  difficulty: 'Medium',
+  cognitive_level: 'Application',
+  skill_level: 'Intermediate',
+  question_text: 'Which service stores secrets?',
+  options: JSON.stringify([
+    { text: 'Key Vault', isCorrect: true },
+    { text: 'Blob Storage', isCorrect: false },
+    { text: 'Event Hub', isCorrect: false },
+  ]),
+  correct_answer: 'Key Vault',
+  multiple_answers: '0',
+  explanation: 'Key Vault stores secrets.',
+};
+
+const multipleAnswer = {
+  ...singleAnswer,
+  id: 8,
+  options: ['Encryption at rest', 'Public buckets', 'Least privilege', 'Shared root keys'],
+  correct_answer: null,
+  correct_answers: ['Encryption at rest', 'Least privilege'],
+  multiple_answers: '1',
+};
+
+test('gradeAnswer accepts the correct option by text, ignoring case and spacing', () => {
+  const grade = gradeAnswer(singleAnswer, '  key   vault ');
+  assert.strictEqual(grade.is_correct, true);
+  assert.deepStrictEqual(grade.correct_answers, ['Key Vault']);
+});
+
+test('gradeAnswer accepts a 0-based option index', () => {
+  assert.strictEqual(gradeAnswer(singleAnswer, 0).is_correct, true);
+  assert.strictEqual(gradeAnswer(singleAnswer, 1).is_correct, false);
+  assert.deepStrictEqual(gradeAnswer(singleAnswer, 1).selected_answers, ['Blob Storage']);
+});
+
+test('gradeAnswer ignores out-of-range indexes and empty answers', () => {
+  const grade = gradeAnswer(singleAnswer, [5, '', null]);
+  assert.strictEqual(grade.is_correct, false);
+  assert.deepStrictEqual(grade.selected_answers, []);
+});
+
+test('gradeAnswer requires every correct answer and nothing else for multiple-answer questions', () => {
+  assert.strictEqual(gradeAnswer(multipleAnswer, ['Least privilege', 'Encryption at rest']).is_correct, true);
+  assert.strictEqual(gradeAnswer(multipleAnswer, [0, 2]).is_correct, true);
+  assert.strictEqual(gradeAnswer(multipleAnswer, ['Encryption at rest']).is_correct, false);
+  assert.strictEqual(gradeAnswer(multipleAnswer, [0, 1, 2]).is_correct, false);
+});
+
+test('gradeAnswer falls back to options marked isCorrect when no answer key is stored', () => {
+  const question = { ...singleAnswer, correct_answer: null };
+  assert.strictEqual(gradeAnswer(question, 'Key Vault').is_correct, true);
+});
+
+test('gradeAnswer never grades a question without an answer key as correct', () => {
+  const question = { ...singleAnswer, correct_answer: null, options: ['A', 'B'] };
+  assert.strictEqual(gradeAnswer(question, []).is_correct, false);
+});
+
+test('toStudentQuestion leaves out the answer key, isCorrect flags and explanation', () => {
+  const student = toStudentQuestion(singleAnswer, 'CV0-004');
+  assert.deepStrictEqual(student.options, ['Key Vault', 'Blob Storage', 'Event Hub']);
+  assert.strictEqual(student.certification_type, 'CV0-004');
+  assert.strictEqual(student.multiple_answers, false);
+  assert.strictEqual(student.answer_count, 1);
+  for (const field of ['correct_answer', 'correct_answers', 'explanation']) {
+    assert.ok(!(field in student), `${field} must not be exposed`);
+  }
+  assert.ok(!JSON.stringify(student).includes('isCorrect'));
+});
+
+test('toStudentQuestion tells how many answers a multiple-answer question expects', () => {
+  const student = toStudentQuestion(multipleAnswer, 'CV0-004');
+  assert.strictEqual(student.multiple_answers, true);
+  assert.strictEqual(student.answer_count, 2);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  createDuplicateIndex,
+  loadDuplicateIndex,
+  markDuplicates,
+  clusterDuplicates,
+} = require('../questionDuplicates');
+
+const question = (text, options) => ({ question_text: text, options: options.map((option) => ({ text: option, isCorrect: false })) });
+
+const storage = question(
+  'A company must keep backups readable after a full regional outage while keeping storage costs as low as possible. Which storage option should the architect choose?',
+  ['Geo-redundant storage', 'Locally redundant storage', 'Zone-redundant storage', 'Premium SSD disks']
+);
+// Same question, different punctuation, casing and option order
+const storageCopy = question(
+  'a company must keep backups readable after a full regional outage, while keeping storage costs as low as possible - which storage option should the architect choose',
+  ['Premium SSD disks', 'Zone-redundant storage', 'Geo-redundant storage', 'Locally redundant storage']
+);
+// One word changed
+const storageReworded = question(
+  'A company must keep backups readable after a full regional outage while keeping storage costs as low as possible. Which storage option should the engineer choose?',
+  ['Geo-redundant storage', 'Locally redundant storage', 'Zone-redundant storage', 'Premium SSD disks']
+);
+const scaling = question(
+  'Which scaling approach adds more instances behind a load balancer when CPU usage rises during peak hours?',
+  ['Horizontal scaling', 'Vertical scaling', 'Diagonal scaling', 'Manual scaling']
+);
+const scalingCopy = question(
+  'Which scaling approach adds more instances behind a load balancer when CPU usage rises during peak hours?',
+  ['Vertical scaling', 'Horizontal scaling', 'Manual scaling', 'Diagonal scaling']
+);
+const dns = question('What does a CNAME record point to?', ['Another domain name', 'An IPv4 address', 'A mail server', 'A text value']);
+
+test('find scores a copy with other punctuation and option order as identical', () => {
+  const index = createDuplicateIndex();
+  index.add({ question_id: 1 }, storage);
+  index.add({ question_id: 2 }, dns);
+
+  assert.deepStrictEqual(index.find(storageCopy), [{ question_id: 1, score: 1 }]);
+  assert.strictEqual(index.size, 2);
+});
+
+test('find reports a reworded question below 1 and ignores unrelated questions', () => {
+  const index = createDuplicateIndex();
+  index.add({ question_id: 1 }, storage);
+  index.add({ question_id: 2 }, scaling);
+
+  const [match, ...others] = index.find(storageReworded);
+  assert.strictEqual(match.question_id, 1);
+  assert.ok(match.score >= 0.6 && match.score < 1, `score ${match.score}`);
+  assert.deepStrictEqual(others, []);
+  assert.deepStrictEqual(index.find(dns), []);
+});
+
+test('find applies the threshold and limit options, best match first', () => {
+  const index = createDuplicateIndex();
+  index.add({ question_id: 1 }, storageReworded);
+  index.add({ question_id: 2 }, storage);
+
+  assert.deepStrictEqual(index.find(storageCopy).map((match) => match.question_id), [2, 1]);
+  assert.deepStrictEqual(index.find(storageCopy, { limit: 1 }).map((match) => match.question_id), [2]);
+  assert.deepStrictEqual(index.find(storageCopy, { threshold: 1 }).map((match) => match.question_id), [2]);
+});
+
+test('markDuplicates also reports a question that repeats an earlier one in the same list', () => {
+  const index = createDuplicateIndex();
+  index.add({ certification_type: 'CV0-004', question_id: 9 }, scaling);
+
+  const matches = markDuplicates(index, [storage, scalingCopy, storageCopy], (position) => ({ item_index: position }));
+  assert.deepStrictEqual(matches, [
+    [],
+    [{ certification_type: 'CV0-004', question_id: 9, score: 1 }],
+    [{ item_index: 0, score: 1 }],
+  ]);
+});
+
+test('clusterDuplicates groups matching questions, largest cluster first', () => {
+  const index = createDuplicateIndex();
+  [storage, scaling, dns, storageCopy, scalingCopy, storageReworded].forEach((item, position) => {
+    index.add({ question_id: position + 1 }, item, { domain: position === 2 ? 'Networking' : 'Architecture' });
+  });
+
+  const clusters = clusterDuplicates(index);
+  assert.deepStrictEqual(clusters.map((cluster) => cluster.questions.map((entry) => entry.question_id)), [[1, 4, 6], [2, 5]]);
+  assert.strictEqual(clusters[0].max_score, 1);
+  assert.strictEqual(clusters[0].questions[0].domain, 'Architecture');
+  assert.strictEqual(clusters[1].pairs.length, 1);
+  assert.deepStrictEqual(clusters[1].pairs[0], { a: { question_id: 2 }, b: { question_id: 5 }, score: 1 });
+});
+
+test('loadDuplicateIndex indexes the live questions of each certification', async () => {
+  const queries = [];
+  const client = {
+    async query(sql) {
+      queries.push(sql);
+      return { rows: [{ id: 3, ...storage, domain: 'Architecture' }] };
+    },
+  };
+  const index = await loadDuplicateIndex(client, [{ code: 'CV0-004', question_table: 'prepper.comptia_cloud_plus_questions' }]);
+
+  assert.match(queries[0], /FROM prepper\.comptia_cloud_plus_questions WHERE deleted_at IS NULL/);
+  assert.deepStrictEqual(index.find(storageCopy), [{ certification_type: 'CV0-004', question_id: 3, score: 1 }]);
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { exportQuestions } = require('../questionExport');
+const { parseImport } = require('../importFormats');
+
+const cert = { code: 'CV0-004', display_name: 'CompTIA Cloud+' };
+
+const rows = [
+  {
+    id: 1,
+    question_text: 'Which port does HTTPS use, by default?',
+    options: JSON.stringify([{ text: '80', isCorrect: false }, { text: '443', isCorrect: true }, { text: '22', isCorrect: false }]),
+    correct_answer: '443',
+    multiple_answers: '0',
+    explanation: 'The "secure" port.\nTLS runs on it.',
+    domain: 'Cloud Security',
+    references: ['https://example.com/tls'],
+    tags: ['network', 'tls'],
+  },
+  {
+    id: 2,
+    question_text: 'Pick the encrypted protocols <both>',
+    options: [{ text: 'SSH', isCorrect: true }, { text: 'Telnet', isCorrect: false }, { text: 'HTTPS', isCorrect: true }],
+    correct_answers: ['SSH', 'HTTPS'],
+    multiple_answers: '1',
+    explanation: '',
+    domain: 'Cloud Security',
+    tags: [],
+  },
+  {
+    id: 3,
+    question_text: 'Which tool applies infrastructure as code?',
+    options: ['Terraform', 'Wireshark'],
+    correct_answer: 'Terraform',
+    multiple_answers: null,
+    explanation: 'Terraform describes infrastructure in files.',
+    domain: 'DevOps Fundamentals',
+  },
+];
+
+/**
+ * Read the entries of a zip written by utils/zip.js
+ */
+function unzip(buffer) {
+  const entries = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const compressedSize = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength;
+    entries[name] = zlib.inflateRawSync(buffer.subarray(start, start + compressedSize)).toString('utf8');
+    offset = start + compressedSize;
+  }
+  return entries;
+}
+
+test('CSV export writes option columns and letter answers that import back unchanged', () => {
+  const csv = exportQuestions('csv', rows, cert);
+  const lines = csv.split('\n');
+
+  assert.strictEqual(lines[0], 'id,question_text,option_a,option_b,option_c,correct,multiple_answers,explanation,domain,category,cognitive_level,skill_level,references,tags');
+  assert.strictEqual(lines[1], '1,"Which port does HTTPS use, by default?",80,443,22,B,false,"The ""secure"" port.');
+
+  const imported = parseImport('csv', csv);
+  assert.deepStrictEqual(imported.map((row) => row.errors), [[], [], []]);
+  assert.deepStrictEqual(
+    imported.map(({ question }) => question.options.filter((option) => option.isCorrect).map((option) => option.text)),
+    [['443'], ['SSH', 'HTTPS'], ['Terraform']]
+  );
+  assert.strictEqual(imported[0].question.explanation, 'The "secure" port.\nTLS runs on it.');
+  assert.deepStrictEqual(imported[0].question.tags, ['network', 'tls']);
+});
+
+test('JSON export uses the generation shape, which the importer also reads', () => {
+  const exported = JSON.parse(exportQuestions('json', rows, cert));
+
+  assert.strictEqual(exported.certification_type, 'CV0-004');
+  assert.strictEqual(exported.count, 3);
+  assert.deepStrictEqual(exported.questions[1].correct_answers, ['SSH', 'HTTPS']);
+  assert.strictEqual(exported.questions[1].multiple_answers, '1');
+  assert.strictEqual(exported.questions[2].correct_answer, 'Terraform');
+
+  const imported = parseImport('json', JSON.stringify(exported));
+  assert.deepStrictEqual(imported.map((row) => row.errors), [[], [], []]);
+});
+
+test('Anki export writes one tab-separated note per question with escaped HTML and tags', () => {
+  const lines = exportQuestions('anki', rows, cert).trimEnd().split('\n');
+
+  assert.deepStrictEqual(lines.slice(0, 5), ['#separator:tab', '#html:true', '#notetype:Basic', '#deck:Prepper::CV0-004', '#tags column:3']);
+  const [front, back, tags] = lines[6].split('\t');
+  assert.strictEqual(front, 'Pick the encrypted protocols &lt;both&gt;<br><i>(Choose 2)</i><br><br>A. SSH<br>B. Telnet<br>C. HTTPS');
+  assert.strictEqual(back, '<b>A. SSH<br>C. HTTPS</b>');
+  assert.strictEqual(tags, 'CV0-004 Cloud_Security');
+  assert.strictEqual(lines[5].split('\t')[1], '<b>B. 443</b><br><br>The &quot;secure&quot; port.<br>TLS runs on it.');
+});
+
+test('QTI export is a content package with a manifest, a test and one item per question', () => {
+  const entries = unzip(exportQuestions('qti', rows, cert));
+
+  assert.deepStrictEqual(Object.keys(entries), ['imsmanifest.xml', 'assessmentTest.xml', 'items/q1.xml', 'items/q2.xml', 'items/q3.xml']);
+  assert.match(entries['assessmentTest.xml'], /<assessmentItemRef identifier="q2" href="items\/q2.xml"\/>/);
+  assert.match(entries['items/q2.xml'], /cardinality="multiple"/);
+  assert.match(entries['items/q2.xml'], /<value>A<\/value>\n\s+<value>C<\/value>/);
+  assert.match(entries['items/q2.xml'], /maxChoices="0"/);
+  assert.match(entries['items/q2.xml'], /<p>Pick the encrypted protocols &lt;both&gt;<\/p>/);
+  assert.match(entries['items/q1.xml'], /maxChoices="1"/);
+});
+
+test('Markdown study sheet numbers questions across domains and puts the answers where asked', () => {
+  const atEnd = exportQuestions('markdown', rows, cert);
+  assert.match(atEnd, /^# CV0-004 - CompTIA Cloud\+ study sheet$/m);
+  assert.match(atEnd, /## DevOps Fundamentals\n\n\*\*3\.\*\* Which tool/);
+  assert.match(atEnd, /## Answer key\n\n1\. \*\*B\. 443\*\* - The "secure" port\. TLS runs on it\.\n2\. \*\*A\. SSH; C\. HTTPS\*\*\n/);
+
+  const inline = exportQuestions('markdown', rows, cert, { answers: 'inline' });
+  assert.match(inline, /> \*\*Answer:\*\* B\. 443\n>\n> The "secure" port\.\n> TLS runs on it\./);
+  assert.ok(!inline.includes('Answer key'));
+
+  const none = exportQuestions('markdown', rows, cert, { answers: 'none' });
+  assert.ok(!none.includes('Answer'));
+});
+
+test('HTML study sheet escapes question text and can leave out the answers', () => {
+  const html = exportQuestions('html', rows, cert);
+  assert.match(html, /<title>CV0-004 - CompTIA Cloud\+ study sheet<\/title>/);
+  assert.match(html, /Pick the encrypted protocols &lt;both&gt; <em>\(Choose 2\)<\/em>/);
+  assert.match(html, /<section class="answer-key">/);
+
+  const withoutAnswers = exportQuestions('html', rows, cert, { answers: 'none' });
+  assert.ok(!withoutAnswers.includes('<section class="answer-key">'));
+  assert.ok(!withoutAnswers.includes('class="answer"'));
+});
+
+test('exportQuestions rejects unknown formats', () => {
+  assert.throws(() => exportQuestions('pdf', rows, cert), /Unsupported export format: pdf/);
+});
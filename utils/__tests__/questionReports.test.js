@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const email = require('../../email/SendEmail');
+
+const sent = [];
+let sendError = null;
+email.sendEmailWithAttachment = async (from, to, subject, message) => {
+  if (sendError) {
+    throw sendError;
+  }
+  sent.push({ to, subject, message });
+};
+
+const { closeReports, notifyReporters, sendReportOutcome } = require('../questionReports');
+
+/**
+ * Client that answers each query with the next entry of `results` and records the queries it ran
+ */
+function fakeClient(results = []) {
+  const queries = [];
+  return {
+    queries,
+    async query(sql, params) {
+      queries.push({ sql, params });
+      return results.shift() || { rows: [] };
+    },
+  };
+}
+
+const closedReport = (overrides = {}) => ({
+  id: 5,
+  user_id: 7,
+  username: 'learner',
+  email: 'learner@example.com',
+  certification_type: 'CV0-004',
+  question_id: 42,
+  reason: 'wrong_answer',
+  status: 'resolved',
+  resolution_note: 'Fixed the answer key.',
+  reporter_notified_at: null,
+  ...overrides,
+});
+
+test.beforeEach(() => {
+  sent.length = 0;
+  sendError = null;
+});
+
+test('closeReports closes only open reports and returns them', async () => {
+  const client = fakeClient([{ rows: [{ id: 1, status: 'dismissed' }] }]);
+  const closed = await closeReports(client, [1, 2], { status: 'dismissed', adminId: 3 });
+
+  assert.deepStrictEqual(closed, [{ id: 1, status: 'dismissed' }]);
+  assert.deepStrictEqual(client.queries[0].params, [[1, 2], 'dismissed', null, 3]);
+  assert.match(client.queries[0].sql, /status = 'open'/);
+});
+
+test('notifyReporters queues one job per reporter and skips anonymous reports', async () => {
+  const client = fakeClient([{ rows: [{ id: 90 }] }, { rows: [] }]);
+  const queued = await notifyReporters(client, [{ id: 1, user_id: 7 }, { id: 2, user_id: null }, { id: 3, user_id: 8 }]);
+
+  // The second job already exists in the queue, so only one is counted
+  assert.strictEqual(queued, 1);
+  assert.deepStrictEqual(client.queries.map((query) => [query.params[0], query.params[2]]), [
+    ['report.notify', 'report.notify:1'],
+    ['report.notify', 'report.notify:3'],
+  ]);
+});
+
+test('sendReportOutcome emails the outcome with the reviewer note and records it', async () => {
+  const client = fakeClient([{ rows: [closedReport()] }]);
+  assert.deepStrictEqual(await sendReportOutcome(client, 5), { sent: true });
+
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].to, 'learner@example.com');
+  assert.strictEqual(sent[0].subject, 'Your question report was resolved');
+  assert.match(sent[0].message, /CV0-004 question #42 \(wrong answer\) has been fixed/);
+  assert.match(sent[0].message, /Note from the reviewer: Fixed the answer key\./);
+  assert.match(client.queries[1].sql, /SET reporter_notified_at = NOW\(\)/);
+});
+
+test('sendReportOutcome skips open, already notified and email-less reports', async () => {
+  const outcomes = [];
+  for (const report of [closedReport({ status: 'open' }), closedReport({ reporter_notified_at: new Date() }), closedReport({ email: null })]) {
+    outcomes.push((await sendReportOutcome(fakeClient([{ rows: [report] }]), report.id)).reason);
+  }
+  outcomes.push((await sendReportOutcome(fakeClient(), 99)).reason);
+
+  assert.deepStrictEqual(outcomes, [
+    'Report is not closed',
+    'Reporter already notified',
+    'Reporter has no email address',
+    'Report is not closed',
+  ]);
+  assert.strictEqual(sent.length, 0);
+});
+
+test('sendReportOutcome throws a send failure without marking the report notified', async () => {
+  sendError = new Error('SMTP unavailable');
+  const client = fakeClient([{ rows: [closedReport({ status: 'dismissed', resolution_note: null })] }]);
+
+  await assert.rejects(sendReportOutcome(client, 5), /SMTP unavailable/);
+  assert.strictEqual(client.queries.length, 1);
+});
@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  extractJson,
+  repairGeneratedQuestion,
+  validateGeneratedQuestion,
+  validateGeneratedOutput,
+} = require('../questionSchema');
+
+const context = { certificationType: 'CV0-004', multipleAnswers: false };
+
+/**
+ * A question that passes validation as it is
+ */
+function validQuestion(overrides = {}) {
+  return {
+    question_text: 'Which service tier keeps data available across zones?',
+    options: [
+      { text: 'Zone-redundant storage', isCorrect: true },
+      { text: 'Locally redundant storage', isCorrect: false },
+      { text: 'Archive storage', isCorrect: false },
+      { text: 'Ephemeral disk', isCorrect: false },
+    ],
+    correct_answer: 'Zone-redundant storage',
+    correct_answers: null,
+    multiple_answers: null,
+    explanation: 'Zone-redundant storage copies data across availability zones.',
+    explanation_details: {
+      summary: 'ZRS survives a zone outage.',
+      breakdown: ['Data is copied to three zones.'],
+      otherOptions: 'The other tiers keep data in one zone or offline.',
+    },
+    domain: 'Cloud Architecture and Design',
+    references: ['https://learn.example.com/storage-redundancy'],
+    ...overrides,
+  };
+}
+
+test('extractJson reads JSON from a code fence', () => {
+  const parsed = extractJson('Here you go:\n```json\n[{"a": 1}]\n```\nLet me know if you need more.');
+  assert.deepStrictEqual(parsed, { value: [{ a: 1 }], repairs: [], error: null });
+});
+
+test('extractJson cuts the JSON out of surrounding text and drops trailing commas', () => {
+  const parsed = extractJson('Sure! {"options": ["a", "b",], "text": "line one\nline two"} Hope this helps.');
+  assert.deepStrictEqual(parsed.value, { options: ['a', 'b'], text: 'line one\nline two' });
+  assert.deepStrictEqual(parsed.repairs, [
+    'Removed text around the JSON',
+    'Removed trailing commas',
+    'Escaped line breaks inside strings',
+  ]);
+});
+
+test('extractJson reports text that holds no JSON', () => {
+  const parsed = extractJson('I cannot help with that.');
+  assert.strictEqual(parsed.value, null);
+  assert.ok(parsed.error);
+});
+
+test('repairGeneratedQuestion strips letter labels and marks the answer given by letter', () => {
+  const { question, repairs } = repairGeneratedQuestion(validQuestion({
+    options: ['A. Zone-redundant storage', 'B. Locally redundant storage', 'C. Archive storage', 'D. Ephemeral disk'],
+    correct_answer: 'B',
+  }), context);
+
+  assert.deepStrictEqual(question.options.map((option) => [option.text, option.isCorrect]), [
+    ['Zone-redundant storage', false],
+    ['Locally redundant storage', true],
+    ['Archive storage', false],
+    ['Ephemeral disk', false],
+  ]);
+  assert.strictEqual(question.correct_answer, 'Locally redundant storage');
+  assert.ok(repairs.includes('Marked isCorrect from the listed answers'));
+  assert.deepStrictEqual(validateGeneratedQuestion(question, context), []);
+});
+
+test('repairGeneratedQuestion resolves an answer given as "C) text" against an options map', () => {
+  const { question } = repairGeneratedQuestion(validQuestion({
+    options: { A: 'Zone-redundant storage', B: 'Locally redundant storage', C: 'Archive storage', D: 'Ephemeral disk' },
+    correct_answer: 'C) Archive storage',
+  }), context);
+  assert.strictEqual(question.correct_answer, 'Archive storage');
+  assert.deepStrictEqual(validateGeneratedQuestion(question, context), []);
+});
+
+test('repairGeneratedQuestion converts yes/no and true/false strings to isCorrect booleans', () => {
+  const base = validQuestion();
+  const { question, repairs } = repairGeneratedQuestion({
+    ...base,
+    options: [
+      { text: base.options[0].text, isCorrect: 'yes' },
+      { text: base.options[1].text, isCorrect: 'No' },
+      { text: base.options[2].text, is_correct: 'false' },
+      { text: base.options[3].text, correct: '0' },
+    ],
+  }, context);
+
+  assert.deepStrictEqual(question.options.map((option) => option.isCorrect), [true, false, false, false]);
+  assert.ok(repairs.includes('Converted isCorrect flags to booleans'));
+  assert.deepStrictEqual(validateGeneratedQuestion(question, context), []);
+});
+
+test('an isCorrect value that is not a flag is reported instead of read as false', () => {
+  const base = validQuestion();
+  const { question } = repairGeneratedQuestion({
+    ...base,
+    options: base.options.map((option, index) => (index === 1 ? { ...option, isCorrect: 'maybe' } : option)),
+  }, context);
+
+  assert.strictEqual(question.options[1].isCorrect, 'maybe');
+  assert.deepStrictEqual(validateGeneratedQuestion(question, context), [
+    'options[1].isCorrect: expected boolean, got string "maybe"',
+  ]);
+});
+
+test('repairGeneratedQuestion matches the domain to the certification spelling', () => {
+  const { question } = repairGeneratedQuestion(validQuestion({ domain: ' cloud architecture AND design ' }), context);
+  assert.strictEqual(question.domain, 'Cloud Architecture and Design');
+});
+
+test('validateGeneratedQuestion rejects missing fields, no correct option and duplicate options', () => {
+  const question = validQuestion({
+    options: [{ text: 'Same', isCorrect: false }, { text: 'same', isCorrect: false }],
+    references: [],
+  });
+  delete question.explanation;
+
+  assert.deepStrictEqual(validateGeneratedQuestion(question, context), [
+    'explanation: is required',
+    'references: needs at least 1 item(s)',
+    'options: no option is marked isCorrect',
+    'options: option texts must be unique',
+  ]);
+});
+
+test('validateGeneratedQuestion checks the answer mode, the answer fields and the domain', () => {
+  const base = validQuestion();
+  const twoCorrect = base.options.map((option, index) => ({ ...option, isCorrect: index < 2 }));
+
+  assert.deepStrictEqual(validateGeneratedQuestion({ ...base, options: twoCorrect }, context), [
+    'options: a single-answer question must have exactly one correct option',
+    'correct_answers: does not match the options marked isCorrect',
+    'multiple_answers: must be "1" when more than one option is correct',
+  ]);
+  assert.deepStrictEqual(validateGeneratedQuestion(base, { ...context, multipleAnswers: true }), [
+    'options: a multiple-answer question needs at least two correct options',
+  ]);
+  assert.deepStrictEqual(validateGeneratedQuestion({ ...base, correct_answer: 'Archive storage' }, context), [
+    'correct_answer: does not match the option marked isCorrect',
+  ]);
+  assert.deepStrictEqual(validateGeneratedQuestion({ ...base, domain: 'Networking' }, context), [
+    'domain: "Networking" is not a domain of CV0-004',
+  ]);
+});
+
+test('validateGeneratedOutput keeps the valid questions of a fenced response and reports the others by index', () => {
+  const text = `\`\`\`json\n{"questions": ${JSON.stringify([validQuestion(), validQuestion({ options: [] })])}}\n\`\`\``;
+  const result = validateGeneratedOutput(text, context);
+
+  assert.strictEqual(result.questions.length, 1);
+  assert.deepStrictEqual(result.invalid.map((item) => [item.item_index, item.errors]), [
+    [1, ['options: needs at least 2 item(s)']],
+  ]);
+  assert.deepStrictEqual(result.repairs, [{ item_index: null, repairs: ['Unwrapped the questions array'] }]);
+});
+
+test('validateGeneratedOutput reports a response that is not JSON', () => {
+  const result = validateGeneratedOutput('Sorry, I ran out of ideas.', context);
+  assert.deepStrictEqual(result.questions, []);
+  assert.strictEqual(result.invalid[0].item_index, null);
+  assert.match(result.invalid[0].errors[0], /^Response is not valid JSON/);
+  assert.strictEqual(result.invalid[0].response_preview, 'Sorry, I ran out of ideas.');
+});
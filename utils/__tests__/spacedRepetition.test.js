@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { scheduleReview, gradeFromAttempt, isValidGrade } = require('../spacedRepetition');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-01-10T12:00:00Z');
+
+test('a new card recalled correctly is due again after 1 day, then 6 days', () => {
+  const first = scheduleReview(null, 4, now);
+  assert.strictEqual(first.repetitions, 1);
+  assert.strictEqual(first.interval_days, 1);
+  assert.strictEqual(first.due_at.getTime(), now.getTime() + DAY_MS);
+
+  const second = scheduleReview(first, 4, now);
+  assert.strictEqual(second.repetitions, 2);
+  assert.strictEqual(second.interval_days, 6);
+});
+
+test('from the third review the interval grows by the ease factor', () => {
+  const card = { ease_factor: '2.5', interval_days: 6, repetitions: 2, lapses: 0 };
+  const next = scheduleReview(card, 5, now);
+  assert.strictEqual(next.repetitions, 3);
+  assert.strictEqual(next.interval_days, 15);
+  assert.strictEqual(next.ease_factor, 2.6);
+});
+
+test('grade 4 keeps the ease factor, lower passing grades lower it', () => {
+  assert.strictEqual(scheduleReview(null, 4, now).ease_factor, 2.5);
+  assert.strictEqual(scheduleReview(null, 3, now).ease_factor, 2.36);
+});
+
+test('a forgotten card starts over after 1 day and counts a lapse', () => {
+  const card = { ease_factor: 2.5, interval_days: 15, repetitions: 3, lapses: 1 };
+  const next = scheduleReview(card, 1, now);
+  assert.strictEqual(next.repetitions, 0);
+  assert.strictEqual(next.interval_days, 1);
+  assert.strictEqual(next.lapses, 2);
+  assert.strictEqual(next.ease_factor, 1.96);
+});
+
+test('a new card failed on its first review has no lapse yet', () => {
+  assert.strictEqual(scheduleReview(null, 0, now).lapses, 0);
+});
+
+test('the ease factor never drops below 1.3', () => {
+  let card = null;
+  for (let i = 0; i < 10; i++) {
+    card = scheduleReview(card, 0, now);
+  }
+  assert.strictEqual(card.ease_factor, 1.3);
+});
+
+test('graded attempts map onto recall grades', () => {
+  assert.strictEqual(gradeFromAttempt(true), 4);
+  assert.strictEqual(gradeFromAttempt(false), 1);
+});
+
+test('isValidGrade accepts integers 0 to 5 only', () => {
+  assert.ok([0, 3, 5].every(isValidGrade));
+  assert.ok(![-1, 6, 2.5, '3', null].some(isValidGrade));
+});
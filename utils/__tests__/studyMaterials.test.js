@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  detectMaterialFormat,
+  htmlToText,
+  chunkMaterial,
+  chunkReference,
+  withSourceReference,
+} = require('../studyMaterials');
+
+const sentence = (word) => `${word} ${'text '.repeat(18)}end.`;
+const paragraph = (word, sentences) => Array.from({ length: sentences }, () => sentence(word)).join(' ');
+
+test('detectMaterialFormat uses the content type, the file name, then the content', () => {
+  assert.strictEqual(detectMaterialFormat('text/html', null, 'plain'), 'html');
+  assert.strictEqual(detectMaterialFormat('text/plain', 'notes.md', 'plain'), 'markdown');
+  assert.strictEqual(detectMaterialFormat('text/plain', null, '<!DOCTYPE html><html></html>'), 'html');
+  assert.strictEqual(detectMaterialFormat('text/plain', null, 'Intro\n\n## Storage\nText'), 'markdown');
+  assert.strictEqual(detectMaterialFormat('text/plain', 'notes.txt', 'Just text'), 'text');
+});
+
+test('htmlToText keeps headings and list items and drops scripts and navigation', () => {
+  const html = '<html><nav>Home | About</nav><h2>Storage <em>tiers</em></h2><p>Hot &amp; cold</p>'
+    + '<ul><li>Hot</li><li>Cold</li></ul><script>track()</script></html>';
+  const text = htmlToText(html);
+  assert.match(text, /^## Storage tiers$/m);
+  assert.match(text, /Hot & cold/);
+  assert.match(text, /^- Hot$/m);
+  assert.match(text, /^- Cold$/m);
+  assert.ok(!text.includes('track()'));
+  assert.ok(!text.includes('About'));
+});
+
+test('chunkMaterial starts a chunk at each heading once the previous chunk is long enough', () => {
+  const content = `# Compute\n\n${paragraph('compute', 5)}\n\n# Storage\n\n${paragraph('storage', 5)}`;
+  const chunks = chunkMaterial(content, 'markdown');
+  assert.deepStrictEqual(chunks.map((chunk) => [chunk.chunk_index, chunk.heading]), [[0, 'Compute'], [1, 'Storage']]);
+  assert.ok(chunks[1].content.startsWith('storage'));
+});
+
+test('chunkMaterial merges short sections into the next chunk', () => {
+  const content = '# Intro\n\nA short intro.\n\n# Networking\n\nVPCs and subnets.';
+  const chunks = chunkMaterial(content, 'markdown');
+  assert.strictEqual(chunks.length, 1);
+  assert.strictEqual(chunks[0].heading, 'Intro');
+  assert.strictEqual(chunks[0].content, 'A short intro.\n\nVPCs and subnets.');
+});
+
+test('chunkMaterial keeps chunks within maxChars, cutting long paragraphs at sentence ends', () => {
+  const content = `${paragraph('first', 4)}\n\n${paragraph('second', 12)}`;
+  const chunks = chunkMaterial(content, 'text', { maxChars: 500 });
+  assert.ok(chunks.length > 2);
+  chunks.forEach((chunk) => {
+    assert.ok(chunk.content.length <= 500, `chunk ${chunk.chunk_index} has ${chunk.content.length} characters`);
+    assert.ok(chunk.content.endsWith('end.'), `chunk ${chunk.chunk_index} is cut mid-sentence`);
+  });
+  assert.strictEqual(chunks.map((chunk) => chunk.content).join(' ').split('end.').length - 1, 16);
+});
+
+test('chunkMaterial cuts a paragraph without sentence ends at maxChars', () => {
+  const chunks = chunkMaterial('x'.repeat(1200), 'text', { maxChars: 500 });
+  assert.deepStrictEqual(chunks.map((chunk) => chunk.content.length), [500, 500, 200]);
+});
+
+test('chunkMaterial chunks HTML by its headings', () => {
+  const html = `<h1>Identity</h1><p>${paragraph('identity', 5)}</p><h1>Keys</h1><p>${paragraph('keys', 5)}</p>`;
+  assert.deepStrictEqual(chunkMaterial(html, 'html').map((chunk) => chunk.heading), ['Identity', 'Keys']);
+});
+
+test('chunkReference points at the material, chunk and heading', () => {
+  const material = { id: 12, title: 'Cloud Guide' };
+  assert.strictEqual(chunkReference(material, { chunk_index: 3, heading: 'Storage' }), 'study_material:12#3 - Cloud Guide > Storage');
+  assert.strictEqual(chunkReference(material, { chunk_index: 0, heading: null }), 'study_material:12#0 - Cloud Guide');
+});
+
+test('withSourceReference puts the chunk reference first and replaces an older copy', () => {
+  const reference = 'study_material:12#3 - Cloud Guide > Storage';
+  const question = { question_text: 'Q', references: ['https://docs.example.com', 'study_material:12#3 - old title'] };
+  assert.deepStrictEqual(withSourceReference(question, reference).references, [reference, 'https://docs.example.com']);
+  assert.deepStrictEqual(withSourceReference({ question_text: 'Q' }, reference).references, [reference]);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const {
+  isInternalAddress,
+  validateWebhookUrl,
+  signPayload,
+  backoffDelay,
+  toPublicWebhook,
+  toPublicDelivery,
+} = require('../webhooks');
+
+test('signPayload is the hex HMAC-SHA256 of "<timestamp>.<body>"', () => {
+  const body = JSON.stringify({ event: 'batch.completed' });
+  const expected = crypto.createHmac('sha256', 'secret').update(`1700000000.${body}`).digest('hex');
+  assert.strictEqual(signPayload('secret', 1700000000, body), expected);
+  assert.notStrictEqual(signPayload('other', 1700000000, body), expected);
+});
+
+test('backoffDelay doubles from the base delay and is capped at 6 hours', () => {
+  assert.strictEqual(backoffDelay(1), 30000);
+  assert.strictEqual(backoffDelay(2), 60000);
+  assert.strictEqual(backoffDelay(4), 240000);
+  assert.strictEqual(backoffDelay(30), 6 * 60 * 60 * 1000);
+});
+
+test('loopback, private, link-local and unique-local addresses are internal', () => {
+  const internal = ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:169.254.169.254', 'not-an-ip'];
+  internal.forEach((address) => assert.strictEqual(isInternalAddress(address), true, address));
+});
+
+test('public addresses are not internal', () => {
+  ['8.8.8.8', '172.32.0.1', '2606:4700:4700::1111', '::ffff:8.8.8.8'].forEach((address) => {
+    assert.strictEqual(isInternalAddress(address), false, address);
+  });
+});
+
+test('validateWebhookUrl requires an absolute http(s) URL', async () => {
+  assert.strictEqual(await validateWebhookUrl('/hooks'), 'url must be an absolute URL');
+  assert.strictEqual(await validateWebhookUrl('ftp://8.8.8.8/hooks'), 'url must use http or https');
+  assert.strictEqual(await validateWebhookUrl('https://8.8.8.8/hooks'), null);
+});
+
+test('validateWebhookUrl rejects hosts that are internal addresses', async () => {
+  const reason = 'url must not point to a loopback, private or link-local address';
+  assert.strictEqual(await validateWebhookUrl('http://127.0.0.1:8080/hooks'), reason);
+  assert.strictEqual(await validateWebhookUrl('http://169.254.169.254/latest/meta-data'), reason);
+  assert.strictEqual(await validateWebhookUrl('http://[::1]/hooks'), reason);
+  assert.strictEqual(await validateWebhookUrl('http://[::ffff:10.0.0.1]/hooks'), reason);
+});
+
+test('public views leave out the secret and the response body', () => {
+  assert.deepStrictEqual(toPublicWebhook({ id: 1, url: 'https://example.com', secret: 's' }), { id: 1, url: 'https://example.com' });
+  assert.deepStrictEqual(
+    toPublicDelivery({ id: 2, response_status: 500, response_body: 'internal details', error: 'HTTP 500' }),
+    { id: 2, response_status: 500, error: 'HTTP 500' }
+  );
+});
@@ -0,0 +1,340 @@
+const logger = require('../logs/prepperLog');
+
+const _logger = logger();
+
+function parseNumber(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+// USD per million tokens, matched against the start of the model id (longest prefix wins).
+// AI_PRICING (JSON, same shape) adds or overrides entries.
+const MODEL_PRICING = {
+  'claude-opus-4-5': { input: 5, output: 25 },
+  'claude-opus-4-1': { input: 15, output: 75 },
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-haiku-4-5': { input: 1, output: 5 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'mock-': { input: 0, output: 0 },
+  ...(process.env.AI_PRICING ? JSON.parse(process.env.AI_PRICING) : {}),
+};
+
+// Unknown models are priced like the most expensive one so budgets err on the safe side
+const FALLBACK_PRICING = { input: 15, output: 75 };
+
+// Message Batches are billed at half the standard rate
+const BATCH_DISCOUNT = parseNumber(process.env.AI_BATCH_DISCOUNT, 0.5);
+
+// Token counts assumed per single-question request when estimating a batch before it runs
+const ESTIMATED_INPUT_TOKENS = parseInt(process.env.AI_ESTIMATED_INPUT_TOKENS, 10) || 2500;
+const ESTIMATED_OUTPUT_TOKENS = parseInt(process.env.AI_ESTIMATED_OUTPUT_TOKENS, 10) || 1500;
+
+// Monthly limits used when prepper.ai_budgets has no row (unset = unlimited)
+const DEFAULT_GLOBAL_BUDGET = parseNumber(process.env.AI_MONTHLY_BUDGET_USD, null);
+const DEFAULT_USER_BUDGET = parseNumber(process.env.AI_USER_MONTHLY_BUDGET_USD, null);
+
+const USAGE_GROUPS = ['day', 'month'];
+
+/**
+ * Longest MODEL_PRICING key the model id starts with
+ * @returns {string|undefined}
+ */
+function findPricingPrefix(model) {
+  const id = String(model || '');
+  return Object.keys(MODEL_PRICING)
+    .filter((key) => id.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+}
+
+/**
+ * Whether a model has an entry in MODEL_PRICING; callers may only pick models whose cost can be tracked
+ */
+function isPricedModel(model) {
+  return typeof model === 'string' && findPricingPrefix(model) !== undefined;
+}
+
+/**
+ * @param {string} model
+ * @returns {{input: number, output: number}} USD per million tokens
+ */
+function getModelPricing(model) {
+  const id = String(model || '');
+  const prefix = findPricingPrefix(id);
+
+  if (!prefix) {
+    _logger.warn('No pricing for model, using fallback rates', { model: id, fallback: FALLBACK_PRICING });
+    return FALLBACK_PRICING;
+  }
+  return MODEL_PRICING[prefix];
+}
+
+/**
+ * Estimated cost in USD of one call
+ * @param {string} model
+ * @param {{input_tokens?: number, output_tokens?: number}|null} usage
+ * @param {{batch?: boolean}} [options] - batch applies BATCH_DISCOUNT
+ */
+function estimateCost(model, usage, { batch = false } = {}) {
+  const pricing = getModelPricing(model);
+  const cost = ((usage?.input_tokens || 0) * pricing.input + (usage?.output_tokens || 0) * pricing.output) / 1e6;
+  return Math.round(cost * (batch ? 1 - BATCH_DISCOUNT : 1) * 1e6) / 1e6;
+}
+
+/**
+ * Expected cost of a batch of single-question requests, before it runs
+ */
+function estimateBatchCost(model, count) {
+  return estimateCost(model, {
+    input_tokens: ESTIMATED_INPUT_TOKENS * count,
+    output_tokens: ESTIMATED_OUTPUT_TOKENS * count,
+  }, { batch: true });
+}
+
+/**
+ * Expected cost of one /generateQuestion call for count questions, before it runs
+ */
+function estimateGenerationCost(model, count) {
+  return estimateCost(model, {
+    input_tokens: ESTIMATED_INPUT_TOKENS,
+    output_tokens: ESTIMATED_OUTPUT_TOKENS * count,
+  });
+}
+
+/**
+ * Store one call's usage. Batch items are recorded once per batch_id + custom_id.
+ * @param {import('pg').Client} client
+ * @param {object} entry
+ * @param {{id?: number, username?: string}|null} entry.user
+ * @param {'generate'|'batch'} entry.source
+ * @param {string} entry.model
+ * @param {{input_tokens?: number, output_tokens?: number}|null} entry.usage
+ * @param {string} [entry.batchId]
+ * @param {string} [entry.customId]
+ * @param {string} [entry.certificationType]
+ * @returns {Promise<number>} Cost recorded, in USD
+ */
+async function recordUsage(client, { user, source, model, usage, batchId = null, customId = null, certificationType = null }) {
+  const cost = estimateCost(model, usage, { batch: source === 'batch' });
+  await client.query(
+    `INSERT INTO prepper.ai_usage
+       (user_id, username, source, batch_id, custom_id, certification_type, model, input_tokens, output_tokens, cost_usd)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     ON CONFLICT DO NOTHING`,
+    [
+      Number.isInteger(user?.id) ? user.id : null,
+      user?.username || null,
+      source,
+      batchId,
+      customId,
+      certificationType,
+      model,
+      usage?.input_tokens || 0,
+      usage?.output_tokens || 0,
+      cost,
+    ]
+  );
+  return cost;
+}
+
+/**
+ * Monthly limits for the whole service and for one user; null means unlimited
+ * @returns {Promise<{global: number|null, user: number|null}>}
+ */
+async function getBudgetLimits(client, userId) {
+  const result = await client.query(
+    `SELECT user_id, monthly_limit_usd::float AS monthly_limit_usd FROM prepper.ai_budgets
+     WHERE user_id IS NULL OR user_id = $1`,
+    [Number.isInteger(userId) ? userId : null]
+  );
+  const globalRow = result.rows.find((row) => row.user_id === null);
+  const userRow = result.rows.find((row) => row.user_id !== null);
+  return {
+    global: globalRow ? globalRow.monthly_limit_usd : DEFAULT_GLOBAL_BUDGET,
+    user: userRow ? userRow.monthly_limit_usd : DEFAULT_USER_BUDGET,
+  };
+}
+
+/**
+ * Spend so far this calendar month (UTC), overall and for one user
+ * @returns {Promise<{global: number, user: number}>}
+ */
+async function getMonthlySpend(client, userId) {
+  const result = await client.query(
+    `SELECT COALESCE(SUM(cost_usd), 0)::float AS global,
+            COALESCE(SUM(cost_usd) FILTER (WHERE user_id = $1), 0)::float AS "user"
+     FROM prepper.ai_usage
+     WHERE created_at >= date_trunc('month', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'`,
+    [Number.isInteger(userId) ? userId : null]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Estimated cost of the batches still running, less what is already recorded for them, overall and for one user.
+ * Their usage is only recorded once results arrive, so without this several batches submitted in a row could
+ * each pass the budget check.
+ * @returns {Promise<{global: number, user: number}>}
+ */
+async function getReservedSpend(client, userId) {
+  // Batches run on CLAUDE_OPUS_4_5 (see routes/questions.js), read from .env once it is loaded
+  const perQuestion = estimateBatchCost(process.env.CLAUDE_OPUS_4_5, 1);
+  const result = await client.query(
+    `SELECT COALESCE(SUM(GREATEST(b.count * $2::float - COALESCE(u.cost_usd, 0), 0)), 0)::float AS global,
+            COALESCE(SUM(GREATEST(b.count * $2::float - COALESCE(u.cost_usd, 0), 0)) FILTER (WHERE b.user_id = $1), 0)::float AS "user"
+     FROM prepper.batch_jobs b
+     LEFT JOIN LATERAL (
+       SELECT SUM(cost_usd)::float AS cost_usd FROM prepper.ai_usage WHERE batch_id = b.batch_id
+     ) u ON TRUE
+     WHERE b.status IN ('pending', 'validating', 'in_progress', 'cancelling')`,
+    [Number.isInteger(userId) ? userId : null, perQuestion]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Check a planned spend against the global and per-user monthly budgets. Running batches count as spent.
+ * @param {import('pg').Client} client
+ * @param {{id?: number}} user
+ * @param {number} estimatedCost - USD
+ * @returns {Promise<{allowed: boolean, reason: string|null, estimated_cost_usd: number, budgets: object}>}
+ */
+async function checkBudget(client, user, estimatedCost) {
+  const limits = await getBudgetLimits(client, user?.id);
+  const spent = await getMonthlySpend(client, user?.id);
+  const reserved = await getReservedSpend(client, user?.id);
+  const committed = (scope) => spent[scope] + reserved[scope];
+  const describe = (scope) => ({
+    limit_usd: limits[scope],
+    spent_usd: Math.round(spent[scope] * 100) / 100,
+    reserved_usd: Math.round(reserved[scope] * 100) / 100,
+    remaining_usd: limits[scope] === null ? null : Math.max(Math.round((limits[scope] - committed(scope)) * 100) / 100, 0),
+  });
+  const budgets = { global: describe('global'), user: describe('user') };
+
+  let reason = null;
+  if (limits.global !== null && committed('global') + estimatedCost > limits.global) {
+    reason = 'The global monthly AI budget is exhausted';
+  } else if (limits.user !== null && committed('user') + estimatedCost > limits.user) {
+    reason = 'Your monthly AI budget is exhausted';
+  }
+
+  return { allowed: reason === null, reason, estimated_cost_usd: estimatedCost, budgets };
+}
+
+/**
+ * @returns {Promise<object[]>} Budget rows, global first
+ */
+async function listBudgets(client) {
+  const result = await client.query(
+    `SELECT user_id, monthly_limit_usd::float AS monthly_limit_usd, updated_by, updated_at
+     FROM prepper.ai_budgets
+     ORDER BY user_id NULLS FIRST`
+  );
+  return result.rows;
+}
+
+/**
+ * Set (or with limit null, remove) the global budget (userId null) or a user's budget
+ * @returns {Promise<object|null>} The stored row, or null when removed
+ */
+async function setBudget(client, userId, limit, adminId) {
+  if (limit === null) {
+    await client.query(
+      'DELETE FROM prepper.ai_budgets WHERE COALESCE(user_id, 0) = COALESCE($1::int, 0)',
+      [userId]
+    );
+    return null;
+  }
+
+  const result = await client.query(
+    `INSERT INTO prepper.ai_budgets (user_id, monthly_limit_usd, updated_by, updated_at)
+     VALUES ($1, $2, $3, NOW())
+     ON CONFLICT ((COALESCE(user_id, 0)))
+     DO UPDATE SET monthly_limit_usd = EXCLUDED.monthly_limit_usd, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+     RETURNING user_id, monthly_limit_usd::float AS monthly_limit_usd, updated_by, updated_at`,
+    [userId, limit, adminId || null]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Usage totals, a daily or monthly rollup and a per-user breakdown for a time range
+ * @param {import('pg').Client} client
+ * @param {{from: Date, to: Date, group: 'day'|'month', userId?: number}} options
+ */
+async function getUsageReport(client, { from, to, group, userId }) {
+  const params = [from, to];
+  let filter = 'created_at >= $1 AND created_at < $2';
+  if (Number.isInteger(userId)) {
+    params.push(userId);
+    filter += ` AND user_id = $${params.length}`;
+  }
+
+  const sums = `COUNT(*)::int AS requests,
+                COALESCE(SUM(input_tokens), 0)::bigint AS input_tokens,
+                COALESCE(SUM(output_tokens), 0)::bigint AS output_tokens,
+                COALESCE(SUM(cost_usd), 0)::float AS cost_usd`;
+
+  const totals = await client.query(`SELECT ${sums} FROM prepper.ai_usage WHERE ${filter}`, params);
+  const rollup = await client.query(
+    `SELECT to_char(date_trunc('${group}', created_at AT TIME ZONE 'UTC'), '${group === 'day' ? 'YYYY-MM-DD' : 'YYYY-MM'}') AS period, ${sums}
+     FROM prepper.ai_usage WHERE ${filter}
+     GROUP BY 1 ORDER BY 1`,
+    params
+  );
+  const byUser = await client.query(
+    `SELECT user_id, MAX(username) AS username, ${sums},
+            COALESCE(SUM(cost_usd) FILTER (WHERE source = 'batch'), 0)::float AS batch_cost_usd
+     FROM prepper.ai_usage WHERE ${filter}
+     GROUP BY user_id ORDER BY cost_usd DESC`,
+    params
+  );
+  const byModel = await client.query(
+    `SELECT model, ${sums} FROM prepper.ai_usage WHERE ${filter}
+     GROUP BY model ORDER BY cost_usd DESC`,
+    params
+  );
+
+  return {
+    totals: totals.rows[0],
+    rollup: rollup.rows,
+    by_user: byUser.rows,
+    by_model: byModel.rows,
+  };
+}
+
+/**
+ * Tokens and cost recorded for one batch
+ */
+async function getBatchUsage(client, batchId) {
+  const result = await client.query(
+    `SELECT COUNT(*)::int AS requests,
+            COALESCE(SUM(input_tokens), 0)::bigint AS input_tokens,
+            COALESCE(SUM(output_tokens), 0)::bigint AS output_tokens,
+            COALESCE(SUM(cost_usd), 0)::float AS cost_usd
+     FROM prepper.ai_usage WHERE batch_id = $1`,
+    [batchId]
+  );
+  return result.rows[0];
+}
+
+module.exports = {
+  MODEL_PRICING,
+  BATCH_DISCOUNT,
+  DEFAULT_GLOBAL_BUDGET,
+  DEFAULT_USER_BUDGET,
+  USAGE_GROUPS,
+  isPricedModel,
+  getModelPricing,
+  estimateCost,
+  estimateBatchCost,
+  estimateGenerationCost,
+  recordUsage,
+  checkBudget,
+  listBudgets,
+  setBudget,
+  getUsageReport,
+  getBatchUsage
+};
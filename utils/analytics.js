@@ -0,0 +1,284 @@
+const { estimateMastery } = require('./mastery');
+const { normalizeDomain, toScaledScore } = require('./examBlueprint');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Below this many graded answers the projection is too noisy to give a verdict
+const MIN_ATTEMPTS_FOR_VERDICT = parseInt(process.env.READINESS_MIN_ATTEMPTS, 10) || 50;
+// Share of the exam (by domain weight) that must have been practised before a verdict is given
+const MIN_WEIGHT_COVERAGE = 0.8;
+// Projected scores within this many scaled points below the passing score are "borderline"
+const BORDERLINE_MARGIN = 50;
+
+function toPercentage(correct, total) {
+  return total > 0 ? Math.round((correct / total) * 10000) / 100 : null;
+}
+
+function toDayKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * ISO week start (Monday) for grouping
+ */
+function toWeekKey(date) {
+  const day = new Date(toDayKey(date));
+  const offset = (day.getUTCDay() + 6) % 7;
+  return toDayKey(day.getTime() - offset * DAY_MS);
+}
+
+/**
+ * Accuracy per day or per week, oldest first
+ * @param {object[]} attempts - question_attempts rows
+ * @param {'day'|'week'} bucket
+ */
+function accuracyOverTime(attempts, bucket = 'day') {
+  const toKey = bucket === 'week' ? toWeekKey : toDayKey;
+  const periods = new Map();
+
+  attempts.forEach((attempt) => {
+    const key = toKey(attempt.answered_at);
+    const entry = periods.get(key) || { period: key, attempts: 0, correct: 0 };
+    entry.attempts++;
+    if (attempt.is_correct) {
+      entry.correct++;
+    }
+    periods.set(key, entry);
+  });
+
+  return [...periods.values()]
+    .sort((a, b) => a.period.localeCompare(b.period))
+    .map((entry) => ({ ...entry, accuracy: toPercentage(entry.correct, entry.attempts) }));
+}
+
+/**
+ * Accuracy per domain alongside the exam weight, plus the weight-adjusted accuracy and weight coverage
+ * @param {object[]} attempts
+ * @param {Object<string, number>} weights - {domain: weight}
+ */
+function domainBreakdown(attempts, weights) {
+  const domains = new Map(Object.keys(weights).map((domain) => [domain, { domain, weight: weights[domain], attempts: 0, correct: 0, time_ms: 0, timed: 0 }]));
+
+  attempts.forEach((attempt) => {
+    const name = attempt.domain || 'Unassigned';
+    if (!domains.has(name)) {
+      domains.set(name, { domain: name, weight: null, attempts: 0, correct: 0, time_ms: 0, timed: 0 });
+    }
+    const entry = domains.get(name);
+    entry.attempts++;
+    if (attempt.is_correct) {
+      entry.correct++;
+    }
+    if (Number.isInteger(attempt.time_spent_ms)) {
+      entry.time_ms += attempt.time_spent_ms;
+      entry.timed++;
+    }
+  });
+
+  const rows = [...domains.values()]
+    .sort((a, b) => (b.weight ?? 0) - (a.weight ?? 0) || a.domain.localeCompare(b.domain))
+    .map((entry) => ({
+      domain: entry.domain,
+      weight: entry.weight,
+      attempts: entry.attempts,
+      correct: entry.correct,
+      accuracy: toPercentage(entry.correct, entry.attempts),
+      avg_time_ms: entry.timed > 0 ? Math.round(entry.time_ms / entry.timed) : null,
+    }));
+
+  const weighted = rows.filter((row) => row.weight && row.attempts > 0);
+  const totalWeight = rows.reduce((sum, row) => sum + (row.weight || 0), 0);
+  const practisedWeight = weighted.reduce((sum, row) => sum + row.weight, 0);
+
+  return {
+    domains: rows,
+    weighted_accuracy: practisedWeight > 0
+      ? Math.round((weighted.reduce((sum, row) => sum + row.weight * (row.correct / row.attempts), 0) / practisedWeight) * 10000) / 100
+      : null,
+    weight_coverage: totalWeight > 0 ? Math.round((practisedWeight / totalWeight) * 1000) / 1000 : 0,
+  };
+}
+
+/**
+ * Average and median time per answered question
+ */
+function timePerQuestion(attempts) {
+  const times = attempts
+    .map((attempt) => attempt.time_spent_ms)
+    .filter((ms) => Number.isInteger(ms) && ms >= 0)
+    .sort((a, b) => a - b);
+
+  if (times.length === 0) {
+    return { timed_attempts: 0, avg_ms: null, median_ms: null };
+  }
+
+  const middle = Math.floor(times.length / 2);
+  return {
+    timed_attempts: times.length,
+    avg_ms: Math.round(times.reduce((sum, ms) => sum + ms, 0) / times.length),
+    median_ms: times.length % 2 === 0 ? Math.round((times[middle - 1] + times[middle]) / 2) : times[middle],
+  };
+}
+
+/**
+ * Study-day streaks (consecutive UTC days with at least one answer) and correct-answer streaks
+ * @param {object[]} attempts - Sorted oldest first
+ */
+function streaks(attempts, now = new Date()) {
+  const days = [...new Set(attempts.map((attempt) => toDayKey(attempt.answered_at)))].sort();
+
+  let longestDays = 0;
+  let run = 0;
+  days.forEach((day, index) => {
+    run = index > 0 && Date.parse(day) - Date.parse(days[index - 1]) === DAY_MS ? run + 1 : 1;
+    longestDays = Math.max(longestDays, run);
+  });
+
+  // The current streak survives until the end of the day after the last study day
+  const lastDay = days[days.length - 1];
+  const today = toDayKey(now);
+  const currentDays = lastDay && (lastDay === today || Date.parse(today) - Date.parse(lastDay) === DAY_MS) ? run : 0;
+
+  let longestCorrect = 0;
+  let correctRun = 0;
+  attempts.forEach((attempt) => {
+    correctRun = attempt.is_correct ? correctRun + 1 : 0;
+    longestCorrect = Math.max(longestCorrect, correctRun);
+  });
+
+  return {
+    current_study_days: currentDays,
+    longest_study_days: longestDays,
+    current_correct: correctRun,
+    longest_correct: longestCorrect,
+    last_studied_at: attempts.length > 0 ? attempts[attempts.length - 1].answered_at : null,
+  };
+}
+
+/**
+ * Project an exam score from recency-weighted mastery per domain, weighted by the exam blueprint
+ * @param {object[]} attempts
+ * @param {Object<string, number>} weights
+ * @param {object} blueprint - getExamBlueprint output
+ * @param {number} weightCoverage - from domainBreakdown
+ */
+function projectReadiness(attempts, weights, blueprint, weightCoverage) {
+  const estimate = estimateMastery(attempts, { domains: Object.keys(weights) });
+  const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  const proportion = totalWeight > 0
+    ? Object.entries(weights).reduce((sum, [domain, weight]) => sum + weight * estimate.domains[domain].mastery, 0) / totalWeight
+    : estimate.overall.mastery;
+  const projectedScore = toScaledScore(proportion, blueprint);
+
+  const weakest = Object.entries(estimate.domains)
+    .filter(([domain]) => weights[domain])
+    .sort((a, b) => a[1].mastery - b[1].mastery)
+    .slice(0, 3)
+    .map(([domain, stat]) => ({ domain, mastery: stat.mastery, attempts: stat.attempts }));
+
+  let verdict;
+  if (attempts.length < MIN_ATTEMPTS_FOR_VERDICT || weightCoverage < MIN_WEIGHT_COVERAGE) {
+    verdict = 'insufficient_data';
+  } else if (projectedScore >= blueprint.passing_score) {
+    verdict = 'ready';
+  } else if (projectedScore >= blueprint.passing_score - BORDERLINE_MARGIN) {
+    verdict = 'borderline';
+  } else {
+    verdict = 'not_ready';
+  }
+
+  return {
+    projected_score: projectedScore,
+    projected_percentage: Math.round(proportion * 10000) / 100,
+    passing_score: blueprint.passing_score,
+    score_range: { min: blueprint.score_min, max: blueprint.score_max },
+    verdict,
+    weakest_domains: weakest,
+    requirements: {
+      min_attempts: MIN_ATTEMPTS_FOR_VERDICT,
+      min_weight_coverage: MIN_WEIGHT_COVERAGE,
+    },
+  };
+}
+
+/**
+ * Full analytics report for one certification
+ * @param {object[]} attempts - question_attempts rows for the user and certification, oldest first
+ * @param {{certification_type: string, weights: Object<string, number>, weights_source: string, blueprint: object, bucket?: string, mockExams?: object[]}} context
+ */
+function buildAnalyticsReport(attempts, context) {
+  // Attempts copy the question's domain text, which may not match the weight table's casing
+  const domainByKey = new Map(Object.keys(context.weights).map((domain) => [normalizeDomain(domain), domain]));
+  attempts = attempts.map((attempt) => ({
+    ...attempt,
+    domain: domainByKey.get(normalizeDomain(attempt.domain)) || attempt.domain,
+  }));
+
+  const correct = attempts.filter((attempt) => attempt.is_correct).length;
+  const breakdown = domainBreakdown(attempts, context.weights);
+
+  return {
+    certification_type: context.certification_type,
+    totals: {
+      attempts: attempts.length,
+      correct,
+      accuracy: toPercentage(correct, attempts.length),
+      weighted_accuracy: breakdown.weighted_accuracy,
+      weight_coverage: breakdown.weight_coverage,
+    },
+    accuracy_over_time: accuracyOverTime(attempts, context.bucket),
+    domains: breakdown.domains,
+    weights_source: context.weights_source,
+    time_per_question: timePerQuestion(attempts),
+    streaks: streaks(attempts),
+    mock_exams: context.mockExams || [],
+    readiness: projectReadiness(attempts, context.weights, context.blueprint, breakdown.weight_coverage),
+  };
+}
+
+function escapeCsv(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Flatten reports into one CSV with a row per certification / section / label
+ */
+function reportsToCsv(reports) {
+  const header = ['certification_type', 'section', 'label', 'attempts', 'correct', 'accuracy', 'weight', 'value'];
+  const rows = [];
+
+  reports.forEach((report) => {
+    const cert = report.certification_type;
+    const { totals, readiness } = report;
+    rows.push([cert, 'summary', 'overall', totals.attempts, totals.correct, totals.accuracy, null, null]);
+    rows.push([cert, 'summary', 'weighted_accuracy', null, null, totals.weighted_accuracy, null, null]);
+    rows.push([cert, 'summary', 'weight_coverage', null, null, null, null, totals.weight_coverage]);
+    rows.push([cert, 'readiness', 'projected_score', null, null, readiness.projected_percentage, null, readiness.projected_score]);
+    rows.push([cert, 'readiness', 'passing_score', null, null, null, null, readiness.passing_score]);
+    rows.push([cert, 'readiness', 'verdict', null, null, null, null, readiness.verdict]);
+    report.domains.forEach((d) => rows.push([cert, 'domain', d.domain, d.attempts, d.correct, d.accuracy, d.weight, d.avg_time_ms]));
+    report.accuracy_over_time.forEach((p) => rows.push([cert, 'timeline', p.period, p.attempts, p.correct, p.accuracy, null, null]));
+    rows.push([cert, 'time', 'avg_ms', report.time_per_question.timed_attempts, null, null, null, report.time_per_question.avg_ms]);
+    rows.push([cert, 'time', 'median_ms', report.time_per_question.timed_attempts, null, null, null, report.time_per_question.median_ms]);
+    Object.entries(report.streaks)
+      .filter(([key]) => key !== 'last_studied_at')
+      .forEach(([key, value]) => rows.push([cert, 'streak', key, null, null, null, null, value]));
+    report.mock_exams.forEach((exam) => rows.push([cert, 'mock_exam', exam.completed_at ? new Date(exam.completed_at).toISOString() : exam.id, exam.total_questions, exam.correct, exam.percentage, null, exam.scaled_score]));
+  });
+
+  return [header, ...rows].map((row) => row.map(escapeCsv).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+  accuracyOverTime,
+  domainBreakdown,
+  timePerQuestion,
+  streaks,
+  projectReadiness,
+  buildAnalyticsReport,
+  reportsToCsv
+};
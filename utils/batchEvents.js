@@ -0,0 +1,155 @@
+const { EventEmitter } = require('events');
+const { connectDedicatedPostgres } = require('../documentdb/client');
+const logger = require('../logs/prepperLog');
+
+const _logger = logger();
+
+// Lifecycle events pushed to clients by GET /questions/batches/events
+const BATCH_EVENT_TYPES = [
+  'submitted',
+  'in_progress',
+  'item_succeeded',
+  'item_failed',
+  'completed',
+  'error',
+  'expired',
+  'cancelling',
+  'cancelled',
+];
+
+// Events are published with NOTIFY on this channel so that every API instance sees them, not only the one whose
+// worker ran the batch job
+const NOTIFY_CHANNEL = 'prepper_batch_events';
+// NOTIFY payloads must stay below 8000 bytes
+const MAX_NOTIFY_BYTES = 7500;
+const LISTEN_RETRY_MS = 5000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let listenClient = null;
+let reconnectTimer = null;
+
+/**
+ * Payload for NOTIFY; an event too large to send (long item errors) goes out without its errors
+ */
+function toNotifyPayload(event) {
+  const payload = JSON.stringify(event);
+  if (Buffer.byteLength(payload) <= MAX_NOTIFY_BYTES) {
+    return payload;
+  }
+  const { errors, ...rest } = event;
+  return JSON.stringify({ ...rest, errors_truncated: true });
+}
+
+/**
+ * Publish an event about a batch to every subscribed stream on every instance. Listeners registered with
+ * originOnly run here, once; the rest run on each instance when the notification arrives (or here only, while
+ * this instance is not listening).
+ * @param {{batch_id: string, user_id?: number, parent_batch_id?: string}} batchJob
+ * @param {string} type - One of BATCH_EVENT_TYPES
+ * @param {object} [data] - Event-specific fields
+ */
+function emitBatchEvent(batchJob, type, data = {}) {
+  const event = {
+    type,
+    batch_id: batchJob.batch_id,
+    user_id: batchJob.user_id ?? null,
+    parent_batch_id: batchJob.parent_batch_id || null,
+    ...data,
+    at: new Date().toISOString(),
+  };
+  emitter.emit('origin', event);
+
+  if (!listenClient) {
+    emitter.emit('batch', event);
+    return;
+  }
+  listenClient.query('SELECT pg_notify($1, $2)', [NOTIFY_CHANNEL, toNotifyPayload(event)]).catch((error) => {
+    _logger.error('Failed to publish batch event, delivering it on this instance only', {
+      batch_id: event.batch_id,
+      type,
+      error: error.message,
+    });
+    emitter.emit('batch', event);
+  });
+}
+
+/**
+ * @param {function(object): void} listener - Receives every batch event
+ * @param {{originOnly?: boolean}} [options] - originOnly: only events emitted by this instance, so that work done
+ *   per event (such as queueing webhooks) happens once across all instances
+ * @returns {function(): void} Unsubscribe
+ */
+function subscribeBatchEvents(listener, { originOnly = false } = {}) {
+  const name = originOnly ? 'origin' : 'batch';
+  emitter.on(name, listener);
+  return () => emitter.off(name, listener);
+}
+
+function scheduleReconnect() {
+  listenClient = null;
+  if (!reconnectTimer) {
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      startBatchEventListener();
+    }, LISTEN_RETRY_MS);
+  }
+}
+
+/**
+ * LISTEN for batch events published by any instance and hand them to this instance's subscribers. Reconnects
+ * when the connection drops; meanwhile events are delivered locally only.
+ */
+async function startBatchEventListener() {
+  if (listenClient) {
+    return;
+  }
+
+  let client;
+  try {
+    client = await connectDedicatedPostgres();
+    client.on('notification', (message) => {
+      if (message.channel !== NOTIFY_CHANNEL) {
+        return;
+      }
+      try {
+        emitter.emit('batch', JSON.parse(message.payload));
+      } catch (error) {
+        _logger.error('Ignoring malformed batch event notification', {
+          error: error.message,
+        });
+      }
+    });
+    client.on('error', (error) => {
+      _logger.error('Batch event listener connection failed, reconnecting', {
+        error: error.message,
+      });
+      client.end().catch(() => {});
+    });
+    client.on('end', () => {
+      if (listenClient === client) {
+        scheduleReconnect();
+      }
+    });
+    await client.query(`LISTEN ${NOTIFY_CHANNEL}`);
+    listenClient = client;
+    _logger.info('Listening for batch events', { channel: NOTIFY_CHANNEL });
+  } catch (error) {
+    _logger.error('Failed to listen for batch events, retrying', {
+      error: error.message,
+      retry_ms: LISTEN_RETRY_MS,
+    });
+    if (client) {
+      client.end().catch(() => {});
+    }
+    scheduleReconnect();
+  }
+}
+
+module.exports = {
+  BATCH_EVENT_TYPES,
+  emitBatchEvent,
+  subscribeBatchEvents,
+  startBatchEventListener
+};
@@ -0,0 +1,165 @@
+// Outcomes of a batch request (prepper.batch_items.status)
+const ITEM_STATUSES = ['pending', 'succeeded', 'errored', 'invalid', 'missing', 'expired', 'cancelled'];
+
+// Outcomes that can be resubmitted with POST /questions/batch/:batchId/retry
+const RETRYABLE_STATUSES = ['errored', 'invalid', 'missing', 'expired', 'cancelled'];
+
+/**
+ * Record the requests of a newly submitted batch, one pending item each
+ * @param {import('pg').Client} client
+ * @param {string} batchId
+ * @param {{custom_id: string, prompt_params: object}[]} items - In submission order
+ */
+async function insertBatchItems(client, batchId, items) {
+  for (let index = 0; index < items.length; index++) {
+    await client.query(
+      `INSERT INTO prepper.batch_items (batch_id, custom_id, item_index, prompt_params)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (batch_id, custom_id) DO NOTHING`,
+      [batchId, items[index].custom_id, index, JSON.stringify(items[index].prompt_params || {})]
+    );
+  }
+}
+
+/**
+ * Store the outcome of each request of a completed batch. Items the provider returned nothing for become 'missing',
+ * or `unfinishedStatus` for a batch that was cancelled before they ran.
+ * @param {import('pg').Client} client
+ * @param {string} batchId
+ * @param {{custom_id: string, status: string, question_count: number, errors: string[]}[]} outcomes
+ * @param {{unfinishedStatus?: string, reason?: string}} [options]
+ * @returns {Promise<number>} Items left without a result
+ */
+async function recordBatchItemOutcomes(client, batchId, outcomes, { unfinishedStatus = 'missing', reason = 'No result was returned for this request' } = {}) {
+  for (const outcome of outcomes) {
+    await client.query(
+      `UPDATE prepper.batch_items
+       SET status = $3, question_count = $4, errors = $5, updated_at = NOW()
+       WHERE batch_id = $1 AND custom_id = $2`,
+      [batchId, outcome.custom_id, outcome.status, outcome.question_count || 0, JSON.stringify(outcome.errors || [])]
+    );
+  }
+
+  const missing = await client.query(
+    `UPDATE prepper.batch_items
+     SET status = $2, errors = $3, updated_at = NOW()
+     WHERE batch_id = $1 AND status = 'pending'`,
+    [batchId, unfinishedStatus, JSON.stringify([reason])]
+  );
+  return missing.rowCount || 0;
+}
+
+/**
+ * Close the items still pending when a batch ends without results (expired, cancelled)
+ */
+async function closePendingBatchItems(client, batchId, status, reason) {
+  const result = await client.query(
+    `UPDATE prepper.batch_items
+     SET status = $2, errors = $3, updated_at = NOW()
+     WHERE batch_id = $1 AND status = 'pending'`,
+    [batchId, status, JSON.stringify([reason || `Batch ${status}`])]
+  );
+  return result.rowCount || 0;
+}
+
+/**
+ * @returns {Promise<object[]>} Items of a batch in submission order
+ */
+async function listBatchItems(client, batchId) {
+  const result = await client.query(
+    `SELECT custom_id, item_index, status, prompt_params, question_count, errors, retried_in_batch_id, updated_at
+     FROM prepper.batch_items
+     WHERE batch_id = $1
+     ORDER BY item_index`,
+    [batchId]
+  );
+  return result.rows;
+}
+
+/**
+ * Batches that retried items of this one, oldest first
+ */
+async function listRetryBatches(client, batchId) {
+  const result = await client.query(
+    `SELECT batch_id, status, count, created_at, completed_at
+     FROM prepper.batch_jobs
+     WHERE parent_batch_id = $1
+     ORDER BY created_at`,
+    [batchId]
+  );
+  return result.rows;
+}
+
+/**
+ * Count items per status, plus how many failed items are still waiting to be retried
+ * @returns {Object<string, number>}
+ */
+function summarizeBatchItems(items) {
+  const summary = Object.fromEntries(ITEM_STATUSES.map((status) => [status, 0]));
+  items.forEach((item) => {
+    summary[item.status] = (summary[item.status] || 0) + 1;
+  });
+  summary.total = items.length;
+  summary.retried = items.filter((item) => item.retried_in_batch_id).length;
+  summary.retryable = items.filter((item) => RETRYABLE_STATUSES.includes(item.status) && !item.retried_in_batch_id).length;
+  return summary;
+}
+
+/**
+ * Reserve failed items of a batch for a retry batch, so two retries cannot resubmit the same item
+ * @param {import('pg').Client} client
+ * @param {string} batchId - Parent batch
+ * @param {string} childBatchId - Batch the items will be resubmitted in
+ * @param {string[]} [customIds] - Limit the retry to these items
+ * @returns {Promise<object[]>} Claimed items in submission order
+ */
+async function claimRetryableItems(client, batchId, childBatchId, customIds) {
+  const values = [batchId, childBatchId, RETRYABLE_STATUSES];
+  let filter = '';
+  if (Array.isArray(customIds) && customIds.length > 0) {
+    values.push(customIds);
+    filter = 'AND custom_id = ANY($4::text[])';
+  }
+
+  const result = await client.query(
+    `UPDATE prepper.batch_items
+     SET retried_in_batch_id = $2, updated_at = NOW()
+     WHERE batch_id = $1 AND status = ANY($3::text[]) AND retried_in_batch_id IS NULL ${filter}
+     RETURNING custom_id, item_index, status, prompt_params, errors`,
+    values
+  );
+  return result.rows.sort((a, b) => a.item_index - b.item_index);
+}
+
+/**
+ * Undo claimRetryableItems when the retry batch could not be submitted
+ */
+async function releaseRetryableItems(client, batchId, childBatchId) {
+  await client.query(
+    `UPDATE prepper.batch_items SET retried_in_batch_id = NULL, updated_at = NOW()
+     WHERE batch_id = $1 AND retried_in_batch_id = $2`,
+    [batchId, childBatchId]
+  );
+}
+
+/**
+ * Remove the item rows of a deleted batch
+ */
+async function deleteBatchItems(client, batchId) {
+  const result = await client.query('DELETE FROM prepper.batch_items WHERE batch_id = $1', [batchId]);
+  return result.rowCount || 0;
+}
+
+module.exports = {
+  ITEM_STATUSES,
+  RETRYABLE_STATUSES,
+  insertBatchItems,
+  recordBatchItemOutcomes,
+  closePendingBatchItems,
+  listBatchItems,
+  listRetryBatches,
+  summarizeBatchItems,
+  claimRetryableItems,
+  releaseRetryableItems,
+  deleteBatchItems
+};
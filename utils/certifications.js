@@ -0,0 +1,243 @@
+const logger = require('../logs/prepperLog');
+const { connectLocalPostgres } = require('../documentdb/client');
+const {
+  QUESTION_TABLES,
+  DOMAIN_WEIGHT_TABLES,
+  DOMAIN_WEIGHTS_BY_CERTIFICATION,
+  EXAM_BLUEPRINTS,
+} = require('./constants');
+
+const _logger = logger();
+
+// How long the in-memory registry is trusted before it is re-read from prepper.certifications
+const CERTIFICATION_CACHE_TTL_MS = parseInt(process.env.CERTIFICATION_CACHE_TTL_MS, 10) || 60000;
+
+// Table names are interpolated into SQL, so only plain identifiers in the prepper schema are allowed
+const TABLE_NAME_PATTERN = /^prepper\.[a-z_][a-z0-9_]{0,62}$/;
+const CERTIFICATION_CODE_PATTERN = /^[A-Z0-9][A-Z0-9-]{1,19}$/;
+
+/**
+ * Certifications that ship with the app. Used until the database registry has been loaded,
+ * and as the seed rows in documentdb/migrations/004_certifications.sql.
+ */
+const BUILT_IN_CERTIFICATIONS = [
+  {
+    code: 'CV0-004',
+    vendor: 'CompTIA',
+    display_name: 'CompTIA Cloud+',
+    legacy_alias: 'comptia',
+    question_table: QUESTION_TABLES['CV0-004'],
+    domain_weight_table: DOMAIN_WEIGHT_TABLES['CV0-004'],
+    ...EXAM_BLUEPRINTS['CV0-004'],
+    domains: DOMAIN_WEIGHTS_BY_CERTIFICATION['CV0-004'],
+    active: true,
+  },
+  {
+    code: 'SAA-C03',
+    vendor: 'AWS',
+    display_name: 'AWS Certified Solutions Architect - Associate',
+    legacy_alias: 'aws',
+    question_table: QUESTION_TABLES['SAA-C03'],
+    domain_weight_table: DOMAIN_WEIGHT_TABLES['SAA-C03'],
+    ...EXAM_BLUEPRINTS['SAA-C03'],
+    domains: DOMAIN_WEIGHTS_BY_CERTIFICATION['SAA-C03'],
+    active: true,
+  },
+];
+
+let registry = new Map(BUILT_IN_CERTIFICATIONS.map((cert) => [cert.code, cert]));
+let loadedAt = 0;
+let loading = null;
+
+/**
+ * Normalize a prepper.certifications row (integers come back as strings for some column types)
+ */
+function toCertification(row) {
+  let domains = row.domains || {};
+  if (typeof domains === 'string') {
+    domains = JSON.parse(domains);
+  }
+
+  const weights = {};
+  Object.entries(domains).forEach(([domain, weight]) => {
+    weights[domain] = parseInt(weight, 10);
+  });
+
+  return {
+    code: row.code,
+    vendor: row.vendor,
+    display_name: row.display_name,
+    legacy_alias: row.legacy_alias || null,
+    question_table: row.question_table,
+    domain_weight_table: row.domain_weight_table || null,
+    question_count: parseInt(row.question_count, 10),
+    time_limit_minutes: parseInt(row.time_limit_minutes, 10),
+    score_min: parseInt(row.score_min, 10),
+    score_max: parseInt(row.score_max, 10),
+    passing_score: parseInt(row.passing_score, 10),
+    domains: weights,
+    active: row.active !== false,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+/**
+ * Re-read the registry from the database. Keeps the previous registry when the table
+ * is missing or unreachable so a database hiccup never drops supported certifications.
+ * @param {import('pg').Client} [client]
+ * @param {{force?: boolean}} [options] - force skips the cache TTL (used after admin edits)
+ * @returns {Promise<object[]>} Every certification, including inactive ones
+ */
+async function loadCertifications(client, { force = false } = {}) {
+  if (!force && Date.now() - loadedAt < CERTIFICATION_CACHE_TTL_MS) {
+    return [...registry.values()];
+  }
+  if (loading) {
+    return loading;
+  }
+
+  loading = (async () => {
+    try {
+      const db = client || await connectLocalPostgres();
+      const result = await db.query('SELECT * FROM prepper.certifications ORDER BY code');
+      if (result.rows.length > 0) {
+        registry = new Map(result.rows.map((row) => {
+          const cert = toCertification(row);
+          return [cert.code, cert];
+        }));
+      }
+    } catch (error) {
+      _logger.warn('Failed to load certification registry, keeping cached entries', {
+        error: error.message,
+        cached_codes: [...registry.keys()],
+      });
+    } finally {
+      // Also set on failure so an unavailable table is not re-queried on every request
+      loadedAt = Date.now();
+      loading = null;
+    }
+    return [...registry.values()];
+  })();
+
+  return loading;
+}
+
+/**
+ * Resolve an active certification by code (e.g. CV0-004) or legacy alias (e.g. 'aws')
+ * @param {string} codeOrAlias
+ * @returns {object|null}
+ */
+function getCertification(codeOrAlias) {
+  if (!codeOrAlias || typeof codeOrAlias !== 'string') {
+    return null;
+  }
+
+  const wanted = codeOrAlias.trim();
+  const cert = registry.get(wanted.toUpperCase()) ||
+    [...registry.values()].find((entry) => entry.legacy_alias && entry.legacy_alias === wanted.toLowerCase());
+
+  return cert && cert.active ? cert : null;
+}
+
+/**
+ * @param {{includeInactive?: boolean}} [options]
+ * @returns {object[]}
+ */
+function listCertifications({ includeInactive = false } = {}) {
+  return [...registry.values()].filter((cert) => includeInactive || cert.active);
+}
+
+/**
+ * Codes of every active certification, for validation messages and prompts
+ * @returns {string[]}
+ */
+function getCertificationCodes() {
+  return listCertifications().map((cert) => cert.code);
+}
+
+/**
+ * Standard 400 message for an unknown certification_type
+ */
+function invalidCertificationMessage() {
+  return `Invalid certification_type. Must be one of: ${getCertificationCodes().join(', ')}`;
+}
+
+/**
+ * Published exam format for a certification: length, time limit and scaled score range
+ * @returns {{question_count: number, time_limit_minutes: number, score_min: number, score_max: number, passing_score: number}|null}
+ */
+function getExamBlueprint(codeOrAlias) {
+  const cert = getCertification(codeOrAlias);
+  if (!cert) {
+    return null;
+  }
+  return {
+    question_count: cert.question_count,
+    time_limit_minutes: cert.time_limit_minutes,
+    score_min: cert.score_min,
+    score_max: cert.score_max,
+    passing_score: cert.passing_score,
+  };
+}
+
+function isValidTableName(tableName) {
+  return typeof tableName === 'string' && TABLE_NAME_PATTERN.test(tableName);
+}
+
+function isValidCertificationCode(code) {
+  return typeof code === 'string' && CERTIFICATION_CODE_PATTERN.test(code);
+}
+
+/**
+ * Question table used for a new certification when none is given: AZ-104 -> prepper.az_104_questions
+ */
+function defaultQuestionTable(code) {
+  return `prepper.${code.toLowerCase().replace(/[^a-z0-9]+/g, '_')}_questions`;
+}
+
+/**
+ * Columns of a prepper table, empty when there is no such table
+ * @param {import('pg').Client} client
+ * @param {string} tableName - prepper.table_name
+ * @returns {Promise<Array<{column_name: string, data_type: string}>>}
+ */
+async function getTableColumns(client, tableName) {
+  const result = await client.query(
+    `SELECT column_name, data_type FROM information_schema.columns
+     WHERE table_schema = 'prepper' AND table_name = $1
+     ORDER BY ordinal_position`,
+    [tableName.replace(/^prepper\./, '')]
+  );
+  return result.rows;
+}
+
+/**
+ * Why an existing table cannot serve as a question bank: it must have every column of the template question table,
+ * with the same type, or practice, exams, exports and the trash would read and soft-delete unrelated rows
+ * @returns {string[]} Problems, empty when the table matches
+ */
+function compareQuestionColumns(templateColumns, tableColumns) {
+  const types = new Map(tableColumns.map((column) => [column.column_name, column.data_type]));
+  return templateColumns
+    .filter((column) => types.get(column.column_name) !== column.data_type)
+    .map((column) => (types.has(column.column_name)
+      ? `column ${column.column_name} is ${types.get(column.column_name)}, expected ${column.data_type}`
+      : `column ${column.column_name} (${column.data_type}) is missing`));
+}
+
+module.exports = {
+  BUILT_IN_CERTIFICATIONS,
+  toCertification,
+  loadCertifications,
+  getCertification,
+  listCertifications,
+  getCertificationCodes,
+  invalidCertificationMessage,
+  getExamBlueprint,
+  isValidTableName,
+  isValidCertificationCode,
+  defaultQuestionTable,
+  getTableColumns,
+  compareQuestionColumns,
+};
@@ -7,6 +7,44 @@ const DOMAIN_WEIGHTS = {
   'Troubleshooting': 12,
 };
 
+const SAA_C03_DOMAIN_WEIGHTS = {
+  'Design Secure Architectures': 30,
+  'Design Resilient Architectures': 26,
+  'Design High-Performing Architectures': 24,
+  'Design Cost-Optimized Architectures': 20,
+};
+
+// Built-in certifications. These seed the registry in utils/certifications.js;
+// prepper.certifications is the source of truth once it has been loaded.
+// Fallback weights per certification when the domain_weight_* tables are unavailable
+const DOMAIN_WEIGHTS_BY_CERTIFICATION = {
+  'CV0-004': DOMAIN_WEIGHTS,
+  'SAA-C03': SAA_C03_DOMAIN_WEIGHTS,
+};
+
+const DOMAIN_WEIGHT_TABLES = {
+  'CV0-004': 'prepper.domain_weight_cv0_004',
+  'SAA-C03': 'prepper.domain_weight_saa_c03'
+};
+
+// Published exam format: length, time limit and scaled score range
+const EXAM_BLUEPRINTS = {
+  'CV0-004': {
+    question_count: 90,
+    time_limit_minutes: 90,
+    score_min: 100,
+    score_max: 900,
+    passing_score: 750
+  },
+  'SAA-C03': {
+    question_count: 65,
+    time_limit_minutes: 130,
+    score_min: 100,
+    score_max: 1000,
+    passing_score: 720
+  }
+};
+
 const SKILL_LEVELS = [
   'Beginner',
   'Intermediate',
@@ -28,9 +66,19 @@ const CERTIFICATION_TYPES = [
   'SAA-C03'
 ];
 
+const QUESTION_TABLES = {
+  'CV0-004': 'prepper.comptia_cloud_plus_questions',
+  'SAA-C03': 'prepper.aws_certified_architect_associate_questions'
+};
+
 module.exports = {
   DOMAIN_WEIGHTS,
+  SAA_C03_DOMAIN_WEIGHTS,
+  DOMAIN_WEIGHTS_BY_CERTIFICATION,
+  DOMAIN_WEIGHT_TABLES,
+  EXAM_BLUEPRINTS,
   SKILL_LEVELS,
   COGNITIVE_LEVELS,
-  CERTIFICATION_TYPES
-};
\ No newline at end of file
+  CERTIFICATION_TYPES,
+  QUESTION_TABLES
+};
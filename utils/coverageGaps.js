@@ -0,0 +1,183 @@
+const { COGNITIVE_LEVELS, SKILL_LEVELS } = require('./constants');
+const { allocateQuestionCounts, normalizeDomain } = require('./examBlueprint');
+const { NOT_DELETED } = require('./questionBank');
+
+// Bank size planned for when the request does not give one
+const DEFAULT_TARGET_BANK_SIZE = parseInt(process.env.COVERAGE_TARGET_BANK_SIZE, 10) || 500;
+
+/**
+ * Live question counts of a question table grouped by domain, subdomain (category), cognitive_level and skill_level
+ * @param {import('pg').Client} client
+ * @param {string} tableName - Fully qualified question table
+ * @returns {Promise<Array<{domain: string|null, subdomain: string|null, cognitive_level: string|null, skill_level: string|null, count: number}>>}
+ */
+async function countCoverage(client, tableName) {
+  const result = await client.query(
+    `SELECT domain, category AS subdomain, cognitive_level, skill_level, COUNT(*)::int AS count
+     FROM ${tableName}
+     WHERE ${NOT_DELETED}
+     GROUP BY domain, category, cognitive_level, skill_level`
+  );
+  return result.rows;
+}
+
+/**
+ * Targets, current counts and deficits for each key. Keys missing from `counts` count as 0.
+ * @param {Object<string, number>} targets
+ * @param {Map<string, number>} counts
+ * @param {string} keyName - Property name of the key in each entry
+ */
+function compareCounts(targets, counts, keyName) {
+  const keys = [...new Set([...Object.keys(targets), ...counts.keys()])];
+  return keys
+    .map((key) => {
+      const target = targets[key] || 0;
+      const current = counts.get(key) || 0;
+      return { [keyName]: key, target, current, deficit: Math.max(target - current, 0) };
+    })
+    .sort((a, b) => b.deficit - a.deficit || String(a[keyName]).localeCompare(String(b[keyName])));
+}
+
+/**
+ * Match a stored level case-insensitively onto its canonical spelling
+ * @returns {string|null}
+ */
+function canonicalLevel(levels, value) {
+  const key = String(value ?? '').trim().toLowerCase();
+  return levels.find((level) => level.toLowerCase() === key) || null;
+}
+
+function addCount(map, key, count) {
+  map.set(key, (map.get(key) || 0) + count);
+}
+
+function evenWeights(keys) {
+  return Object.fromEntries(keys.map((key) => [key, 1]));
+}
+
+/**
+ * Compare the bank against a target size split across domains by weight. Within a domain the target is split
+ * evenly across cognitive levels, skill levels and the subdomains the bank already has.
+ * @param {object[]} rows - Output of countCoverage
+ * @param {Object<string, number>} weights - {domain: weight}
+ * @param {number} targetSize - Planned bank size
+ * @returns {{target_size: number, current_size: number, deficit: number, unmatched: number, domains: object[]}}
+ *   Domains sorted by deficit, largest first; unmatched counts questions whose domain has no weight
+ */
+function planCoverage(rows, weights, targetSize) {
+  const targets = allocateQuestionCounts(weights, targetSize);
+  const domainByKey = new Map(Object.keys(targets).map((domain) => [normalizeDomain(domain), domain]));
+  const stats = new Map(Object.keys(targets).map((domain) => [domain, {
+    current: 0,
+    subdomains: new Map(),
+    cognitive_levels: new Map(),
+    skill_levels: new Map(),
+  }]));
+
+  let currentSize = 0;
+  let unmatched = 0;
+  rows.forEach((row) => {
+    currentSize += row.count;
+    const domain = domainByKey.get(normalizeDomain(row.domain));
+    if (!domain) {
+      unmatched += row.count;
+      return;
+    }
+    const entry = stats.get(domain);
+    entry.current += row.count;
+    if (row.subdomain && normalizeDomain(row.subdomain) !== normalizeDomain(domain)) {
+      addCount(entry.subdomains, row.subdomain, row.count);
+    }
+    const cognitiveLevel = canonicalLevel(COGNITIVE_LEVELS, row.cognitive_level);
+    if (cognitiveLevel) {
+      addCount(entry.cognitive_levels, cognitiveLevel, row.count);
+    }
+    const skillLevel = canonicalLevel(SKILL_LEVELS, row.skill_level);
+    if (skillLevel) {
+      addCount(entry.skill_levels, skillLevel, row.count);
+    }
+  });
+
+  const domains = Object.keys(targets).map((domain) => {
+    const entry = stats.get(domain);
+    const target = targets[domain];
+    return {
+      domain,
+      weight: weights[domain],
+      target,
+      current: entry.current,
+      deficit: Math.max(target - entry.current, 0),
+      cognitive_levels: compareCounts(allocateQuestionCounts(evenWeights(COGNITIVE_LEVELS), target), entry.cognitive_levels, 'cognitive_level'),
+      skill_levels: compareCounts(allocateQuestionCounts(evenWeights(SKILL_LEVELS), target), entry.skill_levels, 'skill_level'),
+      subdomains: compareCounts(allocateQuestionCounts(evenWeights([...entry.subdomains.keys()]), target), entry.subdomains, 'subdomain'),
+    };
+  }).sort((a, b) => b.deficit - a.deficit || a.domain.localeCompare(b.domain));
+
+  return {
+    target_size: targetSize,
+    current_size: currentSize,
+    deficit: domains.reduce((sum, domain) => sum + domain.deficit, 0),
+    unmatched,
+    domains,
+  };
+}
+
+/**
+ * Spread `count` items over the levels with a deficit, in proportion to it. Levels are interleaved so that
+ * /generateBatch, which cycles through the array, pairs them with varied levels of the other array.
+ * @param {object[]} levels - cognitive_levels or skill_levels of a planned domain
+ * @param {string} keyName
+ * @param {number} count
+ * @returns {string[]|null} count level names, or null when no level has a deficit
+ */
+function spreadLevels(levels, keyName, count) {
+  const deficits = Object.fromEntries(levels.filter((level) => level.deficit > 0).map((level) => [level[keyName], level.deficit]));
+  const allocation = allocateQuestionCounts(deficits, count);
+  const order = levels.map((level) => level[keyName]).filter((name) => allocation[name] > 0);
+  if (order.length === 0) {
+    return null;
+  }
+
+  const spread = [];
+  while (spread.length < count) {
+    order.forEach((name) => {
+      if (allocation[name] > 0) {
+        spread.push(name);
+        allocation[name]--;
+      }
+    });
+  }
+  return spread;
+}
+
+/**
+ * /generateBatch parameters that fill the largest gap of a plan: the domain with the largest deficit (or the
+ * given one), and cognitive/skill levels weighted by their deficits within it.
+ * @param {object} plan - Output of planCoverage
+ * @param {{domainName?: string, count?: number, maxCount: number}} options - count defaults to the domain deficit
+ * @returns {{domain_name: string, count: number, cognitive_level: string[]|null, skill_level: string[]|null}|null}
+ *   Null when the domain has no deficit
+ */
+function buildGapBatch(plan, { domainName, count, maxCount }) {
+  const domain = domainName
+    ? plan.domains.find((entry) => normalizeDomain(entry.domain) === normalizeDomain(domainName))
+    : plan.domains[0];
+  if (!domain || domain.deficit === 0) {
+    return null;
+  }
+
+  const batchCount = Math.min(count || domain.deficit, domain.deficit, maxCount);
+  return {
+    domain_name: domain.domain,
+    count: batchCount,
+    cognitive_level: spreadLevels(domain.cognitive_levels, 'cognitive_level', batchCount),
+    skill_level: spreadLevels(domain.skill_levels, 'skill_level', batchCount),
+  };
+}
+
+module.exports = {
+  DEFAULT_TARGET_BANK_SIZE,
+  countCoverage,
+  planCoverage,
+  buildGapBatch
+};
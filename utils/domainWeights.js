@@ -0,0 +1,42 @@
+const logger = require('../logs/prepperLog');
+const { getCertification } = require('./certifications');
+
+const _logger = logger();
+
+/**
+ * Load {domain: weight} for a certification from its prepper.domain_weight_* table when it has one,
+ * falling back to the domains stored in the certification registry when the table is missing or empty.
+ * @param {import('pg').Client} client
+ * @param {string} certificationType
+ * @returns {Promise<{weights: Object<string, number>, source: 'database'|'registry'}>}
+ */
+async function loadDomainWeights(client, certificationType) {
+  const cert = getCertification(certificationType);
+  const tableName = cert ? cert.domain_weight_table : null;
+  const defaults = cert ? cert.domains : {};
+
+  if (tableName) {
+    try {
+      const result = await client.query(`SELECT domain, weight FROM ${tableName}`);
+      if (result.rows.length > 0) {
+        const weights = {};
+        result.rows.forEach((row) => {
+          weights[row.domain] = parseInt(row.weight, 10);
+        });
+        return { weights, source: 'database' };
+      }
+    } catch (error) {
+      _logger.warn('Falling back to registry domain weights', {
+        certification_type: certificationType,
+        table_name: tableName,
+        error: error.message,
+      });
+    }
+  }
+
+  return { weights: { ...defaults }, source: 'registry' };
+}
+
+module.exports = {
+  loadDomainWeights
+};
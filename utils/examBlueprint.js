@@ -0,0 +1,157 @@
+const { shuffleArray } = require('./shuffle');
+
+function normalizeDomain(domain) {
+  return String(domain ?? '').trim().toLowerCase();
+}
+
+/**
+ * Split `total` questions across domains in proportion to their weights
+ * using the largest remainder method, so the counts always add up to `total`.
+ * @param {Object<string, number>} weights - {domain: weight}
+ * @param {number} total
+ * @returns {Object<string, number>} {domain: questionCount}
+ */
+function allocateQuestionCounts(weights, total) {
+  const domains = Object.keys(weights).filter((domain) => weights[domain] > 0).sort();
+  const weightSum = domains.reduce((sum, domain) => sum + weights[domain], 0);
+  const allocation = {};
+
+  if (domains.length === 0 || weightSum === 0) {
+    return allocation;
+  }
+
+  const remainders = domains.map((domain) => {
+    const exact = (weights[domain] / weightSum) * total;
+    allocation[domain] = Math.floor(exact);
+    return { domain, remainder: exact - allocation[domain] };
+  });
+
+  let assigned = domains.reduce((sum, domain) => sum + allocation[domain], 0);
+  remainders.sort((a, b) => b.remainder - a.remainder || a.domain.localeCompare(b.domain));
+  for (let i = 0; assigned < total; i = (i + 1) % remainders.length) {
+    allocation[remainders[i].domain]++;
+    assigned++;
+  }
+
+  return allocation;
+}
+
+/**
+ * Sample an exam from the question bank following the domain blueprint.
+ * Selection depends only on the bank contents and the seed, so the same seed
+ * reproduces the same exam. Domains without enough questions are topped up
+ * from the remaining bank.
+ * @param {Array<{id: number, domain: string}>} questions
+ * @param {Object<string, number>} weights - {domain: weight}
+ * @param {number} total - Exam length
+ * @param {number} seed
+ * @returns {{question_ids: number[], allocation: Object<string, number>, shortfall: Object<string, number>}}
+ */
+function assembleExam(questions, weights, total, seed) {
+  const allocation = allocateQuestionCounts(weights, total);
+  const remaining = { ...allocation };
+  const domainByKey = new Map(Object.keys(allocation).map((domain) => [normalizeDomain(domain), domain]));
+
+  const pool = shuffleArray([...questions].sort((a, b) => a.id - b.id), seed);
+  const selected = [];
+  const leftovers = [];
+
+  pool.forEach((question) => {
+    const domain = domainByKey.get(normalizeDomain(question.domain));
+    if (domain && remaining[domain] > 0) {
+      remaining[domain]--;
+      selected.push(question.id);
+    } else {
+      leftovers.push(question.id);
+    }
+  });
+
+  const shortfall = {};
+  Object.keys(remaining).forEach((domain) => {
+    if (remaining[domain] > 0) {
+      shortfall[domain] = remaining[domain];
+    }
+  });
+
+  const missing = total - selected.length;
+  if (missing > 0) {
+    selected.push(...leftovers.slice(0, missing));
+  }
+
+  return {
+    question_ids: shuffleArray(selected, seed + 1),
+    allocation,
+    shortfall,
+  };
+}
+
+/**
+ * Map a proportion correct (0-1) onto the certification's scaled score range
+ */
+function toScaledScore(proportion, blueprint) {
+  const { score_min, score_max } = blueprint;
+  return Math.round(score_min + (score_max - score_min) * proportion);
+}
+
+/**
+ * Build a scaled score report per domain.
+ * @param {object[]} questions - Exam question rows (id, domain)
+ * @param {Map<number, {is_correct: boolean}>} attemptsByQuestion - Saved answers keyed by question id
+ * @param {Object<string, number>} weights - {domain: weight}
+ * @param {object} blueprint - Exam format from getExamBlueprint (utils/certifications.js)
+ */
+function buildScoreReport(questions, attemptsByQuestion, weights, blueprint) {
+  const weightByKey = new Map(Object.keys(weights).map((domain) => [normalizeDomain(domain), weights[domain]]));
+  const domains = new Map();
+
+  questions.forEach((question) => {
+    const name = question.domain || 'Unassigned';
+    if (!domains.has(name)) {
+      domains.set(name, { domain: name, weight: weightByKey.get(normalizeDomain(name)) ?? null, questions: 0, answered: 0, correct: 0 });
+    }
+    const entry = domains.get(name);
+    const attempt = attemptsByQuestion.get(question.id);
+    entry.questions++;
+    if (attempt) {
+      entry.answered++;
+      if (attempt.is_correct) {
+        entry.correct++;
+      }
+    }
+  });
+
+  const total = questions.length;
+  const correct = [...domains.values()].reduce((sum, d) => sum + d.correct, 0);
+  const answered = [...domains.values()].reduce((sum, d) => sum + d.answered, 0);
+  const proportion = total > 0 ? correct / total : 0;
+  const scaledScore = toScaledScore(proportion, blueprint);
+
+  return {
+    total_questions: total,
+    answered,
+    correct,
+    percentage: Math.round(proportion * 10000) / 100,
+    scaled_score: scaledScore,
+    score_range: { min: blueprint.score_min, max: blueprint.score_max },
+    passing_score: blueprint.passing_score,
+    passed: scaledScore >= blueprint.passing_score,
+    domains: [...domains.values()]
+      .sort((a, b) => (b.weight ?? 0) - (a.weight ?? 0))
+      .map((d) => {
+        const domainProportion = d.questions > 0 ? d.correct / d.questions : 0;
+        return {
+          ...d,
+          percentage: Math.round(domainProportion * 10000) / 100,
+          scaled_score: toScaledScore(domainProportion, blueprint),
+        };
+      }),
+  };
+}
+
+module.exports = {
+  normalizeDomain,
+  allocateQuestionCounts,
+  assembleExam,
+  toScaledScore,
+  buildScoreReport
+};
@@ -0,0 +1,450 @@
+/**
+ * Parsers for bulk question import. Each parser returns one entry per source item:
+ * {row, question, errors} where question uses the generated-question JSON shape
+ * ({question_text, options: [{text, isCorrect}], explanation, domain, ...}) so it can go through mapQuestionToRecord.
+ */
+
+const IMPORT_FORMATS = ['csv', 'json', 'moodle_xml', 'gift'];
+
+const OPTION_LETTERS = 'ABCDEFGH';
+
+/**
+ * RFC 4180 CSV: quoted fields, doubled quotes, CRLF or LF line endings
+ * @returns {string[][]}
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+}
+
+function splitList(value) {
+  return String(value || '').split('|').map((item) => item.trim()).filter(Boolean);
+}
+
+function parseBoolean(value) {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (['true', 'yes', '1', 'y'].includes(text)) {
+    return true;
+  }
+  if (['false', 'no', '0', 'n'].includes(text)) {
+    return false;
+  }
+  return undefined;
+}
+
+/**
+ * Resolve the correct column of a spreadsheet row: letters (A or A;C), 1-based numbers, or option texts separated by |
+ * @returns {{indices: number[], errors: string[]}}
+ */
+function resolveCorrectColumn(value, optionTexts) {
+  const raw = String(value || '').trim();
+  if (!raw) {
+    return { indices: [], errors: ['correct is required'] };
+  }
+
+  const byText = splitList(raw).map((answer) => optionTexts.findIndex((text) => text.toLowerCase() === answer.toLowerCase()));
+  if (byText.every((index) => index >= 0)) {
+    return { indices: byText, errors: [] };
+  }
+
+  const tokens = raw.split(/[;,\s|]+/).filter(Boolean);
+  const errors = [];
+  const indices = tokens.map((token) => {
+    let index = -1;
+    if (/^[A-Ha-h]$/.test(token)) {
+      index = OPTION_LETTERS.indexOf(token.toUpperCase());
+    } else if (/^\d+$/.test(token)) {
+      index = parseInt(token, 10) - 1;
+    }
+    if (index < 0 || index >= optionTexts.length) {
+      errors.push(`correct value "${token}" does not match an option`);
+    }
+    return index;
+  });
+
+  return { indices: errors.length > 0 ? [] : indices, errors };
+}
+
+/**
+ * Spreadsheet export. Header row required; column names are case-insensitive.
+ * Options come from option_a..option_h (or option_1..option_8), or one options column separated by |.
+ * references and tags are also separated by |.
+ */
+function parseCsv(text) {
+  const rows = parseCsvRows(text);
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const header = rows[0].map((cell) => cell.trim().toLowerCase().replace(/\s+/g, '_'));
+  const column = (cells, ...names) => {
+    const index = header.findIndex((name) => names.includes(name));
+    return index >= 0 ? (cells[index] || '').trim() : '';
+  };
+  const optionColumns = header
+    .map((name, index) => ({ name, index }))
+    .filter(({ name }) => /^option_?([a-h]|[1-8])$/.test(name));
+
+  return rows.slice(1).map((cells, offset) => {
+    const errors = [];
+    const optionTexts = optionColumns.length > 0
+      ? optionColumns.map(({ index }) => (cells[index] || '').trim()).filter(Boolean)
+      : splitList(column(cells, 'options'));
+
+    const correct = resolveCorrectColumn(column(cells, 'correct', 'correct_answer', 'correct_answers', 'answer'), optionTexts);
+    errors.push(...correct.errors);
+
+    const multiple = parseBoolean(column(cells, 'multiple_answers'));
+    const references = splitList(column(cells, 'references'));
+    const tags = splitList(column(cells, 'tags'));
+
+    return {
+      row: offset + 2, // 1-based, after the header
+      errors,
+      question: {
+        question_text: column(cells, 'question_text', 'question'),
+        options: optionTexts.map((text, index) => ({ text, isCorrect: correct.indices.includes(index) })),
+        explanation: column(cells, 'explanation'),
+        domain: column(cells, 'domain'),
+        subdomain: column(cells, 'category', 'subdomain'),
+        cognitive_level: column(cells, 'cognitive_level'),
+        skill_level: column(cells, 'skill_level'),
+        ...(multiple === undefined ? {} : { multiple_answers: multiple ? '1' : '0' }),
+        ...(references.length > 0 ? { references } : {}),
+        ...(tags.length > 0 ? { tags } : {}),
+      },
+    };
+  });
+}
+
+/**
+ * The JSON produced by /generateQuestion: the full response, {questions: [...]}, an array, or a single question
+ */
+function parseJson(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (error) {
+      return [{ row: 1, errors: [`Invalid JSON: ${error.message}`], question: null }];
+    }
+  }
+
+  const questions = Array.isArray(data) ? data : Array.isArray(data?.questions) ? data.questions : [data];
+  return questions.map((question, index) => ({
+    row: index + 1,
+    errors: question && typeof question === 'object' ? [] : ['Item is not a question object'],
+    question: question && typeof question === 'object' ? question : null,
+  }));
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;|&#39;/g, "'")
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Moodle text nodes may be CDATA and/or HTML; reduce them to plain text
+ */
+function moodleText(fragment) {
+  const match = /<text>([\s\S]*?)<\/text>/.exec(fragment || '');
+  if (!match) {
+    return '';
+  }
+  const cdata = /^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/.exec(match[1]);
+  const html = cdata ? cdata[1] : decodeEntities(match[1]);
+  return decodeEntities(
+    html
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/p>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+  ).replace(/[ \t]+/g, ' ').replace(/\n\s*\n+/g, '\n').trim();
+}
+
+function xmlElement(xml, name) {
+  const match = new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)<\\/${name}>`).exec(xml);
+  return match ? match[1] : null;
+}
+
+/**
+ * Moodle XML quiz export. multichoice and truefalse questions are imported; category entries set the
+ * category for the questions after them, a tag of the form "domain:Name" sets the domain and other tags are kept.
+ */
+function parseMoodleXml(xml) {
+  const items = [];
+  let category = '';
+  let row = 0;
+
+  for (const match of xml.matchAll(/<question\b([^>]*)>([\s\S]*?)<\/question>/g)) {
+    const type = (/type="([^"]+)"/.exec(match[1]) || [])[1];
+    const body = match[2];
+
+    if (type === 'category') {
+      const path = moodleText(xmlElement(body, 'category')).split('/').filter((part) => part && part !== '$course$' && part !== '$system$');
+      category = path[path.length - 1] || '';
+      continue;
+    }
+
+    row++;
+    if (type !== 'multichoice' && type !== 'truefalse') {
+      items.push({ row, errors: [`Unsupported Moodle question type "${type}"`], question: null });
+      continue;
+    }
+
+    const options = [...body.matchAll(/<answer\b([^>]*)>([\s\S]*?)<\/answer>/g)].map((answer) => ({
+      text: moodleText(answer[2]),
+      isCorrect: parseFloat((/fraction="([^"]+)"/.exec(answer[1]) || [])[1] || '0') > 0,
+    }));
+    const tags = [...body.matchAll(/<tag>([\s\S]*?)<\/tag>/g)].map((tag) => moodleText(tag[1]));
+    const domainTag = tags.find((tag) => /^domain:/i.test(tag));
+    const otherTags = tags.filter((tag) => tag !== domainTag);
+    const single = xmlElement(body, 'single');
+
+    items.push({
+      row,
+      errors: [],
+      question: {
+        question_text: moodleText(xmlElement(body, 'questiontext')),
+        options,
+        explanation: moodleText(xmlElement(body, 'generalfeedback')),
+        domain: domainTag ? domainTag.replace(/^domain:/i, '').trim() : category,
+        subdomain: category,
+        ...(single !== null ? { multiple_answers: single.trim() === 'false' ? '1' : '0' } : {}),
+        ...(otherTags.length > 0 ? { tags: otherTags } : {}),
+      },
+    });
+  }
+
+  return items;
+}
+
+/**
+ * Split on a character that is not escaped with a backslash
+ */
+function indexOfUnescaped(text, char, from = 0) {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === char) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function unescapeGift(text) {
+  return text.replace(/\\([~=#{}:\\n])/g, (match, char) => (char === 'n' ? '\n' : char)).replace(/^\[(html|moodle|markdown|plain)\]/, '').trim();
+}
+
+/**
+ * Parse the {...} answer block of a GIFT question
+ * @returns {{options: object[], explanation: string, errors: string[]}}
+ */
+function parseGiftAnswers(block) {
+  const trimmed = block.trim();
+  let explanation = '';
+  let answers = trimmed;
+
+  const general = answers.indexOf('####');
+  if (general >= 0) {
+    explanation = unescapeGift(answers.slice(general + 4));
+    answers = answers.slice(0, general);
+  }
+
+  if (/^(T|TRUE|F|FALSE)(#.*)?$/i.test(answers.trim())) {
+    const isTrue = /^T/i.test(answers.trim());
+    return {
+      options: [{ text: 'True', isCorrect: isTrue }, { text: 'False', isCorrect: !isTrue }],
+      explanation,
+      errors: [],
+    };
+  }
+
+  // Each answer starts at an unescaped = or ~
+  const starts = [];
+  for (let i = 0; i < answers.length; i++) {
+    if (answers[i] === '\\') {
+      i++;
+    } else if (answers[i] === '=' || answers[i] === '~') {
+      starts.push(i);
+    }
+  }
+  if (starts.length === 0) {
+    return { options: [], explanation, errors: ['Only multiple choice and true/false GIFT questions are supported'] };
+  }
+
+  const options = starts.map((start, index) => {
+    let text = answers.slice(start + 1, starts[index + 1] ?? answers.length);
+    const feedback = indexOfUnescaped(text, '#');
+    if (feedback >= 0) {
+      text = text.slice(0, feedback);
+    }
+    let isCorrect = answers[start] === '=';
+    const weight = /^%(-?\d+(?:\.\d+)?)%/.exec(text);
+    if (weight) {
+      isCorrect = parseFloat(weight[1]) > 0;
+      text = text.slice(weight[0].length);
+    }
+    return { text: unescapeGift(text), isCorrect };
+  });
+
+  return { options, explanation, errors: [] };
+}
+
+/**
+ * GIFT format: questions separated by blank lines, optional ::title::, answers in {...}, $CATEGORY: lines.
+ * A "// domain: Name" comment directly above a question sets its domain.
+ */
+function parseGift(text) {
+  const items = [];
+  let category = '';
+  let row = 0;
+
+  const blocks = text.replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+  for (const block of blocks) {
+    let domain = '';
+    const lines = [];
+    block.split('\n').forEach((line) => {
+      const trimmed = line.trim();
+      if (trimmed.startsWith('//')) {
+        const domainComment = /^\/\/\s*domain:\s*(.+)$/i.exec(trimmed);
+        if (domainComment) {
+          domain = domainComment[1].trim();
+        }
+      } else if (/^\$CATEGORY:/i.test(trimmed)) {
+        const path = trimmed.replace(/^\$CATEGORY:/i, '').split('/').filter((part) => part.trim() && part.trim() !== '$course$');
+        category = (path[path.length - 1] || '').trim();
+      } else {
+        lines.push(line);
+      }
+    });
+
+    let source = lines.join('\n').trim();
+    if (!source) {
+      continue;
+    }
+
+    row++;
+    const title = /^::([\s\S]*?)::/.exec(source);
+    if (title) {
+      source = source.slice(title[0].length);
+    }
+
+    const open = indexOfUnescaped(source, '{');
+    const close = open >= 0 ? indexOfUnescaped(source, '}', open) : -1;
+    if (open < 0 || close < 0) {
+      items.push({ row, errors: ['Missing {answers} block'], question: null });
+      continue;
+    }
+
+    const answers = parseGiftAnswers(source.slice(open + 1, close));
+    const questionText = unescapeGift(`${source.slice(0, open)} ${source.slice(close + 1)}`.replace(/\s+/g, ' '));
+
+    items.push({
+      row,
+      errors: answers.errors,
+      question: {
+        question_text: questionText,
+        options: answers.options,
+        explanation: answers.explanation,
+        domain: domain || category,
+        subdomain: category,
+      },
+    });
+  }
+
+  return items;
+}
+
+/**
+ * Parse import content in any supported format
+ * @param {string} format - One of IMPORT_FORMATS
+ * @param {string|object} content - Text, or already-parsed JSON for the json format
+ */
+function parseImport(format, content) {
+  switch (format) {
+  case 'csv':
+    return parseCsv(String(content));
+  case 'json':
+    return parseJson(content);
+  case 'moodle_xml':
+    return parseMoodleXml(String(content));
+  case 'gift':
+    return parseGift(String(content));
+  default:
+    throw new Error(`Unsupported import format: ${format}`);
+  }
+}
+
+/**
+ * Guess the format of an uploaded text body from its content type and first characters
+ */
+function detectImportFormat(contentType, content) {
+  const type = String(contentType || '').toLowerCase();
+  const start = String(content || '').trimStart();
+  if (type.includes('csv')) {
+    return 'csv';
+  }
+  if (type.includes('xml') || start.startsWith('<?xml') || start.startsWith('<quiz')) {
+    return 'moodle_xml';
+  }
+  if (start.startsWith('{') || start.startsWith('[')) {
+    return 'json';
+  }
+  if (/\{[\s\S]*[=~][\s\S]*\}/.test(start) || start.startsWith('::') || start.startsWith('$CATEGORY')) {
+    return 'gift';
+  }
+  return 'csv';
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  parseImport,
+  detectImportFormat,
+  decodeEntities
+};
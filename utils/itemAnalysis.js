@@ -0,0 +1,172 @@
+const {
+  getOptionText,
+  parseOptions,
+  getCorrectAnswers,
+  normalizeAnswerText,
+} = require('./questionBank');
+
+// Statistics from fewer responses than this are reported but not flagged or applied to difficulty
+const ITEM_STATS_MIN_ATTEMPTS = parseInt(process.env.ITEM_STATS_MIN_ATTEMPTS, 10) || 30;
+
+// Classical test theory rules of thumb
+const TOO_EASY_P_VALUE = 0.9;
+const TOO_HARD_P_VALUE = 0.25;
+const LOW_DISCRIMINATION = 0.2;
+const DEAD_DISTRACTOR_RATE = 0.05;
+
+// p-value bands written to the difficulty column
+const DIFFICULTY_BANDS = [
+  { difficulty: 'easy', min_p_value: 0.7 },
+  { difficulty: 'medium', min_p_value: 0.3 },
+  { difficulty: 'hard', min_p_value: 0 },
+];
+
+const ITEM_FLAGS = {
+  too_easy: `p-value of ${TOO_EASY_P_VALUE} or more: almost everyone answers correctly`,
+  too_hard: `p-value of ${TOO_HARD_P_VALUE} or less: at or below guessing`,
+  low_discrimination: `point-biserial below ${LOW_DISCRIMINATION}: does not separate strong from weak learners`,
+  negative_discrimination: 'point-biserial below 0: weaker learners do better than stronger ones',
+  dead_distractor: `an incorrect option chosen by less than ${DEAD_DISTRACTOR_RATE * 100}% of learners`,
+  attractive_distractor: 'an incorrect option chosen more by stronger learners than weaker ones',
+};
+
+function round(value, places = 3) {
+  if (value === null || !Number.isFinite(value)) {
+    return null;
+  }
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Pearson correlation; with a 0/1 variable this is the point-biserial coefficient
+ */
+function correlation(xs, ys) {
+  const n = xs.length;
+  if (n < 2) {
+    return null;
+  }
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (xs[i] - meanX) * (ys[i] - meanY);
+    varianceX += (xs[i] - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  }
+  return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : null;
+}
+
+function difficultyFromPValue(pValue) {
+  return DIFFICULTY_BANDS.find((band) => pValue >= band.min_p_value).difficulty;
+}
+
+/**
+ * Classical item statistics for every question of a certification.
+ * Only each learner's first attempt at a question counts, so repeated practice does not inflate p-values.
+ * Discrimination correlates the item score with the learner's proportion correct on their other items (rest score).
+ * @param {object[]} questions - Question rows
+ * @param {object[]} attempts - First attempts: {user_id, question_id, is_correct, selected_answers}
+ * @param {{minAttempts?: number}} [options]
+ * @returns {object[]} One entry per question, in the order of `questions`
+ */
+function computeItemStatistics(questions, attempts, { minAttempts = ITEM_STATS_MIN_ATTEMPTS } = {}) {
+  const totals = new Map();
+  attempts.forEach((attempt) => {
+    const total = totals.get(attempt.user_id) || { answered: 0, correct: 0 };
+    total.answered++;
+    total.correct += attempt.is_correct ? 1 : 0;
+    totals.set(attempt.user_id, total);
+  });
+
+  const attemptsByQuestion = new Map();
+  attempts.forEach((attempt) => {
+    const list = attemptsByQuestion.get(attempt.question_id) || [];
+    list.push(attempt);
+    attemptsByQuestion.set(attempt.question_id, list);
+  });
+
+  return questions.map((question) => {
+    const responses = attemptsByQuestion.get(question.id) || [];
+    const correctCount = responses.filter((attempt) => attempt.is_correct).length;
+    const pValue = responses.length > 0 ? correctCount / responses.length : null;
+
+    // Learners with only this item have no rest score
+    const scored = responses
+      .map((attempt) => {
+        const total = totals.get(attempt.user_id);
+        const score = attempt.is_correct ? 1 : 0;
+        return total.answered > 1
+          ? { attempt, score, rest: (total.correct - score) / (total.answered - 1) }
+          : null;
+      })
+      .filter(Boolean);
+    const rests = scored.map((entry) => entry.rest);
+    const discrimination = correlation(scored.map((entry) => entry.score), rests);
+
+    const correctKeys = new Set(getCorrectAnswers(question).map(normalizeAnswerText));
+    const options = parseOptions(question).map((option, index) => {
+      const text = getOptionText(option);
+      const key = normalizeAnswerText(text);
+      const chose = (attempt) => (attempt.selected_answers || []).some((answer) => normalizeAnswerText(answer) === key);
+      const selections = responses.filter(chose).length;
+      return {
+        index,
+        text,
+        is_correct: correctKeys.has(key),
+        selections,
+        selection_rate: responses.length > 0 ? round(selections / responses.length) : null,
+        discrimination: round(correlation(scored.map((entry) => (chose(entry.attempt) ? 1 : 0)), rests)),
+      };
+    });
+
+    const reliable = responses.length >= minAttempts;
+    const flags = [];
+    if (reliable) {
+      const distractors = options.filter((option) => !option.is_correct);
+      if (pValue >= TOO_EASY_P_VALUE) {
+        flags.push('too_easy');
+      }
+      if (pValue <= TOO_HARD_P_VALUE) {
+        flags.push('too_hard');
+      }
+      if (discrimination !== null && discrimination < LOW_DISCRIMINATION) {
+        flags.push('low_discrimination');
+      }
+      if (discrimination !== null && discrimination < 0) {
+        flags.push('negative_discrimination');
+      }
+      if (distractors.some((option) => option.selection_rate < DEAD_DISTRACTOR_RATE)) {
+        flags.push('dead_distractor');
+      }
+      if (distractors.some((option) => option.discrimination !== null && option.discrimination > 0)) {
+        flags.push('attractive_distractor');
+      }
+    }
+
+    return {
+      question_id: question.id,
+      domain: question.domain,
+      skill_level: question.skill_level,
+      current_difficulty: question.difficulty ?? null,
+      attempts: responses.length,
+      correct: correctCount,
+      p_value: round(pValue),
+      discrimination: round(discrimination),
+      suggested_difficulty: reliable ? difficultyFromPValue(pValue) : null,
+      reliable,
+      flags,
+      options,
+    };
+  });
+}
+
+module.exports = {
+  ITEM_STATS_MIN_ATTEMPTS,
+  ITEM_FLAGS,
+  DIFFICULTY_BANDS,
+  difficultyFromPValue,
+  computeItemStatistics
+};
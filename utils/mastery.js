@@ -0,0 +1,157 @@
+const { SKILL_LEVELS } = require('./constants');
+const { seededRandom } = require('./shuffle');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Older attempts count for less; an attempt this many days old has half the weight of one made today
+const MASTERY_HALF_LIFE_DAYS = parseInt(process.env.MASTERY_HALF_LIFE_DAYS, 10) || 14;
+
+// Beta(1, 1) prior: an area with no attempts is estimated at 0.5
+const PRIOR_CORRECT = 1;
+const PRIOR_TOTAL = 2;
+
+// Mastery thresholds for stepping up through SKILL_LEVELS
+const SKILL_THRESHOLDS = [0.4, 0.6, 0.8];
+
+function emptyStat() {
+  return { attempts: 0, correct: 0, weighted_attempts: 0, weighted_correct: 0 };
+}
+
+function finalizeStat(stat) {
+  return {
+    attempts: stat.attempts,
+    correct: stat.correct,
+    mastery: Math.round(((stat.weighted_correct + PRIOR_CORRECT) / (stat.weighted_attempts + PRIOR_TOTAL)) * 1000) / 1000,
+  };
+}
+
+/**
+ * Estimate mastery per domain, cognitive_level and skill_level from graded attempts.
+ * Each estimate is a recency-weighted share of correct answers, smoothed towards 0.5.
+ * @param {object[]} attempts - question_attempts rows (domain, cognitive_level, skill_level, is_correct, answered_at)
+ * @param {{domains?: string[], now?: Date}} [options] - domains listed here are reported even without attempts
+ * @returns {{overall: object, domains: Object<string, object>, cognitive_levels: Object<string, object>, skill_levels: Object<string, object>}}
+ */
+function estimateMastery(attempts, { domains = [], now = new Date() } = {}) {
+  const overall = emptyStat();
+  const groups = {
+    domains: new Map(domains.map((domain) => [domain, emptyStat()])),
+    cognitive_levels: new Map(),
+    skill_levels: new Map(),
+  };
+
+  attempts.forEach((attempt) => {
+    const ageDays = attempt.answered_at ? Math.max(now - new Date(attempt.answered_at), 0) / DAY_MS : 0;
+    const weight = Math.pow(0.5, ageDays / MASTERY_HALF_LIFE_DAYS);
+    const keys = {
+      domains: attempt.domain,
+      cognitive_levels: attempt.cognitive_level,
+      skill_levels: attempt.skill_level,
+    };
+
+    const stats = [overall];
+    Object.entries(keys).forEach(([group, key]) => {
+      if (!key) {
+        return;
+      }
+      if (!groups[group].has(key)) {
+        groups[group].set(key, emptyStat());
+      }
+      stats.push(groups[group].get(key));
+    });
+
+    stats.forEach((stat) => {
+      stat.attempts += 1;
+      stat.weighted_attempts += weight;
+      if (attempt.is_correct) {
+        stat.correct += 1;
+        stat.weighted_correct += weight;
+      }
+    });
+  });
+
+  const toObject = (map) => Object.fromEntries([...map].map(([key, stat]) => [key, finalizeStat(stat)]));
+
+  return {
+    overall: finalizeStat(overall),
+    domains: toObject(groups.domains),
+    cognitive_levels: toObject(groups.cognitive_levels),
+    skill_levels: toObject(groups.skill_levels),
+  };
+}
+
+/**
+ * Skill level to serve for a given mastery: weaker areas get easier questions
+ */
+function targetSkillLevel(mastery) {
+  const index = SKILL_THRESHOLDS.filter((threshold) => mastery >= threshold).length;
+  return SKILL_LEVELS[index];
+}
+
+/**
+ * Pick the next question from the learner's weakest domain at a suitable skill level.
+ * Domains are ranked by mastery (ties go to the domain with the larger exam weight). Within the domain,
+ * questions closest to the target skill level win, then questions the learner has never answered,
+ * then the weakest cognitive level. Remaining ties are broken with the session seed.
+ * @param {object[]} candidates - {id, domain, cognitive_level, skill_level} rows not yet served in this session
+ * @param {ReturnType<typeof estimateMastery>} estimate
+ * @param {{domainWeights?: Object<string, number>, seenIds?: Set<number>, seed?: number}} [options]
+ * @returns {{question_id: number, domain: string, domain_mastery: number, target_skill_level: string, skill_level: string|null, cognitive_level: string|null, reason: string}|null}
+ */
+function selectAdaptiveQuestion(candidates, estimate, { domainWeights = {}, seenIds = new Set(), seed = 0 } = {}) {
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const masteryOf = (group, key) => (estimate[group][key] ? estimate[group][key].mastery : PRIOR_CORRECT / PRIOR_TOTAL);
+
+  const availableDomains = [...new Set(candidates.map((q) => q.domain || ''))];
+  availableDomains.sort((a, b) =>
+    masteryOf('domains', a) - masteryOf('domains', b) ||
+    (domainWeights[b] || 0) - (domainWeights[a] || 0) ||
+    a.localeCompare(b)
+  );
+
+  const domain = availableDomains[0];
+  const domainMastery = masteryOf('domains', domain);
+  const targetLevel = targetSkillLevel(domainMastery);
+  const targetIndex = SKILL_LEVELS.indexOf(targetLevel);
+
+  // Unknown skill levels sort after every known one
+  const skillDistance = (q) => {
+    const index = SKILL_LEVELS.indexOf(q.skill_level);
+    return index === -1 ? SKILL_LEVELS.length : Math.abs(index - targetIndex);
+  };
+
+  const random = seededRandom(seed);
+  const ranked = candidates
+    .filter((q) => (q.domain || '') === domain)
+    .map((q) => ({ q, tieBreak: random() }))
+    .sort((a, b) =>
+      skillDistance(a.q) - skillDistance(b.q) ||
+      Number(seenIds.has(a.q.id)) - Number(seenIds.has(b.q.id)) ||
+      masteryOf('cognitive_levels', a.q.cognitive_level) - masteryOf('cognitive_levels', b.q.cognitive_level) ||
+      a.tieBreak - b.tieBreak
+    );
+
+  const picked = ranked[0].q;
+  const attempted = estimate.domains[domain] ? estimate.domains[domain].attempts : 0;
+
+  return {
+    question_id: picked.id,
+    domain,
+    domain_mastery: domainMastery,
+    target_skill_level: targetLevel,
+    skill_level: picked.skill_level || null,
+    cognitive_level: picked.cognitive_level || null,
+    reason: attempted === 0
+      ? `No attempts yet in ${domain}`
+      : `${domain} is your weakest domain (mastery ${Math.round(domainMastery * 100)}%), serving ${targetLevel} questions`,
+  };
+}
+
+module.exports = {
+  estimateMastery,
+  targetSkillLevel,
+  selectAdaptiveQuestion
+};
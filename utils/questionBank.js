@@ -0,0 +1,223 @@
+const { getCertification, listCertifications } = require('./certifications');
+
+/**
+ * SQL condition that hides soft-deleted (trashed) questions. Every read of a question table should include it.
+ */
+const NOT_DELETED = 'deleted_at IS NULL';
+
+/**
+ * Resolve the question table for a certification type (e.g. CV0-004) through the certification registry
+ * @param {string} certificationType
+ * @returns {string|null} Fully qualified table name, or null if unknown
+ */
+function getQuestionTable(certificationType) {
+  const cert = getCertification(certificationType);
+  return cert ? cert.question_table : null;
+}
+
+/**
+ * Fetch questions by id from a certification table, preserving the order of `ids`
+ * @param {import('pg').Client} client
+ * @param {string} certificationType
+ * @param {number[]} ids
+ * @param {{includeDeleted?: boolean}} [options] - includeDeleted also returns trashed questions (admin views)
+ * @returns {Promise<object[]>}
+ */
+async function fetchQuestionsByIds(client, certificationType, ids, { includeDeleted = false } = {}) {
+  const tableName = getQuestionTable(certificationType);
+  if (!tableName || !Array.isArray(ids) || ids.length === 0) {
+    return [];
+  }
+
+  const result = await client.query(
+    `SELECT * FROM ${tableName} WHERE id = ANY($1::int[])${includeDeleted ? '' : ` AND ${NOT_DELETED}`}`,
+    [ids]
+  );
+
+  const byId = new Map(result.rows.map((row) => [row.id, row]));
+  return ids.map((id) => byId.get(id)).filter(Boolean);
+}
+
+/**
+ * Look up a question by id. When no certification type is given every question table is searched.
+ * @param {import('pg').Client} client
+ * @param {number} id
+ * @param {string} [certificationType]
+ * @param {{includeDeleted?: boolean}} [options] - includeDeleted also matches trashed questions
+ * @returns {Promise<Array<{certification_type: string, table_name: string, question: object}>>} Every match found
+ */
+async function findQuestionById(client, id, certificationType, { includeDeleted = false } = {}) {
+  const certs = certificationType
+    ? [getCertification(certificationType)].filter(Boolean)
+    : listCertifications();
+  const matches = [];
+
+  for (const cert of certs) {
+    const result = await client.query(
+      `SELECT * FROM ${cert.question_table} WHERE id = $1${includeDeleted ? '' : ` AND ${NOT_DELETED}`}`,
+      [id]
+    );
+    if (result.rows[0]) {
+      matches.push({ certification_type: cert.code, table_name: cert.question_table, question: result.rows[0] });
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Extract the display text of an option (options are stored as {text, isCorrect} objects or plain strings)
+ */
+function getOptionText(option) {
+  if (typeof option === 'string') {
+    return option;
+  }
+  if (option && typeof option === 'object') {
+    return option.text || '';
+  }
+  return String(option ?? '');
+}
+
+function normalizeAnswerText(text) {
+  return String(text ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function parseOptions(question) {
+  let options = question?.options;
+  if (typeof options === 'string') {
+    try {
+      options = JSON.parse(options);
+    } catch (error) {
+      options = [];
+    }
+  }
+  return Array.isArray(options) ? options : [];
+}
+
+/**
+ * multiple_answers is a bit column ('1'/'0') but generated questions use '1'/null and older rows use booleans
+ */
+function isMultipleAnswer(question) {
+  const flag = question?.multiple_answers;
+  return flag === true || flag === 1 || flag === '1';
+}
+
+/**
+ * Determine the full text of every correct answer for a question row.
+ * Prefers correct_answers / correct_answer and falls back to options marked isCorrect.
+ * @returns {string[]}
+ */
+function getCorrectAnswers(question) {
+  const options = parseOptions(question);
+
+  let answers = [];
+  if (isMultipleAnswer(question) && Array.isArray(question.correct_answers) && question.correct_answers.length > 0) {
+    answers = question.correct_answers;
+  } else if (question?.correct_answer) {
+    answers = [question.correct_answer];
+  } else if (Array.isArray(question?.correct_answers) && question.correct_answers.length > 0) {
+    answers = question.correct_answers;
+  }
+
+  if (answers.length === 0) {
+    answers = options
+      .filter((opt) => opt && typeof opt === 'object' && opt.isCorrect === true)
+      .map(getOptionText);
+  }
+
+  return answers.filter((text) => typeof text === 'string' && text.trim().length > 0);
+}
+
+/**
+ * Normalize a submitted answer into an array of option texts.
+ * Accepts option text, a 0-based option index, or an array of either.
+ */
+function resolveSelectedAnswers(question, selected) {
+  const options = parseOptions(question);
+  const values = Array.isArray(selected) ? selected : [selected];
+
+  return values
+    .filter((value) => value !== null && value !== undefined && value !== '')
+    .map((value) => {
+      if (typeof value === 'number' && Number.isInteger(value)) {
+        return value >= 0 && value < options.length ? getOptionText(options[value]) : null;
+      }
+      return String(value);
+    })
+    .filter((value) => value !== null);
+}
+
+/**
+ * Grade a submitted answer against the stored answer key
+ * @param {object} question - Full question row
+ * @param {string|number|Array<string|number>} selected - Submitted answer(s)
+ * @returns {{is_correct: boolean, selected_answers: string[], correct_answers: string[]}}
+ */
+function gradeAnswer(question, selected) {
+  const selectedAnswers = resolveSelectedAnswers(question, selected);
+  const correctAnswers = getCorrectAnswers(question);
+
+  const selectedSet = new Set(selectedAnswers.map(normalizeAnswerText));
+  const correctSet = new Set(correctAnswers.map(normalizeAnswerText));
+
+  const isCorrect = correctSet.size > 0 &&
+    selectedSet.size === correctSet.size &&
+    [...correctSet].every((answer) => selectedSet.has(answer));
+
+  return {
+    is_correct: isCorrect,
+    selected_answers: selectedAnswers,
+    correct_answers: correctAnswers
+  };
+}
+
+/**
+ * Student-safe projection of a question row: no answer key, no isCorrect flags, no explanations
+ */
+function toStudentQuestion(question, certificationType) {
+  const multiple = isMultipleAnswer(question);
+  return {
+    id: question.id,
+    question_id: question.question_id,
+    question_number: question.question_number,
+    certification_type: certificationType,
+    category: question.category,
+    domain: question.domain,
+    difficulty: question.difficulty,
+    cognitive_level: question.cognitive_level,
+    skill_level: question.skill_level,
+    question_text: question.question_text,
+    options: parseOptions(question).map(getOptionText),
+    multiple_answers: multiple,
+    answer_count: multiple ? getCorrectAnswers(question).length : 1
+  };
+}
+
+/**
+ * Feedback returned once a question has been answered
+ */
+function toAnswerFeedback(question, grade) {
+  return {
+    is_correct: grade.is_correct,
+    selected_answers: grade.selected_answers,
+    correct_answers: grade.correct_answers,
+    explanation: question.explanation || null,
+    explanation_details: question.explanation_details || null,
+    references: question.references || null
+  };
+}
+
+module.exports = {
+  NOT_DELETED,
+  getQuestionTable,
+  fetchQuestionsByIds,
+  findQuestionById,
+  getOptionText,
+  normalizeAnswerText,
+  parseOptions,
+  isMultipleAnswer,
+  getCorrectAnswers,
+  gradeAnswer,
+  toStudentQuestion,
+  toAnswerFeedback
+};
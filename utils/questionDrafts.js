@@ -0,0 +1,138 @@
+const { withTransaction } = require('../documentdb/client');
+const { getQuestionTable } = require('./questionBank');
+const { mapQuestionToRecord, insertQuestionRecord } = require('./questionMapper');
+const { recordRevision } = require('./questionRevisions');
+const { getCertification } = require('./certifications');
+const { loadDuplicateIndex, markDuplicates } = require('./questionDuplicates');
+
+/**
+ * Create one pending draft per generated question. Safe to call again for the same batch.
+ * Each draft is marked with its likely duplicates in the certification's bank and earlier in the batch.
+ * @param {import('pg').Client} client
+ * @param {string} batchId
+ * @param {string} certificationType
+ * @param {object[]} questions - Generated questions (batch_jobs.results)
+ * @returns {Promise<number>} Number of drafts created
+ */
+async function createDraftsForBatch(client, batchId, certificationType, questions) {
+  const cert = getCertification(certificationType);
+  const bankIndex = await loadDuplicateIndex(client, cert ? [cert] : []);
+  const duplicates = markDuplicates(bankIndex, questions, (position) => ({ batch_id: batchId, item_index: position }));
+  let created = 0;
+
+  for (let index = 0; index < questions.length; index++) {
+    const matches = duplicates[index];
+    const result = await client.query(
+      `INSERT INTO prepper.question_drafts (batch_id, item_index, certification_type, question, duplicates, duplicate_score)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (batch_id, item_index) DO NOTHING`,
+      [batchId, index, certificationType, JSON.stringify(questions[index]), JSON.stringify(matches), matches.length > 0 ? matches[0].score : null]
+    );
+    created += result.rowCount || 0;
+  }
+
+  return created;
+}
+
+/**
+ * Re-check an edited draft against the live bank of its certification
+ * @returns {Promise<object[]>} Matches, best first
+ */
+async function findDraftDuplicates(client, certificationType, question) {
+  const cert = getCertification(certificationType);
+  const bankIndex = await loadDuplicateIndex(client, cert ? [cert] : []);
+  return bankIndex.find(question);
+}
+
+/**
+ * Check a draft has enough content to be inserted into the live bank
+ * @returns {string[]} Validation errors (empty when the draft can be approved)
+ */
+function validateDraftQuestion(question) {
+  const errors = [];
+  const record = mapQuestionToRecord(question || {});
+
+  if (!record.question_text.trim()) {
+    errors.push('question_text is required');
+  }
+  if (record.options.length < 2) {
+    errors.push('At least two options are required');
+  }
+  if (!record.correct_answer && !(record.correct_answers && record.correct_answers.length > 0)) {
+    errors.push('No correct answer marked');
+  }
+  if (!record.domain) {
+    errors.push('domain is required');
+  }
+
+  return errors;
+}
+
+/**
+ * Approve a pending draft: insert it into the table for its certification and mark it approved.
+ * Runs in a transaction so a failed insert leaves the draft pending.
+ * @param {object} draft - question_drafts row
+ * @param {object} reviewer - req.user
+ * @param {string} [note] - Reviewer note
+ * @returns {Promise<{draft: object, question: object}>}
+ */
+async function approveDraft(draft, reviewer, note) {
+  const tableName = getQuestionTable(draft.certification_type);
+  if (!tableName) {
+    throw new Error(`Unknown certification_type: ${draft.certification_type}`);
+  }
+
+  const record = mapQuestionToRecord(draft.question, { certification_type: draft.certification_type });
+
+  return withTransaction(async (client) => {
+    const question = await insertQuestionRecord(client, tableName, record);
+    const result = await client.query(
+      `UPDATE prepper.question_drafts
+       SET status = 'approved', approved_question_id = $2, reviewed_by = $3, reviewed_at = NOW(),
+           reviewer_note = COALESCE($4, reviewer_note), updated_at = NOW()
+       WHERE id = $1 AND status = 'pending'
+       RETURNING *`,
+      [draft.id, question.id, reviewer.id, note || null]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Draft is no longer pending');
+    }
+
+    await recordRevision(client, {
+      certificationType: draft.certification_type,
+      questionId: question.id,
+      action: 'create',
+      after: question,
+      userId: reviewer.id,
+      source: 'review-queue',
+      note: `Approved draft ${draft.id} from batch ${draft.batch_id}`,
+    });
+
+    return { draft: result.rows[0], question };
+  });
+}
+
+/**
+ * Reject a pending draft
+ * @returns {Promise<object|null>} Updated draft, or null when it was not pending
+ */
+async function rejectDraft(client, draft, reviewer, note) {
+  const result = await client.query(
+    `UPDATE prepper.question_drafts
+     SET status = 'rejected', reviewed_by = $2, reviewed_at = NOW(),
+         reviewer_note = COALESCE($3, reviewer_note), updated_at = NOW()
+     WHERE id = $1 AND status = 'pending'
+     RETURNING *`,
+    [draft.id, reviewer.id, note || null]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  createDraftsForBatch,
+  findDraftDuplicates,
+  validateDraftQuestion,
+  approveDraft,
+  rejectDraft
+};
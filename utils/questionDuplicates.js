@@ -0,0 +1,256 @@
+const { NOT_DELETED, parseOptions, getOptionText } = require('./questionBank');
+
+// Jaccard similarity (0-1) of word shingles above which two questions are reported as likely duplicates
+const DUPLICATE_THRESHOLD = parseFloat(process.env.DUPLICATE_THRESHOLD) || 0.6;
+
+// MinHash signature length, split into LSH bands of BAND_ROWS values. Two rows per band keeps recall high
+// down to ~0.4 similarity; candidates are then scored exactly, so extra candidates only cost time.
+const SIGNATURE_SIZE = 64;
+const BAND_ROWS = 2;
+const SHINGLE_WORDS = 3;
+const MAX_MATCHES = 5;
+
+// Fixed seeds so signatures are comparable between requests
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (value, index) => Math.imul(index + 1, 0x9e3779b1) >>> 0);
+
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function mix(value) {
+  let hash = value;
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+/**
+ * Lowercase, drop punctuation and collapse whitespace
+ */
+function normalizeText(text) {
+  return String(text ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Word shingles of the question text plus its options. Options are sorted so a reshuffled copy still matches.
+ * Works on question rows and on the generated-question shape.
+ * @returns {Set<string>}
+ */
+function questionShingles(question) {
+  const options = parseOptions(question).map((option) => normalizeText(getOptionText(option))).sort();
+  const words = [normalizeText(question.question_text || question.question), ...options].join(' ').split(' ').filter(Boolean);
+  const shingles = new Set();
+
+  if (words.length < SHINGLE_WORDS) {
+    shingles.add(words.join(' '));
+    return shingles;
+  }
+  for (let i = 0; i <= words.length - SHINGLE_WORDS; i++) {
+    shingles.add(words.slice(i, i + SHINGLE_WORDS).join(' '));
+  }
+  return shingles;
+}
+
+function minHash(shingles) {
+  const signature = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+  shingles.forEach((shingle) => {
+    const hash = hashString(shingle);
+    for (let i = 0; i < SIGNATURE_SIZE; i++) {
+      const value = mix(hash ^ SEEDS[i]);
+      if (value < signature[i]) {
+        signature[i] = value;
+      }
+    }
+  });
+  return signature;
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+  let shared = 0;
+  a.forEach((shingle) => {
+    if (b.has(shingle)) {
+      shared++;
+    }
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+function bandKeys(signature) {
+  const keys = [];
+  for (let start = 0; start < SIGNATURE_SIZE; start += BAND_ROWS) {
+    keys.push(`${start}:${signature.slice(start, start + BAND_ROWS).join(',')}`);
+  }
+  return keys;
+}
+
+/**
+ * In-memory MinHash/LSH index of questions
+ * @returns {{size: number, entries: object[], add: Function, find: Function}}
+ */
+function createDuplicateIndex() {
+  const entries = [];
+  const buckets = new Map();
+
+  return {
+    get size() {
+      return entries.length;
+    },
+    entries,
+
+    /**
+     * @param {object} ref - What a match reports, e.g. {certification_type, question_id} or {item_index}
+     * @param {object} question
+     * @param {object} [details] - Extra fields shown in cluster reports but not in matches
+     */
+    add(ref, question, details = {}) {
+      const shingles = questionShingles(question);
+      const entry = { ref, details, shingles, keys: bandKeys(minHash(shingles)), index: entries.length };
+      entries.push(entry);
+      entry.keys.forEach((key) => {
+        if (!buckets.has(key)) {
+          buckets.set(key, []);
+        }
+        buckets.get(key).push(entry);
+      });
+      return entry;
+    },
+
+    /**
+     * Likely duplicates of a question, best match first
+     * @returns {object[]} ref fields plus score
+     */
+    find(question, { threshold = DUPLICATE_THRESHOLD, limit = MAX_MATCHES } = {}) {
+      const shingles = questionShingles(question);
+      const candidates = new Set();
+      bandKeys(minHash(shingles)).forEach((key) => (buckets.get(key) || []).forEach((entry) => candidates.add(entry)));
+
+      return [...candidates]
+        .map((entry) => ({ ...entry.ref, score: Math.round(jaccard(shingles, entry.shingles) * 1000) / 1000 }))
+        .filter((match) => match.score >= threshold)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    },
+  };
+}
+
+/**
+ * Index the live questions of one or more certifications
+ * @param {import('pg').Client} client
+ * @param {{code: string, question_table: string}[]} certs
+ */
+async function loadDuplicateIndex(client, certs) {
+  const index = createDuplicateIndex();
+  for (const cert of certs) {
+    const result = await client.query(
+      `SELECT id, question_text, options, domain FROM ${cert.question_table} WHERE ${NOT_DELETED} ORDER BY id`
+    );
+    result.rows.forEach((row) => index.add(
+      { certification_type: cert.code, question_id: row.id },
+      row,
+      { question_text: row.question_text, domain: row.domain }
+    ));
+  }
+  return index;
+}
+
+/**
+ * Check a list of new questions against an index and against each other. Each question is added to the index
+ * after it is checked, so a later question that repeats an earlier one in the same list is reported too.
+ * @param {object} index - createDuplicateIndex / loadDuplicateIndex
+ * @param {object[]} questions
+ * @param {function(number): object} refFor - ref to record for the question at a position
+ * @returns {object[][]} Matches per question
+ */
+function markDuplicates(index, questions, refFor, options = {}) {
+  return questions.map((question, position) => {
+    const matches = index.find(question, options);
+    index.add(refFor(position), question);
+    return matches;
+  });
+}
+
+/**
+ * Group indexed questions into clusters of likely duplicates (connected components of matching pairs)
+ * @returns {{size: number, max_score: number, questions: object[], pairs: object[]}[]} Largest clusters first
+ */
+function clusterDuplicates(index, { threshold = DUPLICATE_THRESHOLD } = {}) {
+  const parent = index.entries.map((entry, position) => position);
+  const root = (position) => {
+    while (parent[position] !== position) {
+      parent[position] = parent[parent[position]];
+      position = parent[position];
+    }
+    return position;
+  };
+
+  const pairs = [];
+  const buckets = new Map();
+  index.entries.forEach((entry) => entry.keys.forEach((key) => {
+    if (!buckets.has(key)) {
+      buckets.set(key, []);
+    }
+    buckets.get(key).push(entry);
+  }));
+
+  const seen = new Set();
+  buckets.forEach((members) => {
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const pairKey = `${members[i].index}:${members[j].index}`;
+        if (seen.has(pairKey)) {
+          continue;
+        }
+        seen.add(pairKey);
+        const score = jaccard(members[i].shingles, members[j].shingles);
+        if (score >= threshold) {
+          pairs.push({ a: members[i].index, b: members[j].index, score: Math.round(score * 1000) / 1000 });
+          parent[root(members[i].index)] = root(members[j].index);
+        }
+      }
+    }
+  });
+
+  const clusters = new Map();
+  pairs.forEach((pair) => {
+    const key = root(pair.a);
+    if (!clusters.has(key)) {
+      clusters.set(key, { members: new Set(), pairs: [] });
+    }
+    const cluster = clusters.get(key);
+    cluster.members.add(pair.a).add(pair.b);
+    cluster.pairs.push(pair);
+  });
+
+  const describe = (position) => ({ ...index.entries[position].ref, ...index.entries[position].details });
+  return [...clusters.values()]
+    .map((cluster) => ({
+      size: cluster.members.size,
+      max_score: Math.max(...cluster.pairs.map((pair) => pair.score)),
+      questions: [...cluster.members].sort((a, b) => a - b).map(describe),
+      pairs: cluster.pairs.map((pair) => ({
+        a: index.entries[pair.a].ref,
+        b: index.entries[pair.b].ref,
+        score: pair.score,
+      })),
+    }))
+    .sort((a, b) => b.size - a.size || b.max_score - a.max_score);
+}
+
+module.exports = {
+  DUPLICATE_THRESHOLD,
+  createDuplicateIndex,
+  loadDuplicateIndex,
+  markDuplicates,
+  clusterDuplicates
+};
@@ -0,0 +1,384 @@
+const { parseOptions, getOptionText, getCorrectAnswers, isMultipleAnswer, normalizeAnswerText } = require('./questionBank');
+const { createZip } = require('./zip');
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Supported export formats with their response type and file extension
+ */
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  anki: { contentType: 'text/tab-separated-values; charset=utf-8', extension: 'txt' },
+  qti: { contentType: 'application/zip', extension: 'zip' },
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+};
+
+// Where the printable formats put the answers
+const ANSWER_PLACEMENTS = ['end', 'inline', 'none'];
+
+function optionLabel(index) {
+  return index < LETTERS.length ? LETTERS[index] : String(index + 1);
+}
+
+/**
+ * Flatten a question row into the fields every exporter uses
+ */
+function toExportQuestion(row) {
+  const options = parseOptions(row).map(getOptionText);
+  const correct = new Set(getCorrectAnswers(row).map(normalizeAnswerText));
+  const correctIndices = options
+    .map((text, index) => (correct.has(normalizeAnswerText(text)) ? index : -1))
+    .filter((index) => index >= 0);
+
+  return {
+    id: row.id,
+    question_text: row.question_text || '',
+    options,
+    correct_indices: correctIndices,
+    multiple: isMultipleAnswer(row),
+    explanation: row.explanation || '',
+    explanation_details: row.explanation_details || null,
+    domain: row.domain || '',
+    category: row.category || '',
+    cognitive_level: row.cognitive_level || '',
+    skill_level: row.skill_level || '',
+    references: Array.isArray(row.references) ? row.references : [],
+    tags: Array.isArray(row.tags) ? row.tags : [],
+  };
+}
+
+function escapeCsv(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function escapeHtml(value) {
+  return escapeXml(value).replace(/&apos;/g, '&#39;');
+}
+
+/**
+ * Same columns POST /questions/import reads, so an export can be edited in a spreadsheet and imported again
+ */
+function toCsv(questions) {
+  const optionCount = Math.min(Math.max(0, ...questions.map((q) => q.options.length)), 8);
+  const optionColumns = Array.from({ length: optionCount }, (value, index) => `option_${LETTERS[index].toLowerCase()}`);
+  const header = ['id', 'question_text', ...optionColumns, 'correct', 'multiple_answers', 'explanation', 'domain', 'category', 'cognitive_level', 'skill_level', 'references', 'tags'];
+
+  const rows = questions.map((q) => [
+    q.id,
+    q.question_text,
+    ...optionColumns.map((column, index) => q.options[index] ?? ''),
+    q.correct_indices.map(optionLabel).join(';'),
+    q.multiple ? 'true' : 'false',
+    q.explanation,
+    q.domain,
+    q.category,
+    q.cognitive_level,
+    q.skill_level,
+    q.references.join('|'),
+    q.tags.join('|'),
+  ]);
+
+  return [header, ...rows].map((row) => row.map(escapeCsv).join(',')).join('\n') + '\n';
+}
+
+/**
+ * The /generateQuestion JSON shape, which POST /questions/import also accepts
+ */
+function toJson(questions, cert) {
+  return JSON.stringify({
+    certification_type: cert.code,
+    exported_at: new Date().toISOString(),
+    count: questions.length,
+    questions: questions.map((q) => {
+      const correctTexts = q.correct_indices.map((index) => q.options[index]);
+      return {
+        id: q.id,
+        question_text: q.question_text,
+        options: q.options.map((text, index) => ({ text, isCorrect: q.correct_indices.includes(index) })),
+        ...(q.multiple ? { correct_answers: correctTexts } : { correct_answer: correctTexts[0] || '' }),
+        multiple_answers: q.multiple ? '1' : '0',
+        explanation: q.explanation,
+        explanation_details: q.explanation_details,
+        domain: q.domain,
+        subdomain: q.category,
+        cognitive_level: q.cognitive_level,
+        skill_level: q.skill_level,
+        references: q.references,
+        tags: q.tags,
+      };
+    }),
+  }, null, 2);
+}
+
+function ankiField(html) {
+  return html.replace(/\t/g, ' ').replace(/\r?\n/g, '<br>');
+}
+
+function ankiTag(value) {
+  return String(value).trim().replace(/\s+/g, '_');
+}
+
+/**
+ * Anki text import (File > Import): one Basic note per question, options on the front, answer and explanation on the back
+ */
+function toAnki(questions, cert) {
+  const lines = [
+    '#separator:tab',
+    '#html:true',
+    '#notetype:Basic',
+    `#deck:Prepper::${cert.code}`,
+    '#tags column:3',
+  ];
+
+  questions.forEach((q) => {
+    const choose = q.multiple ? `<br><i>(Choose ${q.correct_indices.length})</i>` : '';
+    const front = `${escapeHtml(q.question_text)}${choose}<br><br>` +
+      q.options.map((text, index) => `${optionLabel(index)}. ${escapeHtml(text)}`).join('<br>');
+    const answer = q.correct_indices.map((index) => `${optionLabel(index)}. ${escapeHtml(q.options[index])}`).join('<br>');
+    const back = `<b>${answer}</b>${q.explanation ? `<br><br>${escapeHtml(q.explanation)}` : ''}`;
+    const tags = [cert.code, q.domain, ...q.tags].filter(Boolean).map(ankiTag).join(' ');
+
+    lines.push([ankiField(front), ankiField(back), tags].join('\t'));
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+function qtiItem(q) {
+  const identifier = `q${q.id}`;
+  const correct = q.correct_indices.map((index) => `        <value>${optionLabel(index)}</value>`).join('\n');
+  const choices = q.options
+    .map((text, index) => `        <simpleChoice identifier="${optionLabel(index)}">${escapeXml(text)}</simpleChoice>`)
+    .join('\n');
+  const paragraphs = q.question_text.split(/\n+/).map((line) => `    <p>${escapeXml(line)}</p>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"
+    identifier="${identifier}" title="${escapeXml(q.domain || identifier)}" adaptive="false" timeDependent="false">
+  <responseDeclaration identifier="RESPONSE" cardinality="${q.multiple ? 'multiple' : 'single'}" baseType="identifier">
+    <correctResponse>
+${correct}
+    </correctResponse>
+  </responseDeclaration>
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue>
+      <value>0</value>
+    </defaultValue>
+  </outcomeDeclaration>
+  <itemBody>
+${paragraphs}
+    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${q.multiple ? 0 : 1}">
+${choices}
+    </choiceInteraction>
+  </itemBody>
+  <responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct"/>
+</assessmentItem>
+`;
+}
+
+/**
+ * IMS QTI 2.1 content package: one assessmentItem per question, an assessmentTest that references them all, and the manifest
+ * @returns {Buffer} Zip archive
+ */
+function toQti(questions, cert) {
+  const testId = `prepper-${cert.code}`.replace(/[^A-Za-z0-9_.-]/g, '-');
+  const items = questions.map((q) => ({ identifier: `q${q.id}`, href: `items/q${q.id}.xml`, content: qtiItem(q) }));
+
+  const test = `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"
+    identifier="${testId}" title="${escapeXml(`${cert.code} ${cert.display_name || ''}`.trim())}">
+  <testPart identifier="part1" navigationMode="nonlinear" submissionMode="simultaneous">
+    <assessmentSection identifier="section1" title="Questions" visible="true">
+${items.map((item) => `      <assessmentItemRef identifier="${item.identifier}" href="${item.href}"/>`).join('\n')}
+    </assessmentSection>
+  </testPart>
+</assessmentTest>
+`;
+
+  const manifest = `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/qtiv2p1_imscpv1p2_v1p0.xsd"
+    identifier="${testId}-manifest">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+    <resource identifier="${testId}" type="imsqti_test_xmlv2p1" href="assessmentTest.xml">
+      <file href="assessmentTest.xml"/>
+${items.map((item) => `      <dependency identifierref="${item.identifier}"/>`).join('\n')}
+    </resource>
+${items.map((item) => `    <resource identifier="${item.identifier}" type="imsqti_item_xmlv2p1" href="${item.href}">
+      <file href="${item.href}"/>
+    </resource>`).join('\n')}
+  </resources>
+</manifest>
+`;
+
+  return createZip([
+    { name: 'imsmanifest.xml', content: manifest },
+    { name: 'assessmentTest.xml', content: test },
+    ...items.map((item) => ({ name: item.href, content: item.content })),
+  ]);
+}
+
+/**
+ * Number questions and group them by domain for the printable study sheet
+ */
+function groupForStudySheet(questions) {
+  const groups = new Map();
+  questions.forEach((q) => {
+    const domain = q.domain || 'General';
+    if (!groups.has(domain)) {
+      groups.set(domain, []);
+    }
+    groups.get(domain).push(q);
+  });
+
+  let number = 0;
+  return [...groups.entries()].map(([domain, items]) => ({
+    domain,
+    questions: items.map((q) => ({ ...q, number: ++number })),
+  }));
+}
+
+function answerText(q) {
+  return q.correct_indices.map((index) => `${optionLabel(index)}. ${q.options[index]}`).join('; ');
+}
+
+function toMarkdown(questions, cert, { answers = 'end' } = {}) {
+  const groups = groupForStudySheet(questions);
+  const lines = [
+    `# ${cert.code}${cert.display_name ? ` - ${cert.display_name}` : ''} study sheet`,
+    '',
+    `${questions.length} questions, exported ${new Date().toISOString().slice(0, 10)}`,
+    '',
+  ];
+
+  groups.forEach((group) => {
+    lines.push(`## ${group.domain}`, '');
+    group.questions.forEach((q) => {
+      lines.push(`**${q.number}.** ${q.question_text}${q.multiple ? ` _(Choose ${q.correct_indices.length})_` : ''}`, '');
+      q.options.forEach((text, index) => lines.push(`- **${optionLabel(index)}.** ${text}`));
+      lines.push('');
+      if (answers === 'inline') {
+        lines.push(`> **Answer:** ${answerText(q)}`);
+        if (q.explanation) {
+          lines.push('>', `> ${q.explanation.replace(/\n/g, '\n> ')}`);
+        }
+        lines.push('');
+      }
+    });
+  });
+
+  if (answers === 'end') {
+    lines.push('---', '', '## Answer key', '');
+    groups.forEach((group) => group.questions.forEach((q) => {
+      lines.push(`${q.number}. **${answerText(q)}**${q.explanation ? ` - ${q.explanation.replace(/\n+/g, ' ')}` : ''}`);
+    }));
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+function toHtml(questions, cert, { answers = 'end' } = {}) {
+  const groups = groupForStudySheet(questions);
+  const title = `${cert.code}${cert.display_name ? ` - ${cert.display_name}` : ''} study sheet`;
+  const paragraphs = (text) => escapeHtml(text).replace(/\n/g, '<br>');
+
+  const body = groups.map((group) => `<h2>${escapeHtml(group.domain)}</h2>
+${group.questions.map((q) => `<div class="question">
+  <p><strong>${q.number}.</strong> ${paragraphs(q.question_text)}${q.multiple ? ` <em>(Choose ${q.correct_indices.length})</em>` : ''}</p>
+  <ol type="A">
+${q.options.map((text) => `    <li>${escapeHtml(text)}</li>`).join('\n')}
+  </ol>${answers === 'inline' ? `
+  <p class="answer"><strong>Answer:</strong> ${escapeHtml(answerText(q))}</p>${q.explanation ? `
+  <p class="explanation">${paragraphs(q.explanation)}</p>` : ''}` : ''}
+</div>`).join('\n')}`).join('\n');
+
+  const answerKey = answers === 'end' ? `
+<section class="answer-key">
+<h2>Answer key</h2>
+<ol>
+${groups.flatMap((group) => group.questions).map((q) => `  <li><strong>${escapeHtml(answerText(q))}</strong>${q.explanation ? `<br>${paragraphs(q.explanation)}` : ''}</li>`).join('\n')}
+</ol>
+</section>` : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Georgia, serif; max-width: 50em; margin: 2em auto; line-height: 1.4; }
+  .question { margin-bottom: 1.5em; break-inside: avoid; }
+  .answer, .explanation { margin-left: 2em; }
+  .answer-key { break-before: page; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${questions.length} questions, exported ${new Date().toISOString().slice(0, 10)}</p>
+${body}${answerKey}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render question rows in an export format
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {object[]} rows - Question table rows
+ * @param {{code: string, display_name?: string}} cert
+ * @param {{answers?: 'end'|'inline'|'none'}} [options] - Answer placement for markdown and html
+ * @returns {string|Buffer}
+ */
+function exportQuestions(format, rows, cert, options = {}) {
+  const questions = rows.map(toExportQuestion);
+
+  switch (format) {
+  case 'csv':
+    return toCsv(questions);
+  case 'json':
+    return toJson(questions, cert);
+  case 'anki':
+    return toAnki(questions, cert);
+  case 'qti':
+    return toQti(questions, cert);
+  case 'markdown':
+    return toMarkdown(questions, cert, options);
+  case 'html':
+    return toHtml(questions, cert, options);
+  default:
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  ANSWER_PLACEMENTS,
+  exportQuestions
+};
@@ -0,0 +1,120 @@
+const { withTransaction } = require('../documentdb/client');
+const { normalizeDomain } = require('./examBlueprint');
+const { mapQuestionToRecord, insertQuestionRecord } = require('./questionMapper');
+const { validateDraftQuestion } = require('./questionDrafts');
+const { recordRevision } = require('./questionRevisions');
+
+// Upper bound on questions per import request
+const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS, 10) || 1000;
+
+function isMultipleFlag(value) {
+  return value === '1' || value === 1 || value === true;
+}
+
+function isSingleFlag(value) {
+  return value === '0' || value === 0 || value === false;
+}
+
+/**
+ * Check one parsed item against the certification and map it to a question record
+ * @param {object|null} question - Generated-question shape
+ * @param {Object<string, number>} weights - {domain: weight} for the target certification
+ * @param {string} certificationType
+ * @returns {{errors: string[], record: object|null}}
+ */
+function validateImportQuestion(question, weights, certificationType) {
+  if (!question) {
+    return { errors: [], record: null };
+  }
+
+  const errors = validateDraftQuestion(question);
+  const options = Array.isArray(question.options) ? question.options : [];
+
+  if (options.some((option) => !option || typeof option !== 'object' || typeof option.isCorrect !== 'boolean' || !String(option.text || '').trim())) {
+    errors.push('Every option needs text and a boolean isCorrect');
+  }
+
+  const texts = options.map((option) => String(option?.text || '').trim().toLowerCase());
+  if (new Set(texts).size !== texts.length) {
+    errors.push('Option texts must be unique');
+  }
+
+  const marked = options.filter((option) => option?.isCorrect === true).map((option) => option.text);
+  if (isSingleFlag(question.multiple_answers) && marked.length > 1) {
+    errors.push('multiple_answers is off but more than one option is marked correct');
+  }
+  if (isMultipleFlag(question.multiple_answers) && marked.length < 2) {
+    errors.push('multiple_answers is on but fewer than two options are marked correct');
+  }
+  if (question.correct_answer && !marked.includes(question.correct_answer)) {
+    errors.push('correct_answer does not match an option marked isCorrect');
+  }
+  if (Array.isArray(question.correct_answers) && question.correct_answers.length > 0) {
+    const listed = question.correct_answers.map((answer) => (typeof answer === 'number' ? options[answer]?.text : answer));
+    if (listed.length !== marked.length || listed.some((answer) => !marked.includes(answer))) {
+      errors.push('correct_answers does not match the options marked isCorrect');
+    }
+  }
+
+  // Store the domain with the certification's own spelling
+  const domain = Object.keys(weights).find((name) => normalizeDomain(name) === normalizeDomain(question.domain));
+  if (question.domain && !domain) {
+    errors.push(`Unknown domain "${question.domain}" for ${certificationType}`);
+  }
+
+  if (errors.length > 0) {
+    return { errors, record: null };
+  }
+
+  return {
+    errors,
+    record: mapQuestionToRecord({ ...question, domain }, { certification_type: certificationType }),
+  };
+}
+
+/**
+ * Validate parsed import items
+ * @param {object[]} items - Output of parseImport
+ * @returns {{row: number, errors: string[], record: object|null}[]}
+ */
+function validateImportItems(items, weights, certificationType) {
+  return items.map((item) => {
+    const result = validateImportQuestion(item.question, weights, certificationType);
+    const errors = [...item.errors, ...result.errors];
+    return { row: item.row, errors, record: errors.length > 0 ? null : result.record };
+  });
+}
+
+/**
+ * Insert validated records in a single transaction, recording a create revision for each
+ * @param {{code: string, question_table: string}} cert
+ * @param {{row: number, record: object}[]} rows
+ * @param {object} user - req.user
+ * @param {string} format - Import format, kept in the revision note
+ * @returns {Promise<{row: number, question: object}[]>}
+ */
+async function insertImportedQuestions(cert, rows, user, format) {
+  return withTransaction(async (client) => {
+    const inserted = [];
+    for (const { row, record } of rows) {
+      const question = await insertQuestionRecord(client, cert.question_table, record);
+      await recordRevision(client, {
+        certificationType: cert.code,
+        questionId: question.id,
+        action: 'create',
+        after: question,
+        userId: user.id,
+        source: 'import',
+        note: `Imported from ${format} row ${row}`,
+      });
+      inserted.push({ row, question });
+    }
+    return inserted;
+  });
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  validateImportItems,
+  insertImportedQuestions
+};
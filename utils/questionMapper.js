@@ -0,0 +1,194 @@
+const { DOMAIN_WEIGHTS } = require('./constants');
+const { getCertification } = require('./certifications');
+
+/**
+ * Columns written for every question insert, in order
+ */
+const QUESTION_COLUMNS = [
+  'category',
+  'domain',
+  'question_text',
+  'options',
+  'correct_answer',
+  'explanation',
+  'explanation_details',
+  'multiple_answers',
+  'correct_answers',
+  'cognitive_level',
+  'skill_level',
+  'weight',
+  'references',
+];
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Lowercase, hyphenate and de-duplicate tags. Accepts an array or a comma-separated string.
+ * @returns {string[]}
+ */
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  const normalized = list
+    .map((tag) => String(tag ?? '').trim().toLowerCase().replace(/\s+/g, '-').slice(0, MAX_TAG_LENGTH))
+    .filter(Boolean);
+  return [...new Set(normalized)].slice(0, MAX_TAGS);
+}
+
+/**
+ * Map a generated question (the JSON shape returned by Claude) onto the question table columns.
+ * This is the single source of truth for the field mapping used by the SQL export and by direct inserts.
+ * @param {object} question - Generated question
+ * @param {object} [defaults] - Fallbacks for domain / cognitive_level / skill_level (e.g. batch metadata),
+ *   plus certification_type to look up the domain weight in the certification registry
+ * @returns {object} Record keyed by QUESTION_COLUMNS, plus tags when the question has any
+ */
+function mapQuestionToRecord(question, defaults = {}) {
+  const questionText = question.question_text || question.question || '';
+  const options = question.options || [];
+  const explanation = question.explanation || '';
+  const domain = question.domain || defaults.domain_name || '';
+  const subdomain = question.subdomain || '';
+  const cognitiveLevel = question.cognitive_level || defaults.cognitive_level || '';
+  const skillLevel = question.skill_level || defaults.skill_level || '';
+  const cert = getCertification(defaults.certification_type);
+  const domainWeights = cert ? cert.domains : DOMAIN_WEIGHTS;
+
+  // Extract correct_answers - can be array of indices or derive from isCorrect fields
+  let correctAnswerIndices = [];
+  if (Array.isArray(question.correct_answers)) {
+    // Check if it's an array of indices (numbers) or strings
+    if (question.correct_answers.length > 0 && typeof question.correct_answers[0] === 'number') {
+      correctAnswerIndices = question.correct_answers;
+    } else {
+      // If it's strings, find the indices
+      correctAnswerIndices = question.correct_answers
+        .map(answerText => {
+          const idx = options.findIndex(opt => {
+            const optText = typeof opt === 'string' ? opt : opt.text || '';
+            return optText === answerText;
+          });
+          return idx >= 0 ? idx : null;
+        })
+        .filter(idx => idx !== null);
+    }
+  }
+
+  // If no correct_answers provided, derive from isCorrect fields in options
+  if (correctAnswerIndices.length === 0) {
+    options.forEach((option, idx) => {
+      if (typeof option === 'object' && option.isCorrect === true) {
+        correctAnswerIndices.push(idx);
+      }
+    });
+  }
+
+  // Format options - preserve isCorrect if present, otherwise create simple strings
+  const formattedOptions = options.map((option) => {
+    if (typeof option === 'string') {
+      return option;
+    } else if (typeof option === 'object' && option.text) {
+      if ('isCorrect' in option) {
+        return { text: option.text, isCorrect: option.isCorrect === true };
+      }
+      return option.text;
+    }
+    return String(option);
+  });
+
+  // Determine correct answer text(s) from indices
+  const correctAnswerTexts = correctAnswerIndices.map(idx => {
+    if (idx >= 0 && idx < options.length) {
+      const option = options[idx];
+      return typeof option === 'string' ? option : option.text || option;
+    }
+    return '';
+  }).filter(text => text.length > 0);
+
+  // Explicit '1' means multiple, '0' means single, otherwise count the correct options
+  const isMultipleAnswers = question.multiple_answers === '1' ||
+    (question.multiple_answers !== '0' && correctAnswerIndices.length > 1);
+
+  // Primary correct answer (first one, or use correct_answer field if provided)
+  const correctAnswer = question.correct_answer || (correctAnswerTexts.length > 0 ? correctAnswerTexts[0] : '');
+
+  // Use the structured explanation_details from Claude when complete, otherwise build a minimal one
+  let explanationDetails;
+  if (question.explanation_details &&
+      question.explanation_details.summary &&
+      question.explanation_details.breakdown &&
+      question.explanation_details.otherOptions) {
+    explanationDetails = {
+      summary: question.explanation_details.summary,
+      breakdown: question.explanation_details.breakdown,
+      otherOptions: question.explanation_details.otherOptions
+    };
+  } else {
+    explanationDetails = {
+      summary: explanation ? explanation.split('.')[0] + '.' : 'No summary provided',
+      breakdown: [],
+      otherOptions: ''
+    };
+  }
+
+  const references = Array.isArray(question.references) && question.references.length > 0
+    ? question.references
+    : null;
+
+  return {
+    category: subdomain || domain || 'General',
+    domain,
+    question_text: questionText,
+    options: formattedOptions,
+    correct_answer: isMultipleAnswers ? null : correctAnswer,
+    explanation,
+    explanation_details: explanationDetails,
+    multiple_answers: isMultipleAnswers ? '1' : '0',
+    correct_answers: isMultipleAnswers && correctAnswerTexts.length > 0 ? correctAnswerTexts : null,
+    cognitive_level: cognitiveLevel,
+    skill_level: skillLevel,
+    weight: question.weight || domainWeights[domain] || 19,
+    references,
+    ...(question.tags ? { tags: normalizeTags(question.tags) } : {}),
+  };
+}
+
+/**
+ * Insert a mapped record into a question table using the shared id sequences
+ * @param {import('pg').Client} client
+ * @param {string} tableName - Fully qualified table name
+ * @param {object} record - Output of mapQuestionToRecord
+ * @returns {Promise<object>} The inserted row
+ */
+async function insertQuestionRecord(client, tableName, record) {
+  // tags has a column default, so it is only written when the record carries some
+  const columns = record.tags && record.tags.length > 0 ? [...QUESTION_COLUMNS, 'tags'] : QUESTION_COLUMNS;
+  const columnList = columns.map((column) => (column === 'references' ? '"references"' : column)).join(', ');
+  const placeholders = columns.map((column, index) => {
+    const param = `$${index + 1}`;
+    return column === 'options' || column === 'explanation_details' ? `${param}::jsonb` : param;
+  }).join(', ');
+
+  const values = columns.map((column) => {
+    if (column === 'options' || column === 'explanation_details') {
+      return JSON.stringify(record[column]);
+    }
+    return record[column];
+  });
+
+  const result = await client.query(
+    `INSERT INTO ${tableName} (id, question_id, question_number, ${columnList})
+     VALUES (nextval('prepper.id_seq'), nextval('prepper.question_id_seq'), nextval('prepper.question_number_seq'), ${placeholders})
+     RETURNING *`,
+    values
+  );
+
+  return result.rows[0];
+}
+
+module.exports = {
+  QUESTION_COLUMNS,
+  normalizeTags,
+  mapQuestionToRecord,
+  insertQuestionRecord
+};
@@ -0,0 +1,120 @@
+const config = require('../config');
+const logger = require('../logs/prepperLog');
+const { sendEmailWithAttachment } = require('../email/SendEmail');
+const { enqueueJob } = require('../jobs/queue');
+
+const _logger = logger();
+
+const REPORT_REASONS = {
+  wrong_answer: 'The marked answer is wrong',
+  ambiguous: 'More than one answer could be correct, or the question is unclear',
+  outdated: 'The question refers to an outdated service or feature',
+  typo: 'Spelling, grammar or formatting problem',
+  other: 'Something else',
+};
+
+const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * Close open reports as resolved or dismissed
+ * @param {import('pg').Client} client
+ * @param {number[]} reportIds
+ * @param {{status: 'resolved'|'dismissed', note?: string, adminId: number}} resolution
+ * @returns {Promise<object[]>} Reports that were still open and are now closed
+ */
+async function closeReports(client, reportIds, { status, note, adminId }) {
+  const result = await client.query(
+    `UPDATE prepper.question_reports
+     SET status = $2, resolution_note = $3, resolved_by = $4, resolved_at = NOW(), updated_at = NOW()
+     WHERE id = ANY($1::int[]) AND status = 'open'
+     RETURNING *`,
+    [reportIds, status, note || null, adminId]
+  );
+  return result.rows;
+}
+
+/**
+ * Queue an email to each reporter with the outcome of their report (sent by the report.notify job)
+ * @param {import('pg').Client} client
+ * @param {object[]} reports - Closed question_reports rows
+ * @returns {Promise<number>} Number of emails queued
+ */
+async function notifyReporters(client, reports) {
+  let queued = 0;
+  for (const report of reports) {
+    if (!report.user_id) {
+      continue;
+    }
+    const job = await enqueueJob(client, 'report.notify', { report_id: report.id }, {
+      uniqueKey: `report.notify:${report.id}`,
+    });
+    if (job) {
+      queued++;
+    }
+  }
+  return queued;
+}
+
+/**
+ * Email the reporter the outcome of a closed report and record when. Reports already notified, or whose reporter
+ * has no email address, are skipped; a send failure is thrown so the job is retried.
+ * @param {import('pg').Client} client
+ * @param {number} reportId
+ * @returns {Promise<{sent: boolean, reason?: string}>}
+ */
+async function sendReportOutcome(client, reportId) {
+  const result = await client.query(
+    `SELECT r.*, u.username, u.email
+     FROM prepper.question_reports r
+     LEFT JOIN prepper.users u ON u.id = r.user_id
+     WHERE r.id = $1`,
+    [reportId]
+  );
+  const report = result.rows[0];
+  if (!report || !['resolved', 'dismissed'].includes(report.status)) {
+    return { sent: false, reason: 'Report is not closed' };
+  }
+  if (report.reporter_notified_at) {
+    return { sent: false, reason: 'Reporter already notified' };
+  }
+  if (!report.email) {
+    return { sent: false, reason: 'Reporter has no email address' };
+  }
+
+  const from = config.get('REPORTS_EMAIL_FROM', 'Prepper');
+  const outcome = report.status === 'resolved'
+    ? 'has been fixed. Thanks for helping improve the question bank!'
+    : 'was reviewed and no change was needed.';
+  const message = [
+    `Hi ${report.username},`,
+    `Your report on ${report.certification_type} question #${report.question_id} (${report.reason.replace('_', ' ')}) ${outcome}`,
+    report.resolution_note ? `Note from the reviewer: ${report.resolution_note}` : null,
+  ].filter(Boolean).join('\n\n');
+
+  try {
+    await sendEmailWithAttachment(from, report.email, `Your question report was ${report.status}`, message);
+  } catch (error) {
+    _logger.warn('Failed to notify reporter', {
+      report_id: report.id,
+      user_id: report.user_id,
+      error: error.message,
+    });
+    throw error;
+  }
+
+  await client.query(
+    'UPDATE prepper.question_reports SET reporter_notified_at = NOW() WHERE id = $1',
+    [report.id]
+  );
+  return { sent: true };
+}
+
+module.exports = {
+  REPORT_REASONS,
+  REPORT_STATUSES,
+  MAX_COMMENT_LENGTH,
+  closeReports,
+  notifyReporters,
+  sendReportOutcome
+};
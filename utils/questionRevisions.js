@@ -0,0 +1,147 @@
+const { withTransaction } = require('../documentdb/client');
+
+// Bookkeeping columns that are not part of a question's content
+const IGNORED_FIELDS = ['id', 'created_at', 'updated_at'];
+
+// Actions after which the row no longer holds the content; their snapshot is the row before the change
+const REMOVAL_ACTIONS = ['delete', 'purge'];
+
+const COLUMN_NAME = /^[a-z_][a-z0-9_]*$/;
+
+/**
+ * JSON round-trip so dates, jsonb and arrays compare and store the same way they read back from question_revisions
+ */
+function toSnapshot(row) {
+  return row ? JSON.parse(JSON.stringify(row)) : null;
+}
+
+/**
+ * Field-level diff between two question rows
+ * @returns {Object<string, {from: any, to: any}>}
+ */
+function diffQuestion(before, after) {
+  const previous = toSnapshot(before) || {};
+  const next = toSnapshot(after) || {};
+  const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+  const changes = {};
+
+  fields.forEach((field) => {
+    if (IGNORED_FIELDS.includes(field)) {
+      return;
+    }
+    const from = previous[field] ?? null;
+    const to = next[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Record a revision for a question row. Call inside the same transaction as the write it describes.
+ * When the question has no history yet and `before` is given, a baseline revision holding `before` is written first.
+ * @param {import('pg').Client} client
+ * @param {{certificationType: string, questionId: number, action: string, before?: object, after?: object, userId?: number, source?: string, note?: string}} change
+ * @returns {Promise<object>} The question_revisions row
+ */
+async function recordRevision(client, { certificationType, questionId, action, before = null, after = null, userId = null, source = null, note = null }) {
+  const latest = await client.query(
+    `SELECT COALESCE(MAX(revision), 0) AS revision FROM prepper.question_revisions
+     WHERE certification_type = $1 AND question_id = $2`,
+    [certificationType, questionId]
+  );
+  let revision = parseInt(latest.rows[0].revision, 10);
+
+  const insert = (values) => client.query(
+    `INSERT INTO prepper.question_revisions
+      (certification_type, question_id, revision, action, snapshot, changes, changed_by, source, note)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [certificationType, questionId, ...values]
+  );
+
+  if (revision === 0 && before && action !== 'create') {
+    revision++;
+    await insert([revision, 'baseline', JSON.stringify(toSnapshot(before)), '{}', null, null, 'Content before history was recorded']);
+  }
+
+  const removal = REMOVAL_ACTIONS.includes(action);
+  const snapshot = removal ? before : after;
+  const changes = removal ? {} : diffQuestion(before, after);
+  revision++;
+  const result = await insert([revision, action, JSON.stringify(toSnapshot(snapshot)), JSON.stringify(changes), userId, source, note]);
+  return result.rows[0];
+}
+
+/**
+ * Every revision of a question, newest first
+ */
+async function listRevisions(client, certificationType, questionId) {
+  const result = await client.query(
+    `SELECT r.*, u.username AS changed_by_username
+     FROM prepper.question_revisions r
+     LEFT JOIN prepper.users u ON u.id = r.changed_by
+     WHERE r.certification_type = $1 AND r.question_id = $2
+     ORDER BY r.revision DESC`,
+    [certificationType, questionId]
+  );
+  return result.rows;
+}
+
+/**
+ * Restore a question to its content as of a revision. Recreates the row (with its original id) if it was deleted.
+ * @param {{code: string, question_table: string}} cert
+ * @param {number} questionId
+ * @param {object} target - question_revisions row to restore
+ * @param {object} user - req.user
+ * @returns {Promise<{question: object, revision: object}>}
+ */
+async function revertQuestion(cert, questionId, target, user) {
+  const snapshot = target.snapshot;
+  const columns = Object.keys(snapshot).filter((column) => column !== 'id' && COLUMN_NAME.test(column));
+  const columnList = columns.map((column) => `"${column}"`).join(', ');
+
+  return withTransaction(async (client) => {
+    const current = await client.query(`SELECT * FROM ${cert.question_table} WHERE id = $1 FOR UPDATE`, [questionId]);
+    const before = current.rows[0] || null;
+
+    // jsonb_populate_record converts the stored JSON back into each column's type (jsonb, text[], bit, ...)
+    const result = before
+      ? await client.query(
+        `UPDATE ${cert.question_table}
+         SET (${columnList}) = (SELECT ${columnList} FROM jsonb_populate_record(NULL::${cert.question_table}, $1::jsonb))
+         WHERE id = $2
+         RETURNING *`,
+        [JSON.stringify(snapshot), questionId]
+      )
+      : await client.query(
+        `INSERT INTO ${cert.question_table} (id, ${columnList})
+         SELECT $2, ${columnList} FROM jsonb_populate_record(NULL::${cert.question_table}, $1::jsonb)
+         RETURNING *`,
+        [JSON.stringify(snapshot), questionId]
+      );
+
+    const revision = await recordRevision(client, {
+      certificationType: cert.code,
+      questionId,
+      action: 'revert',
+      before,
+      after: result.rows[0],
+      userId: user.id,
+      source: 'revert',
+      note: `Reverted to revision ${target.revision}`,
+    });
+
+    return { question: result.rows[0], revision };
+  });
+}
+
+module.exports = {
+  REMOVAL_ACTIONS,
+  diffQuestion,
+  recordRevision,
+  listRevisions,
+  revertQuestion
+};
@@ -0,0 +1,530 @@
+const { getCertification } = require('./certifications');
+const { normalizeDomain } = require('./examBlueprint');
+const { COGNITIVE_LEVELS, SKILL_LEVELS } = require('./constants');
+
+/**
+ * JSON Schema (draft-07 subset) of one generated question, matching the structure buildGenerationPrompt asks for.
+ * Checked with validateSchema below: type, required, properties, items, enum, minLength, minItems, maxItems.
+ */
+const GENERATED_QUESTION_SCHEMA = {
+  type: 'object',
+  required: ['question_text', 'options', 'explanation', 'explanation_details', 'domain', 'references'],
+  properties: {
+    question_text: { type: 'string', minLength: 1 },
+    options: {
+      type: 'array',
+      minItems: 2,
+      maxItems: 8,
+      items: {
+        type: 'object',
+        required: ['text', 'isCorrect'],
+        properties: {
+          text: { type: 'string', minLength: 1 },
+          isCorrect: { type: 'boolean' },
+        },
+      },
+    },
+    correct_answer: { type: ['string', 'null'] },
+    correct_answers: { type: ['array', 'null'], items: { type: 'string', minLength: 1 } },
+    multiple_answers: { type: ['string', 'null'], enum: ['1', null] },
+    explanation: { type: 'string', minLength: 1 },
+    explanation_details: {
+      type: 'object',
+      required: ['summary', 'breakdown', 'otherOptions'],
+      properties: {
+        summary: { type: 'string', minLength: 1 },
+        breakdown: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+        otherOptions: { type: 'string' },
+      },
+    },
+    domain: { type: 'string', minLength: 1 },
+    subdomain: { type: ['string', 'null'] },
+    cognitive_level: { type: ['string', 'null'], enum: [...COGNITIVE_LEVELS, null] },
+    skill_level: { type: ['string', 'null'], enum: [...SKILL_LEVELS, null] },
+    weight: { type: ['number', 'null'] },
+    tags: { type: 'array', items: { type: 'string' } },
+    references: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+  },
+};
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema in the subset used by GENERATED_QUESTION_SCHEMA
+ * @returns {string[]} Errors as "path: message"
+ */
+function validateSchema(value, schema, path = '') {
+  const errors = [];
+  const at = path || '(root)';
+  const actual = typeOf(value);
+
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!allowed.includes(actual)) {
+      const shown = ['string', 'number'].includes(actual) ? ` ${JSON.stringify(value).substring(0, 40)}` : '';
+      errors.push(`${at}: expected ${allowed.join(' or ')}, got ${actual}${shown}`);
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.map((item) => JSON.stringify(item)).join(', ')}`);
+  }
+  if (actual === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push(`${at}: must not be empty`);
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${at}: needs at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems && value.length > schema.maxItems) {
+      errors.push(`${at}: allows at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (actual === 'object') {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        errors.push(`${path ? `${path}.` : ''}${key}: is required`);
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, path ? `${path}.${key}` : key));
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Escape raw newlines and tabs inside JSON string literals
+ */
+function escapeControlCharacters(jsonText) {
+  let inString = false;
+  let escaped = false;
+  let output = '';
+  for (const char of jsonText) {
+    if (inString && !escaped && /[\n\r\t]/.test(char)) {
+      output += char === '\n' ? '\\n' : (char === '\r' ? '\\r' : '\\t');
+      continue;
+    }
+    if (char === '"' && !escaped) {
+      inString = !inString;
+    }
+    escaped = inString && char === '\\' && !escaped;
+    output += char;
+  }
+  return output;
+}
+
+/**
+ * Pull the JSON out of a model response: strips code fences and surrounding prose, drops trailing commas
+ * and escapes line breaks inside strings
+ * @param {string} text
+ * @returns {{value: *, repairs: string[], error: string|null}}
+ */
+function extractJson(text) {
+  const repairs = [];
+  let jsonText = String(text ?? '').replace(/^\uFEFF/, '').trim();
+
+  const fence = jsonText.match(/```[a-zA-Z]*\s*\n([\s\S]*?)\n?\s*```/);
+  if (fence) {
+    jsonText = fence[1].trim();
+  }
+
+  try {
+    return { value: JSON.parse(jsonText), repairs, error: null };
+  } catch (firstError) {
+    const start = jsonText.search(/[[{]/);
+    const end = Math.max(jsonText.lastIndexOf(']'), jsonText.lastIndexOf('}'));
+    if (start === -1 || end <= start) {
+      return { value: null, repairs, error: firstError.message };
+    }
+
+    let candidate = jsonText.slice(start, end + 1);
+    if (start > 0 || end < jsonText.length - 1) {
+      repairs.push('Removed text around the JSON');
+    }
+    const withoutTrailingCommas = candidate.replace(/,(\s*[}\]])/g, '$1');
+    if (withoutTrailingCommas !== candidate) {
+      repairs.push('Removed trailing commas');
+      candidate = withoutTrailingCommas;
+    }
+    const escapedText = escapeControlCharacters(candidate);
+    if (escapedText !== candidate) {
+      repairs.push('Escaped line breaks inside strings');
+      candidate = escapedText;
+    }
+
+    try {
+      return { value: JSON.parse(candidate), repairs, error: null };
+    } catch (secondError) {
+      return { value: null, repairs, error: secondError.message };
+    }
+  }
+}
+
+// "A", "b.", "(C)", "D) option text"
+const LETTER_LABEL = /^\(?([A-Ha-h])[.):]?(?:\s+|$)/;
+
+function stripLetterLabels(texts) {
+  const labelled = texts.every((text, index) => {
+    const match = typeof text === 'string' && text.match(/^\(?([A-Ha-h])[.):]\s+\S/);
+    return match && match[1].toUpperCase() === String.fromCharCode(65 + index);
+  });
+  return labelled ? texts.map((text) => text.replace(/^\(?[A-Ha-h][.):]\s+/, '')) : texts;
+}
+
+const TRUE_FLAGS = ['true', 'yes', 'y', '1', 'correct'];
+const FALSE_FLAGS = ['false', 'no', 'n', '0', 'incorrect', ''];
+
+/**
+ * Read an isCorrect flag written as a boolean, 1/0 or a string such as "yes" or "false"
+ * @returns {boolean|undefined} undefined when the value is not a recognizable flag
+ */
+function toBoolean(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  if (value === 1 || value === 0) {
+    return value === 1;
+  }
+  if (typeof value === 'string') {
+    const flag = value.trim().toLowerCase();
+    if (TRUE_FLAGS.includes(flag)) {
+      return true;
+    }
+    if (FALSE_FLAGS.includes(flag)) {
+      return false;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Find the option an answer refers to: its text (case-insensitive), a letter label or a 1-based number
+ * @returns {number} Option index, or -1
+ */
+function resolveAnswer(answer, options) {
+  if (typeof answer === 'number') {
+    return Number.isInteger(answer) && answer >= 1 && answer <= options.length ? answer - 1 : -1;
+  }
+  const text = String(answer ?? '').trim();
+  if (!text) {
+    return -1;
+  }
+
+  const byText = options.findIndex((option) => String(option.text ?? '').trim().toLowerCase() === text.toLowerCase());
+  if (byText !== -1) {
+    return byText;
+  }
+
+  const letter = text.match(LETTER_LABEL);
+  if (letter) {
+    const index = letter[1].toUpperCase().charCodeAt(0) - 65;
+    const rest = text.slice(letter[0].length).trim().toLowerCase();
+    if (index < options.length && (!rest || String(options[index].text ?? '').trim().toLowerCase() === rest)) {
+      return index;
+    }
+  }
+
+  if (/^\d+$/.test(text)) {
+    const index = parseInt(text, 10) - 1;
+    return index >= 0 && index < options.length ? index : -1;
+  }
+  return -1;
+}
+
+function toStringList(value, separator) {
+  if (Array.isArray(value)) {
+    return value.map((item) => String(item ?? '').trim()).filter(Boolean);
+  }
+  if (typeof value === 'string') {
+    return value.split(separator).map((item) => item.trim()).filter(Boolean);
+  }
+  return value;
+}
+
+/**
+ * Apply deterministic fixes for common deviations from GENERATED_QUESTION_SCHEMA. Never invents content:
+ * answers are only re-derived from information already in the question.
+ * @param {object} question - Parsed model output
+ * @param {{certificationType?: string, domain?: string}} [context] - domain is the one the request asked for
+ * @returns {{question: object, repairs: string[]}}
+ */
+function repairGeneratedQuestion(question, { certificationType, domain } = {}) {
+  if (!question || typeof question !== 'object' || Array.isArray(question)) {
+    return { question, repairs: [] };
+  }
+
+  const repairs = [];
+  const repaired = { ...question };
+
+  if (repaired.question_text === undefined && typeof repaired.question === 'string') {
+    repaired.question_text = repaired.question;
+    delete repaired.question;
+    repairs.push('Renamed question to question_text');
+  }
+  if (typeof repaired.question_text === 'string' && repaired.question_text !== repaired.question_text.trim()) {
+    repaired.question_text = repaired.question_text.trim();
+  }
+
+  // Options: {A: "..."} maps, plain strings, string booleans and is_correct / correct spellings
+  let options = repaired.options;
+  if (options && typeof options === 'object' && !Array.isArray(options)) {
+    options = Object.values(options);
+    repairs.push('Converted options object to an array');
+  }
+  if (Array.isArray(options)) {
+    if (options.some((option) => !option || typeof option !== 'object')) {
+      repairs.push('Converted plain options to {text, isCorrect} objects');
+    }
+    const texts = stripLetterLabels(options.map((option) => (
+      option && typeof option === 'object' ? (option.text ?? option.option ?? option.value) : option
+    )));
+    if (texts.some((text, index) => {
+      const option = options[index];
+      return typeof text === 'string' && text !== (option && typeof option === 'object' ? option.text : option);
+    })) {
+      repairs.push('Normalized option text');
+    }
+
+    let convertedFlags = false;
+    options = options.map((option, index) => {
+      const source = option && typeof option === 'object' ? option : {};
+      const flag = source.isCorrect ?? source.is_correct ?? source.correct;
+      // An unrecognizable flag is kept as it is so validation reports it instead of it reading as false
+      const isCorrect = flag === undefined || flag === null ? undefined : (toBoolean(flag) ?? flag);
+      if (flag !== undefined && flag !== null && isCorrect !== flag) {
+        convertedFlags = true;
+      }
+      const { is_correct: ignoredIsCorrect, correct: ignoredCorrect, option: ignoredOption, value: ignoredValue, ...rest } = source;
+      return { ...rest, text: typeof texts[index] === 'string' ? texts[index].trim() : texts[index], isCorrect };
+    });
+    if (convertedFlags) {
+      repairs.push('Converted isCorrect flags to booleans');
+    }
+
+    // No option marked: derive the marks from correct_answer / correct_answers (text, letter or number)
+    if (!options.some((option) => option.isCorrect === true)) {
+      const answers = Array.isArray(repaired.correct_answers) && repaired.correct_answers.length > 0
+        ? repaired.correct_answers
+        : (repaired.correct_answer !== undefined && repaired.correct_answer !== null ? [repaired.correct_answer] : []);
+      const indexes = answers.map((answer) => resolveAnswer(answer, options));
+      if (indexes.length > 0 && indexes.every((index) => index !== -1)) {
+        options = options.map((option, index) => ({ ...option, isCorrect: indexes.includes(index) }));
+        repairs.push('Marked isCorrect from the listed answers');
+      }
+    } else if (options.some((option) => option.isCorrect === undefined)) {
+      options = options.map((option) => ({ ...option, isCorrect: option.isCorrect === true }));
+      repairs.push('Marked unflagged options as incorrect');
+    }
+
+    repaired.options = options;
+
+    // The isCorrect marks are the source of truth for the answer fields
+    const marked = options.filter((option) => option.isCorrect === true && typeof option.text === 'string').map((option) => option.text);
+    if (marked.length > 0) {
+      const multiple = marked.length > 1;
+      const before = JSON.stringify([repaired.correct_answer ?? null, repaired.correct_answers ?? null, repaired.multiple_answers ?? null]);
+      repaired.correct_answer = multiple ? null : marked[0];
+      repaired.correct_answers = multiple ? marked : null;
+      repaired.multiple_answers = multiple ? '1' : null;
+      if (JSON.stringify([repaired.correct_answer, repaired.correct_answers, repaired.multiple_answers]) !== before) {
+        repairs.push('Recomputed correct_answer / correct_answers / multiple_answers from isCorrect');
+      }
+    }
+  }
+
+  // explanation_details: breakdown as a list, otherOptions as newline-separated text, summary from the explanation
+  if (typeof repaired.explanation_details === 'string') {
+    repaired.explanation_details = { summary: repaired.explanation_details };
+    repairs.push('Wrapped explanation_details text as its summary');
+  }
+  if (repaired.explanation_details && typeof repaired.explanation_details === 'object' && !Array.isArray(repaired.explanation_details)) {
+    const details = { ...repaired.explanation_details };
+    if (typeof details.breakdown === 'string') {
+      details.breakdown = toStringList(details.breakdown, /\r?\n/);
+      repairs.push('Split explanation_details.breakdown into a list');
+    }
+    if (Array.isArray(details.otherOptions)) {
+      details.otherOptions = toStringList(details.otherOptions).join('\n');
+      repairs.push('Joined explanation_details.otherOptions into text');
+    }
+    if (details.otherOptions === undefined && Array.isArray(details.breakdown)) {
+      details.otherOptions = '';
+    }
+    if (!details.summary && typeof repaired.explanation === 'string' && repaired.explanation.trim()) {
+      details.summary = repaired.explanation.trim().split(/(?<=[.!?])\s/)[0];
+      repairs.push('Took explanation_details.summary from the explanation');
+    }
+    repaired.explanation_details = details;
+  }
+  if ((typeof repaired.explanation !== 'string' || !repaired.explanation.trim()) && typeof repaired.explanation_details?.summary === 'string') {
+    repaired.explanation = [repaired.explanation_details.summary, ...(repaired.explanation_details.breakdown || [])].join(' ').trim();
+    repairs.push('Built explanation from explanation_details');
+  }
+
+  if (typeof repaired.references === 'string') {
+    repaired.references = toStringList(repaired.references, /\r?\n|;/);
+    repairs.push('Split references into a list');
+  }
+  if (typeof repaired.tags === 'string') {
+    repaired.tags = toStringList(repaired.tags, ',');
+    repairs.push('Split tags into a list');
+  }
+  if (typeof repaired.weight === 'string' && repaired.weight.trim() && !Number.isNaN(Number(repaired.weight))) {
+    repaired.weight = Number(repaired.weight);
+  }
+
+  // Domain: the certification's own spelling, or the requested domain when the model left it out
+  const cert = certificationType ? getCertification(certificationType) : null;
+  if (!repaired.domain && domain) {
+    repaired.domain = domain;
+    repairs.push('Filled domain from the request');
+  }
+  if (cert && typeof repaired.domain === 'string') {
+    const canonical = Object.keys(cert.domains).find((name) => normalizeDomain(name) === normalizeDomain(repaired.domain));
+    if (canonical && canonical !== repaired.domain) {
+      repaired.domain = canonical;
+      repairs.push('Matched domain to the certification spelling');
+    }
+  }
+
+  ['cognitive_level', 'skill_level'].forEach((field) => {
+    const allowed = field === 'cognitive_level' ? COGNITIVE_LEVELS : SKILL_LEVELS;
+    if (typeof repaired[field] === 'string') {
+      const canonical = allowed.find((level) => level.toLowerCase() === repaired[field].trim().toLowerCase());
+      if (canonical && canonical !== repaired[field]) {
+        repaired[field] = canonical;
+        repairs.push(`Matched ${field} spelling`);
+      }
+    }
+  });
+
+  return { question: repaired, repairs };
+}
+
+/**
+ * Schema plus the rules a schema cannot express: at least one correct option, unique options, answer fields that
+ * agree with the isCorrect marks, the requested answer mode and a domain of the certification
+ * @param {object} question
+ * @param {{certificationType?: string, multipleAnswers?: boolean}} [context] - multipleAnswers is what the request asked for
+ * @returns {string[]} Errors (empty when the question is valid)
+ */
+function validateGeneratedQuestion(question, { certificationType, multipleAnswers } = {}) {
+  const errors = validateSchema(question, GENERATED_QUESTION_SCHEMA);
+  if (!question || typeof question !== 'object' || Array.isArray(question)) {
+    return errors;
+  }
+
+  const options = Array.isArray(question.options) ? question.options.filter((option) => option && typeof option === 'object') : [];
+  const marked = options.filter((option) => option.isCorrect === true).map((option) => option.text);
+
+  if (options.length > 0 && marked.length === 0) {
+    errors.push('options: no option is marked isCorrect');
+  }
+  const texts = options.map((option) => String(option.text ?? '').trim().toLowerCase());
+  if (new Set(texts).size !== texts.length) {
+    errors.push('options: option texts must be unique');
+  }
+  if (multipleAnswers === true && marked.length > 0 && marked.length < 2) {
+    errors.push('options: a multiple-answer question needs at least two correct options');
+  }
+  if (multipleAnswers === false && marked.length > 1) {
+    errors.push('options: a single-answer question must have exactly one correct option');
+  }
+  if (marked.length > 0 && marked.length === options.length) {
+    errors.push('options: every option is marked correct');
+  }
+
+  if (marked.length === 1 && question.correct_answer !== marked[0]) {
+    errors.push('correct_answer: does not match the option marked isCorrect');
+  }
+  if (marked.length > 1) {
+    const listed = Array.isArray(question.correct_answers) ? question.correct_answers : [];
+    if (listed.length !== marked.length || listed.some((answer) => !marked.includes(answer))) {
+      errors.push('correct_answers: does not match the options marked isCorrect');
+    }
+    if (question.multiple_answers !== '1') {
+      errors.push('multiple_answers: must be "1" when more than one option is correct');
+    }
+  }
+
+  const cert = certificationType ? getCertification(certificationType) : null;
+  if (cert && typeof question.domain === 'string' && question.domain.trim() && cert.domains[question.domain] === undefined) {
+    errors.push(`domain: "${question.domain}" is not a domain of ${cert.code}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Parse, repair and validate one model response
+ * @param {string} text - Raw response text
+ * @param {{certificationType?: string, domain?: string, multipleAnswers?: boolean}} [context]
+ * @returns {{questions: object[], invalid: {item_index: number|null, errors: string[], question?: object}[], repairs: {item_index: number|null, repairs: string[]}[]}}
+ *   questions are the valid (possibly repaired) items; invalid item_index is null when the response was not JSON
+ */
+function validateGeneratedOutput(text, context = {}) {
+  const parsed = extractJson(text);
+  const result = { questions: [], invalid: [], repairs: [] };
+
+  if (parsed.error) {
+    result.invalid.push({
+      item_index: null,
+      errors: [`Response is not valid JSON: ${parsed.error}`],
+      response_preview: String(text ?? '').substring(0, 500),
+    });
+    return result;
+  }
+  if (parsed.repairs.length > 0) {
+    result.repairs.push({ item_index: null, repairs: parsed.repairs });
+  }
+
+  let items = parsed.value;
+  if (items && !Array.isArray(items) && Array.isArray(items.questions)) {
+    items = items.questions;
+    result.repairs.push({ item_index: null, repairs: ['Unwrapped the questions array'] });
+  }
+  if (!Array.isArray(items)) {
+    items = [items];
+  }
+
+  items.forEach((item, index) => {
+    const { question, repairs } = repairGeneratedQuestion(item, context);
+    if (repairs.length > 0) {
+      result.repairs.push({ item_index: index, repairs });
+    }
+    const errors = validateGeneratedQuestion(question, context);
+    if (errors.length > 0) {
+      result.invalid.push({ item_index: index, errors, question });
+    } else {
+      result.questions.push(question);
+    }
+  });
+
+  return result;
+}
+
+module.exports = {
+  GENERATED_QUESTION_SCHEMA,
+  validateSchema,
+  extractJson,
+  repairGeneratedQuestion,
+  validateGeneratedQuestion,
+  validateGeneratedOutput
+};
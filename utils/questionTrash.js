@@ -0,0 +1,121 @@
+const { withTransaction } = require('../documentdb/client');
+const { recordRevision } = require('./questionRevisions');
+
+// Trashed questions can be restored for this many days; after that POST /question-trash/purge removes them for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.QUESTION_TRASH_RETENTION_DAYS, 10) || 30;
+
+/**
+ * Move a question to the trash
+ * @param {{code: string, question_table: string}} cert
+ * @param {number} questionId
+ * @param {object} user - req.user
+ * @param {string} [reason]
+ * @returns {Promise<object|null>} The trashed row, or null when there is no live question with this id
+ */
+async function softDeleteQuestion(cert, questionId, user, reason) {
+  return withTransaction(async (client) => {
+    const current = await client.query(
+      `SELECT * FROM ${cert.question_table} WHERE id = $1 AND deleted_at IS NULL FOR UPDATE`,
+      [questionId]
+    );
+    if (current.rows.length === 0) {
+      return null;
+    }
+
+    const result = await client.query(
+      `UPDATE ${cert.question_table}
+       SET deleted_at = NOW(), deleted_by = $2, deleted_reason = $3
+       WHERE id = $1
+       RETURNING *`,
+      [questionId, user.id, reason || null]
+    );
+
+    await recordRevision(client, {
+      certificationType: cert.code,
+      questionId,
+      action: 'delete',
+      before: current.rows[0],
+      userId: user.id,
+      source: 'deleteQuestion',
+      note: reason || null,
+    });
+
+    return result.rows[0];
+  });
+}
+
+/**
+ * Take a question out of the trash
+ * @returns {Promise<object|null>} The restored row, or null when the question is not in the trash
+ */
+async function restoreQuestion(cert, questionId, user) {
+  return withTransaction(async (client) => {
+    const current = await client.query(
+      `SELECT * FROM ${cert.question_table} WHERE id = $1 AND deleted_at IS NOT NULL FOR UPDATE`,
+      [questionId]
+    );
+    if (current.rows.length === 0) {
+      return null;
+    }
+
+    const result = await client.query(
+      `UPDATE ${cert.question_table}
+       SET deleted_at = NULL, deleted_by = NULL, deleted_reason = NULL
+       WHERE id = $1
+       RETURNING *`,
+      [questionId]
+    );
+
+    await recordRevision(client, {
+      certificationType: cert.code,
+      questionId,
+      action: 'restore',
+      before: current.rows[0],
+      after: result.rows[0],
+      userId: user.id,
+      source: 'question-trash',
+    });
+
+    return result.rows[0];
+  });
+}
+
+/**
+ * Permanently delete questions that have been in the trash longer than the retention window.
+ * The revision history is kept, so a purged question can still be recreated with a revert.
+ * @param {import('pg').Client} client - Used for dry runs; the purge itself runs in a transaction of its own
+ * @param {{code: string, question_table: string}} cert
+ * @param {{retentionDays?: number, dryRun?: boolean, user: object}} options
+ * @returns {Promise<object[]>} Purged (or, for a dry run, purgeable) rows
+ */
+async function purgeExpiredQuestions(client, cert, { retentionDays = TRASH_RETENTION_DAYS, dryRun = false, user }) {
+  const expired = `deleted_at IS NOT NULL AND deleted_at < NOW() - make_interval(days => $1)`;
+
+  if (dryRun) {
+    const result = await client.query(`SELECT * FROM ${cert.question_table} WHERE ${expired} ORDER BY deleted_at`, [retentionDays]);
+    return result.rows;
+  }
+
+  return withTransaction(async (transaction) => {
+    const result = await transaction.query(`DELETE FROM ${cert.question_table} WHERE ${expired} RETURNING *`, [retentionDays]);
+    for (const row of result.rows) {
+      await recordRevision(transaction, {
+        certificationType: cert.code,
+        questionId: row.id,
+        action: 'purge',
+        before: row,
+        userId: user.id,
+        source: 'question-trash',
+        note: `In trash since ${new Date(row.deleted_at).toISOString()}`,
+      });
+    }
+    return result.rows;
+  });
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  softDeleteQuestion,
+  restoreQuestion,
+  purgeExpiredQuestions
+};
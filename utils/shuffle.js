@@ -0,0 +1,35 @@
+/**
+ * Seeded random number generator (Linear Congruential Generator)
+ */
+function seededRandom(seed) {
+  return function() {
+    seed = (seed * 9301 + 49297) % 233280;
+    return seed / 233280;
+  };
+}
+
+/**
+ * Shuffle array using Fisher-Yates algorithm with seeded random
+ */
+function shuffleArray(array, seed) {
+  const rng = seededRandom(seed);
+  const shuffled = [...array];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Generate a random seed in the same range used by /getExamQuestions
+ */
+function generateSeed() {
+  return Math.floor(Math.random() * 1000000);
+}
+
+module.exports = {
+  seededRandom,
+  shuffleArray,
+  generateSeed
+};
@@ -0,0 +1,122 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MIN_EASE_FACTOR = 1.3;
+const DEFAULT_EASE_FACTOR = 2.5;
+
+// Recall grades on the SM-2 0-5 scale; 3 and above count as remembered
+const PASSING_GRADE = 3;
+const CORRECT_ATTEMPT_GRADE = 4;
+const INCORRECT_ATTEMPT_GRADE = 1;
+
+/**
+ * Apply one SM-2 review to a card
+ * @param {object|null} card - Current review_cards row, or null for a new card
+ * @param {number} grade - Recall grade 0-5
+ * @param {Date} [now]
+ * @returns {{ease_factor: number, interval_days: number, repetitions: number, lapses: number, last_grade: number, due_at: Date}}
+ */
+function scheduleReview(card, grade, now = new Date()) {
+  const easeFactor = card ? parseFloat(card.ease_factor) : DEFAULT_EASE_FACTOR;
+  const previousInterval = card ? card.interval_days : 0;
+  let repetitions = card ? card.repetitions : 0;
+  let lapses = card ? card.lapses : 0;
+  let intervalDays;
+
+  if (grade < PASSING_GRADE) {
+    // Forgotten: start the sequence again but keep the (lowered) ease factor
+    repetitions = 0;
+    lapses += card ? 1 : 0;
+    intervalDays = 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) {
+      intervalDays = 1;
+    } else if (repetitions === 2) {
+      intervalDays = 6;
+    } else {
+      intervalDays = Math.round(previousInterval * easeFactor);
+    }
+  }
+
+  const penalty = 5 - grade;
+  const nextEaseFactor = Math.max(
+    MIN_EASE_FACTOR,
+    easeFactor + (0.1 - penalty * (0.08 + penalty * 0.02))
+  );
+
+  return {
+    ease_factor: Math.round(nextEaseFactor * 100) / 100,
+    interval_days: intervalDays,
+    repetitions,
+    lapses,
+    last_grade: grade,
+    due_at: new Date(now.getTime() + intervalDays * DAY_MS),
+  };
+}
+
+/**
+ * Map a graded attempt onto a recall grade for cards updated from practice and exam answers
+ */
+function gradeFromAttempt(isCorrect) {
+  return isCorrect ? CORRECT_ATTEMPT_GRADE : INCORRECT_ATTEMPT_GRADE;
+}
+
+function isValidGrade(grade) {
+  return Number.isInteger(grade) && grade >= 0 && grade <= 5;
+}
+
+/**
+ * Create or update the card for a user/question and apply a review
+ * @param {import('pg').Client} client
+ * @param {{user_id: number, certification_type: string, question_id: number, domain?: string}} target
+ * @param {number} grade - Recall grade 0-5
+ * @returns {Promise<object>} Updated review_cards row
+ */
+async function recordReview(client, target, grade) {
+  const existing = await client.query(
+    `SELECT * FROM prepper.review_cards
+     WHERE user_id = $1 AND certification_type = $2 AND question_id = $3`,
+    [target.user_id, target.certification_type, target.question_id]
+  );
+  const next = scheduleReview(existing.rows[0] || null, grade);
+
+  const result = await client.query(
+    `INSERT INTO prepper.review_cards (
+      user_id, certification_type, question_id, domain, ease_factor, interval_days,
+      repetitions, lapses, last_grade, last_reviewed_at, due_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), $10)
+    ON CONFLICT (user_id, certification_type, question_id) DO UPDATE SET
+      domain = COALESCE(EXCLUDED.domain, prepper.review_cards.domain),
+      ease_factor = EXCLUDED.ease_factor,
+      interval_days = EXCLUDED.interval_days,
+      repetitions = EXCLUDED.repetitions,
+      lapses = EXCLUDED.lapses,
+      last_grade = EXCLUDED.last_grade,
+      last_reviewed_at = EXCLUDED.last_reviewed_at,
+      due_at = EXCLUDED.due_at,
+      updated_at = NOW()
+    RETURNING *`,
+    [
+      target.user_id,
+      target.certification_type,
+      target.question_id,
+      target.domain || null,
+      next.ease_factor,
+      next.interval_days,
+      next.repetitions,
+      next.lapses,
+      next.last_grade,
+      next.due_at,
+    ]
+  );
+
+  return result.rows[0];
+}
+
+module.exports = {
+  PASSING_GRADE,
+  scheduleReview,
+  gradeFromAttempt,
+  isValidGrade,
+  recordReview
+};
@@ -0,0 +1,255 @@
+const { withTransaction } = require('../documentdb/client');
+const { decodeEntities } = require('./importFormats');
+
+const MATERIAL_FORMATS = ['markdown', 'text', 'html'];
+
+// Largest chunk sent to the model with a generation request; sections are packed up to this size
+const MATERIAL_CHUNK_CHARS = parseInt(process.env.MATERIAL_CHUNK_CHARS, 10) || 3000;
+// A section shorter than this is merged with the next one instead of becoming a chunk of its own
+const MIN_CHUNK_CHARS = 400;
+const MAX_TITLE_LENGTH = 200;
+
+/**
+ * @param {string} contentType - Content-Type of a raw upload
+ * @param {string} [sourceName] - File name, when given
+ * @param {string} content
+ * @returns {'markdown'|'text'|'html'}
+ */
+function detectMaterialFormat(contentType, sourceName, content) {
+  const type = String(contentType || '').toLowerCase();
+  const name = String(sourceName || '').toLowerCase();
+  const start = String(content || '').trimStart().toLowerCase();
+  if (type.includes('html') || /\.html?$/.test(name) || start.startsWith('<!doctype html') || start.startsWith('<html')) {
+    return 'html';
+  }
+  if (type.includes('markdown') || /\.(md|markdown)$/.test(name) || /^#{1,6}\s/m.test(content || '')) {
+    return 'markdown';
+  }
+  return 'text';
+}
+
+/**
+ * Reduce an HTML page to Markdown-like text: headings become "#" lines, list items "- " lines, everything else
+ * plain paragraphs. Scripts, styles and navigation are dropped.
+ */
+function htmlToText(html) {
+  const text = String(html)
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|nav|header|footer|svg)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, inner) => `\n\n${'#'.repeat(Number(level))} ${inner.replace(/<[^>]+>/g, '').trim()}\n\n`)
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|section|article|ul|ol|table|tr|pre|blockquote)>/gi, '\n\n')
+    .replace(/<\/(td|th)>/gi, ' ')
+    .replace(/<[^>]+>/g, '');
+  return decodeEntities(text);
+}
+
+/**
+ * Split text into sections at Markdown headings, each a heading and its paragraphs
+ * @returns {Array<{heading: string|null, paragraphs: string[]}>}
+ */
+function splitSections(text) {
+  const sections = [{ heading: null, paragraphs: [] }];
+  const blocks = text.replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+
+  blocks.forEach((block) => {
+    const lines = block.split('\n');
+    let paragraph = [];
+    const flush = () => {
+      const joined = paragraph.join('\n').replace(/[ \t]+/g, ' ').trim();
+      if (joined) {
+        sections[sections.length - 1].paragraphs.push(joined);
+      }
+      paragraph = [];
+    };
+
+    lines.forEach((line) => {
+      const heading = /^\s*#{1,6}\s+(.+?)\s*#*\s*$/.exec(line);
+      if (heading) {
+        flush();
+        sections.push({ heading: heading[1], paragraphs: [] });
+      } else {
+        paragraph.push(line);
+      }
+    });
+    flush();
+  });
+
+  return sections.filter((section) => section.paragraphs.length > 0);
+}
+
+/**
+ * Cut a paragraph longer than maxChars at sentence ends (or, failing that, at maxChars)
+ */
+function splitParagraph(paragraph, maxChars) {
+  if (paragraph.length <= maxChars) {
+    return [paragraph];
+  }
+  const pieces = [];
+  let rest = paragraph;
+  while (rest.length > maxChars) {
+    const window = rest.slice(0, maxChars);
+    const sentenceEnd = Math.max(window.lastIndexOf('. '), window.lastIndexOf('.\n'), window.lastIndexOf('? '), window.lastIndexOf('! '));
+    const cut = sentenceEnd > maxChars / 2 ? sentenceEnd + 1 : maxChars;
+    pieces.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) {
+    pieces.push(rest);
+  }
+  return pieces;
+}
+
+/**
+ * Split study material into chunks of at most maxChars. A chunk starts at a heading unless the previous one is
+ * still shorter than MIN_CHUNK_CHARS, and never cuts a paragraph unless the paragraph alone is too long.
+ * @param {string} content
+ * @param {'markdown'|'text'|'html'} format
+ * @param {{maxChars?: number}} [options]
+ * @returns {Array<{chunk_index: number, heading: string|null, content: string}>}
+ */
+function chunkMaterial(content, format, { maxChars = MATERIAL_CHUNK_CHARS } = {}) {
+  const text = format === 'html' ? htmlToText(content) : String(content);
+  const chunks = [];
+  let current = null;
+
+  const flush = () => {
+    if (current && current.parts.length > 0) {
+      chunks.push({ chunk_index: chunks.length, heading: current.heading, content: current.parts.join('\n\n') });
+    }
+    current = null;
+  };
+  const size = () => (current ? current.parts.join('\n\n').length : 0);
+
+  splitSections(text).forEach((section) => {
+    if (current && size() >= MIN_CHUNK_CHARS) {
+      flush();
+    }
+    section.paragraphs.flatMap((paragraph) => splitParagraph(paragraph, maxChars)).forEach((piece) => {
+      if (current && size() + piece.length + 2 > maxChars) {
+        flush();
+      }
+      if (!current) {
+        current = { heading: section.heading, parts: [] };
+      }
+      current.parts.push(piece);
+    });
+  });
+  flush();
+
+  return chunks;
+}
+
+/**
+ * Entry added to the references of every question generated from a chunk
+ */
+function chunkReference(material, chunk) {
+  const location = chunk.heading ? `${material.title} > ${chunk.heading}` : material.title;
+  return `study_material:${material.id}#${chunk.chunk_index} - ${location}`;
+}
+
+/**
+ * Put the source chunk's reference first in a generated question's references
+ */
+function withSourceReference(question, reference) {
+  const pointer = reference.split(' ')[0];
+  const others = (Array.isArray(question.references) ? question.references : [])
+    .filter((entry) => typeof entry !== 'string' || !entry.startsWith(pointer));
+  return { ...question, references: [reference, ...others] };
+}
+
+/**
+ * Store an uploaded material and its chunks
+ * @param {{certificationType: string, title: string, format: string, sourceName?: string, content: string, chunks: object[], userId?: number}} material
+ * @returns {Promise<object>} The study_materials row
+ */
+async function storeMaterial({ certificationType, title, format, sourceName, content, chunks, userId }) {
+  return withTransaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO prepper.study_materials (certification_type, title, format, source_name, char_count, chunk_count, uploaded_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [certificationType, title, format, sourceName || null, content.length, chunks.length, userId || null]
+    );
+    const material = result.rows[0];
+
+    for (const chunk of chunks) {
+      await client.query(
+        `INSERT INTO prepper.study_material_chunks (material_id, chunk_index, heading, content, char_count)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [material.id, chunk.chunk_index, chunk.heading, chunk.content, chunk.content.length]
+      );
+    }
+
+    return material;
+  });
+}
+
+async function getMaterial(client, materialId) {
+  const result = await client.query('SELECT * FROM prepper.study_materials WHERE id = $1', [materialId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * @param {{certificationType?: string, limit: number, offset: number}} filters
+ * @returns {Promise<{total: number, materials: object[]}>}
+ */
+async function listMaterials(client, { certificationType, limit, offset }) {
+  const params = [];
+  let where = '';
+  if (certificationType) {
+    params.push(certificationType);
+    where = 'WHERE certification_type = $1';
+  }
+  const total = await client.query(`SELECT COUNT(*)::int AS total FROM prepper.study_materials ${where}`, params);
+  const materials = await client.query(
+    `SELECT * FROM prepper.study_materials ${where}
+     ORDER BY created_at DESC, id DESC
+     LIMIT ${limit} OFFSET ${offset}`,
+    params
+  );
+  return { total: total.rows[0].total, materials: materials.rows };
+}
+
+/**
+ * Chunks of a material in order, optionally only the given indexes
+ * @param {number[]} [chunkIndexes]
+ */
+async function listChunks(client, materialId, chunkIndexes = null) {
+  const params = [materialId];
+  let filter = '';
+  if (Array.isArray(chunkIndexes)) {
+    params.push(chunkIndexes);
+    filter = 'AND chunk_index = ANY($2::int[])';
+  }
+  const result = await client.query(
+    `SELECT chunk_index, heading, content, char_count
+     FROM prepper.study_material_chunks
+     WHERE material_id = $1 ${filter}
+     ORDER BY chunk_index`,
+    params
+  );
+  return result.rows;
+}
+
+async function deleteMaterial(client, materialId) {
+  const result = await client.query('DELETE FROM prepper.study_materials WHERE id = $1', [materialId]);
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  MATERIAL_FORMATS,
+  MATERIAL_CHUNK_CHARS,
+  MAX_TITLE_LENGTH,
+  detectMaterialFormat,
+  htmlToText,
+  chunkMaterial,
+  chunkReference,
+  withSourceReference,
+  storeMaterial,
+  getMaterial,
+  listMaterials,
+  listChunks,
+  deleteMaterial
+};
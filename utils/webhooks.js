@@ -0,0 +1,304 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = ['batch.completed', 'batch.failed', 'question.approved', 'question.reported'];
+// Events about no particular user's resources; only admins' webhooks receive them
+const ADMIN_ONLY_EVENTS = ['question.reported'];
+
+// Deliveries are attempted this many times before they are marked failed
+const MAX_DELIVERY_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+// Wait before the second attempt; doubles after every failure up to BACKOFF_MAX_MS
+const BACKOFF_BASE_MS = parseInt(process.env.WEBHOOK_BACKOFF_BASE_MS, 10) || 30000;
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+const DELIVERY_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+// How long a claimed delivery is hidden from other dispatch runs while its request is in flight
+const CLAIM_LEASE_MS = DELIVERY_TIMEOUT_MS + 30000;
+// Stored response bodies are cut to this many characters
+const MAX_RESPONSE_BODY = 2000;
+// Local development only: lets webhooks point at receivers on this machine or the private network
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+// Deliveries are sent from inside our network, so receivers may not resolve to loopback, private (RFC 1918),
+// link-local, unique-local or unspecified addresses. IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+BLOCKED_ADDRESSES.addSubnet('0.0.0.0', 8, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('10.0.0.0', 8, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('100.64.0.0', 10, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('127.0.0.0', 8, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('169.254.0.0', 16, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('172.16.0.0', 12, 'ipv4');
+BLOCKED_ADDRESSES.addSubnet('192.168.0.0', 16, 'ipv4');
+BLOCKED_ADDRESSES.addAddress('::', 'ipv6');
+BLOCKED_ADDRESSES.addAddress('::1', 'ipv6');
+BLOCKED_ADDRESSES.addSubnet('fc00::', 7, 'ipv6');
+BLOCKED_ADDRESSES.addSubnet('fe80::', 10, 'ipv6');
+
+/**
+ * @param {string} address - IPv4 or IPv6 address
+ */
+function isInternalAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Resolve a host to every address it has, refusing internal ones
+ * @returns {Promise<{address: string, family: number}[]>}
+ */
+async function resolvePublicAddresses(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await dns.promises.lookup(host, { all: true, verbatim: true });
+  const internal = addresses.find((entry) => isInternalAddress(entry.address));
+  if (internal && !ALLOW_PRIVATE_URLS) {
+    const error = new Error(`${host} resolves to an internal address (${internal.address})`);
+    error.code = 'EINTERNALADDRESS';
+    throw error;
+  }
+  return addresses;
+}
+
+/**
+ * Check a webhook URL: http or https, and a host that resolves to public addresses only. Runs when a webhook is
+ * saved and again before every delivery, since DNS answers can change in between.
+ * @returns {Promise<string|null>} Why the URL cannot be used, or null
+ */
+async function validateWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'url must be an absolute URL';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'url must use http or https';
+  }
+  try {
+    await resolvePublicAddresses(parsed.hostname);
+  } catch (error) {
+    return error.code === 'EINTERNALADDRESS'
+      ? 'url must not point to a loopback, private or link-local address'
+      : `url host could not be resolved (${error.code || error.message})`;
+  }
+  return null;
+}
+
+function generateWebhookSecret() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * HMAC-SHA256 of "<timestamp>.<body>", hex encoded. Receivers recompute it with their copy of the secret.
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Wait before attempt number `attempts + 1`
+ */
+function backoffDelay(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_MS);
+}
+
+/**
+ * Queue an event for every active webhook subscribed to it. A webhook receives the event when its owner is
+ * ownerId or an admin.
+ * @param {import('pg').Client} client
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {object} data - Event body sent as payload.data
+ * @param {{ownerId?: number|null}} [options] - User whose resource the event is about
+ * @returns {Promise<number[]>} Ids of the queued deliveries
+ */
+async function queueWebhookEvent(client, event, data, { ownerId = null } = {}) {
+  const webhooks = await client.query(
+    `SELECT w.id FROM prepper.webhooks w
+     JOIN prepper.users u ON u.id = w.user_id
+     WHERE w.active AND $1 = ANY(w.events) AND (u.role = 'admin' OR w.user_id = $2)`,
+    [event, Number.isInteger(ownerId) ? ownerId : null]
+  );
+
+  const createdAt = new Date().toISOString();
+  const ids = [];
+  for (const webhook of webhooks.rows) {
+    const result = await client.query(
+      `INSERT INTO prepper.webhook_deliveries (webhook_id, event, payload)
+       VALUES ($1, $2, $3)
+       RETURNING id`,
+      [webhook.id, event, JSON.stringify({ event, created_at: createdAt, data })]
+    );
+    ids.push(result.rows[0].id);
+  }
+  return ids;
+}
+
+/**
+ * Copy a delivery into a new pending delivery of the same webhook and payload
+ * @returns {Promise<object>} The new delivery
+ */
+async function redeliver(client, delivery) {
+  const result = await client.query(
+    `INSERT INTO prepper.webhook_deliveries (webhook_id, event, payload, redelivery_of)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [delivery.webhook_id, delivery.event, JSON.stringify(delivery.payload), delivery.id]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Take due deliveries for sending. Claimed rows get their next_attempt_at pushed past the request timeout so an
+ * overlapping run cannot send them twice.
+ * @param {import('pg').Client} client
+ * @param {{limit?: number, ids?: number[]}} [options] - ids restricts the claim to these deliveries
+ * @returns {Promise<object[]>} Deliveries joined with their webhook's url and secret
+ */
+async function claimDueDeliveries(client, { limit = 20, ids = null } = {}) {
+  const params = [limit, CLAIM_LEASE_MS / 1000];
+  let filter = '';
+  if (Array.isArray(ids)) {
+    params.push(ids);
+    filter = `AND due.id = ANY($${params.length}::int[])`;
+  }
+
+  const result = await client.query(
+    `UPDATE prepper.webhook_deliveries d
+     SET next_attempt_at = NOW() + make_interval(secs => $2)
+     FROM prepper.webhooks w
+     WHERE w.id = d.webhook_id
+       AND d.id IN (
+         SELECT due.id FROM prepper.webhook_deliveries due
+         WHERE due.status = 'pending' AND due.next_attempt_at <= NOW() ${filter}
+         ORDER BY due.next_attempt_at
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+     RETURNING d.*, w.url, w.secret, w.active`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * POST one claimed delivery and record the outcome: succeeded on a 2xx, otherwise rescheduled with backoff or,
+ * after MAX_DELIVERY_ATTEMPTS, failed. Deliveries of a webhook that was deactivated fail without a request.
+ * @param {import('pg').Client} client
+ * @param {object} delivery - Row from claimDueDeliveries
+ * @returns {Promise<object>} The updated delivery
+ */
+async function sendDelivery(client, delivery) {
+  const attempts = delivery.attempts + 1;
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+
+  if (!delivery.active) {
+    error = 'Webhook is inactive';
+  } else {
+    error = await validateWebhookUrl(delivery.url);
+  }
+
+  if (!error) {
+    const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+      const response = await axios.post(delivery.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'cloudprepper-webhooks',
+          'X-Prepper-Event': delivery.event,
+          'X-Prepper-Delivery': String(delivery.id),
+          'X-Prepper-Timestamp': String(timestamp),
+          'X-Prepper-Signature': `sha256=${signPayload(delivery.secret, timestamp, body)}`,
+        },
+        timeout: DELIVERY_TIMEOUT_MS,
+        maxRedirects: 0,
+        // Resolve again for the connection itself, so the host cannot switch to an internal address after the check
+        lookup: resolvePublicAddresses,
+        responseType: 'text',
+        transformResponse: (data) => data,
+        validateStatus: () => true,
+      });
+      responseStatus = response.status;
+      responseBody = typeof response.data === 'string' ? response.data.slice(0, MAX_RESPONSE_BODY) : null;
+      if (response.status < 200 || response.status >= 300) {
+        error = `Receiver responded with HTTP ${response.status}`;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+    }
+  }
+
+  let status = 'succeeded';
+  if (error) {
+    status = delivery.active && attempts < MAX_DELIVERY_ATTEMPTS ? 'pending' : 'failed';
+  }
+
+  const result = await client.query(
+    `UPDATE prepper.webhook_deliveries
+     SET status = $2, attempts = $3, response_status = $4, response_body = $5, error = $6,
+         next_attempt_at = NOW() + make_interval(secs => $7),
+         delivered_at = CASE WHEN $2 = 'succeeded' THEN NOW() ELSE delivered_at END
+     WHERE id = $1
+     RETURNING id, webhook_id, event, status, attempts, response_status, error, next_attempt_at, delivered_at`,
+    [delivery.id, status, attempts, responseStatus, responseBody, error, status === 'pending' ? backoffDelay(attempts) / 1000 : 0]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Send every due delivery (or only the given ones)
+ * @returns {Promise<object[]>} Updated deliveries
+ */
+async function dispatchDueDeliveries(client, { ids = null } = {}) {
+  const sent = [];
+  let claimed;
+  do {
+    claimed = await claimDueDeliveries(client, { ids });
+    for (const delivery of claimed) {
+      sent.push(await sendDelivery(client, delivery));
+    }
+  } while (!ids && claimed.length > 0);
+  return sent;
+}
+
+/**
+ * Webhook row for API responses; the secret is only returned when it is created or rotated
+ */
+function toPublicWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return rest;
+}
+
+/**
+ * Delivery row for non-admins: only the response status and error, not what the receiver sent back
+ */
+function toPublicDelivery(delivery) {
+  const { response_body: responseBody, ...rest } = delivery;
+  return rest;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  ADMIN_ONLY_EVENTS,
+  MAX_DELIVERY_ATTEMPTS,
+  isInternalAddress,
+  validateWebhookUrl,
+  generateWebhookSecret,
+  signPayload,
+  backoffDelay,
+  queueWebhookEvent,
+  redeliver,
+  claimDueDeliveries,
+  sendDelivery,
+  dispatchDueDeliveries,
+  toPublicWebhook,
+  toPublicDelivery
+};